@@ -8,10 +8,26 @@
 
 const DynamicSearchEngine = require('./lib/dynamic-search-engine');
 const QueryAnalyzer = require('./lib/query-analyzer');
+const QueryParser = require('./lib/query-parser');
 const ContextualWeighter = require('./lib/contextual-weighter');
 const QueryEnhancer = require('./lib/query-enhancer');
+const SynonymDictionary = require('./lib/synonym-dictionary');
+const EntityGazetteer = require('./lib/entity-gazetteer');
+const EntityHarvester = require('./lib/entity-harvester');
+const PlaceGazetteer = require('./lib/place-gazetteer');
+const TemporalParser = require('./lib/temporal-parser');
+const LanguageDetector = require('./lib/language-detector');
 const WeightCombiner = require('./lib/weight-combiner');
 const QueryBuilder = require('./lib/query-builder');
+const TemplateEngine = require('./lib/template-engine');
+const RetrieverBuilder = require('./lib/retriever-builder');
+const ClientFusion = require('./lib/client-fusion');
+const SpellChecker = require('./lib/spell-checker');
+const Autocompleter = require('./lib/autocompleter');
+const FilterBuilder = require('./lib/filter-builder');
+const ResultMapper = require('./lib/result-mapper');
+const SearchLogger = require('./lib/search-logger');
+const RequestExecutor = require('./lib/request-executor');
 const PerformanceMonitor = require('./lib/performance-monitor');
 
 module.exports = {
@@ -20,10 +36,26 @@ module.exports = {
   
   // Core components (for advanced usage)
   QueryAnalyzer,
+  QueryParser,
   ContextualWeighter,
   QueryEnhancer,
+  SynonymDictionary,
+  EntityGazetteer,
+  EntityHarvester,
+  PlaceGazetteer,
+  TemporalParser,
+  LanguageDetector,
   WeightCombiner,
   QueryBuilder,
+  TemplateEngine,
+  RetrieverBuilder,
+  ClientFusion,
+  SpellChecker,
+  Autocompleter,
+  FilterBuilder,
+  ResultMapper,
+  SearchLogger,
+  RequestExecutor,
   PerformanceMonitor
 };
 
@@ -0,0 +1,312 @@
+/**
+ * Autocompleter - Type-ahead suggestions for the search box
+ * Combines completion / search_as_you_type fields with popular past queries and known entities,
+ * ranked per suggestion type by a lightweight version of the strategy detection. Never runs the
+ * analysis or contextual weighting phases, and answers from local sources alone when
+ * Elasticsearch misses the latency budget
+ */
+
+const SearchLogger = require('./search-logger');
+const RequestExecutor = require('./request-executor');
+
+const SUGGESTION_TYPES = ['query', 'entity', 'document'];
+const QUESTION_WORDS = ['how', 'what', 'why', 'when', 'where', 'who', 'which', 'can', 'does', 'is'];
+
+class Autocompleter {
+  constructor(executor, options = {}) {
+    this.executor = executor;
+    this.options = {
+      enabled: true,
+      size: 8,                       // Suggestions returned
+      latencyBudget: 150,            // Deadline in ms for the Elasticsearch request (userContext.timeout overrides)
+      minPrefixLength: 1,
+      index: null,                   // Index of the document suggestions (defaults to the engine's indexName)
+      completionField: null,         // completion field, e.g. 'title_suggest'
+      searchAsYouTypeField: null,    // search_as_you_type field, e.g. 'title_sayt'
+      titleField: 'unified_title',   // Text of search_as_you_type document suggestions
+      fuzzy: false,                  // Fuzzy completion matching
+      recordQueries: false,          // Remember searches that returned hits as popular queries (opt-in)
+      // Searches a query needs before it is suggested, so one user's query never reaches the others
+      minQueryCount: 3,
+      maxQueries: 5000,              // Popular queries kept; the least searched are evicted
+      entities: () => [],            // Known entities: () => [{ text, type }]
+      // Type weights per detected pattern
+      typeWeights: {
+        entity_lookup: { entity: 1.0, document: 0.8, query: 0.6 },
+        descriptive: { query: 1.0, document: 0.7, entity: 0.3 },
+        balanced: { query: 0.9, document: 0.9, entity: 0.8 }
+      },
+      ...options
+    };
+
+    this.logger = this.options.logger || new SearchLogger(console, { level: 'warn' });
+
+    // lowercased query -> { text, count, lastSeen }
+    this.queries = new Map();
+  }
+
+  /**
+   * Suggest completions for a prefix
+   * @param {string} prefix - Text typed so far
+   * @param {string} indexName - Index holding the completion / search_as_you_type fields
+   * @param {object} requestOptions - { signal, deadline }
+   * @returns {Promise<object>} { prefix, strategy, suggestions: [{ text, type, score, source }], partial }
+   */
+  async suggest(prefix, indexName, requestOptions = {}) {
+    const text = typeof prefix === 'string' ? prefix.trim() : '';
+    if (!this.options.enabled || text.length < this.options.minPrefixLength) {
+      return { prefix: text, strategy: null, suggestions: [], partial: false };
+    }
+
+    const strategy = this.detectStrategy(text);
+    const candidates = [
+      ...this._suggestQueries(text),
+      ...this._suggestEntities(text)
+    ];
+
+    let partial = false;
+    if (this.options.completionField || this.options.searchAsYouTypeField) {
+      try {
+        candidates.push(...await this._suggestDocuments(text, indexName, requestOptions));
+      } catch (error) {
+        // A newer keystroke aborting this one is expected; a missed budget falls back to local sources
+        if (error.code === RequestExecutor.ERROR_CODES.aborted) throw error;
+        partial = true;
+        this.logger.warn('suggest_degraded', {
+          index: indexName,
+          reason: RequestExecutor.isCancellation(error) ? 'latency_budget' : 'error',
+          error: error.message
+        });
+      }
+    }
+
+    return {
+      prefix: text,
+      strategy,
+      suggestions: this._rank(candidates, strategy),
+      partial
+    };
+  }
+
+  /**
+   * Lightweight strategy detection from the prefix alone
+   * @param {string} prefix - Text typed so far
+   * @returns {string} 'entity_lookup', 'descriptive' or 'balanced'
+   */
+  detectStrategy(prefix) {
+    const words = prefix.trim().split(/\s+/).filter(word => word.length > 0);
+    if (words.length === 0) return 'balanced';
+
+    if (words.length >= 3 || QUESTION_WORDS.includes(words[0].toLowerCase())) {
+      return 'descriptive';
+    }
+
+    const lower = prefix.trim().toLowerCase();
+    const looksLikeName = words.some(word => /^\p{Lu}/u.test(word) || /\d/.test(word));
+    const knownEntity = this._getEntities().some(entity => entity.text.toLowerCase().startsWith(lower));
+    return looksLikeName || knownEntity ? 'entity_lookup' : 'balanced';
+  }
+
+  /**
+   * Remember a searched query as a popular suggestion
+   * @param {string} query - Searched text
+   * @param {number} count - Searches to add
+   */
+  recordQuery(query, count = 1) {
+    const text = typeof query === 'string' ? query.trim().replace(/\s+/g, ' ') : '';
+    if (!text) return;
+
+    const key = text.toLowerCase();
+    const existing = this.queries.get(key);
+    this.queries.set(key, {
+      text: existing ? existing.text : text,
+      count: (existing ? existing.count : 0) + count,
+      lastSeen: Date.now()
+    });
+
+    if (this.queries.size > this.options.maxQueries) {
+      this._evictQueries();
+    }
+  }
+
+  /**
+   * Seed popular queries, e.g. from search logs
+   * @param {Array<string|object>} queries - Queries, or { query, count }
+   */
+  addQueries(queries) {
+    queries.forEach(entry => {
+      const { query, count = 1 } = typeof entry === 'string' ? { query: entry } : entry;
+      this.recordQuery(query, count);
+    });
+  }
+
+  /**
+   * Forget every popular query
+   */
+  clearQueries() {
+    this.queries.clear();
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+  }
+
+  /**
+   * Popular queries starting with the prefix (or containing a word that does), searched at least
+   * minQueryCount times
+   * @private
+   */
+  _suggestQueries(prefix) {
+    const lower = prefix.toLowerCase();
+    const matches = [];
+    for (const entry of this.queries.values()) {
+      if (entry.count < this.options.minQueryCount) continue;
+      const quality = this._matchQuality(entry.text, lower);
+      if (quality > 0) matches.push({ entry, quality });
+    }
+
+    const maxCount = Math.max(1, ...matches.map(({ entry }) => entry.count));
+    return matches.map(({ entry, quality }) => ({
+      text: entry.text,
+      type: 'query',
+      source: 'history',
+      sourceScore: quality * (0.5 + 0.5 * entry.count / maxCount),
+      count: entry.count
+    }));
+  }
+
+  /**
+   * Known entities starting with the prefix
+   * @private
+   */
+  _suggestEntities(prefix) {
+    const lower = prefix.toLowerCase();
+    return this._getEntities()
+      .map(entity => ({ entity, quality: this._matchQuality(entity.text, lower) }))
+      .filter(({ quality }) => quality > 0)
+      .map(({ entity, quality }) => ({
+        text: entity.text,
+        type: 'entity',
+        source: 'dictionary',
+        sourceScore: quality,
+        entityType: entity.type
+      }));
+  }
+
+  /**
+   * Completion suggester and search_as_you_type hits in one request
+   * @private
+   */
+  async _suggestDocuments(prefix, indexName, requestOptions) {
+    const { completionField, searchAsYouTypeField, titleField, size } = this.options;
+    const body = { size: searchAsYouTypeField ? size : 0, _source: [titleField] };
+
+    if (searchAsYouTypeField) {
+      body.query = {
+        multi_match: {
+          query: prefix,
+          type: 'bool_prefix',
+          fields: [searchAsYouTypeField, `${searchAsYouTypeField}._2gram`, `${searchAsYouTypeField}._3gram`]
+        }
+      };
+    }
+    if (completionField) {
+      body.suggest = {
+        completion_suggestions: {
+          prefix,
+          completion: {
+            field: completionField,
+            size,
+            skip_duplicates: true,
+            ...(this.options.fuzzy && { fuzzy: { fuzziness: 'AUTO' } })
+          }
+        }
+      };
+    }
+
+    const response = await this.executor.execute('search', { index: indexName, body }, requestOptions);
+    const result = response.body || response;
+
+    const options = result.suggest?.completion_suggestions?.[0]?.options || [];
+    const hits = result.hits?.hits || [];
+    const maxCompletion = Math.max(0, ...options.map(option => option._score || 0));
+    const maxHit = Math.max(0, ...hits.map(hit => hit._score || 0));
+
+    const completions = options.map(option => ({
+      text: option.text,
+      type: 'document',
+      source: 'completion',
+      sourceScore: maxCompletion > 0 ? (option._score || 0) / maxCompletion : 1,
+      id: option._id
+    }));
+    const documents = hits
+      .filter(hit => typeof hit._source?.[titleField] === 'string')
+      .map(hit => ({
+        text: hit._source[titleField],
+        type: 'document',
+        source: 'search_as_you_type',
+        sourceScore: maxHit > 0 ? (hit._score || 0) / maxHit : 1,
+        id: hit._id
+      }));
+    return [...completions, ...documents];
+  }
+
+  /**
+   * Weight each candidate by its type, keep the best per text and cut to size
+   * @private
+   */
+  _rank(candidates, strategy) {
+    const weights = this.options.typeWeights[strategy] || this.options.typeWeights.balanced;
+
+    // lowercased text -> best suggestion
+    const best = new Map();
+    candidates.forEach(({ sourceScore, ...candidate }) => {
+      const suggestion = { ...candidate, score: sourceScore * (weights[candidate.type] ?? 0) };
+      const key = suggestion.text.toLowerCase();
+      const current = best.get(key);
+      if (!current || suggestion.score > current.score) best.set(key, suggestion);
+    });
+
+    return Array.from(best.values())
+      .filter(suggestion => suggestion.score > 0)
+      .sort((a, b) => b.score - a.score || a.text.length - b.text.length)
+      .slice(0, this.options.size);
+  }
+
+  /**
+   * 1 when the text starts with the prefix, 0.7 when a later word does, else 0
+   * @private
+   */
+  _matchQuality(text, lowerPrefix) {
+    const lower = text.toLowerCase();
+    if (lower === lowerPrefix) return 0.9; // Nothing left to complete
+    if (lower.startsWith(lowerPrefix)) return 1;
+    return lower.includes(` ${lowerPrefix}`) ? 0.7 : 0;
+  }
+
+  /**
+   * @private
+   */
+  _getEntities() {
+    return this.options.entities() || [];
+  }
+
+  /**
+   * Drop the least searched (then oldest) tenth of the popular queries
+   * @private
+   */
+  _evictQueries() {
+    const excess = this.queries.size - Math.floor(this.options.maxQueries * 0.9);
+    Array.from(this.queries.entries())
+      .sort(([, a], [, b]) => a.count - b.count || a.lastSeen - b.lastSeen)
+      .slice(0, excess)
+      .forEach(([key]) => this.queries.delete(key));
+  }
+}
+
+Autocompleter.SUGGESTION_TYPES = SUGGESTION_TYPES;
+
+module.exports = Autocompleter;
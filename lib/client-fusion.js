@@ -0,0 +1,159 @@
+/**
+ * ClientFusion - Hybrid fusion in the client for clusters without retriever support
+ * The lexical and semantic sub-queries run as separate msearch entries; their hits are
+ * normalized (min-max or z-score) and blended with the lexical/semantic weights, or fused
+ * with reciprocal rank fusion, and deduplicated by _id
+ */
+
+const METHODS = ['linear', 'rrf', 'weighted_rrf'];
+const NORMALIZATIONS = ['minmax', 'zscore'];
+
+class ClientFusion {
+  constructor(options = {}) {
+    this.options = {
+      enabled: false,
+      method: 'linear',              // 'linear', 'rrf' or 'weighted_rrf' (weights.fusion overrides)
+      normalization: 'minmax',       // Score normalization for linear fusion: 'minmax' or 'zscore'
+      zscoreFloor: null,             // Z-score of a document missing from a component (null: its lowest z-score)
+      rankConstant: 60,              // RRF rank constant
+      windowSize: 50,                // Candidates fetched from each sub-query
+      templates: { lexical: 'lexical', semantic: 'semantic' },
+      ...options
+    };
+  }
+
+  /**
+   * Fuse the lexical and semantic sub-query responses into one search response
+   * @param {object} responses - { lexical, semantic }; semantic may be null (lexical only)
+   * @param {object} weights - Final weights ({ lexicalWeight, semanticWeight, fusion })
+   * @param {number} size - Hits to return
+   * @returns {object} Search response whose hits carry `_components` scores
+   */
+  fuse(responses, weights, size = 10) {
+    const fusion = this.getFusion(weights);
+    const componentWeights = {
+      lexical: fusion.method === 'rrf' ? 1 : weights.lexicalWeight,
+      semantic: fusion.method === 'rrf' ? 1 : weights.semanticWeight
+    };
+
+    // _id -> { hit, components }
+    const candidates = new Map();
+    // Normalized score of a document a component did not return
+    const missing = {};
+    for (const component of ['lexical', 'semantic']) {
+      const hits = responses[component]?.hits?.hits || [];
+      const normalized = this._normalize(hits.map(hit => hit._score || 0), fusion.normalization);
+      missing[component] = this._getMissingScore(normalized, fusion.normalization);
+
+      hits.forEach((hit, index) => {
+        const candidate = candidates.get(hit._id) || { hit, components: {} };
+        candidate.components[component] = {
+          score: hit._score,
+          normalized: normalized[index],
+          rank: index + 1
+        };
+        candidates.set(hit._id, candidate);
+      });
+    }
+
+    const fused = Array.from(candidates.values()).map(({ hit, components }) => {
+      let score = 0;
+      for (const component of ['lexical', 'semantic']) {
+        const detail = components[component];
+        if (fusion.method === 'linear') {
+          score += componentWeights[component] * (detail ? detail.normalized : missing[component]);
+        } else if (detail) {
+          score += componentWeights[component] / (fusion.rankConstant + detail.rank);
+        }
+      }
+      return { ...hit, _score: score, _components: components };
+    });
+
+    fused.sort((a, b) => b._score - a._score || this._bestRank(a) - this._bestRank(b));
+
+    const totals = ['lexical', 'semantic'].map(component => {
+      const total = responses[component]?.hits?.total;
+      return typeof total === 'number' ? total : total?.value || 0;
+    });
+
+    return {
+      took: Math.max(responses.lexical?.took || 0, responses.semantic?.took || 0),
+      hits: {
+        // Overlap between the sub-queries is unknown, so the larger total is a lower bound
+        total: { value: Math.max(...totals, fused.length), relation: 'gte' },
+        max_score: fused[0]?._score ?? null,
+        hits: fused.slice(0, size)
+      },
+      ...(responses.lexical?.aggregations && { aggregations: responses.lexical.aggregations })
+    };
+  }
+
+  /**
+   * Fusion settings for a query: the strategy's weights.fusion, else the configured method
+   * @param {object} weights - Final weights
+   * @returns {object} { method, normalization, rankConstant }
+   */
+  getFusion(weights = {}) {
+    const fusion = weights.fusion || {};
+    const method = fusion.method || this.options.method;
+    const normalization = NORMALIZATIONS.includes(fusion.normalizer) ? fusion.normalizer : this.options.normalization;
+
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown client fusion method "${method}" (expected ${METHODS.join(', ')})`);
+    }
+    if (!NORMALIZATIONS.includes(normalization)) {
+      throw new Error(`Unknown client fusion normalization "${normalization}" (expected ${NORMALIZATIONS.join(', ')})`);
+    }
+
+    return {
+      method,
+      normalization,
+      rankConstant: fusion.rankConstant ?? this.options.rankConstant
+    };
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+  }
+
+  /**
+   * Normalize one component's scores
+   * @private
+   */
+  _normalize(scores, normalization) {
+    if (scores.length === 0) return [];
+
+    if (normalization === 'zscore') {
+      const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+      const deviation = Math.sqrt(scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length);
+      return scores.map(score => (deviation === 0 ? 0 : (score - mean) / deviation));
+    }
+
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    return scores.map(score => (max === min ? 1 : (score - min) / (max - min)));
+  }
+
+  /**
+   * A missing document scores no better than the component's worst hit: 0 after min-max, and the
+   * lowest z-score (or zscoreFloor) after z-score, where 0 is the mean and would beat every hit below it
+   * @private
+   */
+  _getMissingScore(normalized, normalization) {
+    if (normalization !== 'zscore') return 0;
+    if (this.options.zscoreFloor !== null && this.options.zscoreFloor !== undefined) return this.options.zscoreFloor;
+    return normalized.length > 0 ? Math.min(...normalized) : 0;
+  }
+
+  /**
+   * @private
+   */
+  _bestRank(hit) {
+    return Math.min(...Object.values(hit._components).map(component => component.rank));
+  }
+}
+
+module.exports = ClientFusion;
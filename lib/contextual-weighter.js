@@ -1,3 +1,7 @@
+const SearchLogger = require('./search-logger');
+const RequestExecutor = require('./request-executor');
+const RequestCoalescer = require('./request-coalescer');
+
 class ContextualWeighter {
   constructor(esClient, options = {}) {
     this.client = esClient;
@@ -7,60 +11,88 @@ class ContextualWeighter {
       ...options
     };
     this.corpusCache = new Map();
+    this.pendingCorpusRequests = new RequestCoalescer();
+
+    // Standalone use keeps warning on the console; the engine injects its own logger
+    this.logger = this.options.logger || new SearchLogger(console, { level: 'warn' });
+    // The engine shares its executor so retries and the circuit breaker cover these aggregations too
+    this.executor = this.options.executor || new RequestExecutor(esClient, this.options.requestExecutor);
   }
 
-  async calculateContextualWeights(query, indexName, context = {}) {
-    const corpusStats = await this.getCorpusStatistics(indexName);
-    const queryCorpusOverlap = await this.calculateQueryCorpusOverlap(query, indexName);
+  /**
+   * @param {string} query - Query text
+   * @param {string} indexName - Index or pattern the corpus statistics are read from
+   * @param {object} context - User context
+   * @param {object} requestOptions - { signal, deadline } cancelling the corpus aggregations
+   */
+  async calculateContextualWeights(query, indexName, context = {}, requestOptions = { signal: context.signal }) {
+    const corpusStats = await this.getCorpusStatistics(indexName, requestOptions);
+    const queryCorpusOverlap = await this.calculateQueryCorpusOverlap(query, indexName, requestOptions);
     const userIntent = this.inferUserIntent(query, context);
     
     let lexicalWeight = 0.5;
     let confidence = 0.6;
     let reasoning = [];
+    const adjustments = [];
+
+    // Record each change to the lexical weight for explain/dry-run traces
+    const adjust = (factor, newLexicalWeight) => {
+      adjustments.push({
+        source: 'contextual',
+        factor,
+        lexicalBefore: lexicalWeight,
+        lexicalAfter: newLexicalWeight,
+        delta: newLexicalWeight - lexicalWeight
+      });
+      lexicalWeight = newLexicalWeight;
+    };
 
     if (corpusStats.avgDocLength > 1000) {
-      lexicalWeight -= 0.1;
+      adjust('long_documents', lexicalWeight - 0.1);
       reasoning.push('Long documents - extra 10% semantic boost');
     }
     
     if (corpusStats.termDiversity > 0.8) {
-      lexicalWeight -= 0.15;
+      adjust('high_term_diversity', lexicalWeight - 0.15);
       reasoning.push('High term diversity - extra 15% semantic boost');
     }
 
     if (queryCorpusOverlap > 0.7) {
-      lexicalWeight += 0.2;
+      adjust('high_vocabulary_overlap', lexicalWeight + 0.2);
       confidence += 0.1;
       reasoning.push('High vocabulary overlap - extra 20% lexical boost');
     } else if (queryCorpusOverlap < 0.3) {
-      lexicalWeight -= 0.2;
+      adjust('low_vocabulary_overlap', lexicalWeight - 0.2);
       reasoning.push('Low vocabulary overlap - extra 20% semantic boost');
     }
 
     switch (userIntent.primary) {
       case 'factual':
-        lexicalWeight += 0.15;
+        adjust('factual_intent', lexicalWeight + 0.15);
         reasoning.push('Factual queries - extra 15% lexical boost');
         break;
       case 'exploratory':
-        lexicalWeight -= 0.2;
+        adjust('exploratory_intent', lexicalWeight - 0.2);
         reasoning.push('Exploratory queries - extra 20% semantic boost');
         break;
       case 'navigational':
-        lexicalWeight += 0.25;
+        adjust('navigational_intent', lexicalWeight + 0.25);
         reasoning.push('Navigational queries - extra 25% lexical boost');
         break;
     }
 
     if (context.domain === 'technical') {
-      lexicalWeight += 0.1;
+      adjust('technical_domain', lexicalWeight + 0.1);
       reasoning.push('Technical domain - extra 10% lexical boost');
     } else if (context.domain === 'creative') {
-      lexicalWeight -= 0.15;
+      adjust('creative_domain', lexicalWeight - 0.15);
       reasoning.push('Creative domain - extra 15% semantic boost');
     }
 
-    lexicalWeight = Math.max(0.1, Math.min(0.9, lexicalWeight));
+    const clampedLexicalWeight = Math.max(0.1, Math.min(0.9, lexicalWeight));
+    if (clampedLexicalWeight !== lexicalWeight) {
+      adjust('clamp', clampedLexicalWeight);
+    }
     const semanticWeight = 1.0 - lexicalWeight;
     confidence = Math.max(0.3, Math.min(0.95, confidence));
 
@@ -69,6 +101,7 @@ class ContextualWeighter {
       semanticWeight,
       confidence,
       reasoning,
+      adjustments,
       corpusStats,
       queryCorpusOverlap,
       userIntent: userIntent.primary,
@@ -76,54 +109,49 @@ class ContextualWeighter {
     };
   }
 
-  async getCorpusStatistics(indexName) {
-    const cacheKey = `corpus_${indexName}`;
-    const cached = this.corpusCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < this.options.cacheTTL) {
-      return cached.data;
-    }
-
+  async getCorpusStatistics(indexName, requestOptions = {}) {
     try {
-      const statsQuery = {
-        aggs: {
-          avg_doc_length: {
-            avg: {
-              script: {
-                source: "if (doc.containsKey('unified_content') && doc['unified_content'].size() > 0) { doc['unified_content'].value.length() } else { 100 }"
+      return await this._getCachedCorpusData(`corpus_${indexName}`, requestOptions, async sharedOptions => {
+        const statsQuery = {
+          aggs: {
+            avg_doc_length: {
+              avg: {
+                script: {
+                  source: "if (doc.containsKey('unified_content') && doc['unified_content'].size() > 0) { doc['unified_content'].value.length() } else { 100 }"
+                }
               }
+            },
+            term_diversity: {
+              cardinality: {
+                field: 'unified_title.keyword',
+                precision_threshold: 1000
+              }
+            },
+            total_docs: {
+              value_count: { field: 'unified_title.keyword' }
             }
-          },
-          term_diversity: {
-            cardinality: {
-              field: 'unified_title.keyword',
-              precision_threshold: 1000
-            }
-          },
-          total_docs: {
-            value_count: { field: 'unified_title.keyword' }
           }
-        }
-      };
+        };
 
-      const response = await this.client.search({
-        index: indexName,
-        body: statsQuery,
-        size: 0
-      });
-
-      const aggs = response.aggregations || response.body?.aggregations;
-      const stats = {
-        avgDocLength: aggs.avg_doc_length.value || 500,
-        termDiversity: aggs.term_diversity.value / Math.max(aggs.total_docs.value, 1),
-        totalDocs: aggs.total_docs.value,
-        timestamp: Date.now()
-      };
+        const response = await this.executor.execute('search', {
+          index: indexName,
+          body: statsQuery,
+          size: 0
+        }, sharedOptions);
 
-      this.corpusCache.set(cacheKey, { data: stats, timestamp: Date.now() });
-      return stats;
+        const aggs = response.aggregations || response.body?.aggregations;
+        return {
+          avgDocLength: aggs.avg_doc_length.value || 500,
+          termDiversity: aggs.term_diversity.value / Math.max(aggs.total_docs.value, 1),
+          totalDocs: aggs.total_docs.value,
+          timestamp: Date.now()
+        };
+      });
     } catch (error) {
-      console.warn(`Failed to get corpus stats: ${error.message}`);
+      // A cancelled search must stop, not carry on with default statistics
+      if (RequestExecutor.isCancellation(error)) throw error;
+
+      this.logger.warn('corpus_stats_failed', { index: indexName, error: error.message });
       return {
         avgDocLength: 500,
         termDiversity: 0.5,
@@ -132,14 +160,14 @@ class ContextualWeighter {
     }
   }
 
-  async calculateQueryCorpusOverlap(query, indexName) {
-    const queryTerms = query.toLowerCase().split(/\s+/).filter(t => t.length > 2);
-    
-    if (queryTerms.length === 0) {
-      return 0.5;
-    }
-
-    try {
+  /**
+   * Get the vocabulary of the most frequent titles in an index (cached like corpus statistics)
+   * @param {string} indexName - Index or pattern
+   * @param {object} requestOptions - { signal, deadline }
+   * @returns {Promise<Set<string>>} Lowercased terms longer than two characters
+   */
+  async getCorpusTerms(indexName, requestOptions = {}) {
+    return this._getCachedCorpusData(`terms_${indexName}`, requestOptions, async sharedOptions => {
       const termsQuery = {
         aggs: {
           top_terms: {
@@ -151,11 +179,11 @@ class ContextualWeighter {
         }
       };
 
-      const response = await this.client.search({
+      const response = await this.executor.execute('search', {
         index: indexName,
         body: termsQuery,
         size: 0
-      });
+      }, sharedOptions);
 
       const corpusTerms = new Set();
       const aggs = response.aggregations || response.body?.aggregations;
@@ -166,15 +194,46 @@ class ContextualWeighter {
           });
         });
       }
+      return corpusTerms;
+    });
+  }
 
+  async calculateQueryCorpusOverlap(query, indexName, requestOptions = {}) {
+    const queryTerms = query.toLowerCase().split(/\s+/).filter(t => t.length > 2);
+    
+    if (queryTerms.length === 0) {
+      return 0.5;
+    }
+
+    try {
+      const corpusTerms = await this.getCorpusTerms(indexName, requestOptions);
       const overlappingTerms = queryTerms.filter(term => corpusTerms.has(term));
       return overlappingTerms.length / queryTerms.length;
     } catch (error) {
-      console.warn(`Failed to calculate overlap: ${error.message}`);
+      if (RequestExecutor.isCancellation(error)) throw error;
+
+      this.logger.warn('corpus_overlap_failed', { index: indexName, error: error.message });
       return 0.5;
     }
   }
 
+  /**
+   * Serve corpus data from cache, sharing one in-flight request between concurrent callers
+   * @private
+   */
+  async _getCachedCorpusData(cacheKey, requestOptions, fetchData) {
+    const cached = this.corpusCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < this.options.cacheTTL) {
+      return cached.data;
+    }
+
+    return this.pendingCorpusRequests.run(cacheKey, async sharedOptions => {
+      const data = await fetchData(sharedOptions);
+      this.corpusCache.set(cacheKey, { data, timestamp: Date.now() });
+      return data;
+    }, requestOptions);
+  }
+
   inferUserIntent(query, context) {
     const queryLower = query.toLowerCase();
     
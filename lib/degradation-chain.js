@@ -0,0 +1,169 @@
+/**
+ * DegradationChain - Fallback levels for searches whose reranking or semantic retrieval fails
+ * Walks rerank -> no_rerank -> lexical_only templates, leaving a level on the error
+ * categories it is configured for or when it exceeds its latency budget
+ */
+
+const RequestExecutor = require('./request-executor');
+
+const DEFAULT_LEVELS = [
+  { level: 'rerank', template: 'rerank', fallbackOn: ['inference', 'timeout'], maxLatency: null },
+  { level: 'no_rerank', template: 'noRerank', fallbackOn: ['inference', 'timeout'], maxLatency: null },
+  { level: 'lexical_only', template: 'lexical', fallbackOn: [], maxLatency: null }
+];
+
+class DegradationChain {
+  constructor(options = {}) {
+    this.options = {
+      enabled: true,
+      levels: DEFAULT_LEVELS,
+      // Matched against ES error types and reasons to recognise inference endpoint failures
+      inferenceErrorPattern: /inference|rerank|model|deployment/i,
+      ...options
+    };
+    this._validateLevels(this.options.levels);
+  }
+
+  /**
+   * Configured levels, in fallback order
+   * @returns {Array<object>} [{ level, template, fallbackOn, maxLatency }]
+   */
+  get levels() {
+    return this.options.levels;
+  }
+
+  /**
+   * Index of the level a search starts at: the requested level, or the first one below it that
+   * can be built (a query spec without `rerank` has no rerank query)
+   * @param {boolean} useRerank - Whether reranking was requested
+   * @param {string} level - Level carried by a pagination cursor, if any
+   * @param {Function} isAvailable - (level) => whether the level can be built (template exists)
+   * @returns {number} Level index
+   */
+  getStartIndex(useRerank, level = null, isAvailable = () => true) {
+    const requested = this._getRequestedIndex(useRerank, level);
+    for (let index = requested; index < this.levels.length; index++) {
+      if (isAvailable(this.levels[index])) return index;
+    }
+    return requested;
+  }
+
+  /**
+   * Index of the level to fall back to after a failure, or -1 to give up
+   * @param {number} index - Level that failed
+   * @param {Error|object} error - Thrown error or msearch sub-response error
+   * @param {object} requestOptions - { signal, deadline } of the whole search
+   * @param {Function} isAvailable - (level) => whether the level can be built (template exists)
+   * @returns {number} Next level index or -1
+   */
+  next(index, error, requestOptions = {}, isAvailable = () => true) {
+    if (!this.options.enabled) return -1;
+
+    // No time or no caller left: falling back would only waste capacity
+    if (requestOptions.signal?.aborted) return -1;
+    if (requestOptions.deadline && Date.now() >= requestOptions.deadline) return -1;
+
+    const fallbackOn = this.levels[index]?.fallbackOn || [];
+    const category = this.classifyError(error);
+    if (!fallbackOn.includes('any') && !fallbackOn.includes(category)) return -1;
+
+    for (let nextIndex = index + 1; nextIndex < this.levels.length; nextIndex++) {
+      if (isAvailable(this.levels[nextIndex])) return nextIndex;
+    }
+    return -1;
+  }
+
+  /**
+   * Request options for one attempt at a level, applying its latency budget
+   * @param {number} index - Level index
+   * @param {object} requestOptions - { signal, deadline } of the whole search
+   * @returns {object} { signal, deadline } for this attempt
+   */
+  getRequestOptions(index, requestOptions = {}) {
+    const maxLatency = this.levels[index]?.maxLatency;
+    if (!maxLatency) return requestOptions;
+
+    const levelDeadline = Date.now() + maxLatency;
+    return {
+      ...requestOptions,
+      deadline: requestOptions.deadline ? Math.min(requestOptions.deadline, levelDeadline) : levelDeadline
+    };
+  }
+
+  /**
+   * Classify an error into a fallback category
+   * @param {Error|object} error - Thrown error or msearch sub-response error ({ type, reason, status })
+   * @returns {string} 'inference', 'timeout', 'unavailable', 'circuit_open' or 'other'
+   */
+  classifyError(error) {
+    if (!error) return 'other';
+
+    const code = error.code || error.cause?.code;
+    if (code === RequestExecutor.ERROR_CODES.circuitOpen) return 'circuit_open';
+    if (code === RequestExecutor.ERROR_CODES.timeout) return 'timeout';
+
+    const body = error.meta?.body?.error || error;
+    const status = error.status ?? error.statusCode ?? error.meta?.statusCode;
+    const descriptions = this._collectDescriptions(body);
+
+    if (descriptions.some(text => this.options.inferenceErrorPattern.test(text))) return 'inference';
+    if (status === 504 || error.name === 'TimeoutError' ||
+        descriptions.some(text => /timeout|timed out/i.test(text))) return 'timeout';
+    if (status === 429 || status === 502 || status === 503 || error.name === 'ConnectionError') return 'unavailable';
+    return 'other';
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    if (newOptions.levels) {
+      this._validateLevels(newOptions.levels);
+    }
+    this.options = { ...this.options, ...newOptions };
+  }
+
+  /**
+   * @private
+   */
+  _getRequestedIndex(useRerank, level) {
+    if (level) {
+      const index = this.levels.findIndex(step => step.level === level);
+      if (index !== -1) return index;
+    }
+    if (useRerank) return 0;
+
+    const index = this.levels.findIndex(step => step.template !== 'rerank');
+    return index === -1 ? 0 : index;
+  }
+
+  /**
+   * Gather type/reason strings from an ES error and its causes
+   * @private
+   */
+  _collectDescriptions(error, depth = 0) {
+    if (!error || typeof error !== 'object' || depth > 5) return [];
+
+    const own = [error.type, error.reason].filter(text => typeof text === 'string');
+    const causes = [error.caused_by, ...(error.root_cause || [])];
+    return own.concat(...causes.map(cause => this._collectDescriptions(cause, depth + 1)));
+  }
+
+  /**
+   * @private
+   */
+  _validateLevels(levels) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+      throw new Error('Degradation chain requires at least one level');
+    }
+    levels.forEach(step => {
+      if (!step || !step.level || !step.template) {
+        throw new Error('Degradation levels require a level name and a template');
+      }
+    });
+  }
+}
+
+DegradationChain.DEFAULT_LEVELS = DEFAULT_LEVELS;
+
+module.exports = DegradationChain;
@@ -3,12 +3,29 @@
  * Coordinates all search components to provide intelligent search results
  */
 
+const crypto = require('crypto');
 const QueryAnalyzer = require('./query-analyzer');
 const ContextualWeighter = require('./contextual-weighter');
 const QueryEnhancer = require('./query-enhancer');
 const WeightCombiner = require('./weight-combiner');
 const QueryBuilder = require('./query-builder');
 const PerformanceMonitor = require('./performance-monitor');
+const SearchCursor = require('./search-cursor');
+const ResultMapper = require('./result-mapper');
+const SearchLogger = require('./search-logger');
+const SearchPipeline = require('./search-pipeline');
+const RequestExecutor = require('./request-executor');
+const DegradationChain = require('./degradation-chain');
+const RerankPolicy = require('./rerank-policy');
+const ClientFusion = require('./client-fusion');
+const SpellChecker = require('./spell-checker');
+const Autocompleter = require('./autocompleter');
+const EntityHarvester = require('./entity-harvester');
+const QueryParser = require('./query-parser');
+const TemporalParser = require('./temporal-parser');
+const LanguageDetector = require('./language-detector');
+const LRUCache = require('./lru-cache');
+const RequestCoalescer = require('./request-coalescer');
 
 class DynamicSearchEngine {
   constructor(esClient, queryTemplates, options = {}) {
@@ -22,25 +39,89 @@ class DynamicSearchEngine {
       enableContextualWeighting: true,
       cacheResults: false,
       cacheTTL: 300000, // 5 minutes
+      cacheMaxEntries: 1000,         // Bound of the default in-memory LRU store
+      cacheStore: null,              // Custom store with get/set(key, value, ttl)/delete (sync or async)
+      enablePagination: false,       // Open a point-in-time and return nextCursor on every search
+      pitKeepAlive: '1m',            // How long ES keeps a point-in-time alive between pages
+      maxRankWindowSize: 10000,      // Deepest hit retriever templates page to (they rank one window)
+      multisearchSections: null,     // Section configs for multisearch(); defaults to bookmarks/other
+      logger: null,                  // console, pino, a function, ... (silent when null)
+      logLevel: 'info',
+      logRedaction: {},              // { redactQuery, redactDerivedFields, redactContextFields, redactionPlaceholder }
+      searchTimeout: null,           // Deadline in ms for all ES calls of one search (userContext.timeout overrides)
       ...options
     };
 
+    // Places named in the query -> filters or boosts on document region fields
+    this.regionTargeting = {
+      mode: 'boost',                 // 'boost', 'filter' or 'off' (userContext.regionTargeting overrides)
+      fields: {},                    // Place type -> document field, e.g. { country: 'country_code', city: 'city' }
+      boost: 2,                      // Boost of documents in a named place
+      ...options.regionTargeting
+    };
+
+    this.logger = new SearchLogger(this.options.logger, {
+      level: this.options.logLevel,
+      ...this.options.logRedaction
+    });
+
     // Category mapping (must be provided by client)
     this.categoryMapping = options.categoryMapping || {};
 
+    // Every Elasticsearch call goes through the executor (retries, deadlines, circuit breaker)
+    this.requestExecutor = new RequestExecutor(esClient, options.requestExecutor);
+    this.degradationChain = new DegradationChain(options.degradation);
+    this.rerankPolicy = new RerankPolicy(options.rerankPolicy);
+    // Fuses separate lexical and semantic sub-queries for clusters without retriever support
+    this.clientFusion = new ClientFusion(options.clientFusion);
+
     // Initialize components
-    this.queryAnalyzer = new QueryAnalyzer();
-    this.contextualWeighter = new ContextualWeighter(esClient, options.contextualWeighter);
-    this.queryEnhancer = new QueryEnhancer(options.queryEnhancer);
+    // Shared by analysis and enhancement so both read the same per-language resources
+    this.languageDetector = new LanguageDetector(options.language);
+    this.queryAnalyzer = new QueryAnalyzer({ languageDetector: this.languageDetector });
+    this.queryParser = new QueryParser({
+      categoryMapping: this.categoryMapping,
+      ...options.queryParser
+    });
+    this.temporalParser = new TemporalParser(options.temporal);
+    this.contextualWeighter = new ContextualWeighter(esClient, {
+      logger: this.logger,
+      executor: this.requestExecutor,
+      ...options.contextualWeighter
+    });
+    this.queryEnhancer = new QueryEnhancer({
+      languageDetector: this.languageDetector,
+      ...options.queryEnhancer
+    });
+    this.spellChecker = new SpellChecker(this.requestExecutor, {
+      logger: this.logger,
+      ...options.spelling
+    });
     this.weightCombiner = new WeightCombiner(options.weightCombiner);
+    this.autocompleter = new Autocompleter(this.requestExecutor, {
+      logger: this.logger,
+      entities: () => this.queryEnhancer.getKnownEntities(),
+      ...options.autocomplete
+    });
+    this.entityHarvester = new EntityHarvester(this.requestExecutor, this.queryEnhancer, {
+      logger: this.logger,
+      ...options.entityHarvest
+    });
     this.queryBuilder = new QueryBuilder(queryTemplates, options.queryBuilder);
+    this.resultMapper = new ResultMapper(options.resultMapper);
+    this.pipeline = new SearchPipeline();
     
     if (this.options.enablePerformanceMonitoring) {
       this.performanceMonitor = new PerformanceMonitor();
     }
 
-    // Cache for results (if enabled)
-    this.resultCache = new Map();
+    // Cache for Elasticsearch responses (if enabled), keyed by the exact request sent
+    this.resultCache = this.options.cacheStore || new LRUCache({
+      maxEntries: this.options.cacheMaxEntries,
+      defaultTTL: this.options.cacheTTL
+    });
+    // Identical requests in flight at the same time share one Elasticsearch call
+    this.inFlightRequests = new RequestCoalescer();
     
     // Statistics tracking
     this.stats = {
@@ -60,6 +141,9 @@ class DynamicSearchEngine {
   async search(query, userContext = {}) {
     const startTime = Date.now();
     const searchId = this._generateSearchId();
+    const log = this.logger.child({ searchId });
+    // Point-in-time of a paginated search, released if the search fails
+    let pageState = null;
     
     try {
       // Start performance monitoring
@@ -74,149 +158,216 @@ class DynamicSearchEngine {
       }
 
       const cleanQuery = query.trim();
+      const cursor = userContext.cursor ? this._decodeCursor(userContext.cursor, cleanQuery, ['main']) : null;
+      const paginate = this._isPaginated(userContext, cursor);
       
-      // Check cache if enabled
-      const cacheKey = this._getCacheKey(cleanQuery, userContext);
-      if (this.options.cacheResults && this.resultCache.has(cacheKey)) {
-        const cached = this.resultCache.get(cacheKey);
-        if (Date.now() - cached.timestamp < this.options.cacheTTL) {
-          monitor?.complete();
-          return this._formatCachedResult(cached.result, startTime);
-        }
-        // Remove expired entry
-        this.resultCache.delete(cacheKey);
+      // Paginated searches are tied to a point-in-time and never cached; dry runs never execute
+      const useCache = this.options.cacheResults && !paginate && !userContext.dryRun;
+      const clientFusion = this.clientFusion.options.enabled;
+      if (clientFusion && paginate) {
+        throw new Error('Client-side fusion does not support pagination cursors');
       }
 
-      // Phase 1: Query Analysis
-      monitor?.startPhase('query_analysis');
-      const queryAnalysis = this.queryAnalyzer.analyzeQuery(cleanQuery, userContext);
-      monitor?.endPhase('query_analysis');
+      // Shared, mutable state handed to every middleware
+      const context = this._createSearchContext('search', searchId, cleanQuery, userContext);
 
-      // Phase 2: Query Enhancement (regional, proper nouns, etc.)
-      monitor?.startPhase('query_enhancement');
-      let queryEnhancement = null;
-      if (this.options.enableQueryEnhancement) {
-        queryEnhancement = this.queryEnhancer.enhanceQuery(cleanQuery);
+      // Phases 1-4: Spelling, analysis, enhancement, contextual weighting and combination
+      // (skipped for follow-up pages, which reuse the weights carried by the cursor)
+      if (cursor) {
+        this._restoreCursorContext(context, cursor);
       } else {
-        queryEnhancement = this._getDefaultEnhancement(cleanQuery);
+        await this._checkSpelling(context, monitor);
+        await this._calculateFinalWeights(context, monitor);
       }
-      monitor?.endPhase('query_enhancement');
 
-      // Phase 3: Contextual Weighting
-      monitor?.startPhase('contextual_weighting');
-      let contextualWeights = null;
-      if (this.options.enableContextualWeighting) {
-        contextualWeights = await this.contextualWeighter.calculateContextualWeights(
-          cleanQuery, 
-          this.options.indexName, 
-          userContext
-        );
-      } else {
-        contextualWeights = this._getDefaultContextualWeights();
-      }
-      monitor?.endPhase('contextual_weighting');
+      // Phases 5-6: Query building and execution, repeated one level down the degradation
+      // chain (rerank -> no_rerank -> lexical_only) when reranking or semantic retrieval fails
+      const levels = this.degradationChain.levels;
+      const isAvailable = step => this.queryBuilder.hasTemplate(step.template);
+      const requestedLevel = this.degradationChain.getStartIndex(context.useRerank, null, isAvailable);
+      pageState = cursor ? cursor.sections.main : null;
+      // Phases 5-7 run once more with the suggested text when a search without hits is
+      // auto-corrected (zero_hits); analysis, statistics and query recording still count it once
+      for (;;) {
+        let levelIndex = this.degradationChain.getStartIndex(context.useRerank, pageState?.level, isAvailable);
+
+        for (;;) {
+          const level = levels[levelIndex];
+
+          // Phase 5: Query Building
+          await this._runPhase(context, 'building', 'query_building', monitor, async () => {
+            if (clientFusion) {
+              context.requests = this._buildClientFusionRequests(context);
+              return;
+            }
+
+            let esQuery = this._buildSearchBody(context, level.template);
+
+            if (paginate) {
+              pageState = pageState ||
+                await this._openPageState(this.options.indexName, esQuery, userContext.page, context.requestOptions);
+              esQuery = this._applyPageState(esQuery, pageState);
+            }
+
+            context.requests = [{ index: this.options.indexName, level: level.level, body: esQuery }];
+          });
+
+          // Dry run: return the decision trace instead of executing the search
+          if (userContext.dryRun) {
+            monitor?.complete();
+            return this._buildTrace(context, startTime);
+          }
+
+          try {
+            // Phase 6: Elasticsearch Execution
+            await this._runPhase(context, 'execution', 'elasticsearch_search', monitor, async () => {
+              const [request] = context.requests;
+
+              // Log the final query before execution
+              log.debug('search_request', {
+                query: context.query,
+                index: request.index,
+                useRerank: context.useRerank,
+                level: request.level,
+                inferenceId: userContext.inferenceId,
+                weights: this._summarizeWeights(context.finalWeights),
+                body: clientFusion
+                  ? context.requests.map(({ component, body }) => ({ component, body }))
+                  : request.body
+              });
+
+              if (clientFusion) {
+                context.response = await this._executeClientFusion(context, log, useCache);
+                return;
+              }
+
+              // Point-in-time searches must not name an index; the PIT already pins it
+              context.response = await this._executeRequest(context, 'search', {
+                ...(!pageState && { index: request.index }),
+                body: request.body
+              }, this.degradationChain.getRequestOptions(levelIndex, context.requestOptions), useCache);
+            });
+            break;
+          } catch (error) {
+            // Client-side fusion falls back to its lexical sub-query on its own
+            const nextIndex = clientFusion ? -1 : this.degradationChain.next(
+              levelIndex,
+              error,
+              context.requestOptions,
+              isAvailable
+            );
+            if (nextIndex === -1) throw error;
+
+            log.warn('search_degraded', {
+              from: level.level,
+              to: levels[nextIndex].level,
+              reason: this.degradationChain.classifyError(error),
+              error: error.message
+            });
+            levelIndex = nextIndex;
+          }
+        }
+        if (!clientFusion) {
+          context.degraded = levelIndex === requestedLevel ? null : levels[levelIndex].level;
+          this._recordRerankUsage(context, levels[levelIndex].template === 'rerank');
+        }
 
-      // Phase 4: Weight Combination
-      monitor?.startPhase('weight_combination');
-      const finalWeights = this.weightCombiner.combineWeights(
-        queryAnalysis,
-        contextualWeights,
-        queryEnhancement,
-        cleanQuery
-      );
-      monitor?.endPhase('weight_combination');
-
-      // Phase 5: Query Building
-      monitor?.startPhase('query_building');
-      const esQuery = this.queryBuilder.buildHybridQuery(
-        cleanQuery,
-        finalWeights,
-        userContext.useRerank !== false,
-        userContext.inferenceId
-      );
-      monitor?.endPhase('query_building');
+        // Phase 7: Result Processing
+        await this._runPhase(context, 'processing', 'result_processing', monitor, async () => {
+          context.results = this._processSearchResults(
+            context.response,
+            context.finalWeights,
+            startTime,
+            searchId,
+            userContext.facets
+          );
+          context.results.degraded = context.degraded;
+          context.results.cached = context.cached;
+          this._applySpelling(context);
+          context.results.parsedQuery = context.parsedQuery;
+          context.results.language = context.language;
+          context.results.temporal = context.temporal;
+
+          if (pageState) {
+            const nextPageState = {
+              ...this._advancePageState(pageState, context.response),
+              // Later pages stay on the level that served the first one
+              level: levels[levelIndex].level
+            };
+            context.results.page = pageState.page;
+            context.results.nextCursor = null;
+
+            if (nextPageState.exhausted) {
+              await this._closePageStates([nextPageState]);
+            } else {
+              context.results.nextCursor = this._encodeCursor(context, cleanQuery, nextPageState.page, {
+                main: nextPageState
+              });
+            }
+          }
+        });
 
-      // Phase 6: Elasticsearch Execution
-      monitor?.startPhase('elasticsearch_search');
-      
-      // Log the final query before execution
-      console.log('=== ELASTICSEARCH SINGLE SEARCH ===');
-      console.log('Query:', cleanQuery);
-      console.log('Index:', this.options.indexName);
-      console.log('Use Rerank:', userContext.useRerank !== false);
-      console.log('Inference ID:', userContext.inferenceId);
-      console.log('Final Weights:', {
-        lexical: finalWeights.lexicalWeight,
-        semantic: finalWeights.semanticWeight,
-        strategy: finalWeights.strategy,
-        confidence: finalWeights.confidence
-      });
-      console.log('Query Body:', JSON.stringify(esQuery, null, 2));
-      console.log('==================================');
-      
-      const searchResponse = await this.esClient.search({
-        index: this.options.indexName,
-        body: esQuery
-      });
-      monitor?.endPhase('elasticsearch_search');
-
-      // Phase 7: Result Processing
-      monitor?.startPhase('result_processing');
-      const processedResults = this._processSearchResults(
-        searchResponse,
-        finalWeights,
-        startTime,
-        searchId
-      );
-      monitor?.endPhase('result_processing');
+        if (!this._shouldRetryCorrected(context, context.results.total)) break;
+        log.debug('search_autocorrected', { query: context.query, correction: context.suggestion.text });
+        this._useCorrection(context);
+        // Without hits the first attempt was the last page: its point-in-time is closed
+        pageState = null;
+      }
+      const processedResults = context.results;
 
       // Complete monitoring
       monitor?.complete();
 
       // Update statistics
-      this._updateStats(finalWeights.strategy, Date.now() - startTime);
-
-      // Cache results if enabled
-      if (this.options.cacheResults) {
-        this.resultCache.set(cacheKey, {
-          result: processedResults,
-          timestamp: Date.now()
-        });
-        
-        // Clean up cache if it gets too large
-        if (this.resultCache.size > 1000) {
-          this._cleanupCache();
-        }
-      }
+      this._updateStats(context.finalWeights.strategy, Date.now() - startTime);
+      if (!cursor) this._recordQuery(context.query, processedResults.total);
+
+      log.info('search_completed', {
+        strategy: context.finalWeights.strategy,
+        total: processedResults.total,
+        took: processedResults.took,
+        searchTime: processedResults.searchTime
+      });
 
       return processedResults;
 
     } catch (error) {
-      this.stats.errorCount++;
-      
-      // Log error details
-      console.error('Dynamic Search Engine Error:', {
-        searchId,
-        query,
-        userContext,
-        error: error.message,
-        stack: error.stack
-      });
+      if (pageState) {
+        await this._closePageStates([pageState]);
+      }
+
+      if (RequestExecutor.isCancellation(error)) {
+        // Cancelled or timed out searches are expected in type-ahead UIs, not failures
+        log.info('search_cancelled', { query, reason: error.code, error: error.message });
+      } else {
+        this.stats.errorCount++;
+
+        // Log error details
+        log.error('search_failed', {
+          query,
+          userContext,
+          error: error.message,
+          stack: error.stack
+        });
+      }
 
-      throw new Error(`Search failed: ${error.message}`);
+      throw this._wrapError('Search failed', error);
     }
   }
 
   /**
-   * Execute dynamic hybrid multisearch with separated bookmarks and other content
+   * Execute dynamic hybrid multisearch across configurable sections in one msearch round-trip
    * @param {string} query - The search query
    * @param {object} userContext - User context and preferences
-   * @param {object} options - Multisearch options
-   * @returns {Promise<object>} Multisearch results with separated bookmarks and other content
+   * @param {object} options - Multisearch options ({ sections } overrides the configured sections)
+   * @returns {Promise<object>} Multisearch results keyed by section name under `sections`
    */
   async multisearch(query, userContext = {}, options = {}) {
     const startTime = Date.now();
     const searchId = this._generateSearchId();
+    const log = this.logger.child({ searchId });
+    // Point-in-times of a paginated multisearch, released if the multisearch fails
+    let pageStates = null;
     
     try {
       // Start performance monitoring
@@ -230,168 +381,436 @@ class DynamicSearchEngine {
         throw new Error('Query is required and must be a non-empty string');
       }
 
-      const cleanQuery = query.trim();
-      
-      // Phase 1-4: Same analysis as regular search to get weights
-      monitor?.startPhase('query_analysis');
-      const queryAnalysis = this.queryAnalyzer.analyzeQuery(cleanQuery, userContext);
-      monitor?.endPhase('query_analysis');
-
-      monitor?.startPhase('query_enhancement');
-      let queryEnhancement = null;
-      if (this.options.enableQueryEnhancement) {
-        queryEnhancement = this.queryEnhancer.enhanceQuery(cleanQuery);
-      } else {
-        queryEnhancement = this._getDefaultEnhancement(cleanQuery);
-      }
-      monitor?.endPhase('query_enhancement');
-
-      monitor?.startPhase('contextual_weighting');
-      let contextualWeights = null;
-      if (this.options.enableContextualWeighting) {
-        contextualWeights = await this.contextualWeighter.calculateContextualWeights(
-          cleanQuery, 
-          this.options.indexName, 
-          userContext
-        );
-      } else {
-        contextualWeights = this._getDefaultContextualWeights();
+      // Sections run their own retriever templates, which clusters without retriever support reject
+      if (this.clientFusion.options.enabled) {
+        throw new Error('Client-side fusion does not support multisearch() - use search() per section');
       }
-      monitor?.endPhase('contextual_weighting');
-
-      monitor?.startPhase('weight_combination');
-      const finalWeights = this.weightCombiner.combineWeights(
-        queryAnalysis,
-        contextualWeights,
-        queryEnhancement,
-        cleanQuery
-      );
-      monitor?.endPhase('weight_combination');
 
-      // Phase 5: Build queries for multisearch using specific templates
-      monitor?.startPhase('query_building');
-      
-      const useRerank = userContext.useRerank !== false;
-      
-      // Get the query templates from the queryBuilder
-      const queryTemplates = this.queryBuilder.queryTemplates;
-      
-      // Select appropriate templates based on reranking status
-      const bookmarkTemplateKey = useRerank ? 'bookmarksRerank' : 'bookmarksNoRerank';
-      const regularTemplateKey = useRerank ? 'rerank' : 'noRerank';
-      
-      const bookmarkTemplate = queryTemplates[bookmarkTemplateKey];
-      const regularTemplate = queryTemplates[regularTemplateKey];
+      const cleanQuery = query.trim();
+      const sections = this._resolveSections(options);
+      const cursor = userContext.cursor
+        ? this._decodeCursor(userContext.cursor, cleanQuery, sections.map(section => section.name))
+        : null;
+      const paginate = this._isPaginated(userContext, cursor);
+      const useCache = this.options.cacheResults && !paginate && !userContext.dryRun;
+
+      // Shared, mutable state handed to every middleware
+      const context = this._createSearchContext('multisearch', searchId, cleanQuery, userContext);
       
-      // Validate that templates exist
-      if (!bookmarkTemplate) {
-        throw new Error(`Bookmark template not found: ${bookmarkTemplateKey}`);
-      }
-      if (!regularTemplate) {
-        throw new Error(`Regular template not found: ${regularTemplateKey}`);
+      // Phase 1-4: Same spelling and analysis as regular search to get weights
+      // (skipped for follow-up pages, which reuse the weights carried by the cursor)
+      if (cursor) {
+        this._restoreCursorContext(context, cursor);
+      } else {
+        await this._checkSpelling(context, monitor);
+        await this._calculateFinalWeights(context, monitor);
       }
-      
-      // Prepare template substitutions
-      const templateVars = {
-        query: cleanQuery,
-        lexical_weight: finalWeights.lexicalWeight,
-        semantic_weight: finalWeights.semanticWeight,
-        inference_id: userContext.inferenceId || '.rerank-v1-elasticsearch'
-      };
 
-      // Build bookmark query by replacing template variables
-      const bookmarkQuery = JSON.parse(bookmarkTemplate
-        .replace(/\{\{query\}\}/g, templateVars.query)
-        .replace(/\{\{lexical_weight\}\}/g, templateVars.lexical_weight)
-        .replace(/\{\{semantic_weight\}\}/g, templateVars.semantic_weight)
-        .replace(/\{\{inference_id\}\}/g, templateVars.inference_id));
+      // Phases 5-6: Build and execute one query per section. Sections whose sub-request fails
+      // are rebuilt one level down the degradation chain and sent again; the others keep their hits
+      const levels = this.degradationChain.levels;
+      const isAvailable = section => step => this.queryBuilder.hasTemplate(section.templates[step.template]);
+      const requestedLevels = {};
+      sections.forEach(section => {
+        requestedLevels[section.name] = this.degradationChain.getStartIndex(context.useRerank, null, isAvailable(section));
+      });
+      // Phases 5-7 run once more with the suggested text when a multisearch without hits is
+      // auto-corrected (zero_hits); analysis, statistics and query recording still count it once
+      for (;;) {
+        pageStates = paginate ? { ...cursor?.sections } : null;
+        const levelIndexes = {};
+        sections.forEach(section => {
+          levelIndexes[section.name] = this.degradationChain.getStartIndex(
+            context.useRerank,
+            pageStates?.[section.name]?.level,
+            isAvailable(section)
+          );
+        });
 
-      // Build regular query by replacing template variables  
-      const regularQuery = JSON.parse(regularTemplate
-        .replace(/\{\{query\}\}/g, templateVars.query)
-        .replace(/\{\{lexical_weight\}\}/g, templateVars.lexical_weight)
-        .replace(/\{\{semantic_weight\}\}/g, templateVars.semantic_weight)
-        .replace(/\{\{inference_id\}\}/g, templateVars.inference_id));
+        const sectionResponses = {};
+        let pending = sections;
+        let lastRoundError = null;
+
+        while (pending.length > 0) {
+          // Phase 5: Build one query per pending section from its templates
+          await this._runPhase(context, 'building', 'query_building', monitor, async () => {
+            // Prepare template substitutions
+            const rerankDecision = context.finalWeights.rerank;
+            const templateVars = this.queryBuilder.getTemplateVariables(context.query, context.finalWeights, {
+              inferenceId: userContext.inferenceId || rerankDecision?.inferenceId ||
+                this.queryBuilder.getDefaultInferenceId('.rerank-v1-elasticsearch'),
+              expansions: this._expandQuery(context.query),
+              language: context.language.code,
+              semanticQuery: this._getSemanticQuery(context)
+            });
+
+            // Apply structured filters, region boosts and facets to every section
+            const constraints = this._getConstraints(context);
+
+            context.requests = pending.map(section => {
+              const level = levels[levelIndexes[section.name]];
+              const templateKey = section.templates[level.template];
+              let sectionQuery = this._buildSectionQuery(section, templateKey, templateVars, constraints);
+              sectionQuery = this.queryBuilder.applyRerankWindow(sectionQuery, rerankDecision?.rankWindowSize);
+              if (section.size !== undefined) {
+                sectionQuery.size = section.size;
+              }
+              return {
+                section: section.name,
+                index: section.indices,
+                template: templateKey,
+                level: level.level,
+                body: sectionQuery
+              };
+            });
+
+            // Each section pages independently through its own point-in-time
+            if (pageStates) {
+              for (const request of context.requests) {
+                pageStates[request.section] = pageStates[request.section] ||
+                  await this._openPageState(request.index, request.body, userContext.page, context.requestOptions);
+                request.body = this._applyPageState(request.body, pageStates[request.section]);
+              }
+            }
+          });
+
+          // Dry run: return the decision trace instead of executing the multisearch
+          if (userContext.dryRun) {
+            monitor?.complete();
+            return this._buildTrace(context, startTime);
+          }
+
+          // Phase 6: Execute multisearch
+          let roundError = null;
+          try {
+            await this._runPhase(context, 'execution', 'elasticsearch_multisearch', monitor, async () => {
+              // Point-in-time searches must not name an index; the PIT already pins it
+              const msearchBody = context.requests.flatMap(({ index, body }) => [
+                pageStates ? {} : { index },
+                body
+              ]);
+
+              log.debug('multisearch_request', {
+                query: context.query,
+                sections: context.requests.map(({ section, index, template, level }) => ({
+                  name: section,
+                  indices: index,
+                  template,
+                  level
+                })),
+                useRerank: context.useRerank,
+                inferenceId: userContext.inferenceId,
+                weights: this._summarizeWeights(context.finalWeights),
+                body: msearchBody
+              });
+
+              // The tightest latency budget among the pending levels bounds the round-trip
+              const roundOptions = this._getTightestRequestOptions(
+                pending.map(section => levelIndexes[section.name]),
+                context.requestOptions
+              );
+
+              context.response = await this._executeRequest(context, 'msearch', {
+                body: msearchBody
+              }, roundOptions, useCache);
+            });
+          } catch (error) {
+            // A cancelled search stops here; a level that only ran past its own latency budget falls back
+            const { signal, deadline } = context.requestOptions;
+            if (signal?.aborted || (deadline && Date.now() >= deadline)) throw error;
+
+            roundError = error;
+            lastRoundError = error;
+          }
+
+          const retry = [];
+          pending.forEach((section, index) => {
+            const sectionResponse = roundError
+              ? { error: { type: 'request_failed', reason: roundError.message }, status: roundError.meta?.statusCode }
+              : context.response.responses[index];
+            const sectionError = roundError || (sectionResponse.error && { ...sectionResponse.error, status: sectionResponse.status });
+
+            const nextIndex = sectionError
+              ? this.degradationChain.next(
+                levelIndexes[section.name],
+                sectionError,
+                context.requestOptions,
+                isAvailable(section)
+              )
+              : -1;
+
+            if (nextIndex === -1) {
+              sectionResponses[section.name] = sectionResponse;
+              return;
+            }
+
+            log.warn('multisearch_section_degraded', {
+              section: section.name,
+              from: levels[levelIndexes[section.name]].level,
+              to: levels[nextIndex].level,
+              reason: this.degradationChain.classifyError(sectionError),
+              error: sectionError.reason || sectionError.message
+            });
+            levelIndexes[section.name] = nextIndex;
+            retry.push(section);
+          });
+          pending = retry;
+        }
 
-      monitor?.endPhase('query_building');
+        // Only a complete failure fails the request; otherwise failed sections report their error
+        if (sections.every(section => sectionResponses[section.name].error)) {
+          if (lastRoundError) throw lastRoundError;
+          const { name } = sections[0];
+          const error = sectionResponses[name].error;
+          throw new Error(`${name} search failed: ${error.reason || JSON.stringify(error)}`);
+        }
 
-      // Phase 6: Execute multisearch
-      monitor?.startPhase('elasticsearch_multisearch');
-      
-      const {
-        bookmarkIndex = 'content_bookmarks_rerank',
-        otherIndices = 'content-servicenow-4665-rerank,content_mylearning_rerank,content-mysql-4a86-rerank'
-      } = options;
-
-      const msearchBody = [
-        // Bookmarks search
-        { index: bookmarkIndex },
-        bookmarkQuery,
-        // Regular search (excluding bookmarks)
-        { index: otherIndices },
-        regularQuery
-      ];
-
-      console.log('=== ELASTICSEARCH MULTISEARCH ===');
-      console.log('Query:', cleanQuery);
-      console.log('Bookmark Index:', bookmarkIndex);
-      console.log('Other Indices:', otherIndices);
-      console.log('Use Rerank:', useRerank);
-      console.log('Inference ID:', userContext.inferenceId);
-      console.log('Templates Used:', {
-        bookmarks: bookmarkTemplateKey,
-        regular: regularTemplateKey
-      });
-      console.log('Final Weights:', {
-        lexical: finalWeights.lexicalWeight,
-        semantic: finalWeights.semanticWeight,
-        strategy: finalWeights.strategy,
-        confidence: finalWeights.confidence,
-        reasoning: finalWeights.reasoning
-      });
-      console.log('Template Variables:', templateVars);
-      console.log('Bookmark Query:', JSON.stringify(bookmarkQuery, null, 2));
-      console.log('Regular Query:', JSON.stringify(regularQuery, null, 2));
-      console.log('Full Multisearch Body:', JSON.stringify(msearchBody, null, 2));
-      console.log('================================');
-
-      const response = await this.esClient.msearch({
-        body: msearchBody
-      });
+        context.response = { responses: sections.map(section => sectionResponses[section.name]) };
+        this._recordRerankUsage(context, sections.some(section => (
+          levels[levelIndexes[section.name]].template === 'rerank' && !sectionResponses[section.name].error
+        )));
+        context.degraded = {};
+        sections.forEach(section => {
+          const levelIndex = levelIndexes[section.name];
+          context.degraded[section.name] = levelIndex === requestedLevels[section.name] ? null : levels[levelIndex].level;
+        });
 
-      monitor?.endPhase('elasticsearch_multisearch');
+        // Phase 7: Process multisearch results
+        await this._runPhase(context, 'processing', 'result_processing', monitor, async () => {
+          context.results = this._processMultisearchResults(
+            context.response,
+            context.finalWeights,
+            startTime,
+            searchId,
+            userContext.facets,
+            sections,
+            context.degraded
+          );
+          context.results.cached = context.cached;
+          this._applySpelling(context);
+          context.results.parsedQuery = context.parsedQuery;
+          context.results.language = context.language;
+          context.results.temporal = context.temporal;
+
+          if (pageStates) {
+            const nextSections = {};
+            sections.forEach((section, index) => {
+              nextSections[section.name] = {
+                ...this._advancePageState(pageStates[section.name], context.response.responses[index]),
+                level: levels[levelIndexes[section.name]].level
+              };
+            });
+            const nextStates = Object.values(nextSections);
+            context.results.page = pageStates[sections[0].name].page;
+            context.results.nextCursor = null;
+
+            // An exhausted section keeps its point-in-time open and simply returns no more
+            // hits until every section has run out
+            if (nextStates.every(state => state.exhausted)) {
+              await this._closePageStates(nextStates);
+            } else {
+              context.results.nextCursor = this._encodeCursor(context, cleanQuery, nextStates[0].page, nextSections);
+            }
+          }
+        });
 
-      // Phase 7: Process multisearch results
-      monitor?.startPhase('result_processing');
-      const processedResults = this._processMultisearchResults(
-        response,
-        finalWeights,
-        startTime,
-        searchId
-      );
-      monitor?.endPhase('result_processing');
+        if (!this._shouldRetryCorrected(context, this._getMultisearchTotal(context.results))) break;
+        log.debug('multisearch_autocorrected', { query: context.query, correction: context.suggestion.text });
+        this._useCorrection(context);
+      }
+      const processedResults = context.results;
 
       // Complete monitoring
       monitor?.complete();
 
       // Update statistics
-      this._updateStats(finalWeights.strategy, Date.now() - startTime);
+      this._updateStats(context.finalWeights.strategy, Date.now() - startTime);
+      if (!cursor) this._recordQuery(context.query, this._getMultisearchTotal(processedResults));
+
+      log.info('multisearch_completed', {
+        strategy: context.finalWeights.strategy,
+        totals: Object.fromEntries(
+          Object.entries(processedResults.sections).map(([name, section]) => [name, section.total])
+        ),
+        took: processedResults.took,
+        searchTime: processedResults.searchTime
+      });
 
       return processedResults;
 
     } catch (error) {
-      this.stats.errorCount++;
-      
-      console.error('Dynamic Search Engine Multisearch Error:', {
+      if (pageStates) {
+        await this._closePageStates(Object.values(pageStates));
+      }
+
+      if (RequestExecutor.isCancellation(error)) {
+        log.info('multisearch_cancelled', { query, reason: error.code, error: error.message });
+      } else {
+        this.stats.errorCount++;
+
+        log.error('multisearch_failed', {
+          query,
+          userContext,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+
+      throw this._wrapError('Multisearch failed', error);
+    }
+  }
+
+  /**
+   * Type-ahead suggestions for a search-box prefix
+   * Skips the search pipeline: no analysis, no contextual aggregations, one Elasticsearch request
+   * bounded by the autocomplete latency budget
+   * @param {string} prefix - Text typed so far
+   * @param {object} userContext - { signal, timeout } (timeout overrides the latency budget)
+   * @returns {Promise<object>} { prefix, strategy, suggestions: [{ text, type, score, source }], partial, took }
+   */
+  async suggest(prefix, userContext = {}) {
+    const startTime = Date.now();
+    const requestOptions = this._getRequestOptions({
+      signal: userContext.signal,
+      timeout: userContext.timeout ?? this.autocompleter.options.latencyBudget
+    });
+
+    try {
+      const result = await this.autocompleter.suggest(
+        prefix,
+        this.autocompleter.options.index || this.options.indexName,
+        requestOptions
+      );
+      return { ...result, took: Date.now() - startTime };
+    } catch (error) {
+      if (RequestExecutor.isCancellation(error)) {
+        this.logger.info('suggest_cancelled', { query: prefix, reason: error.code });
+      } else {
+        this.logger.error('suggest_failed', { query: prefix, error: error.message });
+      }
+      throw this._wrapError('Suggest failed', error);
+    }
+  }
+
+  /**
+   * Execute many searches with shared corpus statistics in msearch round-trips
+   * Every item runs the phases of search(): spelling, weighting, dry runs, the degradation chain
+   * and zero-hit auto-correction. Items whose sub-request failed are rebuilt one level down, and
+   * auto-corrected items are searched again, together in the next round-trip
+   * @param {Array<object>} items - [{ query, userContext }] to search
+   * @param {object} options - { signal, timeout } for the shared msearch round-trips
+   * @returns {Promise<Array<object>>} One { query, results, error } entry per item, in order;
+   *   a failing item carries its error instead of aborting the batch, a dry-run item its trace
+   */
+  async searchBatch(items, options = {}) {
+    if (!Array.isArray(items)) {
+      throw new Error('Batch items must be an array of { query, userContext }');
+    }
+    if (this.clientFusion.options.enabled) {
+      throw new Error('Client-side fusion does not support searchBatch() - use search() per query');
+    }
+
+    const batchId = this._generateSearchId();
+    const log = this.logger.child({ batchId });
+    const batchOptions = this._getRequestOptions(options);
+
+    // Phases 1-4 for every item; concurrent contextual weighting shares one corpus statistics fetch
+    const entries = await Promise.all(items.map(async (item = {}) => {
+      const searchId = this._generateSearchId();
+      const entry = {
+        item,
         searchId,
-        query,
-        userContext,
-        error: error.message,
-        stack: error.stack
-      });
+        startTime: Date.now(),
+        monitor: this.performanceMonitor?.startSearch(searchId),
+        context: null,
+        results: null,
+        error: null
+      };
+
+      try {
+        if (!item.query || typeof item.query !== 'string' || item.query.trim().length === 0) {
+          throw new Error('Query is required and must be a non-empty string');
+        }
+
+        const context = this._createSearchContext('searchBatch', searchId, item.query.trim(), item.userContext || {});
+        entry.context = context;
+        await this._checkSpelling(context, entry.monitor);
+        await this._calculateFinalWeights(context, entry.monitor);
+        entry.requestedLevel = this.degradationChain.getStartIndex(
+          context.useRerank,
+          null,
+          step => this.queryBuilder.hasTemplate(step.template)
+        );
+        entry.levelIndex = entry.requestedLevel;
+      } catch (error) {
+        entry.error = error;
+      }
+      return entry;
+    }));
 
-      throw new Error(`Multisearch failed: ${error.message}`);
+    // Phases 5-7 in rounds of one msearch each, until no item needs another attempt
+    let pending = entries.filter(entry => !entry.error);
+    while (pending.length > 0) {
+      pending = await this._runBatchRound(pending, batchOptions, log);
     }
+
+    return entries.map(({ item, searchId, startTime, monitor, context, results, error }) => {
+      if (error) {
+        monitor?.complete();
+        if (RequestExecutor.isCancellation(error)) {
+          log.info('search_cancelled', { searchId, query: item.query, reason: error.code, error: error.message });
+        } else {
+          this.stats.errorCount++;
+          log.error('search_failed', {
+            searchId,
+            query: item.query,
+            userContext: item.userContext,
+            error: error.message
+          });
+        }
+        return {
+          query: item.query,
+          results: null,
+          error: { message: error.message, ...(error.code && { code: error.code }) }
+        };
+      }
+
+      // Dry runs completed their monitoring when they stopped at the trace
+      if (!context.userContext.dryRun) {
+        monitor?.complete();
+        this._updateStats(context.finalWeights.strategy, Date.now() - startTime);
+        this._recordQuery(context.query, results.total);
+      }
+      return { query: item.query, results, error: null };
+    });
+  }
+
+  /**
+   * Explain how a query would be searched without executing the search
+   * Runs spelling, analysis, enhancement, contextual weighting, combination and query building
+   * (including middleware) and returns the full decision trace
+   * @param {string} query - The search query
+   * @param {object} userContext - User context and preferences
+   * @returns {Promise<object>} Decision trace with every intermediate weight and the request body
+   */
+  async explain(query, userContext = {}) {
+    return this.search(query, { ...userContext, dryRun: true });
+  }
+
+  /**
+   * Register middleware around a search phase
+   * Phases: spelling, analysis, enhancement, contextual_weighting, combination, building, execution,
+   * processing. Middleware receives the search context ({ method, searchId, query, userContext,
+   * parsedQuery, language, temporal, filters, regionTargeting, suggestion, analysisQuery, queryAnalysis, queryEnhancement, contextualWeights, finalWeights,
+   * useRerank, requests, response, results })
+   * and may modify it; both search() and multisearch() run through it.
+   * @param {string} phase - Phase name, optionally prefixed with 'before:' (default is after)
+   * @param {Function} middleware - async (context) => void
+   * @returns {DynamicSearchEngine} This engine, for chaining
+   */
+  use(phase, middleware) {
+    this.pipeline.use(phase, middleware);
+    return this;
   }
 
   /**
@@ -401,16 +820,18 @@ class DynamicSearchEngine {
   getStats() {
     return {
       ...this.stats,
-      cacheSize: this.resultCache.size,
+      cacheSize: this.resultCache.size ?? null,
+      circuitBreaker: this.requestExecutor.getCircuitState(),
       uptime: Date.now() - this.startTime
     };
   }
 
   /**
    * Clear result cache
+   * @returns {*} Whatever the store's clear() returns (a promise for async stores)
    */
   clearCache() {
-    this.resultCache.clear();
+    return this.resultCache.clear?.();
   }
 
   /**
@@ -419,6 +840,13 @@ class DynamicSearchEngine {
    */
   updateConfig(newOptions) {
     this.options = { ...this.options, ...newOptions };
+
+    if (newOptions.logLevel || newOptions.logRedaction) {
+      this.logger.updateOptions({
+        ...(newOptions.logLevel && { level: newOptions.logLevel }),
+        ...newOptions.logRedaction
+      });
+    }
     
     // Update component configurations
     if (newOptions.queryEnhancer) {
@@ -430,6 +858,57 @@ class DynamicSearchEngine {
     if (newOptions.queryBuilder) {
       this.queryBuilder.updateOptions?.(newOptions.queryBuilder);
     }
+    if (newOptions.requestExecutor) {
+      this.requestExecutor.updateOptions(newOptions.requestExecutor);
+    }
+    if (newOptions.degradation) {
+      this.degradationChain.updateOptions(newOptions.degradation);
+    }
+    if (newOptions.rerankPolicy) {
+      this.rerankPolicy.updateOptions(newOptions.rerankPolicy);
+    }
+    if (newOptions.clientFusion) {
+      this.clientFusion.updateOptions(newOptions.clientFusion);
+    }
+    if (newOptions.spelling) {
+      this.spellChecker.updateOptions(newOptions.spelling);
+    }
+    if (newOptions.autocomplete) {
+      this.autocompleter.updateOptions(newOptions.autocomplete);
+    }
+    if (newOptions.queryParser) {
+      this.queryParser.updateOptions(newOptions.queryParser);
+    }
+    if (newOptions.entityHarvest) {
+      this.entityHarvester.updateOptions(newOptions.entityHarvest);
+    }
+    if (newOptions.language) {
+      this.languageDetector.updateOptions(newOptions.language);
+    }
+    if (newOptions.temporal) {
+      this.temporalParser.updateOptions(newOptions.temporal);
+    }
+    if (newOptions.regionTargeting) {
+      this.regionTargeting = { ...this.regionTargeting, ...newOptions.regionTargeting };
+    }
+  }
+
+  /**
+   * Detect the language of a query
+   * @param {string} query - Query text
+   * @returns {object} { code, confidence, source: 'detected' | 'default', scores }
+   */
+  detectLanguage(query) {
+    return this.languageDetector.detect(query);
+  }
+
+  /**
+   * Add a language, or extend one, with stopwords, a dictionary, indicator lists and region names
+   * @param {string} code - ISO 639-1 code
+   * @param {object} resources - See LanguageDetector.addLanguage
+   */
+  addLanguage(code, resources) {
+    this.languageDetector.addLanguage(code, resources);
   }
 
   /**
@@ -440,6 +919,108 @@ class DynamicSearchEngine {
     this.queryEnhancer.addKnownProperNouns(properNouns);
   }
 
+  /**
+   * Add known entities (products, teams, people...), matched over the whole query
+   * @param {Array<string|object>} entities - Texts, or { text, type, score }
+   * @param {object} options - { type } for entries that name none (default 'entity')
+   * @returns {number} Entities added
+   */
+  addEntities(entities, options = {}) {
+    return this.queryEnhancer.addEntities(entities, options);
+  }
+
+  /**
+   * Remove a known entity
+   * @param {string} text - Entity text, in any case or punctuation
+   * @returns {boolean} True if the entity existed
+   */
+  removeEntity(text) {
+    return this.queryEnhancer.removeEntity(text);
+  }
+
+  /**
+   * Bulk import known entities from JSON or CSV
+   * @param {string|object|Array} source - JSON/CSV text (text,type[,score] per line) or parsed entries
+   * @param {object} options - { format: 'json' | 'csv', type }
+   * @returns {number} Entities imported
+   */
+  importEntities(source, options = {}) {
+    return this.queryEnhancer.importEntities(source, options);
+  }
+
+  /**
+   * List known entities
+   * @param {string} type - Optional entity type filter
+   * @returns {Array<object>} [{ text, type, score }]
+   */
+  listEntities(type = null) {
+    return this.queryEnhancer.listEntities(type);
+  }
+
+  /**
+   * Harvest entities from the corpus (terms aggregations and capitalized non-dictionary words)
+   * and load them into the query enhancer
+   * @param {object} options - { dryRun, signal, timeout } where dryRun only reports the candidates
+   * @returns {Promise<object>} { index, harvestedAt, took, loaded, removed, entities: [{ text, type, score, sources }] }
+   */
+  async refreshEntities(options = {}) {
+    const { dryRun, signal, timeout } = options;
+    const indexName = this.entityHarvester.options.index || this.options.indexName;
+    try {
+      return await this.entityHarvester.refresh(indexName, {
+        dryRun,
+        ...this._getRequestOptions({ signal, timeout })
+      });
+    } catch (error) {
+      this.logger.error('entities_refresh_failed', { index: indexName, error: error.message });
+      throw this._wrapError('Entity refresh failed', error);
+    }
+  }
+
+  /**
+   * Refresh entities now and then on a schedule; constructing an engine never starts one
+   * @param {number} interval - Milliseconds between refreshes (defaults to entityHarvest.interval)
+   */
+  startEntityRefresh(interval = this.entityHarvester.options.interval) {
+    this.entityHarvester.start(this.entityHarvester.options.index || this.options.indexName, interval);
+  }
+
+  /**
+   * Stop the scheduled entity refresh
+   */
+  stopEntityRefresh() {
+    this.entityHarvester.stop();
+  }
+
+  /**
+   * Add a domain synonym or acronym used to expand the lexical query
+   * @param {string} term - Term, e.g. 'PTO'
+   * @param {Array<string>|string} expansions - Equivalent phrases, e.g. ['paid time off']
+   * @param {object} options - { type: 'acronym' | 'synonym' }
+   */
+  addSynonyms(term, expansions, options = {}) {
+    this.queryEnhancer.addSynonyms(term, expansions, options);
+  }
+
+  /**
+   * Load domain synonyms and acronyms from JSON or CSV
+   * @param {string|object|Array} source - JSON/CSV text or parsed entries
+   * @param {object} options - { format: 'json' | 'csv' }
+   * @returns {number} Entries loaded
+   */
+  loadSynonyms(source, options = {}) {
+    return this.queryEnhancer.loadSynonyms(source, options);
+  }
+
+  /**
+   * List domain synonyms and acronyms
+   * @param {string} type - Optional 'acronym' or 'synonym' filter
+   * @returns {Array<object>} [{ term, expansions, type }]
+   */
+  listSynonyms(type = null) {
+    return this.queryEnhancer.listSynonyms(type);
+  }
+
   /**
    * Add custom regional patterns
    * @param {string} regionCode - Region code
@@ -450,140 +1031,733 @@ class DynamicSearchEngine {
   }
 
   /**
-   * Process multisearch results from Elasticsearch
-   * @private
+   * Add states, provinces, cities or multi-country regions to region detection
+   * @param {Array<object>} places - { name, type, code, country, countries, aliases }
+   * @param {object} options - { type } for places that name none
+   * @returns {number} Places added
+   */
+  addPlaces(places, options = {}) {
+    return this.queryEnhancer.addPlaces(places, options);
+  }
+
+  /**
+   * Bulk import places from JSON or CSV
+   * @param {string|Array} source - JSON/CSV text (name,type,code,country[,aliases] per line) or parsed places
+   * @param {object} options - { format: 'json' | 'csv', type }
+   * @returns {number} Places imported
    */
-  _processMultisearchResults(response, weights, startTime, sessionId) {
-    const [bookmarkResults, otherResults] = response.responses;
+  importPlaces(source, options = {}) {
+    return this.queryEnhancer.importPlaces(source, options);
+  }
 
-    // Check for errors in the multisearch response
-    if (bookmarkResults.error) {
-      const error = bookmarkResults.error;
-      throw new Error(`Bookmark search failed: ${error.reason || JSON.stringify(error)}`);
-    }
+  /**
+   * Resolve and validate the multisearch sections for a request
+   * @private
+   */
+  _resolveSections(options) {
+    const sections = options.sections || this.options.multisearchSections || this._getDefaultSections(options);
 
-    if (otherResults.error) {
-      const error = otherResults.error;
-      throw new Error(`Search failed: ${error.reason || JSON.stringify(error)}`);
+    if (!Array.isArray(sections) || sections.length === 0) {
+      throw new Error('Multisearch requires at least one section');
     }
 
-    // Helper function to extract field values
-    const extractFieldValue = (fieldValue) => {
-      if (Array.isArray(fieldValue) && fieldValue.length > 0) {
-        return fieldValue[0];
+    const names = new Set();
+    return sections.map(section => {
+      if (!section || !section.name) {
+        throw new Error('Multisearch sections require a name');
       }
-      return fieldValue;
-    };
-
-    // Process bookmark results
-    const processedBookmarks = {
-      hits: bookmarkResults.hits?.hits?.map(hit => ({
-        id: hit._id,
-        index: hit._index,
-        score: hit._score,
-        source: {
-          // Map the fields structure to match what frontend expects
-          unified_title: extractFieldValue(hit.fields?.unified_title),
-          unified_description: extractFieldValue(hit.fields?.unified_description),
-          unified_url: extractFieldValue(hit.fields?.unified_url),
-          unified_id: extractFieldValue(hit.fields?.unified_id),
-          unified_keywords: extractFieldValue(hit.fields?.unified_keywords),
-          unified_author: extractFieldValue(hit.fields?.unified_author),
-          all_text: extractFieldValue(hit.fields?.all_text),
-          // Also include any _source data
-          ...hit._source
-        },
-        highlight: hit.highlight || {},
-        category: 'Bookmarks',
-        matched_queries: hit.matched_queries || []
-      })) || [],
-      total: typeof bookmarkResults.hits?.total === 'object' 
-        ? bookmarkResults.hits.total.value 
-        : bookmarkResults.hits?.total || 0
-    };
-
-    // Process other results
-    const processedOther = {
-      hits: otherResults.hits?.hits?.map(hit => ({
-        id: hit._id,
-        index: hit._index,
-        score: hit._score,
-        source: {
-          // Map the fields structure to match what frontend expects
-          unified_title: extractFieldValue(hit.fields?.unified_title),
-          unified_description: extractFieldValue(hit.fields?.unified_description),
-          unified_url: extractFieldValue(hit.fields?.unified_url),
-          unified_id: extractFieldValue(hit.fields?.unified_id),
-          unified_keywords: extractFieldValue(hit.fields?.unified_keywords),
-          unified_author: extractFieldValue(hit.fields?.unified_author),
-          all_text: extractFieldValue(hit.fields?.all_text),
-          // Also include any _source data
-          ...hit._source
-        },
-        highlight: hit.highlight || {},
-        category: this._mapCategory(hit._index, this.categoryMapping),
-        sourceLabel: this._mapCategory(hit._index, this.categoryMapping),
-        matched_queries: hit.matched_queries || []
-      })) || [],
-      total: typeof otherResults.hits?.total === 'object' 
-        ? otherResults.hits.total.value 
-        : otherResults.hits?.total || 0,
-      categories: {}
-    };
+      if (names.has(section.name)) {
+        throw new Error(`Duplicate multisearch section: ${section.name}`);
+      }
+      names.add(section.name);
 
-    // Group other results by category for filter functionality
-    processedOther.hits.forEach(hit => {
-      const category = this._mapCategory(hit.index, this.categoryMapping);
-      if (!processedOther.categories[category]) {
-        processedOther.categories[category] = [];
+      const indices = Array.isArray(section.indices) ? section.indices.join(',') : section.indices;
+      if (!indices) {
+        throw new Error(`Multisearch section "${section.name}" requires indices`);
       }
-      processedOther.categories[category].push(hit);
+
+      return {
+        ...section,
+        indices,
+        templates: { rerank: 'rerank', noRerank: 'noRerank', lexical: 'lexical', ...section.templates }
+      };
     });
+  }
 
-    return {
-      bookmarks: processedBookmarks,
-      other: processedOther,
-      searchTime: Date.now() - startTime,
-      took: Math.max(bookmarkResults.took || 0, otherResults.took || 0),
-      sessionId: sessionId,
-      queryId: this._generateQueryId(),
-      weights: {
-        lexicalWeight: weights.lexicalWeight,
-        semanticWeight: weights.semanticWeight,
-        confidence: weights.confidence,
-        strategy: weights.strategy,
-        reasoning: weights.reasoning,
-        ...(weights.properNouns && { properNouns: weights.properNouns })
+  /**
+   * Default sections: bookmarks in their own index, everything else in the content indices
+   * @private
+   */
+  _getDefaultSections(options) {
+    const {
+      bookmarkIndex = 'content_bookmarks_rerank',
+      otherIndices = 'content-servicenow-4665-rerank,content_mylearning_rerank,content-mysql-4a86-rerank'
+    } = options;
+
+    return [
+      {
+        name: 'bookmarks',
+        indices: bookmarkIndex,
+        templates: { rerank: 'bookmarksRerank', noRerank: 'bookmarksNoRerank' },
+        category: 'Bookmarks'
+      },
+      {
+        name: 'other',
+        indices: otherIndices,
+        templates: { rerank: 'rerank', noRerank: 'noRerank' }
       }
-    };
+    ];
   }
 
   /**
-   * Process search results from Elasticsearch
+   * Build a section query from its template (or the query spec)
    * @private
    */
-  _processSearchResults(response, weights, startTime, sessionId) {
-    // Check for errors in the search response
-    if (response.error) {
-      const error = response.error;
-      throw new Error(`Search failed: ${error.reason || JSON.stringify(error)}`);
+  _buildSectionQuery(section, templateKey, templateVars, constraints) {
+    if (!this.queryBuilder.hasTemplate(templateKey)) {
+      throw new Error(`Template not found for section "${section.name}": ${templateKey}`);
     }
 
-    const took = response.took || 0;
-    const total = response.hits?.total?.value || response.hits?.total || 0;
-    
-    // Process hits - handle both _source and fields responses
-    const hits = (response.hits?.hits || []).map((hit, index) => ({
-      id: hit._id,
-      score: hit._score,
-      index: hit._index,
-      category: this._mapCategory(hit._index, this.categoryMapping),
-      source: hit._source || hit.fields || {},
-      matched_queries: hit.matched_queries || [],
-      rank: index + 1
-    }));
+    return this.queryBuilder.renderTemplate(templateKey, templateVars, constraints);
+  }
 
-    // Group by categories
+  /**
+   * Build, execute and process one round of batch items
+   * @returns {Promise<Array<object>>} Items to run again: degraded to the next level or auto-corrected
+   * @private
+   */
+  async _runBatchRound(pending, batchOptions, log) {
+    const levels = this.degradationChain.levels;
+
+    // Phase 5: build each item at its current level; dry runs stop at their trace
+    const built = await Promise.all(pending.map(async entry => {
+      const { context, monitor } = entry;
+      try {
+        const level = levels[entry.levelIndex];
+        await this._runPhase(context, 'building', 'query_building', monitor, () => {
+          context.requests = [{
+            index: this.options.indexName,
+            level: level.level,
+            body: this._buildSearchBody(context, level.template)
+          }];
+        });
+
+        if (context.userContext.dryRun) {
+          monitor?.complete();
+          entry.results = this._buildTrace(context, entry.startTime);
+          return false;
+        }
+
+        await this.pipeline.run('before:execution', context);
+        return true;
+      } catch (error) {
+        entry.error = error;
+        return false;
+      }
+    }));
+    const executable = pending.filter((entry, index) => built[index]);
+    if (executable.length === 0) return [];
+
+    // Phase 6: one msearch for every built item
+    executable.forEach(entry => entry.monitor?.startPhase('elasticsearch_multisearch'));
+    const msearchBody = executable.flatMap(({ context }) => [
+      { index: context.requests[0].index },
+      context.requests[0].body
+    ]);
+
+    log.debug('search_batch_request', { size: executable.length, body: msearchBody });
+
+    let responses = null;
+    let roundError = null;
+    try {
+      const response = await this.requestExecutor.execute(
+        'msearch',
+        { body: msearchBody },
+        this._getTightestRequestOptions(executable.map(entry => entry.levelIndex), batchOptions)
+      );
+      responses = response.responses;
+    } catch (error) {
+      // The whole round-trip failed: every item degrades or reports it, none aborts the batch
+      roundError = error;
+    }
+    executable.forEach(entry => entry.monitor?.endPhase('elasticsearch_multisearch'));
+
+    // Phase 7: degrade, process or auto-correct every item independently
+    const again = await Promise.all(executable.map(async (entry, index) => {
+      const { context, monitor, searchId } = entry;
+      const response = roundError ? null : responses[index];
+      const error = roundError || (response.error && { ...response.error, status: response.status });
+
+      try {
+        if (error) {
+          const nextIndex = this.degradationChain.next(
+            entry.levelIndex,
+            error,
+            batchOptions,
+            step => this.queryBuilder.hasTemplate(step.template)
+          );
+          if (nextIndex === -1) {
+            throw roundError || new Error(`search failed: ${error.reason || JSON.stringify(error)}`);
+          }
+
+          log.warn('search_degraded', {
+            searchId,
+            from: levels[entry.levelIndex].level,
+            to: levels[nextIndex].level,
+            reason: this.degradationChain.classifyError(error),
+            error: error.reason || error.message
+          });
+          entry.levelIndex = nextIndex;
+          return true;
+        }
+
+        context.response = response;
+        context.degraded = entry.levelIndex === entry.requestedLevel ? null : levels[entry.levelIndex].level;
+        this._recordRerankUsage(context, levels[entry.levelIndex].template === 'rerank');
+
+        await this.pipeline.run('after:execution', context);
+        await this._runPhase(context, 'processing', 'result_processing', monitor, () => {
+          context.results = this._processSearchResults(
+            context.response,
+            context.finalWeights,
+            entry.startTime,
+            searchId,
+            context.userContext.facets
+          );
+          context.results.degraded = context.degraded;
+          context.results.cached = context.cached;
+          this._applySpelling(context);
+          context.results.parsedQuery = context.parsedQuery;
+          context.results.language = context.language;
+          context.results.temporal = context.temporal;
+        });
+
+        if (this._shouldRetryCorrected(context, context.results.total)) {
+          log.debug('search_autocorrected', { searchId, query: context.query, correction: context.suggestion.text });
+          this._useCorrection(context);
+          entry.levelIndex = entry.requestedLevel;
+          return true;
+        }
+
+        entry.results = context.results;
+        return false;
+      } catch (processingError) {
+        entry.error = processingError;
+        return false;
+      }
+    }));
+    return executable.filter((entry, index) => again[index]);
+  }
+
+  /**
+   * Request options of a round-trip serving several degradation levels: the tightest latency budget wins
+   * @private
+   */
+  _getTightestRequestOptions(levelIndexes, requestOptions) {
+    return levelIndexes
+      .map(levelIndex => this.degradationChain.getRequestOptions(levelIndex, requestOptions))
+      .reduce((tightest, options) => (
+        options.deadline && (!tightest.deadline || options.deadline < tightest.deadline) ? options : tightest
+      ), requestOptions);
+  }
+
+  /**
+   * Run phases 1-4 (analysis, enhancement, contextual weighting, combination)
+   * @private
+   */
+  async _calculateFinalWeights(context, monitor) {
+    const { userContext } = context;
+    // A spelling suggestion is analyzed in place of a misspelled query that is still searched as typed
+    const analysisQuery = () => context.analysisQuery || context.query;
+
+    // Phase 1: Query Analysis
+    await this._runPhase(context, 'analysis', 'query_analysis', monitor, () => {
+      context.queryAnalysis = this.queryAnalyzer.analyzeQuery(analysisQuery(), {
+        ...userContext,
+        parsedQuery: context.parsedQuery,
+        language: context.language.code,
+        temporal: context.temporal
+      });
+    });
+
+    // Phase 2: Query Enhancement (regional, proper nouns, etc.)
+    await this._runPhase(context, 'enhancement', 'query_enhancement', monitor, () => {
+      if (this.options.enableQueryEnhancement) {
+        context.queryEnhancement = this.queryEnhancer.enhanceQuery(analysisQuery(), { language: context.language });
+      } else {
+        context.queryEnhancement = this._getDefaultEnhancement(analysisQuery(), context.language);
+      }
+    });
+    // After the enhancement middleware, which may edit the detected regions
+    this._applyRegionTargeting(context);
+
+    // Phase 3: Contextual Weighting
+    await this._runPhase(context, 'contextual_weighting', 'contextual_weighting', monitor, async () => {
+      if (this.options.enableContextualWeighting) {
+        context.contextualWeights = await this.contextualWeighter.calculateContextualWeights(
+          analysisQuery(),
+          this.options.indexName, 
+          userContext,
+          context.requestOptions
+        );
+      } else {
+        context.contextualWeights = this._getDefaultContextualWeights();
+      }
+    });
+
+    // Phase 4: Weight Combination
+    await this._runPhase(context, 'combination', 'weight_combination', monitor, () => {
+      context.finalWeights = this.weightCombiner.combineWeights(
+        context.queryAnalysis,
+        context.contextualWeights,
+        context.queryEnhancement,
+        analysisQuery()
+      );
+
+      // Decide reranking from the combined weights; after:combination middleware may override it
+      context.finalWeights.rerank = this.rerankPolicy.decide({
+        query: analysisQuery(),
+        queryAnalysis: context.queryAnalysis,
+        queryEnhancement: context.queryEnhancement,
+        finalWeights: context.finalWeights,
+        userContext,
+        deadline: context.requestOptions.deadline
+      });
+    });
+
+    const rerankDecision = context.finalWeights.rerank;
+    if (rerankDecision) {
+      context.useRerank = rerankDecision.enabled;
+    }
+
+    return context.finalWeights;
+  }
+
+  /**
+   * Charge the tenant's rerank budget once a rerank request succeeded; a search that fell back
+   * to noRerank or lexical is not charged
+   * @private
+   */
+  _recordRerankUsage(context, reranked) {
+    if (reranked) {
+      this.rerankPolicy.recordUsage(context.userContext.tenantId, context.finalWeights.rerank);
+    }
+  }
+
+  /**
+   * Spelling phase: suggest a correction, then search it ('always') or analyze it
+   * @private
+   */
+  async _checkSpelling(context, monitor) {
+    const { userContext } = context;
+    if (!this.spellChecker.options.enabled || userContext.spellCheck === false) return;
+
+    await this._runPhase(context, 'spelling', 'spelling', monitor, async () => {
+      context.suggestion = await this.spellChecker.check(
+        context.query,
+        this.options.indexName,
+        context.requestOptions
+      );
+      if (!context.suggestion) return;
+
+      if (this._getAutoCorrectMode(userContext) === 'always') {
+        this._useCorrection(context);
+      } else if (this.spellChecker.options.analyzeCorrected) {
+        context.analysisQuery = context.suggestion.text;
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _getAutoCorrectMode(userContext) {
+    return userContext.autoCorrect || this.spellChecker.options.autoCorrect;
+  }
+
+  /**
+   * Whether a search without hits should run again with the suggested text
+   * @private
+   */
+  _shouldRetryCorrected(context, total) {
+    return Boolean(context.suggestion) &&
+      !context.autoCorrected &&
+      total === 0 &&
+      this._getAutoCorrectMode(context.userContext) === 'zero_hits';
+  }
+
+  /**
+   * Search the suggested text instead of the query
+   * @private
+   */
+  _useCorrection(context) {
+    context.query = context.suggestion.text;
+    context.autoCorrected = true;
+  }
+
+  /**
+   * Hits of every section of a multisearch
+   * @private
+   */
+  _getMultisearchTotal(results) {
+    return Object.values(results.sections).reduce((sum, section) => sum + section.total, 0);
+  }
+
+  /**
+   * Report the suggestion and the text that was actually searched
+   * @private
+   */
+  _applySpelling(context) {
+    context.results.suggestion = context.suggestion;
+    context.results.searchedQuery = context.query;
+    context.results.autoCorrected = context.autoCorrected;
+  }
+
+  /**
+   * Create the mutable context shared by the phases and middleware of one search
+   * @private
+   */
+  _createSearchContext(method, searchId, cleanQuery, userContext) {
+    // Operators become filters; only the free text is analyzed and searched
+    const parsedQuery = this.queryParser.options.enabled ? this.queryParser.parse(cleanQuery) : null;
+    const query = parsedQuery ? parsedQuery.text : cleanQuery;
+
+    return {
+      method,
+      searchId,
+      query,
+      userContext,
+      parsedQuery,     // Query syntax AST and the filters it compiled to, when the parser is enabled
+      // { code, confidence, source, scores } - userContext.language overrides detection
+      language: userContext.language
+        ? { code: userContext.language, confidence: 1, source: 'user', scores: {} }
+        : this.languageDetector.detect(query),
+      // Date expressions -> { text, expressions, range, recency, now }, when the temporal parser is enabled
+      temporal: this.temporalParser.options.enabled ? this.temporalParser.parse(query, userContext.now) : null,
+      filters: [...(userContext.filters || []), ...(parsedQuery?.filters || [])],
+      regionTargeting: null, // { mode, filters, boosts } for the places the query names
+      useRerank: userContext.useRerank !== false,
+      requestOptions: this._getRequestOptions(userContext),   // { signal, deadline } for every ES call
+      queryAnalysis: null,
+      queryEnhancement: null,
+      contextualWeights: null,
+      finalWeights: null,
+      requests: [],    // [{ index, level, body }] - one per section for multisearch
+      degraded: null,  // Degradation level that served the search (per section for multisearch)
+      suggestion: null,     // Spelling suggestion { text, source, corrections }
+      analysisQuery: null,  // Text analyzed instead of the query (the suggestion), when set
+      autoCorrected: false, // Whether the suggestion replaced the searched text
+      cached: false,   // Whether the response came from the result cache
+      response: null,
+      results: null
+    };
+  }
+
+  /**
+   * Run one phase wrapped in its before/after middleware and performance monitoring
+   * @private
+   */
+  async _runPhase(context, phase, monitorPhase, monitor, task) {
+    this._throwIfCancelled(context.requestOptions);
+    monitor?.startPhase(monitorPhase);
+    await this.pipeline.run(`before:${phase}`, context);
+    await task();
+    await this.pipeline.run(`after:${phase}`, context);
+    monitor?.endPhase(monitorPhase);
+  }
+
+  /**
+   * Resolve the cancellation signal and deadline of one search
+   * @private
+   */
+  _getRequestOptions({ signal, timeout } = {}) {
+    const searchTimeout = timeout ?? this.options.searchTimeout;
+    return {
+      signal,
+      deadline: searchTimeout ? Date.now() + searchTimeout : null
+    };
+  }
+
+  /**
+   * Stop between phases once a search has been aborted or ran past its deadline
+   * @private
+   */
+  _throwIfCancelled({ signal, deadline } = {}) {
+    if (signal?.aborted) {
+      throw RequestExecutor.createError(RequestExecutor.ERROR_CODES.aborted, 'Search aborted');
+    }
+    if (deadline && Date.now() >= deadline) {
+      throw RequestExecutor.createError(RequestExecutor.ERROR_CODES.timeout, 'Search exceeded its deadline');
+    }
+  }
+
+  /**
+   * Wrap an error with a message prefix, keeping its code for callers
+   * @private
+   */
+  _wrapError(prefix, error) {
+    const wrapped = new Error(`${prefix}: ${error.message}`);
+    if (error.code) {
+      wrapped.code = error.code;
+    }
+    wrapped.cause = error;
+    return wrapped;
+  }
+
+  /**
+   * Restore the weights and searched text carried by a pagination cursor
+   * @private
+   */
+  _restoreCursorContext(context, cursor) {
+    context.query = cursor.searchQuery || context.query;
+    context.finalWeights = cursor.weights;
+    context.useRerank = cursor.useRerank;
+    context.regionTargeting = cursor.regionTargeting || null;
+    // Relative dates keep the range of the first page
+    context.temporal = cursor.temporal || null;
+  }
+
+  /**
+   * Encode the cursor for the next page of this search
+   * @private
+   */
+  _encodeCursor(context, cleanQuery, page, sections) {
+    return SearchCursor.encode({
+      query: cleanQuery,
+      // Middleware may have rewritten the text that was actually searched
+      ...(context.query !== cleanQuery && { searchQuery: context.query }),
+      weights: context.finalWeights,
+      useRerank: context.useRerank,
+      ...(context.regionTargeting && { regionTargeting: context.regionTargeting }),
+      ...(context.temporal && { temporal: context.temporal }),
+      page,
+      sections
+    });
+  }
+
+  /**
+   * Decode a pagination cursor and check it belongs to this query and search method
+   * @private
+   */
+  _decodeCursor(token, cleanQuery, sectionNames) {
+    const cursor = SearchCursor.decode(token);
+
+    if (cursor.query !== cleanQuery) {
+      throw new Error('Cursor was issued for a different query');
+    }
+    if (!sectionNames.every(name => cursor.sections[name])) {
+      throw new Error(`Cursor does not contain the expected sections: ${sectionNames.join(', ')}`);
+    }
+
+    return cursor;
+  }
+
+  /**
+   * Whether this request pages through results with a point-in-time
+   * @private
+   */
+  _isPaginated(userContext, cursor) {
+    // Dry runs never open a point-in-time
+    if (userContext.dryRun) return false;
+    return Boolean(cursor) || userContext.page !== undefined || this.options.enablePagination;
+  }
+
+  /**
+   * Open a point-in-time for the first requested page
+   * @private
+   */
+  async _openPageState(index, esQuery, page = 1, requestOptions = {}) {
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const size = esQuery.size ?? 10;
+
+    const response = await this.requestExecutor.execute('openPointInTime', {
+      index,
+      keep_alive: this.options.pitKeepAlive
+    }, requestOptions);
+
+    return {
+      pitId: response.id || response.body?.id,
+      // Compound retrievers (linear, rrf, rerankers) don't support search_after,
+      // so they page by offset within the point-in-time instead
+      mode: esQuery.retriever ? 'from' : 'search_after',
+      page: pageNumber,
+      size,
+      offset: (pageNumber - 1) * size,
+      // Compound retrievers rank a window of hits; offset paging ends where the window can grow no further
+      ...(esQuery.retriever && { maxOffset: this.options.maxRankWindowSize }),
+      searchAfter: null
+    };
+  }
+
+  /**
+   * Add point-in-time and paging parameters to a built query body
+   * @private
+   */
+  _applyPageState(esQuery, pageState) {
+    const body = {
+      ...esQuery,
+      size: pageState.size,
+      pit: { id: pageState.pitId, keep_alive: this.options.pitKeepAlive }
+    };
+
+    if (pageState.mode === 'search_after') {
+      if (!body.sort) {
+        // The PIT adds an implicit _shard_doc tiebreaker after the score
+        body.sort = [{ _score: 'desc' }];
+      }
+      if (pageState.searchAfter) {
+        body.search_after = pageState.searchAfter;
+        return body;
+      }
+    }
+
+    if (pageState.offset > 0) {
+      body.from = pageState.offset;
+    }
+
+    if (pageState.mode === 'from' && body.retriever) {
+      // Every compound retriever and reranker must rank down to the last hit of this page
+      const maxOffset = pageState.maxOffset ?? this.options.maxRankWindowSize;
+      body.size = Math.max(0, Math.min(pageState.size, maxOffset - pageState.offset));
+      return this.queryBuilder.applyPageWindow(body, pageState.offset + body.size);
+    }
+    return body;
+  }
+
+  /**
+   * Compute the paging state for the page after this response
+   * @private
+   */
+  _advancePageState(pageState, response) {
+    const hits = response?.hits?.hits || [];
+    const total = response?.hits?.total;
+    const totalValue = typeof total === 'object' ? total.value : total || 0;
+    const isExactTotal = typeof total !== 'object' || total.relation === 'eq';
+    const offset = pageState.offset + hits.length;
+    const lastHit = hits[hits.length - 1];
+
+    return {
+      ...pageState,
+      // ES may hand back a new PIT id on every response
+      pitId: response?.pit_id || pageState.pitId,
+      page: pageState.page + 1,
+      offset,
+      searchAfter: pageState.mode === 'search_after' && lastHit?.sort ? lastHit.sort : pageState.searchAfter,
+      exhausted: hits.length < pageState.size ||
+        (isExactTotal && offset >= totalValue) ||
+        (pageState.maxOffset !== undefined && offset >= pageState.maxOffset)
+    };
+  }
+
+  /**
+   * Release point-in-times once there are no more pages
+   * @private
+   */
+  async _closePageStates(pageStates) {
+    await Promise.all(pageStates.map(async pageState => {
+      try {
+        // Not tied to the search's signal: the PIT should be released even after a cancellation
+        await this.requestExecutor.execute('closePointInTime', { id: pageState.pitId });
+      } catch (error) {
+        // The PIT expires on its own after keep_alive, so this is not fatal
+        this.logger.warn('close_point_in_time_failed', { error: error.message });
+      }
+    }));
+  }
+
+  /**
+   * Process multisearch results from Elasticsearch
+   * @private
+   */
+  _processMultisearchResults(response, weights, startTime, sessionId, facets, sections, degraded = {}) {
+    const processedSections = {};
+    sections.forEach((section, index) => {
+      const sectionResponse = response.responses[index];
+
+      // A failed section reports its error next to the sections that succeeded
+      if (sectionResponse.error) {
+        const error = sectionResponse.error;
+        processedSections[section.name] = {
+          hits: [],
+          total: 0,
+          categories: {},
+          took: 0,
+          degraded: degraded[section.name] || null,
+          error: {
+            type: error.type || 'search_failed',
+            message: `${section.name} search failed: ${error.reason || JSON.stringify(error)}`
+          }
+        };
+        return;
+      }
+
+      // Group results by category for filter functionality
+      const categories = {};
+      const hits = sectionResponse.hits?.hits?.map((hit, hitIndex) => {
+        const category = section.category || this._mapCategory(hit._index, this.categoryMapping);
+        const processedHit = this._processHit(hit, category, hitIndex + 1);
+        const mappedHit = section.mapResult ? section.mapResult(processedHit, hit) : processedHit;
+
+        if (!categories[category]) {
+          categories[category] = [];
+        }
+        categories[category].push(mappedHit);
+        return mappedHit;
+      }) || [];
+
+      processedSections[section.name] = {
+        hits,
+        total: typeof sectionResponse.hits?.total === 'object' 
+          ? sectionResponse.hits.total.value 
+          : sectionResponse.hits?.total || 0,
+        categories,
+        ...(facets && { facets: this._normalizeFacets(sectionResponse, facets) }),
+        took: sectionResponse.took || 0,
+        degraded: degraded[section.name] || null
+      };
+    });
+
+    return {
+      sections: processedSections,
+      searchTime: Date.now() - startTime,
+      took: Math.max(0, ...response.responses.map(sectionResponse => sectionResponse.took || 0)),
+      sessionId: sessionId,
+      queryId: this._generateQueryId(),
+      weights: {
+        lexicalWeight: weights.lexicalWeight,
+        semanticWeight: weights.semanticWeight,
+        confidence: weights.confidence,
+        strategy: weights.strategy,
+        fusion: weights.fusion || null,
+        reasoning: weights.reasoning,
+        ...(weights.rerank && { rerank: weights.rerank }),
+        ...(weights.properNouns && { properNouns: weights.properNouns })
+      }
+    };
+  }
+
+  /**
+   * Process search results from Elasticsearch
+   * @private
+   */
+  _processSearchResults(response, weights, startTime, sessionId, facets) {
+    // Check for errors in the search response
+    if (response.error) {
+      const error = response.error;
+      throw new Error(`Search failed: ${error.reason || JSON.stringify(error)}`);
+    }
+
+    const took = response.took || 0;
+    const total = typeof response.hits?.total === 'object'
+      ? response.hits.total.value
+      : response.hits?.total || 0;
+    
+    // Process hits through the result mapper so they share the multisearch shape
+    const hits = (response.hits?.hits || []).map((hit, index) =>
+      this._processHit(hit, this._mapCategory(hit._index, this.categoryMapping), index + 1)
+    );
+
+    // Group by categories
     const categories = {};
     hits.forEach(hit => {
       if (!categories[hit.category]) {
@@ -596,6 +1770,7 @@ class DynamicSearchEngine {
       hits,
       total,
       categories,
+      ...(facets && { facets: this._normalizeFacets(response, facets) }),
       took,
       searchTime: Date.now() - startTime,
       weights: {
@@ -603,7 +1778,9 @@ class DynamicSearchEngine {
         semanticWeight: weights.semanticWeight,
         confidence: weights.confidence,
         strategy: weights.strategy,
+        fusion: weights.fusion || null,
         reasoning: weights.reasoning,
+        ...(weights.rerank && { rerank: weights.rerank }),
         ...(weights.properNouns && { properNouns: weights.properNouns })
       },
       sessionId: sessionId,
@@ -611,6 +1788,260 @@ class DynamicSearchEngine {
     };
   }
 
+  /**
+   * Build the single-search request body for a context (template, weights, filters, facets)
+   * @private
+   */
+  _buildSearchBody(context, templateKey = context.useRerank ? 'rerank' : 'noRerank') {
+    const { userContext } = context;
+    const rerankDecision = context.finalWeights.rerank;
+    const esQuery = this.queryBuilder.buildTemplateQuery(
+      templateKey,
+      context.query,
+      context.finalWeights,
+      userContext.inferenceId || rerankDecision?.inferenceId,
+      this._getConstraints(context),
+      this._expandQuery(context.query),
+      context.language.code,
+      this._getSemanticQuery(context)
+    );
+    return this.queryBuilder.applyRerankWindow(esQuery, rerankDecision?.rankWindowSize);
+  }
+
+  /**
+   * Filters, phrase and region boosts, the recency decay and facets of a search
+   * @private
+   */
+  _getConstraints(context) {
+    const { regionTargeting: targeting, temporal } = context;
+    const { field, decay } = this.temporalParser.options;
+    return {
+      filters: [
+        ...context.filters,
+        ...(targeting?.filters || []),
+        ...(temporal?.range ? [{ type: 'date_range', field, ...temporal.range }] : [])
+      ],
+      facets: context.userContext.facets,
+      boosts: [...(context.parsedQuery?.boosts || []), ...(targeting?.boosts || [])],
+      decay: temporal?.recency ? { ...decay, field, origin: temporal.now } : null
+    };
+  }
+
+  /**
+   * The searched text without its date expressions, for the semantic side
+   * Re-parsed at the recorded reference time so a corrected or rewritten query stays consistent
+   * @private
+   */
+  _getSemanticQuery(context) {
+    return context.temporal ? this.temporalParser.parse(context.query, context.temporal.now).text : context.query;
+  }
+
+  /**
+   * Turn the places the query names into one filter (any of them) or a boost each, on the
+   * field configured for the place type, else on the country field with the countries it covers
+   * @private
+   */
+  _applyRegionTargeting(context) {
+    const { fields, boost } = this.regionTargeting;
+    const mode = context.userContext.regionTargeting || this.regionTargeting.mode;
+
+    const clauses = new Map();
+    (context.queryEnhancement?.regions || []).forEach(match => {
+      const clause = fields[match.type]
+        ? { type: 'terms', field: fields[match.type], values: [match.code] }
+        : fields.country && match.countries.length > 0 && { type: 'terms', field: fields.country, values: match.countries };
+      if (clause) clauses.set(JSON.stringify(clause), clause);
+    });
+
+    if (mode === 'off' || clauses.size === 0) {
+      context.regionTargeting = null;
+      return;
+    }
+
+    const targets = Array.from(clauses.values());
+    context.regionTargeting = mode === 'filter'
+      ? { mode, filters: [targets.length === 1 ? targets[0] : { type: 'any', filters: targets }], boosts: [] }
+      : { mode, filters: [], boosts: targets.map(target => ({ ...target, boost })) };
+  }
+
+  /**
+   * Feed searches that found something to the autocomplete popular queries
+   * @private
+   */
+  _recordQuery(query, total) {
+    if (total > 0 && this.autocompleter.options.recordQueries) {
+      this.autocompleter.recordQuery(query);
+    }
+  }
+
+  /**
+   * Synonym and acronym expansions of the searched text
+   * Recomputed from the text rather than read from the enhancement phase, so cursor pages (which skip
+   * analysis) and the analyzed spelling suggestion don't change the lexical query
+   * @private
+   */
+  _expandQuery(query) {
+    return this.options.enableQueryEnhancement ? this.queryEnhancer.expandQuery(query) : null;
+  }
+
+  /**
+   * Build the lexical and semantic sub-queries of client-side fusion
+   * @private
+   */
+  _buildClientFusionRequests(context) {
+    const { templates, windowSize } = this.clientFusion.options;
+
+    return ['lexical', 'semantic'].map(component => {
+      if (!this.queryBuilder.hasTemplate(templates[component])) {
+        throw new Error(`Client-side fusion requires the "${templates[component]}" query template`);
+      }
+
+      const body = this._buildSearchBody(context, templates[component]);
+      const size = body.size ?? 10;
+      return {
+        index: this.options.indexName,
+        component,
+        level: 'client_fusion',
+        size,
+        // Each sub-query fetches a candidate window; the fused page is cut to size afterwards
+        body: { ...body, size: Math.max(windowSize, size) }
+      };
+    });
+  }
+
+  /**
+   * Run the client-side fusion sub-queries in one msearch and fuse their hits
+   * A failed semantic sub-query leaves lexical-only results (degraded 'lexical_only')
+   * @private
+   */
+  async _executeClientFusion(context, log, useCache) {
+    const [lexicalRequest] = context.requests;
+    const response = await this._executeRequest(context, 'msearch', {
+      body: context.requests.flatMap(({ index, body }) => [{ index }, body])
+    }, context.requestOptions, useCache);
+
+    const [lexical, semantic] = response.responses;
+    if (lexical.error) {
+      throw new Error(`lexical search failed: ${lexical.error.reason || JSON.stringify(lexical.error)}`);
+    }
+
+    context.degraded = null;
+    if (semantic.error) {
+      if (!this.degradationChain.options.enabled) {
+        throw new Error(`semantic search failed: ${semantic.error.reason || JSON.stringify(semantic.error)}`);
+      }
+      log.warn('search_degraded', {
+        from: 'client_fusion',
+        to: 'lexical_only',
+        reason: this.degradationChain.classifyError({ ...semantic.error, status: semantic.status }),
+        error: semantic.error.reason || semantic.error.type
+      });
+      context.degraded = 'lexical_only';
+    }
+
+    return this.clientFusion.fuse(
+      { lexical, semantic: semantic.error ? null : semantic },
+      context.finalWeights,
+      lexicalRequest.size
+    );
+  }
+
+  /**
+   * Build the explain/dry-run decision trace from a search context
+   * @private
+   */
+  _buildTrace(context, startTime) {
+    const { queryAnalysis, contextualWeights, finalWeights } = context;
+
+    return {
+      dryRun: true,
+      method: context.method,
+      searchId: context.searchId,
+      query: context.query,
+      parsedQuery: context.parsedQuery,
+      language: context.language,
+      regionTargeting: context.regionTargeting,
+      temporal: context.temporal,
+      spelling: {
+        suggestion: context.suggestion,
+        analysisQuery: context.analysisQuery,
+        autoCorrected: context.autoCorrected
+      },
+      analysis: queryAnalysis,
+      enhancement: context.queryEnhancement,
+      contextualWeighting: contextualWeights,
+      weights: {
+        lexicalWeight: finalWeights.lexicalWeight,
+        semanticWeight: finalWeights.semanticWeight,
+        confidence: finalWeights.confidence,
+        strategy: finalWeights.strategy,
+        fusion: finalWeights.fusion || null,
+        reasoning: finalWeights.reasoning,
+        ...(finalWeights.rerank && { rerank: finalWeights.rerank }),
+        ...(finalWeights.properNouns && { properNouns: finalWeights.properNouns })
+      },
+      strategy: {
+        selected: finalWeights.strategy,
+        reason: finalWeights.strategyReason,
+        analyzerStrategy: queryAnalysis?.strategy
+      },
+      // Every change to the lexical weight, in the order it was applied
+      adjustments: [
+        ...(queryAnalysis?.adjustments || []),
+        ...(contextualWeights?.adjustments || []),
+        ...(finalWeights.adjustments || [])
+      ],
+      useRerank: context.useRerank,
+      requests: context.requests,
+      searchTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Compact weight summary for log records
+   * @private
+   */
+  _summarizeWeights(weights) {
+    return {
+      lexical: weights.lexicalWeight,
+      semantic: weights.semanticWeight,
+      strategy: weights.strategy,
+      fusion: weights.fusion?.method || null,
+      confidence: weights.confidence,
+      reasoning: weights.reasoning,
+      rerank: weights.rerank?.enabled
+    };
+  }
+
+  /**
+   * Build the normalized hit shape shared by search() and multisearch()
+   * @private
+   */
+  _processHit(hit, category, rank) {
+    return {
+      id: hit._id,
+      index: hit._index,
+      score: hit._score,
+      source: this.resultMapper.mapHit(hit),
+      highlight: hit.highlight || {},
+      category,
+      sourceLabel: category,
+      matched_queries: hit.matched_queries || [],
+      rank,
+      // Per-component scores of client-side fusion, for debugging
+      ...(hit._components && { components: hit._components })
+    };
+  }
+
+  /**
+   * Normalize facet aggregation buckets from a search response
+   * @private
+   */
+  _normalizeFacets(response, facets) {
+    const aggregations = response.aggregations || response.body?.aggregations;
+    return this.queryBuilder.filterBuilder.normalizeFacets(aggregations, facets, this.categoryMapping);
+  }
+
   /**
    * Map index name to category
    * @private
@@ -635,46 +2066,90 @@ class DynamicSearchEngine {
     return `query_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
   }
 
+  /**
+   * Execute an Elasticsearch request through the result cache and in-flight coalescing
+   * @private
+   */
+  async _executeRequest(context, method, params, requestOptions, useCache) {
+    if (!useCache) {
+      return this.requestExecutor.execute(method, params, requestOptions);
+    }
+
+    // Middleware and result processing may change a response: every caller gets its own copy,
+    // so neither the cached entry nor a concurrent caller sharing the request sees the changes
+    const cacheKey = this._getCacheKey(method, params);
+    try {
+      const cached = await this.resultCache.get(cacheKey);
+      if (cached !== undefined && cached !== null) {
+        context.cached = true;
+        return this._cloneResponse(cached);
+      }
+    } catch (error) {
+      // A failing external store degrades to uncached searches
+      this.logger.warn('cache_get_failed', { searchId: context.searchId, error: error.message });
+    }
+
+    const response = await this.inFlightRequests.run(cacheKey, async sharedOptions => {
+      const result = await this.requestExecutor.execute(method, params, sharedOptions);
+
+      if (this._isCacheableResponse(result)) {
+        try {
+          await this.resultCache.set(cacheKey, this._cloneResponse(result), this.options.cacheTTL);
+        } catch (error) {
+          this.logger.warn('cache_set_failed', { searchId: context.searchId, error: error.message });
+        }
+      }
+      return result;
+    }, requestOptions);
+    return this._cloneResponse(response);
+  }
+
+  /**
+   * Deep copy of a JSON response
+   * @private
+   */
+  _cloneResponse(response) {
+    return JSON.parse(JSON.stringify(response));
+  }
+
   /**
    * Get cache key for result caching
+   * The key hashes the exact request (method, index, body after middleware), so everything that
+   * shapes the body - query, weights, template, inference id, filters, facets - is covered
    * @private
    */
-  _getCacheKey(query, userContext) {
-    const contextKey = JSON.stringify({
-      useRerank: userContext.useRerank,
-      domain: userContext.domain,
-      intent: userContext.intent
-    });
-    return `${query}:${contextKey}`;
+  _getCacheKey(method, params) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex');
+    return `${method}:${hash}`;
   }
 
   /**
-   * Format cached result with updated timing
+   * Only complete, error-free responses are cached
    * @private
    */
-  _formatCachedResult(cachedResult, startTime) {
-    return {
-      ...cachedResult,
-      searchTime: Date.now() - startTime,
-      cached: true
-    };
+  _isCacheableResponse(response) {
+    const responses = response?.responses || [response];
+    return responses.every(entry => entry && !entry.error && !entry.timed_out);
   }
 
   /**
    * Get default enhancement for disabled enhancement mode
    * @private
    */
-  _getDefaultEnhancement(query) {
+  _getDefaultEnhancement(query, language = null) {
     const words = query.trim().split(/\s+/).filter(w => w.length > 0);
     return {
       originalQuery: query,
+      language,
       detectedRegion: null,
+      regions: [],
       properNouns: { hasProperNouns: false, properNouns: [], confidence: 0 },
       queryStats: { 
         wordCount: words.length, 
         characterCount: query.length, 
         avgWordLength: words.length > 0 ? words.reduce((sum, w) => sum + w.length, 0) / words.length : 0 
-      }
+      },
+      expansions: { matches: [], variants: [], lexicalQuery: query }
     };
   }
 
@@ -705,32 +2180,6 @@ class DynamicSearchEngine {
     }
     this.stats.strategyCounts[strategy]++;
   }
-
-  /**
-   * Clean up old cache entries
-   * @private
-   */
-  _cleanupCache() {
-    const now = Date.now();
-    const entries = Array.from(this.resultCache.entries());
-    
-    // Remove expired entries first
-    entries.forEach(([key, value]) => {
-      if (now - value.timestamp > this.options.cacheTTL) {
-        this.resultCache.delete(key);
-      }
-    });
-
-    // If still too large, remove oldest entries
-    if (this.resultCache.size > 800) {
-      const sortedEntries = entries
-        .filter(([key]) => this.resultCache.has(key))
-        .sort((a, b) => a[1].timestamp - b[1].timestamp);
-      
-      const toRemove = sortedEntries.slice(0, this.resultCache.size - 800);
-      toRemove.forEach(([key]) => this.resultCache.delete(key));
-    }
-  }
 }
 
 module.exports = DynamicSearchEngine;
\ No newline at end of file
@@ -0,0 +1,317 @@
+/**
+ * EntityGazetteer - Dictionary of known (multi-word) entities such as products, teams and people
+ * Matches n-grams over the whole query, case- and punctuation-insensitively and optionally
+ * fuzzily, and reports each entity with its character and token span
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SpellChecker = require('./spell-checker');
+const SynonymDictionary = require('./synonym-dictionary');
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+class EntityGazetteer {
+  /**
+   * @param {object} options - { entries, fuzzy, maxEdits, minFuzzyLength }
+   */
+  constructor(options = {}) {
+    this.options = {
+      entries: [],                   // Initial entities, in any shape import() accepts
+      fuzzy: false,                  // Also match n-grams within maxEdits of an entity
+      maxEdits: 1,
+      minFuzzyLength: 5,             // Shorter n-grams only match exactly
+      ...options
+    };
+
+    // normalized text -> { text, type, score, source }
+    this.entries = new Map();
+    // 'tokens:characters' -> Set of normalized texts, so fuzzy matching only compares texts that
+    // have the n-gram's word count and a length within maxEdits of it
+    this.fuzzyIndex = new Map();
+    this.maxTokens = 0;
+
+    this.import(this.options.entries);
+  }
+
+  /**
+   * Add an entity; adding a known entity again updates its type and score
+   * @param {string} text - Entity as it should be displayed, e.g. 'Microsoft Office 365'
+   * @param {object} options - { type, score, source } where score ranks harvested entities (e.g. doc
+   *   frequency) and source is 'manual' (default) or 'harvest'; an entity once added by hand stays manual
+   */
+  add(text, options = {}) {
+    const display = String(text || '').trim();
+    const key = this._normalize(display);
+    if (!key) {
+      throw new Error(`Entity requires text with letters or digits: ${JSON.stringify(text)}`);
+    }
+
+    const existing = this.entries.get(key);
+    if (!existing) this._index(key);
+    this.entries.set(key, {
+      text: existing ? existing.text : display,
+      type: options.type || existing?.type || 'entity',
+      score: options.score ?? existing?.score ?? null,
+      source: existing?.source === 'manual' ? 'manual' : options.source || 'manual'
+    });
+    this.maxTokens = Math.max(this.maxTokens, key.split(' ').length);
+  }
+
+  /**
+   * Add many entities of one type
+   * @param {Array<string|object>} entities - Texts, or { text, type, score }
+   * @param {object} options - { type } for entries that name none
+   * @returns {number} Entities added
+   */
+  addAll(entities, options = {}) {
+    entities.forEach(entity => {
+      const { text, ...entry } = typeof entity === 'string' ? { text: entity } : entity;
+      this.add(text, { ...options, ...entry });
+    });
+    return entities.length;
+  }
+
+  /**
+   * Bulk import from JSON or CSV
+   * @param {string|object|Array} source - JSON/CSV text, [text | { text, type, score }] or { type: [texts] }
+   * @param {object} options - { format: 'json' | 'csv', type }; text is sniffed when no format is given
+   * @returns {number} Entities imported
+   */
+  import(source, options = {}) {
+    if (typeof source === 'string') {
+      const format = options.format || (/^\s*[[{]/.test(source) ? 'json' : 'csv');
+      if (format === 'csv') return this._importCSV(source, options);
+      if (format !== 'json') {
+        throw new Error(`Unknown entity format "${format}" (expected json, csv)`);
+      }
+      source = JSON.parse(source);
+    }
+
+    if (Array.isArray(source)) {
+      return this.addAll(source, options);
+    }
+    return Object.entries(source || {})
+      .reduce((count, [type, texts]) => count + this.addAll([].concat(texts), { type }), 0);
+  }
+
+  /**
+   * Remove an entity
+   * @param {string} text - Entity text, in any case or punctuation
+   * @returns {boolean} True if the entity existed
+   */
+  remove(text) {
+    const key = this._normalize(text);
+    const removed = this.entries.delete(key);
+    if (removed) {
+      this._unindex(key);
+      this.maxTokens = Math.max(0, ...Array.from(this.entries.keys()).map(key => key.split(' ').length));
+    }
+    return removed;
+  }
+
+  /**
+   * Whether an entity is known
+   * @param {string} text - Entity text, in any case or punctuation
+   * @returns {boolean} True if known
+   */
+  has(text) {
+    return this.entries.has(this._normalize(text));
+  }
+
+  /**
+   * A known entity
+   * @param {string} text - Entity text, in any case or punctuation
+   * @returns {object|null} { text, type, score, source }
+   */
+  get(text) {
+    const entry = this.entries.get(this._normalize(text));
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * Every entity, optionally of one type
+   * @param {string} type - Entity type
+   * @returns {Array<object>} [{ text, type, score, source }]
+   */
+  list(type = null) {
+    return Array.from(this.entries.values())
+      .filter(entry => !type || entry.type === type)
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Remove every entity
+   */
+  clear() {
+    this.entries.clear();
+    this.fuzzyIndex.clear();
+    this.maxTokens = 0;
+  }
+
+  /**
+   * Number of entities
+   */
+  size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Write every entity to a JSON file that import()/loadFile() read back
+   * @param {string} filePath - File path
+   */
+  async saveFile(filePath) {
+    await fs.promises.writeFile(filePath, JSON.stringify(this.list(), null, 2));
+  }
+
+  /**
+   * Import entities from a .json or .csv file
+   * @param {string} filePath - File path
+   * @param {object} options - { type } for entries that name none
+   * @returns {Promise<number>} Entities imported
+   */
+  async loadFile(filePath, options = {}) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+    return this.import(content, { ...options, format });
+  }
+
+  /**
+   * Find entities in a query: the longest n-gram wins, left to right, without overlaps
+   * @param {string} query - Query text
+   * @returns {Array<object>} [{ text, entity, type, start, end, tokenStart, tokenEnd, fuzzy, similarity }]
+   *   where start/end are character offsets and tokenStart/tokenEnd token indexes (end exclusive)
+   */
+  find(query) {
+    const tokens = this.tokenize(query);
+    const matches = [];
+
+    let i = 0;
+    while (i < tokens.length) {
+      const match = this._matchAt(tokens, i);
+      if (!match) {
+        i++;
+        continue;
+      }
+
+      const start = tokens[i].start;
+      const end = tokens[i + match.length - 1].end;
+      matches.push({
+        text: query.slice(start, end),
+        entity: match.entry.text,
+        type: match.entry.type,
+        start,
+        end,
+        tokenStart: i,
+        tokenEnd: i + match.length,
+        fuzzy: match.distance > 0,
+        similarity: match.similarity
+      });
+      i += match.length;
+    }
+    return matches;
+  }
+
+  /**
+   * Words of a query with their character offsets, as the gazetteer sees them
+   * @param {string} query - Query text
+   * @returns {Array<object>} [{ text, start, end }]
+   */
+  tokenize(query) {
+    return Array.from(String(query || '').matchAll(TOKEN_PATTERN)).map(match => ({
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+  }
+
+  /**
+   * Longest exact match at a token, else the closest fuzzy one
+   * @private
+   */
+  _matchAt(tokens, i) {
+    const longest = Math.min(this.maxTokens, tokens.length - i);
+    const ngram = length => tokens.slice(i, i + length).map(token => token.text).join(' ').toLowerCase();
+
+    for (let length = longest; length > 0; length--) {
+      const entry = this.entries.get(ngram(length));
+      if (entry) return { entry, length, distance: 0, similarity: 1 };
+    }
+
+    if (!this.options.fuzzy) return null;
+
+    for (let length = longest; length > 0; length--) {
+      const text = ngram(length);
+      if (text.length < this.options.minFuzzyLength) continue;
+
+      let best = null;
+      for (const key of this._fuzzyCandidates(length, text.length)) {
+        const distance = SpellChecker.editDistance(text, key, this.options.maxEdits);
+        if (distance <= this.options.maxEdits && (!best || distance < best.distance)) {
+          const entry = this.entries.get(key);
+          best = { entry, length, distance, similarity: 1 - distance / Math.max(text.length, key.length) };
+        }
+      }
+      if (best) return best;
+    }
+    return null;
+  }
+
+  /**
+   * Entities with a word count of tokens and a length within maxEdits of characters
+   * @private
+   */
+  *_fuzzyCandidates(tokens, characters) {
+    for (let length = characters - this.options.maxEdits; length <= characters + this.options.maxEdits; length++) {
+      yield* this.fuzzyIndex.get(`${tokens}:${length}`) || [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  _index(key) {
+    const bucket = `${key.split(' ').length}:${key.length}`;
+    if (!this.fuzzyIndex.has(bucket)) this.fuzzyIndex.set(bucket, new Set());
+    this.fuzzyIndex.get(bucket).add(key);
+  }
+
+  /**
+   * @private
+   */
+  _unindex(key) {
+    const bucket = `${key.split(' ').length}:${key.length}`;
+    const keys = this.fuzzyIndex.get(bucket);
+    keys.delete(key);
+    if (keys.size === 0) this.fuzzyIndex.delete(bucket);
+  }
+
+  /**
+   * One entity per line: text[,type[,score]], with double-quoted cells for texts holding commas;
+   * blank lines and # comments are skipped
+   * @private
+   */
+  _importCSV(content, options) {
+    let count = 0;
+    content.split(/\r?\n/).forEach(line => {
+      if (!line.trim() || line.trim().startsWith('#')) return;
+      const [text, type, score] = SynonymDictionary.parseCSVLine(line);
+      this.add(text, {
+        type: type || options.type,
+        ...(score && { score: Number(score) })
+      });
+      count++;
+    });
+    return count;
+  }
+
+  /**
+   * Lowercased words joined by single spaces, so case and punctuation never matter
+   * @private
+   */
+  _normalize(text) {
+    return (String(text).match(TOKEN_PATTERN) || []).join(' ').toLowerCase();
+  }
+}
+
+module.exports = EntityGazetteer;
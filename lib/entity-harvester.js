@@ -0,0 +1,341 @@
+/**
+ * EntityHarvester - Builds the entity gazetteer from the corpus
+ * Collects candidates from terms aggregations on configured keyword fields (titles, authors,
+ * keywords...) and from capitalized non-dictionary words in sampled documents, scores them by
+ * document frequency and loads them into the QueryEnhancer, on demand or on a schedule
+ */
+
+const fs = require('fs');
+const SearchLogger = require('./search-logger');
+const RequestCoalescer = require('./request-coalescer');
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+// Capitalized words that open sentences and titles rather than names ("The", "How")
+const EDGE_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'how', 'in', 'of', 'on', 'or', 'the', 'to', 'what', 'why', 'with'
+]);
+
+class EntityHarvester {
+  /**
+   * @param {RequestExecutor} executor - Executor for the harvest request
+   * @param {QueryEnhancer} enhancer - Enhancer whose gazetteer receives the entities
+   * @param {object} options - See defaults below
+   */
+  constructor(executor, enhancer, options = {}) {
+    this.executor = executor;
+    this.enhancer = enhancer;
+    this.options = {
+      index: null,                   // Index harvested (defaults to the engine's indexName)
+      // Keyword field -> entity type, each read with a terms aggregation, e.g. { 'product.keyword': 'product' }
+      fields: {},
+      termsSize: 500,                // Buckets per field
+      scanFields: [],                // Text fields scanned for capitalized non-dictionary words
+      sampleSize: 500,               // Documents scanned
+      capitalizedType: 'proper_noun',
+      maxWords: 4,                   // Longer values (whole sentences, long titles) are not entities
+      // Terms values need a capitalized word the dictionary does not know ("Budget Report" is no entity)
+      properNounsOnly: true,
+      minDocFrequency: 5,
+      maxEntities: 2000,             // Highest scoring candidates kept
+      allow: [],                     // Always loaded: texts or { text, type }
+      deny: [],                      // Never loaded, in any case or punctuation
+      interval: null,                // Refresh every interval ms once scheduled
+      ...options
+    };
+
+    this.logger = this.options.logger || new SearchLogger(console, { level: 'warn' });
+
+    this.pendingHarvests = new RequestCoalescer();
+    this.lastReport = null;
+    this.timer = null;
+  }
+
+  /**
+   * Harvest candidates and load them into the query enhancer
+   * @param {string} indexName - Index to harvest
+   * @param {object} options - { dryRun } to harvest for review without loading, plus { signal, deadline }
+   * @returns {Promise<object>} Report: { index, harvestedAt, took, loaded, removed, entities }
+   */
+  async refresh(indexName, options = {}) {
+    const { dryRun = false, ...requestOptions } = options;
+    const report = await this.harvest(indexName, requestOptions);
+    const { loaded, removed } = dryRun ? { loaded: 0, removed: 0 } : this.load(report.entities);
+
+    this.lastReport = { ...report, dryRun, loaded, removed };
+    this.logger.info('entities_refreshed', {
+      index: indexName,
+      candidates: report.entities.length,
+      loaded,
+      removed,
+      dryRun,
+      took: report.took
+    });
+    return this.lastReport;
+  }
+
+  /**
+   * Collect and score candidate entities; concurrent harvests of one index share a request
+   * @param {string} indexName - Index to harvest
+   * @param {object} requestOptions - { signal, deadline }
+   * @returns {Promise<object>} { index, harvestedAt, took, entities: [{ text, type, score, sources }] }
+   *   where score is the document frequency
+   */
+  async harvest(indexName, requestOptions = {}) {
+    if (Object.keys(this.options.fields).length === 0 && this.options.scanFields.length === 0) {
+      throw new Error('Entity harvesting requires fields or scanFields to be configured');
+    }
+
+    return this.pendingHarvests.run(indexName, async sharedOptions => {
+      const startTime = Date.now();
+      const response = await this.executor.execute('search', {
+        index: indexName,
+        body: this._buildHarvestBody()
+      }, sharedOptions);
+      const result = response.body || response;
+
+      const candidates = new Map();
+      this._collectTerms(result.aggregations || {}, candidates);
+      this._collectCapitalized(result.hits?.hits || [], candidates);
+
+      return {
+        index: indexName,
+        harvestedAt: new Date(startTime).toISOString(),
+        took: Date.now() - startTime,
+        entities: this._select(candidates)
+      };
+    }, requestOptions);
+  }
+
+  /**
+   * Replace the previously harvested entities; entities added by hand (source 'manual', even when
+   * a harvest found them too) are never overwritten or removed
+   * @param {Array<object>} entities - [{ text, type, score }]
+   * @returns {object} { loaded, removed }
+   */
+  load(entities) {
+    const gazetteer = this.enhancer.entities;
+    const next = new Set();
+
+    entities.forEach(({ text, type, score }) => {
+      if (gazetteer.get(text)?.source === 'manual') return;
+      gazetteer.add(text, { type, score, source: 'harvest' });
+      next.add(this._normalize(text));
+    });
+
+    let removed = 0;
+    gazetteer.list().forEach(entry => {
+      if (entry.source === 'harvest' && !next.has(this._normalize(entry.text)) && gazetteer.remove(entry.text)) {
+        removed++;
+      }
+    });
+    return { loaded: next.size, removed };
+  }
+
+  /**
+   * Refresh now and then every interval ms; failures are logged and the next run retries
+   * @param {string} indexName - Index to harvest
+   * @param {number} interval - Milliseconds between refreshes (defaults to options.interval)
+   */
+  start(indexName, interval = this.options.interval) {
+    if (!interval || interval <= 0) {
+      throw new Error('Entity refresh interval must be a positive number of milliseconds');
+    }
+
+    this.stop();
+    const run = () => this.refresh(indexName).catch(error => {
+      this.logger.warn('entities_refresh_failed', { index: indexName, error: error.message });
+    });
+    this.timer = setInterval(run, interval);
+    // A schedule alone never keeps the process alive
+    this.timer.unref?.();
+    run();
+  }
+
+  /**
+   * Stop the scheduled refresh
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * The last report as JSON, for review
+   * @returns {string} JSON text ('null' before the first refresh)
+   */
+  export() {
+    return JSON.stringify(this.lastReport, null, 2);
+  }
+
+  /**
+   * Write the last report to a JSON file; its entities array can be imported as is
+   * @param {string} filePath - File path
+   */
+  async exportFile(filePath) {
+    await fs.promises.writeFile(filePath, this.export());
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+  }
+
+  /**
+   * One request: a terms aggregation per keyword field plus a sample of documents to scan
+   * @private
+   */
+  _buildHarvestBody() {
+    const { fields, termsSize, scanFields, sampleSize } = this.options;
+    const aggs = {};
+    Object.keys(fields).forEach((field, i) => {
+      aggs[`entity_terms_${i}`] = { terms: { field, size: termsSize } };
+    });
+
+    const scan = scanFields.length > 0;
+    return {
+      size: scan ? sampleSize : 0,
+      ...(scan && { _source: scanFields }),
+      query: { match_all: {} },
+      ...(Object.keys(aggs).length > 0 && { aggs })
+    };
+  }
+
+  /**
+   * Every bucket of a short enough value is a candidate scored by its doc_count
+   * @private
+   */
+  _collectTerms(aggregations, candidates) {
+    Object.entries(this.options.fields).forEach(([field, type], i) => {
+      (aggregations[`entity_terms_${i}`]?.buckets || []).forEach(bucket => {
+        const text = String(bucket.key).trim();
+        const words = text.match(TOKEN_PATTERN) || [];
+        if (words.length === 0 || words.length > this.options.maxWords) return;
+        if (this.options.properNounsOnly && !this._hasProperNoun(text, words)) return;
+        this._addCandidate(candidates, text, type, bucket.doc_count, `terms:${field}`);
+      });
+    });
+  }
+
+  /**
+   * Runs of capitalized words with at least one word missing from the dictionary of their language
+   * ("Microsoft Office 365", "Kubernetes"), scored by the sampled documents they appear in
+   * @private
+   */
+  _collectCapitalized(hits, candidates) {
+    hits.forEach(hit => {
+      const found = new Map();
+      this.options.scanFields.forEach(field => {
+        const value = hit._source?.[field];
+        [].concat(value ?? []).filter(text => typeof text === 'string').forEach(text => {
+          this._findCapitalizedRuns(text).forEach(run => found.set(this._normalize(run), run));
+        });
+      });
+      found.forEach(text => this._addCandidate(candidates, text, this.options.capitalizedType, 1, 'capitalization'));
+    });
+  }
+
+  /**
+   * @private
+   */
+  _findCapitalizedRuns(text) {
+    // German capitalizes every noun: only a dictionary of the text's own language can tell names apart
+    const language = this.enhancer.detectLanguage(text).code;
+    const runs = [];
+    // Punctuation other than hyphens and apostrophes ends a name
+    text.split(/[^\p{L}\p{N}\s'’-]+/u).forEach(segment => {
+      let run = [];
+      const flush = () => {
+        while (run.length > 0 && EDGE_WORDS.has(run[run.length - 1].toLowerCase())) run.pop();
+        while (run.length > 0 && EDGE_WORDS.has(run[0].toLowerCase())) run.shift();
+        if (run.length > 0 && run.length <= this.options.maxWords && run.some(word => this.enhancer.isLikelyProperNoun(word, language))) {
+          runs.push(run.join(' '));
+        }
+        run = [];
+      };
+
+      segment.split(/\s+/).filter(word => word.length > 0).forEach(word => {
+        // Numbers continue a name ("Office 365") but never start one
+        if (/^\p{Lu}/u.test(word) || (run.length > 0 && /^\d+$/.test(word))) {
+          run.push(word);
+        } else {
+          flush();
+        }
+      });
+      flush();
+    });
+    return runs;
+  }
+
+  /**
+   * Whether a word of a terms value is capitalized and unknown to the dictionary of its language
+   * @private
+   */
+  _hasProperNoun(text, words) {
+    const language = this.enhancer.detectLanguage(text).code;
+    return words.some(word => this.enhancer.isLikelyProperNoun(word, language));
+  }
+
+  /**
+   * Document frequencies of one source add up; across sources the highest wins
+   * @private
+   */
+  _addCandidate(candidates, text, type, docFrequency, source) {
+    const key = this._normalize(text);
+    const existing = candidates.get(key);
+    if (!existing) {
+      candidates.set(key, { text, type, frequencies: { [source]: docFrequency } });
+      return;
+    }
+    existing.frequencies[source] = (existing.frequencies[source] || 0) + docFrequency;
+  }
+
+  /**
+   * Apply the deny list, frequency floor and size cap, then add the allow list
+   * @private
+   */
+  _select(candidates) {
+    const deny = new Set(this.options.deny.map(text => this._normalize(text)));
+
+    const harvested = Array.from(candidates.entries())
+      .filter(([key]) => !deny.has(key))
+      .map(([, candidate]) => ({
+        text: candidate.text,
+        type: candidate.type,
+        score: Math.max(...Object.values(candidate.frequencies)),
+        sources: Object.keys(candidate.frequencies)
+      }))
+      .filter(entity => entity.score >= this.options.minDocFrequency)
+      .sort((a, b) => b.score - a.score || a.text.localeCompare(b.text))
+      .slice(0, this.options.maxEntities);
+
+    const selected = new Map(harvested.map(entity => [this._normalize(entity.text), entity]));
+    this.options.allow.forEach(entry => {
+      const { text, type } = typeof entry === 'string' ? { text: entry } : entry;
+      const key = this._normalize(text);
+      if (!key || deny.has(key)) return;
+
+      const candidate = candidates.get(key);
+      const existing = selected.get(key);
+      selected.set(key, {
+        text: existing?.text || text,
+        type: type || existing?.type || candidate?.type || 'entity',
+        score: existing?.score ?? (candidate ? Math.max(...Object.values(candidate.frequencies)) : null),
+        sources: [...(existing?.sources || []), 'allow']
+      });
+    });
+    return Array.from(selected.values());
+  }
+
+  /**
+   * @private
+   */
+  _normalize(text) {
+    return (String(text).match(TOKEN_PATTERN) || []).join(' ').toLowerCase();
+  }
+}
+
+module.exports = EntityHarvester;
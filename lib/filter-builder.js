@@ -0,0 +1,395 @@
+/**
+ * FilterBuilder - Structured filters, boosts, decay functions and facet aggregations for hybrid queries
+ * Turns declarative filter/facet descriptors into Elasticsearch clauses and injects them
+ * into both standard (query) and retriever-based request bodies
+ */
+
+const RANGE_BOUNDS = ['gt', 'gte', 'lt', 'lte'];
+
+class FilterBuilder {
+  constructor(options = {}) {
+    this.options = {
+      defaultFacetSize: 10,          // Buckets returned per terms facet
+      defaultDateInterval: 'month',  // calendar_interval for date facets
+      aggregationPrefix: 'facet_',   // Keeps facet aggregations apart from template aggregations
+      ...options
+    };
+  }
+
+  /**
+   * Build Elasticsearch filter clauses from filter descriptors
+   * @param {Array<object>} filters - Descriptors such as
+   *   { type: 'terms', field, values }, { type: 'range', field, gte, lte },
+   *   { type: 'exists', field }, { type: 'date_range', field, gte, lte, format, time_zone },
+   *   { type: 'text', fields, query, phrase }, { type: 'wildcard', field, value },
+   *   { type: 'any', filters } (at least one must match);
+   *   any descriptor may set `exclude: true` to turn it into a negative filter
+   * @returns {Array<object>} Filter clauses for bool.filter
+   */
+  buildFilterClauses(filters = []) {
+    if (!Array.isArray(filters)) {
+      throw new Error('Filters must be an array of filter descriptors');
+    }
+
+    return filters.map(filter => {
+      const clause = this._buildFilterClause(filter);
+      return filter.exclude ? { bool: { must_not: [clause] } } : clause;
+    });
+  }
+
+  /**
+   * Inject filters into a built query body
+   * @param {object} esQuery - Query body built from a template
+   * @param {Array<object>} filters - Filter descriptors
+   * @returns {object} New query body with filters applied
+   */
+  applyFilters(esQuery, filters) {
+    const clauses = this.buildFilterClauses(filters);
+    if (clauses.length === 0) {
+      return esQuery;
+    }
+
+    const body = JSON.parse(JSON.stringify(esQuery));
+
+    if (body.retriever) {
+      this._injectRetrieverFilters(body.retriever, clauses);
+    } else {
+      // Wrap rather than merge so a should-only bool keeps its minimum_should_match behaviour
+      body.query = {
+        bool: {
+          must: [body.query || { match_all: {} }],
+          filter: clauses
+        }
+      };
+    }
+
+    return body;
+  }
+
+  /**
+   * Boost documents matching filter descriptors without excluding the others
+   * @param {object} esQuery - Query body built from a template
+   * @param {Array<object>} boosts - Filter descriptors with a `boost` (default 1), e.g.
+   *   { type: 'terms', field: 'country', values: ['DE'], boost: 2 }; with `scored: true` the clause adds
+   *   its relevance score (phrase matches) instead of a constant
+   * @returns {object} New query body with a should clause per boost
+   */
+  applyBoosts(esQuery, boosts) {
+    const clauses = (boosts || []).map(({ boost = 1, scored = false, ...filter }) => {
+      const clause = this._buildFilterClause(filter);
+      return scored
+        ? { bool: { should: [clause], boost } }
+        : { constant_score: { filter: clause, boost } };
+    });
+    if (clauses.length === 0) {
+      return esQuery;
+    }
+
+    const body = JSON.parse(JSON.stringify(esQuery));
+    const boosted = query => ({
+      bool: {
+        must: [query || { match_all: {} }],
+        should: clauses
+      }
+    });
+
+    if (body.retriever) {
+      this._wrapRetrieverQueries(body.retriever, boosted);
+    } else {
+      body.query = boosted(body.query);
+    }
+
+    return body;
+  }
+
+  /**
+   * Multiply scores by a decay function of a date (or numeric) field, e.g. to favor recent documents
+   * @param {object} esQuery - Query body built from a template
+   * @param {object} decay - { field, origin, scale, offset, decay, function: 'exp' | 'gauss' | 'linear' }
+   * @returns {object} New query body with every query wrapped in a function_score
+   */
+  applyDecay(esQuery, decay) {
+    if (!decay) {
+      return esQuery;
+    }
+    if (!decay.field || !decay.scale) {
+      throw new Error('Decay functions require a field and a scale');
+    }
+
+    const { field, function: type = 'exp', origin, scale, offset, decay: factor } = decay;
+    const settings = {
+      ...(origin !== undefined && { origin }),
+      scale,
+      ...(offset !== undefined && { offset }),
+      ...(factor !== undefined && { decay: factor })
+    };
+    const decayed = query => ({
+      function_score: {
+        query: query || { match_all: {} },
+        functions: [{ [type]: { [field]: settings } }],
+        boost_mode: 'multiply'
+      }
+    });
+
+    const body = JSON.parse(JSON.stringify(esQuery));
+    if (body.retriever) {
+      this._wrapRetrieverQueries(body.retriever, decayed);
+    } else {
+      body.query = decayed(body.query);
+    }
+
+    return body;
+  }
+
+  /**
+   * Add facet aggregations to a built query body
+   * @param {object} esQuery - Query body
+   * @param {Array<object>} facets - Facet descriptors such as
+   *   { name, type: 'terms', field, size }, { name, type: 'category' },
+   *   { name, type: 'date_histogram', field, interval }, { name, type: 'range', field, ranges }
+   * @returns {object} New query body with facet aggregations
+   */
+  applyFacets(esQuery, facets) {
+    const aggregations = this.buildAggregations(facets);
+    if (Object.keys(aggregations).length === 0) {
+      return esQuery;
+    }
+
+    // Templates may use either spelling; ES rejects a body that has both
+    const { aggregations: templateAggregations, ...body } = esQuery;
+    return {
+      ...body,
+      aggs: {
+        ...(esQuery.aggs || templateAggregations),
+        ...aggregations
+      }
+    };
+  }
+
+  /**
+   * Build facet aggregations keyed by their prefixed facet name
+   * @param {Array<object>} facets - Facet descriptors
+   * @returns {object} Aggregations
+   */
+  buildAggregations(facets = []) {
+    if (!Array.isArray(facets)) {
+      throw new Error('Facets must be an array of facet descriptors');
+    }
+
+    const aggregations = {};
+    facets.forEach(facet => {
+      if (!facet || !facet.name) {
+        throw new Error('Facet descriptors require a name');
+      }
+      aggregations[this._getAggregationName(facet)] = this._buildAggregation(facet);
+    });
+    return aggregations;
+  }
+
+  /**
+   * Normalize facet aggregation buckets into { key, count } entries
+   * @param {object} aggregations - Aggregations from the search response
+   * @param {Array<object>} facets - Facet descriptors used to build the request
+   * @param {object} categoryMapping - Index to category mapping for category facets
+   * @returns {object} Buckets keyed by facet name
+   */
+  normalizeFacets(aggregations, facets = [], categoryMapping = {}) {
+    const normalized = {};
+
+    facets.forEach(facet => {
+      const aggregation = aggregations?.[this._getAggregationName(facet)];
+      const buckets = Array.isArray(aggregation?.buckets) ? aggregation.buckets : [];
+
+      if (facet.type === 'category') {
+        normalized[facet.name] = this._mergeCategoryBuckets(buckets, categoryMapping);
+        return;
+      }
+
+      normalized[facet.name] = buckets.map(bucket => ({
+        key: bucket.key_as_string || bucket.key,
+        count: bucket.doc_count,
+        ...(bucket.from !== undefined && { from: bucket.from }),
+        ...(bucket.to !== undefined && { to: bucket.to })
+      }));
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+  }
+
+  /**
+   * Build a single filter clause
+   * @private
+   */
+  _buildFilterClause(filter) {
+    if (filter?.type === 'any') {
+      if (!Array.isArray(filter.filters) || filter.filters.length === 0) {
+        throw new Error('Any filters require a non-empty filters array');
+      }
+      return { bool: { should: this.buildFilterClauses(filter.filters), minimum_should_match: 1 } };
+    }
+    if (filter?.type === 'text') {
+      if (!Array.isArray(filter.fields) || filter.fields.length === 0 || !filter.query) {
+        throw new Error('Text filters require fields and a query');
+      }
+      return {
+        multi_match: {
+          query: filter.query,
+          fields: [...filter.fields],
+          ...(filter.phrase ? { type: 'phrase' } : { operator: 'and' })
+        }
+      };
+    }
+    if (!filter || !filter.field) {
+      throw new Error('Filter descriptors require a field');
+    }
+
+    switch (filter.type) {
+      case 'terms': {
+        const values = Array.isArray(filter.values) ? filter.values : [filter.values ?? filter.value];
+        return { terms: { [filter.field]: values } };
+      }
+      case 'range':
+        return { range: { [filter.field]: this._pickRangeBounds(filter) } };
+      case 'date_range':
+        return {
+          range: {
+            [filter.field]: {
+              ...this._pickRangeBounds(filter),
+              ...(filter.format && { format: filter.format }),
+              ...(filter.time_zone && { time_zone: filter.time_zone })
+            }
+          }
+        };
+      case 'exists':
+        return { exists: { field: filter.field } };
+      case 'wildcard':
+        return { wildcard: { [filter.field]: { value: filter.value, case_insensitive: true } } };
+      default:
+        throw new Error(`Unsupported filter type: ${filter.type}`);
+    }
+  }
+
+  /**
+   * Copy the range bounds that are set on a descriptor
+   * @private
+   */
+  _pickRangeBounds(filter) {
+    const bounds = {};
+    RANGE_BOUNDS.forEach(bound => {
+      if (filter[bound] !== undefined) {
+        bounds[bound] = filter[bound];
+      }
+    });
+
+    if (Object.keys(bounds).length === 0) {
+      throw new Error(`Range filter on ${filter.field} requires at least one of ${RANGE_BOUNDS.join(', ')}`);
+    }
+    return bounds;
+  }
+
+  /**
+   * Add filters to every leaf retriever so the whole retriever tree honors them
+   * @private
+   */
+  _injectRetrieverFilters(retriever, clauses) {
+    for (const [type, config] of Object.entries(retriever)) {
+      if (!config || typeof config !== 'object') continue;
+
+      if (type === 'standard' || type === 'knn') {
+        const existing = config.filter ? [].concat(config.filter) : [];
+        config.filter = [...existing, ...clauses];
+      } else if (Array.isArray(config.retrievers)) {
+        // linear wraps each child as { retriever, weight }; rrf lists retrievers directly
+        config.retrievers.forEach(entry => this._injectRetrieverFilters(entry.retriever || entry, clauses));
+      } else if (config.retriever) {
+        this._injectRetrieverFilters(config.retriever, clauses);
+      }
+    }
+  }
+
+  /**
+   * Wrap the query of every standard retriever; knn retrievers have no query to wrap
+   * @private
+   */
+  _wrapRetrieverQueries(retriever, wrap) {
+    for (const [type, config] of Object.entries(retriever)) {
+      if (!config || typeof config !== 'object') continue;
+
+      if (type === 'standard') {
+        config.query = wrap(config.query);
+      } else if (Array.isArray(config.retrievers)) {
+        config.retrievers.forEach(entry => this._wrapRetrieverQueries(entry.retriever || entry, wrap));
+      } else if (config.retriever) {
+        this._wrapRetrieverQueries(config.retriever, wrap);
+      }
+    }
+  }
+
+  /**
+   * Build a single facet aggregation
+   * @private
+   */
+  _buildAggregation(facet) {
+    switch (facet.type || 'terms') {
+      case 'terms':
+        return { terms: { field: facet.field, size: facet.size || this.options.defaultFacetSize } };
+      case 'category':
+        // Categories are derived from the index name through categoryMapping
+        return { terms: { field: '_index', size: facet.size || 100 } };
+      case 'date_histogram':
+        return {
+          date_histogram: {
+            field: facet.field,
+            calendar_interval: facet.interval || this.options.defaultDateInterval,
+            min_doc_count: 1,
+            ...(facet.format && { format: facet.format })
+          }
+        };
+      case 'range':
+        return { range: { field: facet.field, ranges: facet.ranges || [] } };
+      case 'date_range':
+        return {
+          date_range: {
+            field: facet.field,
+            ranges: facet.ranges || [],
+            ...(facet.format && { format: facet.format })
+          }
+        };
+      default:
+        throw new Error(`Unsupported facet type: ${facet.type}`);
+    }
+  }
+
+  /**
+   * Merge per-index buckets into per-category counts
+   * @private
+   */
+  _mergeCategoryBuckets(buckets, categoryMapping) {
+    const counts = new Map();
+    buckets.forEach(bucket => {
+      const category = categoryMapping[bucket.key] || bucket.key;
+      counts.set(category, (counts.get(category) || 0) + bucket.doc_count);
+    });
+
+    return Array.from(counts.entries())
+      .map(([key, count]) => ({ key, count }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Aggregation name used for a facet
+   * @private
+   */
+  _getAggregationName(facet) {
+    return `${this.options.aggregationPrefix}${facet.name}`;
+  }
+}
+
+module.exports = FilterBuilder;
@@ -0,0 +1,320 @@
+/**
+ * LanguageDetector - Per-query language detection and per-language resources
+ * Scores a query against each language's function words, characteristic letters and suffixes
+ * (and dictionary, when one is loaded), and holds the per-language dictionaries and indicator
+ * lists the analyzer and enhancer use instead of their English defaults
+ */
+
+const fs = require('fs');
+const { countries } = require('countries-list');
+const words = require('wordlist-english');
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const LIST_RESOURCES = [
+  'stopwords', 'conceptualWords', 'exactMatchIndicators', 'factualIndicators',
+  'exploratoryIndicators', 'technicalTerms', 'businessTerms'
+];
+
+// English indicator lists stay with the analyzer and enhancer defaults; other languages bring their own
+const BUILT_IN_LANGUAGES = {
+  en: {
+    stopwords: [
+      'the', 'and', 'is', 'are', 'was', 'of', 'to', 'in', 'for', 'on', 'with', 'how', 'what', 'when', 'where',
+      'who', 'why', 'which', 'a', 'an', 'this', 'that', 'it', 'can', 'do', 'does', 'not', 'or', 'but', 'from',
+      'by', 'at', 'my', 'i', 'you', 'your', 'should', 'about'
+    ],
+    suffixes: ['ing', 'tion', 'ness', 'ly'],
+    dictionary: () => words.english
+  },
+  de: {
+    stopwords: [
+      'der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'einen', 'dem', 'den', 'des', 'mit', 'von',
+      'zu', 'für', 'auf', 'im', 'wie', 'was', 'wer', 'wo', 'wann', 'warum', 'ich', 'sie', 'er', 'es', 'wir',
+      'auch', 'oder', 'aber', 'bei', 'nach', 'über', 'aus', 'sich', 'kann', 'wird', 'sind', 'hat', 'zum', 'zur',
+      'vom', 'mein', 'meine', 'welche'
+    ],
+    characters: /[äöüß]/,
+    capitalizesNouns: true,
+    suffixes: ['ung', 'keit', 'heit', 'lich', 'schaft', 'ieren'],
+    conceptualWords: ['ähnlich', 'bezüglich', 'konzept', 'idee', 'bedeutung', 'definition', 'erklären', 'erklärung', 'verstehen', 'lernen', 'finden', 'suchen'],
+    exactMatchIndicators: ['genau', 'exakt', 'präzise', 'spezifisch', 'bestimmt'],
+    factualIndicators: ['was', 'wann', 'wo', 'wer', 'wie', 'welche'],
+    exploratoryIndicators: ['ähnlich', 'über', 'verwandt', 'bezüglich'],
+    technicalTerms: ['api', 'code', 'datenbank', 'server', 'konfiguration', 'system'],
+    businessTerms: ['richtlinie', 'prozess', 'schulung', 'compliance', 'verfahren']
+  },
+  es: {
+    stopwords: [
+      'el', 'la', 'los', 'las', 'y', 'es', 'no', 'un', 'una', 'de', 'del', 'con', 'por', 'para', 'en', 'como',
+      'qué', 'que', 'quién', 'dónde', 'cuándo', 'cuál', 'cómo', 'porque', 'yo', 'él', 'ella', 'pero', 'o',
+      'también', 'al', 'se', 'su', 'sus', 'más', 'muy', 'está', 'son', 'hay', 'mi', 'mis'
+    ],
+    characters: /[ñáíóú¿¡]/,
+    suffixes: ['ción', 'ciones', 'mente', 'dad', 'ado', 'ando', 'iendo'],
+    conceptualWords: ['similar', 'parecido', 'relacionado', 'sobre', 'concepto', 'idea', 'significado', 'definición', 'explicar', 'entender', 'aprender', 'buscar'],
+    exactMatchIndicators: ['exactamente', 'exacto', 'preciso', 'específico', 'concreto'],
+    factualIndicators: ['qué', 'cuándo', 'dónde', 'quién', 'cómo', 'cuál'],
+    exploratoryIndicators: ['similar', 'parecido', 'sobre', 'relacionado'],
+    technicalTerms: ['api', 'código', 'base de datos', 'servidor', 'configuración', 'sistema'],
+    businessTerms: ['política', 'proceso', 'formación', 'cumplimiento', 'procedimiento']
+  },
+  fr: {
+    stopwords: [
+      'le', 'la', 'les', 'et', 'est', 'pas', 'un', 'une', 'des', 'du', 'de', 'avec', 'pour', 'dans', 'en',
+      'comment', 'que', 'qui', 'où', 'quand', 'pourquoi', 'quel', 'quelle', 'je', 'il', 'elle', 'nous', 'vous',
+      'mais', 'ou', 'aussi', 'au', 'aux', 'se', 'sa', 'son', 'ses', 'plus', 'très', 'sont', 'sur', 'par', 'ce',
+      'cette', 'mon', 'ma', 'mes'
+    ],
+    characters: /[àâçéèêëîïôûùœ]/,
+    suffixes: ['eux', 'euse', 'ement', 'ique', 'oir', 'ais'],
+    conceptualWords: ['similaire', 'semblable', 'concernant', 'concept', 'idée', 'signification', 'définition', 'expliquer', 'comprendre', 'apprendre', 'trouver', 'chercher'],
+    exactMatchIndicators: ['exactement', 'exact', 'précis', 'précisément', 'spécifique'],
+    factualIndicators: ['quoi', 'quand', 'où', 'qui', 'comment', 'quel', 'quelle'],
+    exploratoryIndicators: ['similaire', 'semblable', 'concernant', 'sur'],
+    technicalTerms: ['api', 'code', 'base de données', 'serveur', 'configuration', 'système'],
+    businessTerms: ['politique', 'processus', 'formation', 'conformité', 'procédure']
+  }
+};
+
+class LanguageDetector {
+  /**
+   * @param {object} options - { defaultLanguage, minConfidence, resources }
+   */
+  constructor(options = {}) {
+    this.options = {
+      defaultLanguage: 'en',         // Used when no language stands out (short or ambiguous queries)
+      minConfidence: 0.55,           // Share of the two best scores the winner needs
+      resources: {},                 // { [code]: resources } added to or extending the built-in languages
+      ...options
+    };
+
+    // code -> { stopwords: Set, ..., characters, suffixes, dictionary, regions }
+    this.languages = new Map();
+    // code -> { names: Map(normalized name -> region), maxTokens } localized country names
+    this.regionNames = new Map();
+
+    Object.entries(BUILT_IN_LANGUAGES).forEach(([code, resources]) => this.addLanguage(code, resources));
+    Object.entries(this.options.resources).forEach(([code, resources]) => this.addLanguage(code, resources));
+  }
+
+  /**
+   * Detect the language of a query
+   * @param {string} text - Query text
+   * @returns {object} { code, confidence, source: 'detected' | 'default', scores: { [code]: score } }
+   */
+  detect(text) {
+    const tokens = (String(text || '').toLowerCase().match(WORD_PATTERN) || []);
+    // A function word several languages share ('de', 'la') says less about each of them
+    const languages = Array.from(this.languages.values());
+    const sharing = new Map(tokens.map(token => [token, languages.filter(language => language.stopwords?.has(token)).length]));
+
+    const scores = {};
+    this.languages.forEach((resources, code) => {
+      scores[code] = tokens.reduce((score, token) => score + this._scoreToken(token, resources, sharing.get(token)), 0);
+    });
+
+    const ranked = Object.entries(scores).sort(([codeA, a], [codeB, b]) => (
+      b - a || (codeB === this.options.defaultLanguage) - (codeA === this.options.defaultLanguage)
+    ));
+    const [best, second] = ranked;
+    const confidence = best && best[1] > 0 ? best[1] / (best[1] + (second ? second[1] : 0)) : 0;
+
+    if (!best || best[1] <= 0 || confidence < this.options.minConfidence) {
+      return { code: this.options.defaultLanguage, confidence, source: 'default', scores };
+    }
+    return { code: best[0], confidence, source: 'detected', scores };
+  }
+
+  /**
+   * Register a language or extend a registered one: lists, suffixes and region names are added to
+   * the existing ones, a dictionary, characters pattern or capitalizesNouns flag replace them
+   * @param {string} code - ISO 639-1 code, e.g. 'de'
+   * @param {object} resources - {
+   *   stopwords, conceptualWords, exactMatchIndicators, factualIndicators, exploratoryIndicators,
+   *   technicalTerms, businessTerms - word lists,
+   *   dictionary - words (array/Set) or a () => words loader, used for detection and proper noun checks,
+   *   characters - RegExp of letters typical of the language, suffixes - typical word endings,
+   *   capitalizesNouns - whether capitalization says nothing about names (German),
+   *   regions - { [countryCode]: [names] } extra region names in the language
+   * }
+   */
+  addLanguage(code, resources = {}) {
+    const key = String(code || '').toLowerCase();
+    if (!/^[a-z]{2,3}$/.test(key)) {
+      throw new Error(`Language code must be an ISO 639 code: ${JSON.stringify(code)}`);
+    }
+
+    const existing = this.languages.get(key) || { suffixes: [], regions: {} };
+    const language = { ...existing };
+    LIST_RESOURCES.forEach(name => {
+      const list = resources[name] ? Array.from(resources[name], value => String(value).toLowerCase()) : [];
+      const merged = [...(existing[name] || []), ...list];
+      language[name] = merged.length > 0 || existing[name] ? new Set(merged) : undefined;
+    });
+
+    if (resources.suffixes) language.suffixes = [...new Set([...existing.suffixes, ...resources.suffixes])];
+    if (resources.characters) language.characters = resources.characters;
+    if (resources.capitalizesNouns !== undefined) language.capitalizesNouns = resources.capitalizesNouns;
+    if (resources.dictionary) language.dictionary = this._createDictionary(resources.dictionary);
+    if (resources.regions) language.regions = { ...existing.regions, ...resources.regions };
+
+    this.languages.set(key, language);
+    this.regionNames.delete(key);
+  }
+
+  /**
+   * Load a dictionary (one word per line) for a language
+   * @param {string} code - Language code
+   * @param {string} filePath - File path
+   * @returns {Promise<number>} Words loaded
+   */
+  async loadDictionaryFile(code, filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const dictionary = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    this.addLanguage(code, { dictionary });
+    return dictionary.length;
+  }
+
+  /**
+   * Resources of a language
+   * @param {string} code - Language code
+   * @returns {object|null} Resources with lists as Sets, or null for an unknown language
+   */
+  getResources(code) {
+    return this.languages.get(String(code || '').toLowerCase()) || null;
+  }
+
+  /**
+   * Registered language codes
+   * @returns {Array<string>} Codes
+   */
+  listLanguages() {
+    return Array.from(this.languages.keys());
+  }
+
+  /**
+   * Whether a word belongs to a language
+   * @param {string} word - Word
+   * @param {string} code - Language code
+   * @returns {boolean|null} true/false from the dictionary (or stopwords), null when the language
+   *   has no dictionary to tell
+   */
+  isWord(word, code) {
+    const language = this.getResources(code);
+    const lower = String(word).toLowerCase();
+    if (!language) return null;
+    if (language.stopwords?.has(lower)) return true;
+    return language.dictionary ? language.dictionary.has(lower) : null;
+  }
+
+  /**
+   * Country names of a language found in a text (from Intl, plus the language's own region names)
+   * @param {string} text - Text
+   * @param {string} code - Language code
+   * @returns {Array<object>} [{ region, text, start, end }] whole-word matches, longest first, left to right
+   */
+  findRegions(text, code) {
+    const { names, maxTokens } = this._getRegionNames(code);
+    const tokens = Array.from(String(text || '').matchAll(WORD_PATTERN));
+    const found = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      for (let length = Math.min(maxTokens, tokens.length - i); length > 0; length--) {
+        const region = names.get(tokens.slice(i, i + length).map(([token]) => token.toLowerCase()).join(' '));
+        if (region) {
+          const start = tokens[i].index;
+          const end = tokens[i + length - 1].index + tokens[i + length - 1][0].length;
+          found.push({ region, text: text.slice(start, end), start, end });
+          i += length - 1;
+          break;
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Whether a language is spoken in a country
+   * @param {string} code - Language code
+   * @param {string} region - ISO 3166 country code
+   * @returns {boolean} True if countries-list lists the language for the country
+   */
+  isSpokenIn(code, region) {
+    return (countries[region]?.languages || []).includes(String(code || '').toLowerCase());
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    const { resources, ...options } = newOptions;
+    this.options = { ...this.options, ...options };
+    Object.entries(resources || {}).forEach(([code, language]) => this.addLanguage(code, language));
+  }
+
+  /**
+   * Normalized country names of a language, built once per language
+   * @private
+   */
+  _getRegionNames(code) {
+    const key = String(code || '').toLowerCase();
+    if (this.regionNames.has(key)) return this.regionNames.get(key);
+
+    const names = new Map();
+    let displayNames = null;
+    try {
+      displayNames = typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames([key], { type: 'region' }) : null;
+    } catch (error) {
+      // Unknown locale or ICU without region names: only the configured names are used
+    }
+    const addName = (region, name) => {
+      const normalized = (String(name).toLowerCase().match(WORD_PATTERN) || []).join(' ');
+      if (normalized && !names.has(normalized)) names.set(normalized, region);
+    };
+    Object.entries(this.getResources(key)?.regions || {}).forEach(([region, list]) => {
+      [].concat(list).forEach(name => addName(region, name));
+    });
+    Object.keys(countries).forEach(region => {
+      const name = displayNames?.of(region);
+      if (name && name !== region) addName(region, name);
+    });
+
+    const maxTokens = Math.max(1, ...Array.from(names.keys(), name => name.split(' ').length));
+    const regionNames = { names, maxTokens };
+    this.regionNames.set(key, regionNames);
+    return regionNames;
+  }
+
+  /**
+   * Function words weigh most, then typical letters, dictionary words and suffixes
+   * @private
+   */
+  _scoreToken(token, language, sharing) {
+    let score = 0;
+    if (language.stopwords?.has(token)) score += 2 / sharing;
+    if (language.characters?.test(token)) score += 1.5;
+    if (token.length > 3 && language.dictionary?.has(token)) score += 0.5;
+    if (language.suffixes.some(suffix => token.length > suffix.length + 2 && token.endsWith(suffix))) score += 0.5;
+    return score;
+  }
+
+  /**
+   * Lazily built lookup over a word list, Set or loader function
+   * @private
+   */
+  _createDictionary(source) {
+    let loaded = null;
+    const load = () => {
+      if (!loaded) {
+        const list = typeof source === 'function' ? source() : source;
+        loaded = new Set(Array.from(list, word => String(word).toLowerCase()));
+      }
+      return loaded;
+    };
+    return { has: word => load().has(word) };
+  }
+}
+
+LanguageDetector.BUILT_IN_LANGUAGES = Object.keys(BUILT_IN_LANGUAGES);
+
+module.exports = LanguageDetector;
@@ -0,0 +1,77 @@
+/**
+ * LRUCache - Bounded in-memory cache store with per-entry TTL
+ * Default result cache of the engine; any object with the same get/set/delete
+ * (sync or async) can replace it, e.g. a Redis-backed store shared between instances
+ */
+
+class LRUCache {
+  constructor(options = {}) {
+    this.options = {
+      maxEntries: 1000,
+      defaultTTL: 5 * 60 * 1000,
+      ...options
+    };
+
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value, refreshing its recency
+   * @param {string} key - Cache key
+   * @returns {*} Cached value or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries beyond maxEntries
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} ttl - Time to live in ms (defaults to defaultTTL)
+   */
+  set(key, value, ttl = this.options.defaultTTL) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    while (this.entries.size > this.options.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Cache key
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every value
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Number of stored entries (expired entries are dropped lazily)
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LRUCache;
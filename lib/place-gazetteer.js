@@ -0,0 +1,350 @@
+/**
+ * PlaceGazetteer - Dictionary of places: countries, multi-country regions, states and cities
+ * Countries (from countries-list) and common business regions (EMEA, APAC, LATAM...) are built in;
+ * states, provinces and cities are loaded from JSON or CSV. Finds every place a query mentions,
+ * with its character span and the countries it covers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { countries } = require('countries-list');
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+// Two-letter codes and aliases ("US", "UK", "EU") only match in capitals: "us", "it" are words
+const CASE_SENSITIVE_PATTERN = /^[A-Z]{2}$/;
+
+// Commonly searched alternatives that cannot be derived from the official country names
+const COUNTRY_ALIASES = {
+  US: ['USA', 'America', 'American'],
+  GB: ['UK', 'Britain', 'British', 'England', 'English'],
+  NL: ['Dutch', 'Holland'],
+  CH: ['Swiss'],
+  KR: ['Korea', 'South Korea'],
+  DE: ['Deutschland']
+};
+
+// countries-list files Cyprus under Europe and Russia and Turkey under Asia; sales regions don't
+const MIDDLE_EAST = ['AE', 'BH', 'EG', 'IL', 'IQ', 'IR', 'JO', 'KW', 'LB', 'OM', 'PS', 'QA', 'SA', 'SY', 'TR', 'YE'];
+const CENTRAL_AMERICA_CARIBBEAN = ['BZ', 'CR', 'CU', 'DO', 'GT', 'HN', 'HT', 'MX', 'NI', 'PA', 'PR', 'SV'];
+const EUROPEAN_UNION = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU', 'IE', 'IT', 'LT', 'LU',
+  'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+];
+
+// Multi-country regions: countries listed, or every country of the listed continents
+const BUILT_IN_REGIONS = [
+  { code: 'EMEA', name: 'EMEA', aliases: ['Europe, Middle East and Africa'], continents: ['EU', 'AF'], countries: [...MIDDLE_EAST, 'RU'] },
+  { code: 'APAC', name: 'APAC', aliases: ['Asia-Pacific', 'Asia Pacific'], continents: ['AS', 'OC'], exclude: [...MIDDLE_EAST, 'RU'] },
+  { code: 'LATAM', name: 'LATAM', aliases: ['Latin America'], continents: ['SA'], countries: CENTRAL_AMERICA_CARIBBEAN },
+  { code: 'AMER', name: 'AMER', aliases: ['Americas'], continents: ['NA', 'SA'] },
+  { code: 'EUROPE', name: 'Europe', aliases: ['European'], continents: ['EU'], countries: ['RU', 'TR'] },
+  { code: 'AFRICA', name: 'Africa', aliases: ['African'], continents: ['AF'] },
+  { code: 'ASIA', name: 'Asia', aliases: ['Asian'], continents: ['AS'] },
+  { code: 'OCEANIA', name: 'Oceania', continents: ['OC'] },
+  { code: 'NORTH_AMERICA', name: 'North America', continents: ['NA'] },
+  { code: 'SOUTH_AMERICA', name: 'South America', continents: ['SA'] },
+  { code: 'MIDDLE_EAST', name: 'Middle East', countries: MIDDLE_EAST },
+  { code: 'NORDICS', name: 'Nordics', aliases: ['Nordic', 'Scandinavia', 'Scandinavian'], countries: ['DK', 'FI', 'IS', 'NO', 'SE'] },
+  { code: 'BENELUX', name: 'Benelux', countries: ['BE', 'LU', 'NL'] },
+  { code: 'EU', name: 'European Union', aliases: ['EU'], countries: EUROPEAN_UNION }
+];
+
+class PlaceGazetteer {
+  /**
+   * @param {object} options - { entries, builtIn }
+   */
+  constructor(options = {}) {
+    this.options = {
+      entries: [],                   // Initial places, in any shape import() accepts
+      builtIn: true,                 // Start with every country and the built-in regions
+      ...options
+    };
+
+    // code -> { code, name, type, country, countries, aliases }
+    this.places = new Map();
+    // normalized name -> code
+    this.names = new Map();
+    // two-letter capitals -> code
+    this.codes = new Map();
+    this.maxTokens = 0;
+
+    if (this.options.builtIn) {
+      this._addBuiltIns();
+    }
+    this.import(this.options.entries);
+  }
+
+  /**
+   * Add a place, or update the one with the same code (its aliases are kept and extended)
+   * @param {object} place - {
+   *   name, type - 'country', 'region' (several countries), 'state', 'city' or any other type,
+   *   code - identifier reported and targeted on documents (defaults to the name), e.g. 'US-CA',
+   *   country - ISO 3166 code of the country the place is in, countries - ISO codes a region covers,
+   *   aliases - other names; two-letter aliases in capitals ('CA') only match in capitals
+   * }
+   * @returns {object} The stored place
+   */
+  add(place) {
+    const known = place?.code ? this.places.get(String(place.code)) : null;
+    const name = String(place?.name || known?.name || '').trim();
+    if (!this._normalize(name)) {
+      throw new Error(`Place requires a name with letters or digits: ${JSON.stringify(place?.name)}`);
+    }
+
+    const code = String(place.code || name);
+    const existing = this.places.get(code);
+    const stored = {
+      code,
+      name,
+      type: place.type || existing?.type || 'place',
+      country: place.country ?? existing?.country ?? null,
+      countries: place.countries ? [...new Set(place.countries)] : existing?.countries || null,
+      aliases: [...new Set([...(existing?.aliases || []), ...[].concat(place.aliases || [])])]
+    };
+    this.places.set(code, stored);
+
+    [stored.name, ...stored.aliases].forEach(alias => this._index(alias, code));
+    return { ...stored };
+  }
+
+  /**
+   * Add many places
+   * @param {Array<object>} places - Places (see add)
+   * @param {object} options - { type } for places that name none
+   * @returns {number} Places added
+   */
+  addAll(places, options = {}) {
+    places.forEach(place => this.add({ ...options, ...place }));
+    return places.length;
+  }
+
+  /**
+   * Add other names to a place, creating it when the code is unknown
+   * @param {string} code - Place code, e.g. 'US' or 'EMEA'
+   * @param {Array<string>} aliases - Names
+   */
+  addAliases(code, aliases) {
+    this.add(this.places.has(code) ? { code, aliases } : {
+      code,
+      name: [].concat(aliases)[0] || code,
+      type: countries[code] ? 'country' : 'region',
+      country: countries[code] ? code : null,
+      aliases
+    });
+  }
+
+  /**
+   * Bulk import from JSON or CSV
+   * @param {string|Array} source - JSON/CSV text or an array of places. CSV lines are
+   *   name,type,code,country[,aliases] where country may list several codes and aliases several
+   *   names, separated by '|'
+   * @param {object} options - { format: 'json' | 'csv', type }; text is sniffed when no format is given
+   * @returns {number} Places imported
+   */
+  import(source, options = {}) {
+    if (typeof source === 'string') {
+      const format = options.format || (/^\s*\[/.test(source) ? 'json' : 'csv');
+      if (format === 'csv') return this._importCSV(source, options);
+      if (format !== 'json') {
+        throw new Error(`Unknown place format "${format}" (expected json, csv)`);
+      }
+      source = JSON.parse(source);
+    }
+    return this.addAll(source || [], options);
+  }
+
+  /**
+   * Import places from a .json or .csv file
+   * @param {string} filePath - File path
+   * @param {object} options - { type } for places that name none
+   * @returns {Promise<number>} Places imported
+   */
+  async loadFile(filePath, options = {}) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+    return this.import(content, { ...options, format });
+  }
+
+  /**
+   * Remove a place and its names
+   * @param {string} code - Place code
+   * @returns {boolean} True if the place existed
+   */
+  remove(code) {
+    const removed = this.places.get(code);
+    if (!removed) return false;
+    this.places.delete(code);
+
+    [this.names, this.codes].forEach(index => {
+      index.forEach((target, key) => {
+        if (target === code) index.delete(key);
+      });
+    });
+    // A name the removed place took over goes back to the latest other place that has it
+    const freed = new Set([removed.name, ...removed.aliases].map(alias => this._indexKey(alias)));
+    this.places.forEach(place => {
+      [place.name, ...place.aliases]
+        .filter(alias => freed.has(this._indexKey(alias)))
+        .forEach(alias => this._index(alias, place.code));
+    });
+    this.maxTokens = Math.max(0, ...Array.from(this.names.keys(), key => key.split(' ').length));
+    return true;
+  }
+
+  /**
+   * A place by code
+   * @param {string} code - Place code
+   * @returns {object|null} The place
+   */
+  get(code) {
+    const place = this.places.get(code);
+    return place ? { ...place } : null;
+  }
+
+  /**
+   * Every place, optionally of one type
+   * @param {string} type - Place type
+   * @returns {Array<object>} Places
+   */
+  list(type = null) {
+    return Array.from(this.places.values())
+      .filter(place => !type || place.type === type)
+      .map(place => ({ ...place }));
+  }
+
+  /**
+   * Number of places
+   */
+  size() {
+    return this.places.size;
+  }
+
+  /**
+   * Find every place a query mentions: the longest name wins, left to right, without overlaps
+   * @param {string} query - Query text
+   * @returns {Array<object>} [{ text, code, name, type, country, countries, start, end }] where
+   *   countries are the ISO codes the place covers and start/end character offsets
+   */
+  find(query) {
+    const tokens = Array.from(String(query || '').matchAll(TOKEN_PATTERN));
+    const matches = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const longest = Math.min(this.maxTokens, tokens.length - i);
+      for (let length = longest; length > 0; length--) {
+        const words = tokens.slice(i, i + length).map(([token]) => token);
+        const code = (length === 1 && this.codes.get(words[0])) || this.names.get(words.join(' ').toLowerCase());
+        if (code) {
+          const start = tokens[i].index;
+          const end = tokens[i + length - 1].index + words[length - 1].length;
+          matches.push(this.describe(code, { text: query.slice(start, end), start, end }));
+          i += length - 1;
+          break;
+        }
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * A match of a place in the shape find() returns
+   * @param {string} code - Place code
+   * @param {object} span - { text, start, end }
+   * @returns {object} { text, code, name, type, country, countries, start, end }
+   */
+  describe(code, span) {
+    const place = this.places.get(code);
+    return {
+      text: span.text,
+      code: place.code,
+      name: place.name,
+      type: place.type,
+      country: place.country,
+      countries: place.countries || (place.country ? [place.country] : []),
+      start: span.start,
+      end: span.end
+    };
+  }
+
+  /**
+   * Every country (name, native name, ISO code and common aliases) and the built-in regions
+   * @private
+   */
+  _addBuiltIns() {
+    Object.entries(countries).forEach(([code, country]) => {
+      this.add({
+        code,
+        name: country.name,
+        type: 'country',
+        country: code,
+        aliases: [code, country.native, ...(COUNTRY_ALIASES[code] || [])].filter(Boolean)
+      });
+    });
+
+    BUILT_IN_REGIONS.forEach(({ continents = [], exclude = [], countries: listed = [], ...region }) => {
+      const covered = Object.keys(countries).filter(code => continents.includes(countries[code].continent));
+      this.add({
+        ...region,
+        type: 'region',
+        countries: [...covered, ...listed].filter(code => !exclude.includes(code))
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _index(alias, code) {
+    if (CASE_SENSITIVE_PATTERN.test(alias)) {
+      this.codes.set(alias, code);
+      return;
+    }
+
+    const key = this._normalize(alias);
+    if (!key) return;
+    this.names.set(key, code);
+    this.maxTokens = Math.max(this.maxTokens, key.split(' ').length);
+  }
+
+  /**
+   * Key of an alias in the codes or names index
+   * @private
+   */
+  _indexKey(alias) {
+    return CASE_SENSITIVE_PATTERN.test(alias) ? alias : this._normalize(alias);
+  }
+
+  /**
+   * One place per line: name,type,code,country[,aliases]; blank lines and # comments are skipped
+   * @private
+   */
+  _importCSV(content, options) {
+    let count = 0;
+    content.split(/\r?\n/).forEach(line => {
+      if (!line.trim() || line.trim().startsWith('#')) return;
+      const [name, type, code, country = '', aliases = ''] = line.split(',').map(cell => cell.trim());
+      const codes = country.split('|').map(value => value.trim()).filter(Boolean);
+      this.add({
+        name,
+        type: type || options.type,
+        code: code || undefined,
+        ...(codes.length > 1 ? { countries: codes } : { country: codes[0] || null }),
+        aliases: aliases.split('|').map(value => value.trim()).filter(Boolean)
+      });
+      count++;
+    });
+    return count;
+  }
+
+  /**
+   * Lowercased words joined by single spaces, so case and punctuation never matter
+   * @private
+   */
+  _normalize(text) {
+    return (String(text).match(TOKEN_PATTERN) || []).join(' ').toLowerCase();
+  }
+}
+
+PlaceGazetteer.BUILT_IN_REGIONS = BUILT_IN_REGIONS.map(region => region.code);
+
+module.exports = PlaceGazetteer;
@@ -1,4 +1,5 @@
 const nlp = require('compromise');
+const LanguageDetector = require('./language-detector');
 
 class QueryAnalyzer {
   constructor(options = {}) {
@@ -24,8 +25,11 @@ class QueryAnalyzer {
       maxQueryLength: 20,
       entityThreshold: 0.3,
       conceptualThreshold: 0.2,
+      languageDetector: null,        // Shared LanguageDetector; per-language vocabularies come from it
       ...options
     };
+
+    this.languages = this.options.languageDetector || new LanguageDetector();
   }
 
   analyzeQuery(query, context = {}) {
@@ -33,7 +37,9 @@ class QueryAnalyzer {
       throw new Error('Query must be a non-empty string');
     }
 
-    const analysis = this._performAnalysis(query);
+    // context.language is a code (the engine's detection or the user's); detected here otherwise
+    const language = context.language || this.languages.detect(query).code;
+    const analysis = this._performAnalysis(query, context.parsedQuery, language, context.temporal);
     const weights = this._calculateWeights(analysis, context);
     
     return {
@@ -42,43 +48,55 @@ class QueryAnalyzer {
       confidence: weights.confidence,
       analysis: analysis,
       strategy: weights.strategy,
-      reasoning: weights.reasoning
+      reasoning: weights.reasoning,
+      adjustments: weights.adjustments
     };
   }
 
-  _performAnalysis(query) {
+  _performAnalysis(query, parsedQuery = null, language = 'en', temporal = null) {
     const words = query.toLowerCase().split(/\s+/).filter(w => w.length > 0);
     const wordCount = words.length;
+    const { conceptualWords, exactMatchIndicators, entityPatterns } = this._getVocabulary(language);
     
-    const doc = nlp(query);
+    // compromise only understands English
+    const doc = nlp(language === 'en' ? query : '');
     const entities = doc.topics().out('array');
     const verbs = doc.verbs().out('array');
     const nouns = doc.nouns().out('array');
     
+    // Date expressions the temporal parser turned into a range are no entities ("Q3 2024")
+    const temporalExpressions = temporal ? temporal.expressions : [];
+    const entityText = temporalExpressions.reduce((text, expression) => text.replace(expression.text, ' '), query);
+
     let entityCount = entities.length;
-    this.entityPatterns.forEach(pattern => {
-      const matches = query.match(pattern) || [];
+    entityPatterns.forEach(pattern => {
+      const matches = entityText.match(pattern) || [];
       entityCount += matches.length;
     });
 
     const conceptualCount = words.filter(word => 
-      this.conceptualWords.has(word)
+      conceptualWords.has(word)
     ).length;
 
     const exactMatchCount = words.filter(word => 
-      this.exactMatchIndicators.has(word)
+      exactMatchIndicators.has(word)
     ).length;
 
     const avgWordLength = words.reduce((sum, word) => sum + word.length, 0) / wordCount;
     const uniqueWordRatio = new Set(words).size / wordCount;
-    const quotedPhrases = (query.match(/["']([^"']+)["']/g) || []).length;
+    // The query parser strips the quotes from the analyzed text but keeps count of the phrases
+    const quotedPhrases = parsedQuery
+      ? parsedQuery.phrases.length
+      : (query.match(/["']([^"']+)["']/g) || []).length;
     
     return {
+      language,
       wordCount,
       entityCount,
       conceptualCount,
       exactMatchCount,
       quotedPhrases,
+      temporalExpressions: temporalExpressions.length,
       avgWordLength,
       uniqueWordRatio,
       entityRatio: entityCount / Math.max(wordCount, 1),
@@ -90,6 +108,22 @@ class QueryAnalyzer {
     };
   }
 
+  // English uses the sets above (plus any English resources), other languages their own lists
+  _getVocabulary(language) {
+    const resources = this.languages.getResources(language);
+    const english = language === 'en';
+    const merge = (defaults, list) => {
+      if (!list) return english ? defaults : new Set();
+      return english ? new Set([...defaults, ...list]) : list;
+    };
+    return {
+      conceptualWords: merge(this.conceptualWords, resources?.conceptualWords),
+      exactMatchIndicators: merge(this.exactMatchIndicators, resources?.exactMatchIndicators),
+      // The first entity pattern (capitalized words) means nothing where every noun is capitalized
+      entityPatterns: resources?.capitalizesNouns ? this.entityPatterns.slice(1) : this.entityPatterns
+    };
+  }
+
   _calculateComplexity(words, entities, verbs, nouns) {
     const factors = [
       words.length > 10 ? 0.3 : 0,
@@ -105,44 +139,57 @@ class QueryAnalyzer {
     let strategy = 'balanced';
     let confidence = 0.6;
     let reasoning = [];
+    const adjustments = [];
+
+    // Record each change to the lexical weight for explain/dry-run traces
+    const adjust = (factor, newLexicalWeight) => {
+      adjustments.push({
+        source: 'analysis',
+        factor,
+        lexicalBefore: lexicalWeight,
+        lexicalAfter: newLexicalWeight,
+        delta: newLexicalWeight - lexicalWeight
+      });
+      lexicalWeight = newLexicalWeight;
+    };
 
     if (analysis.quotedPhrases > 0 || analysis.exactMatchRatio > 0.1) {
-      lexicalWeight = 0.8;
+      adjust('exact_match', 0.8);
       strategy = 'exact_match';
       confidence = 0.9;
       reasoning.push('Exact match indicators - extra 30% lexical boost');
     } else if (analysis.entityRatio > this.options.entityThreshold) {
-      lexicalWeight = 0.75;
+      adjust('entity_focused', 0.75);
       strategy = 'entity_focused';
       confidence = 0.8;
       reasoning.push('High entity content - extra 25% lexical boost');
     } else if (analysis.conceptualRatio > this.options.conceptualThreshold) {
-      lexicalWeight = 0.3;
+      adjust('conceptual', 0.3);
       strategy = 'conceptual';
       confidence = 0.8;
       reasoning.push('Conceptual query - extra 20% semantic boost');
     } else if (analysis.wordCount <= 2) {
-      lexicalWeight = 0.65;
+      adjust('short_query', 0.65);
       strategy = 'short_query';
       confidence = 0.7;
       reasoning.push('Short queries - extra 15% lexical boost');
     } else if (analysis.wordCount >= 8) {
-      lexicalWeight = 0.4 + (analysis.entityRatio * 0.3);
+      adjust('descriptive', 0.4 + (analysis.entityRatio * 0.3));
       strategy = 'descriptive';
       confidence = 0.75;
       reasoning.push('Long descriptive queries - balanced approach with entity adjustment');
     }
 
     if (context.userIntent === 'factual') {
-      lexicalWeight += 0.1;
+      adjust('factual_intent', lexicalWeight + 0.1);
       reasoning.push('Factual intent - extra 10% lexical boost');
     } else if (context.userIntent === 'exploratory') {
-      lexicalWeight -= 0.15;
+      adjust('exploratory_intent', lexicalWeight - 0.15);
       reasoning.push('Exploratory intent - extra 15% semantic boost');
     }
 
     if (context.domain === 'technical') {
-      lexicalWeight += 0.05;
+      adjust('technical_domain', lexicalWeight + 0.05);
       reasoning.push('Technical domain - extra 5% lexical boost');
     }
 
@@ -153,7 +200,8 @@ class QueryAnalyzer {
       semantic: semanticWeight,
       confidence,
       strategy,
-      reasoning
+      reasoning,
+      adjustments
     };
   }
 }
@@ -2,60 +2,307 @@
  * Simplified QueryBuilder - Only essential functionality for hybrid search
  */
 
+const FilterBuilder = require('./filter-builder');
+const TemplateEngine = require('./template-engine');
+const RetrieverBuilder = require('./retriever-builder');
+
 class QueryBuilder {
   constructor(queryTemplates, options = {}) {
     this.queryTemplates = queryTemplates || {};
     this.options = {
       defaultInferenceId: 'my-elser-model',
+      partials: {},                  // Fragments shared across templates via {{> name}}
+      templateVariables: [],         // Extra variable names templates may use
+      spec: null,                    // Declarative query spec built by RetrieverBuilder (templates take precedence)
       ...options
     };
+
+    this.filterBuilder = new FilterBuilder(this.options.filterBuilder);
+    // Compiles and validates every template up front so a broken template fails at startup
+    this.templateEngine = this._createTemplateEngine();
+    this.retrieverBuilder = this._createRetrieverBuilder();
   }
 
   /**
-   * Build hybrid query using mustache templates
+   * Build hybrid query from the mustache templates or the query spec
+   * @param {object} constraints - Optional { filters, facets, boosts, decay } injected into the built query
+   * @param {object} expansions - Optional synonym expansions ({ lexicalQuery, variants }) from QueryEnhancer
+   * @param {string} language - Optional language code of the query ({{language}}, defaults to 'en')
+   * @param {string} semanticQuery - Optional text of the semantic side ({{semantic_query}}, defaults to the query)
    */
-  buildHybridQuery(query, weights, useRerank = true, inferenceId = null) {
-    const lexicalWeight = weights.lexicalWeight * 10;
-    const semanticWeight = weights.semanticWeight * 10;
-
+  buildHybridQuery(query, weights, useRerank = true, inferenceId = null, constraints = {}, expansions = null, language = null, semanticQuery = null) {
     // Choose the appropriate query template
-    const template = useRerank ? this.queryTemplates.rerank : this.queryTemplates.noRerank;
-    
-    if (!template) {
+    const templateKey = useRerank ? 'rerank' : 'noRerank';
+
+    if (!this.hasTemplate(templateKey)) {
       throw new Error(`Query template not found for useRerank: ${useRerank}`);
     }
-    
-    // Use provided inferenceId or fallback to default
-    const finalInferenceId = inferenceId || this.options.defaultInferenceId;
-    
-    // Replace mustache variables in the query template
-    const queryString = this._replaceTemplateVariables(template, {
-      query: query,
-      lexical_weight: lexicalWeight,
-      semantic_weight: semanticWeight,
-      inference_id: finalInferenceId
+
+    return this.buildTemplateQuery(templateKey, query, weights, inferenceId, constraints, expansions, language, semanticQuery);
+  }
+
+  /**
+   * Build a query from a named template or spec query key (e.g. the 'lexical' fallback)
+   * @param {string} templateKey - Key in the query templates
+   * @param {object} constraints - Optional { filters, facets, boosts, decay } injected into the built query
+   * @param {object} expansions - Optional synonym expansions ({ lexicalQuery, variants }) from QueryEnhancer
+   * @param {string} language - Optional language code of the query ({{language}}, defaults to 'en')
+   * @param {string} semanticQuery - Optional text of the semantic side ({{semantic_query}}, defaults to the query)
+   */
+  buildTemplateQuery(templateKey, query, weights, inferenceId = null, constraints = {}, expansions = null, language = null, semanticQuery = null) {
+    return this.renderTemplate(templateKey, this.getTemplateVariables(query, weights, {
+      inferenceId,
+      expansions,
+      language,
+      semanticQuery
+    }), constraints);
+  }
+
+  /**
+   * Variables every template and query spec receives, with the weights on the 0-10 scale
+   * @param {string} query - Search text
+   * @param {object} weights - Final weights ({ lexicalWeight, semanticWeight, fusion })
+   * @param {object} options - { inferenceId, expansions, language, semanticQuery }, each optional
+   * @returns {object} Template variables
+   */
+  getTemplateVariables(query, weights, { inferenceId = null, expansions = null, language = null, semanticQuery = null } = {}) {
+    return {
+      query,
+      ...QueryBuilder.getExpansionVariables(query, expansions),
+      semantic_query: semanticQuery || query,
+      language: language || 'en',
+      lexical_weight: weights.lexicalWeight * 10,
+      semantic_weight: weights.semanticWeight * 10,
+      // Use provided inferenceId or fallback to default
+      inference_id: inferenceId || this.getDefaultInferenceId(),
+      fusion: weights.fusion
+    };
+  }
+
+  /**
+   * Template variables of the lexical side: {{lexical_query}} is the query followed by its synonym and
+   * acronym alternatives; lexical_variants (one substitution each) feed the query spec's bool.should
+   * @param {string} query - Search text
+   * @param {object} expansions - { lexicalQuery, variants } or null
+   * @returns {object} { lexical_query, lexical_variants }
+   */
+  static getExpansionVariables(query, expansions = null) {
+    return {
+      lexical_query: expansions?.lexicalQuery || query,
+      lexical_variants: expansions?.variants || []
+    };
+  }
+
+  /**
+   * Render a template with explicit variables and apply filters and facets
+   * Templates that place {{filters}} themselves receive the filter clauses as a variable
+   * instead of having them injected; keys without a template are built from the query spec
+   * @param {string} templateKey - Key in the query templates
+   * @param {object} variables - Template variables, plus an optional `fusion` (see applyFusion)
+   * @param {object} constraints - Optional { filters, facets, boosts, decay }
+   * @returns {object} Query body
+   */
+  renderTemplate(templateKey, variables, constraints = {}) {
+    if (!this.templateEngine.has(templateKey)) {
+      if (this.retrieverBuilder?.has(templateKey)) {
+        return this.applyConstraints(this.retrieverBuilder.build(templateKey, variables), constraints);
+      }
+      throw new Error(`Query template not found: ${templateKey}`);
+    }
+
+    const placesFilters = this.templateEngine.usesVariable(templateKey, 'filters');
+    let esQuery = this.templateEngine.render(templateKey, {
+      ...variables,
+      filters: placesFilters ? this.filterBuilder.buildFilterClauses(constraints.filters || []) : []
+    });
+    esQuery = this.applyFusion(esQuery, variables.fusion);
+
+    return this.applyConstraints(esQuery, {
+      filters: placesFilters ? [] : constraints.filters,
+      facets: constraints.facets,
+      boosts: constraints.boosts,
+      decay: constraints.decay
     });
+  }
+
+  /**
+   * Whether a template exists or the query spec can build the key
+   * @param {string} templateKey - Key in the query templates
+   * @returns {boolean} True if the query can be built
+   */
+  hasTemplate(templateKey) {
+    return this.templateEngine.has(templateKey) || Boolean(this.retrieverBuilder?.has(templateKey));
+  }
+
+  /**
+   * Inference endpoint used when neither the caller nor the rerank policy picks one
+   * @param {string} fallback - Endpoint when the query spec names none
+   * @returns {string} Inference id
+   */
+  getDefaultInferenceId(fallback = this.options.defaultInferenceId) {
+    return this.retrieverBuilder?.getInferenceId() || fallback;
+  }
+
+  /**
+   * Inject structured filters (bool.filter), boosts (bool.should), a decay function (function_score)
+   * and facet aggregations into a built query
+   * @param {object} esQuery - Query body built from a template
+   * @param {object} constraints - { filters, facets, boosts, decay } descriptors (see FilterBuilder)
+   * @returns {object} Query body with filters, boosts, decay and facets applied
+   */
+  applyConstraints(esQuery, { filters, facets, boosts, decay } = {}) {
+    let body = esQuery;
+    if (boosts && boosts.length > 0) {
+      body = this.filterBuilder.applyBoosts(body, boosts);
+    }
+    if (decay) {
+      body = this.filterBuilder.applyDecay(body, decay);
+    }
+    if (filters && filters.length > 0) {
+      body = this.filterBuilder.applyFilters(body, filters);
+    }
+    if (facets && facets.length > 0) {
+      body = this.filterBuilder.applyFacets(body, facets);
+    }
+    return body;
+  }
+
+  /**
+   * Rebuild every weighted fusion retriever (linear, or rrf with weights) in a retriever body
+   * with another fusion method, keeping its child retrievers and weights
+   * @param {object} esQuery - Query body
+   * @param {object} fusion - { method: 'linear' | 'rrf' | 'weighted_rrf', rankConstant, rankWindowSize, normalizer }
+   * @returns {object} New query body with the fusion applied
+   */
+  applyFusion(esQuery, fusion) {
+    if (!fusion?.method || !esQuery.retriever) {
+      return esQuery;
+    }
+
+    const body = JSON.parse(JSON.stringify(esQuery));
+    body.retriever = this._setFusion(body.retriever, fusion);
+    return body;
+  }
+
+  /**
+   * @private
+   */
+  _setFusion(retriever, fusion) {
+    for (const [type, config] of Object.entries(retriever)) {
+      if (!config || typeof config !== 'object') continue;
+
+      const entries = Array.isArray(config.retrievers) ? config.retrievers : null;
+      // Plain rrf lists carry no weights to fuse with, so only weighted entries are rebuilt
+      if ((type === 'linear' || type === 'rrf') && entries?.length && entries.every(entry => entry.retriever && entry.weight !== undefined)) {
+        return RetrieverBuilder.buildFusion(
+          entries.map(({ retriever: child, weight }) => ({ retriever: this._setFusion(child, fusion), weight })),
+          { ...fusion, rankWindowSize: fusion.rankWindowSize ?? config.rank_window_size }
+        );
+      }
+
+      if (entries) {
+        config.retrievers = entries.map(entry => (entry.retriever
+          ? { ...entry, retriever: this._setFusion(entry.retriever, fusion) }
+          : this._setFusion(entry, fusion)));
+      } else if (config.retriever) {
+        config.retriever = this._setFusion(config.retriever, fusion);
+      }
+    }
+    return retriever;
+  }
+
+  /**
+   * Set the rank window of every text_similarity_reranker in a retriever body
+   * @param {object} esQuery - Query body
+   * @param {number} rankWindowSize - Documents to rerank (raised to the end of the requested page if smaller)
+   * @returns {object} New query body with the rank window applied
+   */
+  applyRerankWindow(esQuery, rankWindowSize) {
+    if (!rankWindowSize || !esQuery.retriever) {
+      return esQuery;
+    }
+
+    // ES rejects a rank window that ends before the page it has to fill
+    const windowSize = Math.max(rankWindowSize, (esQuery.from ?? 0) + (esQuery.size ?? 10));
+    const body = JSON.parse(JSON.stringify(esQuery));
+    this._setRankWindowSize(body.retriever, windowSize, false);
+    return body;
+  }
+
+  /**
+   * Raise the rank window of every compound retriever and reranker to reach the end of a page
+   * Their rank_window_size defaults to the page size, so a later page (from > 0) would come back empty
+   * @param {object} esQuery - Query body
+   * @param {number} windowSize - Position of the page's last hit (from + size)
+   * @returns {object} New query body with the rank windows raised
+   */
+  applyPageWindow(esQuery, windowSize) {
+    if (!esQuery.retriever) {
+      return esQuery;
+    }
+
+    const body = JSON.parse(JSON.stringify(esQuery));
+    this._raiseRankWindowSize(body.retriever, windowSize);
+    return body;
+  }
+
+  /**
+   * @private
+   */
+  _raiseRankWindowSize(retriever, windowSize) {
+    for (const [type, config] of Object.entries(retriever)) {
+      if (!config || typeof config !== 'object') continue;
+
+      if (type === 'text_similarity_reranker' || Array.isArray(config.retrievers)) {
+        config.rank_window_size = Math.max(config.rank_window_size || 0, windowSize);
+      }
 
-    try {
-      return JSON.parse(queryString);
-    } catch (error) {
-      throw new Error(`Failed to parse query template: ${error.message}`);
+      if (Array.isArray(config.retrievers)) {
+        config.retrievers.forEach(entry => this._raiseRankWindowSize(entry.retriever || entry, windowSize));
+      } else if (config.retriever) {
+        this._raiseRankWindowSize(config.retriever, windowSize);
+      }
     }
   }
 
   /**
-   * Replace mustache-style template variables
+   * Walk a retriever tree; compound retrievers under a reranker must supply at least its window
    * @private
    */
-  _replaceTemplateVariables(template, variables) {
-    let result = template;
-    
-    for (const [key, value] of Object.entries(variables)) {
-      const regex = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-      result = result.replace(regex, value);
+  _setRankWindowSize(retriever, windowSize, underReranker) {
+    for (const [type, config] of Object.entries(retriever)) {
+      if (!config || typeof config !== 'object') continue;
+
+      if (type === 'text_similarity_reranker') {
+        config.rank_window_size = windowSize;
+      } else if (underReranker && Array.isArray(config.retrievers)) {
+        config.rank_window_size = Math.max(config.rank_window_size || 0, windowSize);
+      }
+
+      const nested = type === 'text_similarity_reranker' || underReranker;
+      if (Array.isArray(config.retrievers)) {
+        config.retrievers.forEach(entry => this._setRankWindowSize(entry.retriever || entry, windowSize, nested));
+      } else if (config.retriever) {
+        this._setRankWindowSize(config.retriever, windowSize, nested);
+      }
     }
-    
-    return result;
+  }
+
+  /**
+   * @private
+   */
+  _createTemplateEngine() {
+    return new TemplateEngine(this.queryTemplates, {
+      partials: this.options.partials,
+      variables: this.options.templateVariables
+    });
+  }
+
+  /**
+   * @private
+   */
+  _createRetrieverBuilder() {
+    return this.options.spec ? new RetrieverBuilder(this.options.spec) : null;
   }
 
   /**
@@ -63,6 +310,16 @@ class QueryBuilder {
    */
   updateOptions(newOptions) {
     this.options = { ...this.options, ...newOptions };
+
+    if (newOptions.filterBuilder) {
+      this.filterBuilder.updateOptions(newOptions.filterBuilder);
+    }
+    if (newOptions.partials || newOptions.templateVariables) {
+      this.templateEngine = this._createTemplateEngine();
+    }
+    if (newOptions.spec !== undefined) {
+      this.retrieverBuilder = this._createRetrieverBuilder();
+    }
   }
 }
 
@@ -3,75 +3,230 @@
  * Separates enhancement logic from main application code
  */
 
-const { countries } = require('countries-list');
 const nlp = require('compromise');
-const words = require('wordlist-english');
+const SynonymDictionary = require('./synonym-dictionary');
+const EntityGazetteer = require('./entity-gazetteer');
+const PlaceGazetteer = require('./place-gazetteer');
+const LanguageDetector = require('./language-detector');
+
+// Words that neither make up nor describe an entity ("docs for Microsoft Office 365")
+const FUNCTION_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
 
 class QueryEnhancer {
   constructor(options = {}) {
     this.options = {
       enableRegionalDetection: true,
       enableProperNounDetection: true,
+      enableExpansion: true,
+      synonyms: [],                  // Initial synonym/acronym entries (see SynonymDictionary#load)
+      maxExpansionVariants: 10,
+      entities: [],                  // Initial known entities (see EntityGazetteer#import)
+      entityMatching: {},            // EntityGazetteer options, e.g. { fuzzy: true, maxEdits: 1 }
+      places: [],                    // Initial states, cities and regions (see PlaceGazetteer#import)
+      languageDetector: null,        // Shared LanguageDetector (the engine's); one is created from `language` otherwise
+      language: {},                  // LanguageDetector options when none is shared
       ...options
     };
 
-    // Generate regional patterns from countries-list package
-    this.regionPatterns = this._generateRegionalPatterns();
+    // Per-language dictionaries and indicator lists (English through wordlist-english)
+    this.languages = this.options.languageDetector || new LanguageDetector(this.options.language);
+
+    this.synonyms = new SynonymDictionary({
+      entries: this.options.synonyms,
+      maxVariants: this.options.maxExpansionVariants
+    });
 
-    // Create English words set from wordlist-english for fast lookup
-    this.englishWords = new Set(words.english);
+    this.entities = new EntityGazetteer({
+      entries: this.options.entities,
+      ...this.options.entityMatching
+    });
+
+    // Countries and built-in regions, plus the places loaded later
+    this.places = new PlaceGazetteer({ entries: this.options.places });
   }
 
   /**
    * Enhance a query with regional and proper noun analysis
    * @param {string} query - The search query
-   * @returns {object} Enhancement results including regions and proper nouns detected
+   * @param {object} context - { language } as a code or a LanguageDetector#detect result; detected when omitted
+   * @returns {object} Enhancement results including language, regions and proper nouns detected
    */
-  enhanceQuery(query) {
+  enhanceQuery(query, context = {}) {
     if (!query || typeof query !== 'string') {
       return this._getEmptyEnhancement();
     }
 
+    const language = this.detectLanguage(query, context.language);
     const enhancement = {
       originalQuery: query,
+      language,
       detectedRegion: null,
+      regions: [],
       properNouns: {
         hasProperNouns: false,
         properNouns: [],
         confidence: 0
       },
       queryStats: this._getQueryStats(query),
-      shouldAutoDisableRerank: false // New field for auto-disable decision
+      shouldAutoDisableRerank: false, // New field for auto-disable decision
+      expansions: this.expandQuery(query)
     };
 
     if (this.options.enableRegionalDetection) {
-      enhancement.detectedRegion = this.detectRegion(query);
+      enhancement.regions = this.detectRegions(query, language.code);
+      enhancement.detectedRegion = this._pickRegion(enhancement.regions, language.code);
     }
 
     if (this.options.enableProperNounDetection) {
-      enhancement.properNouns = this.detectProperNouns(query);
+      enhancement.properNouns = this.detectProperNouns(query, language.code);
     }
 
     // Determine if reranking should be auto-disabled
-    enhancement.shouldAutoDisableRerank = this.shouldAutoDisableRerank(query);
+    enhancement.shouldAutoDisableRerank = this.shouldAutoDisableRerank(query, language.code);
 
     // Add domain and intent classification
-    enhancement.domain = this.inferDomain(query);
-    enhancement.intent = this.inferIntent(query);
+    enhancement.domain = this.inferDomain(query, language.code);
+    enhancement.intent = this.inferIntent(query, language.code);
 
     return enhancement;
   }
 
+  /**
+   * Language of a query
+   * @param {string} query - The search query
+   * @param {string|object} language - Known language: a code (e.g. from the user's locale) or a detection
+   * @returns {object} { code, confidence, source: 'detected' | 'default' | 'user', scores }
+   */
+  detectLanguage(query, language = null) {
+    if (language && typeof language === 'object') return language;
+    if (language) return { code: String(language).toLowerCase(), confidence: 1, source: 'user', scores: {} };
+    return this.languages.detect(query);
+  }
+
+  /**
+   * Expand domain synonyms and acronyms into lexical variants
+   * @param {string} query - The search query
+   * @returns {object} { matches: [{ text, start, end, type, alternatives }], variants, lexicalQuery }
+   */
+  expandQuery(query) {
+    if (!this.options.enableExpansion || !query || typeof query !== 'string') {
+      return { matches: [], variants: [], lexicalQuery: query || '' };
+    }
+    return this.synonyms.expand(query);
+  }
+
+  /**
+   * Add a synonym or acronym entry
+   * @param {string} term - Term, e.g. 'PTO'
+   * @param {Array<string>|string} expansions - Equivalent phrases, e.g. ['paid time off']
+   * @param {object} options - { type: 'acronym' | 'synonym' }
+   */
+  addSynonyms(term, expansions, options = {}) {
+    this.synonyms.add(term, expansions, options);
+  }
+
+  /**
+   * Load synonym and acronym entries from JSON or CSV
+   * @param {string|object|Array} source - JSON/CSV text or parsed entries
+   * @param {object} options - { format: 'json' | 'csv' }
+   * @returns {number} Entries loaded
+   */
+  loadSynonyms(source, options = {}) {
+    return this.synonyms.load(source, options);
+  }
+
+  /**
+   * List synonym and acronym entries
+   * @param {string} type - Optional 'acronym' or 'synonym' filter
+   * @returns {Array<object>} [{ term, expansions, type }]
+   */
+  listSynonyms(type = null) {
+    return this.synonyms.list(type);
+  }
+
+  /**
+   * Entities known to the enhancer, for type-ahead suggestions
+   * @returns {Array<object>} [{ text, type }]
+   */
+  getKnownEntities() {
+    return [
+      ...this.entities.list().map(entry => ({ text: entry.text, type: entry.type })),
+      ...this.synonyms.list('acronym').map(entry => ({ text: entry.term, type: 'acronym' }))
+    ];
+  }
+
+  /**
+   * Add known entities, e.g. product or team names
+   * @param {Array<string|object>} entities - Texts, or { text, type, score }
+   * @param {object} options - { type } for entries that name none (default 'entity')
+   * @returns {number} Entities added
+   */
+  addEntities(entities, options = {}) {
+    return this.entities.addAll(entities, options);
+  }
+
+  /**
+   * Add known proper nouns (entities of type 'proper_noun')
+   * @param {Array<string>} properNouns - Proper nouns, single or multi-word
+   * @returns {number} Proper nouns added
+   */
+  addKnownProperNouns(properNouns) {
+    return this.entities.addAll(properNouns, { type: 'proper_noun' });
+  }
+
+  /**
+   * Remove a known entity
+   * @param {string} text - Entity text, in any case or punctuation
+   * @returns {boolean} True if the entity existed
+   */
+  removeEntity(text) {
+    return this.entities.remove(text);
+  }
+
+  /**
+   * Bulk import known entities
+   * @param {string|object|Array} source - See EntityGazetteer#import
+   * @param {object} options - { format: 'json' | 'csv', type }
+   * @returns {number} Entities imported
+   */
+  importEntities(source, options = {}) {
+    return this.entities.import(source, options);
+  }
+
+  /**
+   * Known entities, optionally of one type
+   * @param {string} type - Entity type
+   * @returns {Array<object>} [{ text, type, score }]
+   */
+  listEntities(type = null) {
+    return this.entities.list(type);
+  }
+
+  /**
+   * Capitalized word missing from the dictionary, the enterprise proper noun heuristic
+   * @param {string} word - Word as written
+   * @param {string} language - Language code (English when omitted); without a dictionary for the
+   *   language no word counts as missing
+   * @returns {boolean} True if the word is likely a proper noun
+   */
+  isLikelyProperNoun(word, language = null) {
+    const cleanWord = this._cleanWord(word);
+    return this._hasCapitalization(word) && cleanWord.length > 0 && this._isDictionaryWord(cleanWord, language) === false;
+  }
+
   /**
    * Determine if reranking should be auto-disabled for this query
    * @param {string} query - The search query
+   * @param {string} language - Language code
    * @returns {boolean} True if reranking should be auto-disabled
    */
-  shouldAutoDisableRerank(query) {
+  shouldAutoDisableRerank(query, language = null) {
     if (!query || typeof query !== 'string') return false;
     
     const stats = this._getQueryStats(query);
-    const properNouns = this.detectProperNouns(query);
+    const properNouns = this.detectProperNouns(query, language);
     
     // Auto-disable for single-word proper noun queries
     // (Note: Updated package has detectProperNouns only work for single words)
@@ -81,63 +236,91 @@ class QueryEnhancer {
   /**
    * Detect regional context in query
    * @param {string} query - The search query
-   * @returns {string|null} Detected region code or null
+   * @param {string} language - Language code: country names in that language also match, and
+   *   when several regions are named the first country where the language is spoken wins
+   * @returns {string|null} Detected region: the country of the preferred place, or the code of a
+   *   multi-country region ('EMEA'); null when none
    */
-  detectRegion(query) {
-    if (!query || typeof query !== 'string') return null;
-    
-    const queryWords = query.split(/\s+/);
-    
-    // Check for exact matches first (more specific)
-    for (const [region, patterns] of Object.entries(this.regionPatterns)) {
-      for (const pattern of patterns) {
-        
-        // For 2-letter country codes, only match if they're uppercase in the original query
-        if (pattern.length === 2 && /^[A-Z]{2}$/.test(pattern)) {
-          // Check if this exact uppercase pattern exists as a whole word in the query
-          const exactPattern = new RegExp(`\\b${pattern}\\b`);
-          if (exactPattern.test(query)) {
-            return region;
-          }
-        } else {
-          // For longer country names and patterns, do case-insensitive matching
-          const patternLower = pattern.toLowerCase();
-          const queryLower = query.toLowerCase();
-          
-          // Check for whole word matches to avoid false positives
-          const wordBoundaryPattern = new RegExp(`\\b${patternLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
-          if (wordBoundaryPattern.test(queryLower)) {
-            return region;
-          }
+  detectRegion(query, language = null) {
+    return this._pickRegion(this.detectRegions(query, language), language);
+  }
+
+  /**
+   * Detect every place a query mentions: countries, regions (EMEA, APAC...), and the states and
+   * cities loaded with addPlaces
+   * @param {string} query - The search query
+   * @param {string} language - Language code: country names in that language also match
+   * @returns {Array<object>} [{ text, code, name, type, country, countries, start, end }] in query order
+   */
+  detectRegions(query, language = null) {
+    if (!query || typeof query !== 'string') return [];
+
+    const matches = this.places.find(query);
+    // Country names in the query's language ("Spanien", "Alemania") fill the gaps
+    if (language) {
+      this.languages.findRegions(query, language).forEach(({ region, text, start, end }) => {
+        const overlaps = matches.some(match => start < match.end && match.start < end);
+        if (!overlaps && this.places.get(region)) {
+          matches.push(this.places.describe(region, { text, start, end }));
         }
-      }
+      });
     }
-    
-    return null;
+    return matches.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Add states, provinces, cities or multi-country regions
+   * @param {Array<object>} places - { name, type, code, country, countries, aliases } (see PlaceGazetteer#add)
+   * @param {object} options - { type } for places that name none
+   * @returns {number} Places added
+   */
+  addPlaces(places, options = {}) {
+    return this.places.addAll(places, options);
   }
 
   /**
-   * Detect proper nouns in query using compromise NLP library
+   * Bulk import places from JSON or CSV
+   * @param {string|Array} source - JSON/CSV text (name,type,code,country[,aliases] per line) or parsed places
+   * @param {object} options - { format: 'json' | 'csv', type }
+   * @returns {number} Places imported
+   */
+  importPlaces(source, options = {}) {
+    return this.places.import(source, options);
+  }
+
+
+  /**
+   * Detect proper nouns in query using compromise NLP library and the entity gazetteer
    * @param {string} query - The search query
-   * @returns {object} Proper noun analysis results
+   * @param {string} language - Language code; dictionary checks use that language's dictionary and
+   *   compromise (English-only) is skipped for other languages
+   * @returns {object} Proper noun analysis results, with the known entities found (and their spans),
+   *   the share of content words they cover and the descriptive words left over
    */
-  detectProperNouns(query) {
+  detectProperNouns(query, language = null) {
     if (!query || typeof query !== 'string') {
-      return { hasProperNouns: false, properNouns: [], confidence: 0 };
+      return { hasProperNouns: false, properNouns: [], confidence: 0, entities: [], coverage: 0, descriptiveWords: [] };
     }
 
     const words = query.trim().split(/\s+/);
+    const entities = this.entities.find(query);
     
-    // Only apply proper noun detection to single-word queries
+    // Multi-word queries only yield known entities; the heuristics below judge single words
     if (words.length !== 1) {
-      return { hasProperNouns: false, properNouns: [], confidence: 0 };
+      return this._describeProperNouns(query, entities, entities.map(match => ({
+        word: match.text,
+        confidence: match.fuzzy ? 0.75 : 0.95,
+        reasons: [match.fuzzy ? 'fuzzy_entity' : 'known_entity'],
+        nlpType: null,
+        start: match.start,
+        end: match.end
+      })));
     }
 
     const detectedNouns = [];
-    let totalConfidence = 0;
 
-    // Use compromise for advanced NLP analysis
-    const doc = nlp(query);
+    // Use compromise for advanced NLP analysis (English only)
+    const doc = nlp(this._isEnglish(language) ? query : '');
     
     // Check for various types of proper nouns using compromise
     const properNounChecks = [
@@ -164,7 +347,8 @@ class QueryEnhancer {
 
     // Also check our existing strategies for the single word
     const word = words[0];
-    const cleanWord = word.toLowerCase().replace(/[^\w]/g, '');
+    const cleanWord = this._cleanWord(word);
+    const inDictionary = this._isDictionaryWord(cleanWord, language);
     let manualConfidence = 0;
     let reasons = [];
 
@@ -174,9 +358,16 @@ class QueryEnhancer {
       reasons.push(`nlp_${compromiseType.toLowerCase()}`);
     }
 
+    // Strategy 0: Entities from the gazetteer, whatever their case in the query
+    if (entities.length > 0) {
+      manualConfidence += entities[0].fuzzy ? 0.6 : 0.9;
+      reasons.push(entities[0].fuzzy ? 'fuzzy_entity' : 'known_entity');
+    }
+
     // Strategy 1: Enterprise Context - Capitalized Non-Dictionary Words
-    // In enterprise environments, capitalized words not in the English dictionary are likely proper nouns
-    if (this._hasCapitalization(word) && !this._isEnglishWord(cleanWord)) {
+    // In enterprise environments, capitalized words not in the dictionary are likely proper nouns
+    // (a language without a dictionary cannot tell, so its words are never "non-dictionary")
+    if (this._hasCapitalization(word) && inDictionary === false) {
       manualConfidence += 0.7;
       reasons.push('capitalized_non_dictionary');
     }
@@ -184,7 +375,7 @@ class QueryEnhancer {
     // Strategy 2: Capitalization with Dictionary Check
     // Capitalized words that ARE in dictionary get lower confidence (might be sentence starts)
     if (this._hasProperCapitalization(word)) {
-      if (this._isEnglishWord(cleanWord)) {
+      if (inDictionary !== false) {
         manualConfidence += 0.1; // Lower confidence for dictionary words
         reasons.push('capitalized_dictionary_word');
       } else {
@@ -199,6 +390,12 @@ class QueryEnhancer {
       reasons.push('acronym');
     }
 
+    // Strategy 3b: Acronyms from the synonym dictionary, whatever their case in the query
+    if (this.synonyms.isAcronym(word)) {
+      manualConfidence += 0.6;
+      reasons.push('known_acronym');
+    }
+
     // Strategy 4: Product code patterns (alphanumeric with specific patterns)
     if (this._isProductCode(word)) {
       manualConfidence += 0.4;
@@ -215,22 +412,42 @@ class QueryEnhancer {
     // LOWERED threshold from 0.4 to 0.2 for enterprise context
     const finalConfidence = Math.min(manualConfidence, 1.0);
     if (finalConfidence >= 0.2 || compromiseDetected) {
+      const start = query.indexOf(word);
       detectedNouns.push({
         word: word,
         confidence: finalConfidence,
         reasons: reasons,
-        nlpType: compromiseType
+        nlpType: compromiseType,
+        start,
+        end: start + word.length
       });
-      totalConfidence += finalConfidence;
     }
 
+    return this._describeProperNouns(query, entities, detectedNouns);
+  }
+
+  /**
+   * Proper noun results, with how much of the query the proper nouns cover: a query with
+   * descriptive words left over ("Microsoft Office 365 install guide") is not a pure entity lookup
+   * @private
+   */
+  _describeProperNouns(query, entities, detectedNouns) {
+    const contentTokens = this.entities.tokenize(query)
+      .filter(token => !FUNCTION_WORDS.has(token.text.toLowerCase()));
+    const descriptiveWords = contentTokens
+      .filter(token => !detectedNouns.some(noun => token.start >= noun.start && token.end <= noun.end))
+      .map(token => token.text);
+    const totalConfidence = detectedNouns.reduce((sum, noun) => sum + noun.confidence, 0);
     const avgConfidence = detectedNouns.length > 0 ? totalConfidence / detectedNouns.length : 0;
-    
+
     return {
       hasProperNouns: detectedNouns.length > 0,
       properNouns: detectedNouns.map(n => n.word),
       confidence: Math.min(avgConfidence, 1.0),
-      analysis: detectedNouns
+      analysis: detectedNouns,
+      entities,
+      coverage: contentTokens.length > 0 ? 1 - descriptiveWords.length / contentTokens.length : 0,
+      descriptiveWords
     };
   }
 
@@ -254,10 +471,13 @@ class QueryEnhancer {
   _getEmptyEnhancement() {
     return {
       originalQuery: '',
+      language: null,
       detectedRegion: null,
-      properNouns: { hasProperNouns: false, properNouns: [], confidence: 0 },
+      regions: [],
+      properNouns: { hasProperNouns: false, properNouns: [], confidence: 0, entities: [], coverage: 0, descriptiveWords: [] },
       queryStats: { wordCount: 0, characterCount: 0, avgWordLength: 0 },
       shouldAutoDisableRerank: false,
+      expansions: { matches: [], variants: [], lexicalQuery: '' },
       domain: 'general',
       intent: 'general'
     };
@@ -306,28 +526,43 @@ class QueryEnhancer {
    * @param {Array<string>} patterns - Array of patterns for this region
    */
   addRegionalPatterns(regionCode, patterns) {
-    if (!this.regionPatterns[regionCode]) {
-      this.regionPatterns[regionCode] = [];
+    this.places.addAliases(regionCode, patterns);
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+    if (newOptions.maxExpansionVariants !== undefined) {
+      this.synonyms.options.maxVariants = newOptions.maxExpansionVariants;
+    }
+    if (newOptions.language && !newOptions.languageDetector) {
+      this.languages.updateOptions(newOptions.language);
+    }
+    if (newOptions.entityMatching) {
+      this.entities.options = { ...this.entities.options, ...newOptions.entityMatching };
     }
-    this.regionPatterns[regionCode].push(...patterns);
   }
 
   /**
    * Infer the domain/category of a search query
    * @param {string} query - The search query
+   * @param {string} language - Language code; its technicalTerms/businessTerms lists replace the
+   *   English terms below (English lists are extended instead)
    * @returns {string} Domain classification: 'technical', 'business', or 'general'
    */
-  inferDomain(query) {
+  inferDomain(query, language = null) {
     if (!query || typeof query !== 'string') return 'general';
 
-    const technicalTerms = ['api', 'code', 'database', 'server', 'configuration', 'system'];
-    const businessTerms = ['policy', 'process', 'training', 'compliance', 'procedure'];
+    const technicalTerms = this._isEnglish(language) ? ['api', 'code', 'database', 'server', 'configuration', 'system'] : [];
+    const businessTerms = this._isEnglish(language) ? ['policy', 'process', 'training', 'compliance', 'procedure'] : [];
     
     const lowerQuery = query.toLowerCase();
     
-    if (technicalTerms.some(term => lowerQuery.includes(term))) {
+    if (technicalTerms.some(term => lowerQuery.includes(term)) || this._mentionsIndicator(query, language, 'technicalTerms')) {
       return 'technical';
-    } else if (businessTerms.some(term => lowerQuery.includes(term))) {
+    } else if (businessTerms.some(term => lowerQuery.includes(term)) || this._mentionsIndicator(query, language, 'businessTerms')) {
       return 'business';
     }
     
@@ -337,19 +572,21 @@ class QueryEnhancer {
   /**
    * Infer the intent/purpose of a search query
    * @param {string} query - The search query
+   * @param {string} language - Language code; its factualIndicators/exploratoryIndicators lists replace
+   *   the English indicators below (English lists are extended instead)
    * @returns {string} Intent classification: 'factual', 'exploratory', or 'general'
    */
-  inferIntent(query) {
+  inferIntent(query, language = null) {
     if (!query || typeof query !== 'string') return 'general';
 
-    const factualIndicators = ['what', 'when', 'where', 'who', 'how'];
-    const exploratoryIndicators = ['similar', 'like', 'about', 'related'];
+    const factualIndicators = this._isEnglish(language) ? ['what', 'when', 'where', 'who', 'how'] : [];
+    const exploratoryIndicators = this._isEnglish(language) ? ['similar', 'like', 'about', 'related'] : [];
     
     const lowerQuery = query.toLowerCase();
     
-    if (factualIndicators.some(indicator => lowerQuery.includes(indicator))) {
+    if (factualIndicators.some(indicator => lowerQuery.includes(indicator)) || this._mentionsIndicator(query, language, 'factualIndicators')) {
       return 'factual';
-    } else if (exploratoryIndicators.some(indicator => lowerQuery.includes(indicator))) {
+    } else if (exploratoryIndicators.some(indicator => lowerQuery.includes(indicator)) || this._mentionsIndicator(query, language, 'exploratoryIndicators')) {
       return 'exploratory';
     }
     
@@ -357,48 +594,14 @@ class QueryEnhancer {
   }
 
   /**
-   * Generate regional patterns from countries-list data
+   * The preferred place's country (or multi-country region code): the first country where the
+   * language is spoken, else the first place named
    * @private
    */
-  _generateRegionalPatterns() {
-    const patterns = {};
-    
-    for (const [countryCode, countryData] of Object.entries(countries)) {
-      const countryPatterns = [
-        countryCode,
-        countryData.name,
-        countryData.native // Native name if different from English name
-      ];
-      
-      // Add only critical special cases that can't be derived
-      const criticalCases = this._getCriticalSpecialCases(countryCode);
-      countryPatterns.push(...criticalCases);
-      
-      patterns[countryCode] = [...new Set(countryPatterns.filter(p => p && p.length > 0))];
-    }
-    
-    return patterns;
-  }
-  
-  
-  /**
-   * Get critical special cases that cannot be derived from country names
-   * Only includes the most commonly used alternatives in search queries
-   * @private
-   */
-  _getCriticalSpecialCases(countryCode) {
-    // Only include cases where alternative names are very commonly used
-    // and cannot be reasonably derived from the official country name
-    const criticalCases = {
-      'US': ['USA', 'America', 'American'],
-      'GB': ['UK', 'Britain', 'British', 'England', 'English'], 
-      'NL': ['Dutch', 'Holland'],
-      'CH': ['Swiss'],
-      'KR': ['Korea', 'South Korea'],
-      'DE': ['Deutschland']
-    };
-    
-    return criticalCases[countryCode] || [];
+  _pickRegion(matches, language) {
+    if (matches.length === 0) return null;
+    const preferred = (language && matches.find(match => match.country && this.languages.isSpokenIn(language, match.country))) || matches[0];
+    return preferred.country || preferred.code;
   }
 
   /**
@@ -414,7 +617,47 @@ class QueryEnhancer {
    * @private
    */
   _isEnglishWord(word) {
-    return this.englishWords.has(word.toLowerCase());
+    return this.languages.isWord(word, 'en') === true;
+  }
+
+  /**
+   * Check if word is in the dictionary of a language (English when none is given)
+   * @private
+   * @returns {boolean|null} null when the language has no dictionary
+   */
+  _isDictionaryWord(word, language) {
+    return this._isEnglish(language) ? this._isEnglishWord(word) : this.languages.isWord(word, language);
+  }
+
+  /**
+   * English (or no language given) keeps the built-in English heuristics and indicator lists
+   * @private
+   */
+  _isEnglish(language) {
+    return !language || language === 'en';
+  }
+
+  /**
+   * Lowercase a word and strip everything but letters and digits
+   * @private
+   */
+  _cleanWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}_]/gu, '');
+  }
+
+  /**
+   * Whether the query mentions a word or phrase of one of the language's indicator lists
+   * @private
+   */
+  _mentionsIndicator(query, language, listName) {
+    const list = this.languages.getResources(language || 'en')?.[listName];
+    if (!list || list.size === 0) return false;
+
+    const queryLower = query.toLowerCase();
+    return Array.from(list).some(term => {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u').test(queryLower);
+    });
   }
   
 }
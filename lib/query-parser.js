@@ -0,0 +1,313 @@
+/**
+ * QueryParser - Search syntax for power users
+ * Parses field:value, -exclusions, OR, site: and "quoted phrases" into an AST and compiles it
+ * into filter descriptors (see FilterBuilder) plus the remaining free text, which is all that
+ * reaches analysis, the lexical text and the semantic retriever
+ */
+
+const FIELD_PATTERN = /^([A-Za-z_][\w.]*):(.*)$/;
+
+class QueryParser {
+  constructor(options = {}) {
+    this.options = {
+      enabled: true,
+      // Searchable field names -> ES field ('author.keyword') or { field, type: 'terms' | 'text' | 'wildcard' };
+      // unknown names stay free text, so "10:30" or "re:invent" are searched as typed.
+      // category: is built in (see categoryMapping)
+      fields: { author: { field: 'unified_author', type: 'text' } },
+      siteField: 'unified_url',      // Field matched by site:, null disables site:
+      textFields: ['unified_title', 'unified_content', 'unified_description'], // Phrases and exclusions
+      phraseBoost: 2,                // Boost of documents containing a quoted phrase
+      categoryMapping: {},           // Index -> category, so category:Bookmarks filters on _index
+      ...options
+    };
+  }
+
+  /**
+   * Parse a query and compile it into free text and filter descriptors
+   * @param {string} query - Query as typed
+   * @returns {object} {
+   *   original, text, ast, filters, phrases, exclusions,
+   *   boosts - scored should clauses for the quoted phrases (see FilterBuilder.applyBoosts),
+   *   hasSyntax - whether any operator was found (text is the query itself otherwise)
+   * }
+   */
+  parse(query) {
+    const original = typeof query === 'string' ? query.trim() : '';
+    const ast = { type: 'query', clauses: this._parseClauses(this._tokenize(original)) };
+
+    const compiled = { words: [], filters: [], boosts: [], phrases: [], exclusions: [] };
+    ast.clauses.forEach(node => this._compile(node, compiled));
+
+    let text = compiled.words.join(' ');
+    const hasSyntax = ast.clauses.some(node => node.type !== 'text');
+    if (!text && hasSyntax) {
+      // Only operators were given: search the values they name, e.g. category:Bookmarks
+      text = this._collectValues(ast.clauses).join(' ');
+    }
+    if (!text) {
+      throw new Error('Query must contain search terms besides exclusions');
+    }
+
+    return {
+      original,
+      text: hasSyntax ? text : original,
+      ast,
+      filters: compiled.filters,
+      boosts: compiled.boosts,
+      phrases: compiled.phrases,
+      exclusions: compiled.exclusions,
+      hasSyntax
+    };
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+  }
+
+  /**
+   * Split into words, quoted phrases, field:value (the value may be quoted), '-' prefixes and OR
+   * @private
+   */
+  _tokenize(query) {
+    const tokens = [];
+    const pattern = /(-?)((?:[A-Za-z_][\w.]*:)?)"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+      if (match[4] !== undefined) {
+        tokens.push(this._readWord(match[4]));
+        continue;
+      }
+
+      const negated = match[1] === '-';
+      const field = match[2] ? match[2].slice(0, -1) : null;
+      const value = match[3].trim();
+      if (!value) continue;
+      tokens.push(field ? this._fieldToken(field, value, true, negated) : { kind: 'phrase', value, negated });
+    }
+    return tokens;
+  }
+
+  /**
+   * @private
+   */
+  _readWord(word) {
+    if (word === 'OR') return { kind: 'or' };
+
+    // '-' negates words starting with a letter, so '-1' or '-' stay text
+    const negated = /^-[\p{L}_]/u.test(word);
+    const body = negated ? word.slice(1) : word;
+    // A stray quote (unterminated phrase) is not part of the word
+    const clean = body.replace(/"/g, '');
+
+    const fieldMatch = clean.match(FIELD_PATTERN);
+    if (fieldMatch && fieldMatch[2]) {
+      return this._fieldToken(fieldMatch[1], fieldMatch[2], false, negated);
+    }
+    return clean ? { kind: 'text', value: clean, negated } : { kind: 'empty' };
+  }
+
+  /**
+   * Field tokens for unknown field names fall back to text
+   * @private
+   */
+  _fieldToken(name, value, quoted, negated) {
+    const field = name.toLowerCase();
+    return this._resolveField(field)
+      ? { kind: 'field', field, value, quoted, negated }
+      : { kind: 'text', value: `${name}:${value}`, negated };
+  }
+
+  /**
+   * Group tokens into AST nodes; OR binds the clauses on either side
+   * @private
+   */
+  _parseClauses(tokens) {
+    const clauses = [];
+    let pendingOr = false;
+
+    tokens.forEach(token => {
+      if (token.kind === 'empty') return;
+      if (token.kind === 'or') {
+        pendingOr = clauses.length > 0;
+        return;
+      }
+
+      const node = this._toNode(token);
+      if (pendingOr) {
+        const previous = clauses.pop();
+        clauses.push(previous.type === 'or'
+          ? { type: 'or', clauses: [...previous.clauses, node] }
+          : { type: 'or', clauses: [previous, node] });
+        pendingOr = false;
+      } else {
+        clauses.push(node);
+      }
+    });
+    return clauses;
+  }
+
+  /**
+   * @private
+   */
+  _toNode(token) {
+    const node = token.kind === 'field'
+      ? { type: 'field', field: token.field, value: token.value, quoted: token.quoted }
+      : { type: token.kind, value: token.value };
+    return token.negated ? { type: 'not', clause: node } : node;
+  }
+
+  /**
+   * Turn a node into free-text words, filter descriptors and phrase boosts
+   * A phrase ranks the documents containing it higher; only an excluded phrase filters
+   * @private
+   */
+  _compile(node, compiled) {
+    switch (node.type) {
+      case 'text':
+        compiled.words.push(node.value);
+        break;
+      case 'phrase':
+        compiled.words.push(node.value);
+        compiled.phrases.push(node.value);
+        compiled.boosts.push(this._phraseBoost(this._textFilter(node.value, true)));
+        break;
+      case 'field':
+        compiled.filters.push(this._fieldFilter(node));
+        break;
+      case 'not':
+        compiled.exclusions.push(this._describe(node.clause));
+        compiled.filters.push({
+          ...(node.clause.type === 'field'
+            ? this._fieldFilter(node.clause)
+            : this._textFilter(node.clause.value, node.clause.type === 'phrase')),
+          exclude: true
+        });
+        break;
+      case 'or':
+        this._compileOr(node, compiled);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * OR of fields is an 'any' filter and OR of phrases one boost; OR involving free text is just free text,
+   * which multi_match already treats as alternatives
+   * @private
+   */
+  _compileOr(node, compiled) {
+    const { clauses } = node;
+
+    if (clauses.every(clause => clause.type === 'field')) {
+      const filters = clauses.map(clause => this._fieldFilter(clause));
+      const sameTermsField = filters.every(filter => filter.type === 'terms' && filter.field === filters[0].field);
+      compiled.filters.push(sameTermsField
+        ? { type: 'terms', field: filters[0].field, values: [...new Set(filters.flatMap(filter => filter.values))] }
+        : { type: 'any', filters });
+      return;
+    }
+
+    if (clauses.every(clause => clause.type === 'phrase')) {
+      clauses.forEach(clause => {
+        compiled.words.push(clause.value);
+        compiled.phrases.push(clause.value);
+      });
+      compiled.boosts.push(this._phraseBoost({
+        type: 'any',
+        filters: clauses.map(clause => this._textFilter(clause.value, true))
+      }));
+      return;
+    }
+
+    compiled.words.push(...this._collectValues(clauses));
+  }
+
+  /**
+   * @private
+   */
+  _textFilter(value, phrase) {
+    return { type: 'text', fields: [...this.options.textFields], query: value, phrase };
+  }
+
+  /**
+   * @private
+   */
+  _phraseBoost(filter) {
+    return { ...filter, boost: this.options.phraseBoost, scored: true };
+  }
+
+  /**
+   * @private
+   */
+  _fieldFilter(node) {
+    const target = this._resolveField(node.field);
+
+    if (node.field === 'category' && !this.options.fields.category) {
+      return { type: 'terms', field: '_index', values: this._indicesForCategory(node.value) };
+    }
+    if (target.type === 'text') {
+      return { type: 'text', fields: [target.field], query: node.value, phrase: true };
+    }
+    if (target.type === 'wildcard') {
+      return { type: 'wildcard', field: target.field, value: `*${node.value.toLowerCase()}*` };
+    }
+    return { type: 'terms', field: target.field, values: [node.value] };
+  }
+
+  /**
+   * Configured field, or the built-in site: and category: fields
+   * @private
+   */
+  _resolveField(name) {
+    const configured = this.options.fields[name];
+    if (configured) {
+      return typeof configured === 'string' ? { field: configured, type: 'terms' } : { type: 'terms', ...configured };
+    }
+    if (name === 'site' && this.options.siteField) {
+      return { field: this.options.siteField, type: 'wildcard' };
+    }
+    if (name === 'category') {
+      return { field: '_index', type: 'terms' };
+    }
+    return null;
+  }
+
+  /**
+   * Indices whose category matches (case-insensitively); the value itself when none does
+   * @private
+   */
+  _indicesForCategory(category) {
+    const lower = category.toLowerCase();
+    const indices = Object.entries(this.options.categoryMapping)
+      .filter(([, name]) => String(name).toLowerCase() === lower)
+      .map(([index]) => index);
+    return indices.length > 0 ? indices : [category];
+  }
+
+  /**
+   * Text and values named by positive clauses
+   * @private
+   */
+  _collectValues(clauses) {
+    return clauses.flatMap(clause => {
+      if (clause.type === 'or') return this._collectValues(clause.clauses);
+      if (clause.type === 'not') return [];
+      return [clause.value];
+    });
+  }
+
+  /**
+   * @private
+   */
+  _describe(node) {
+    if (node.type === 'field') return `${node.field}:${node.quoted ? `"${node.value}"` : node.value}`;
+    return node.type === 'phrase' ? `"${node.value}"` : node.value;
+  }
+}
+
+module.exports = QueryParser;
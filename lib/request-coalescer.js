@@ -0,0 +1,101 @@
+/**
+ * RequestCoalescer - Shares one in-flight request between concurrent identical callers
+ * Each caller can abandon the shared request with its own AbortSignal or deadline; the request
+ * itself runs under the longest deadline of the callers that joined it and is aborted only once
+ * every caller waiting on it has left
+ */
+
+const RequestExecutor = require('./request-executor');
+
+class RequestCoalescer {
+  constructor() {
+    // key -> { promise, controller, deadline, waiters }
+    this.pending = new Map();
+  }
+
+  /**
+   * Run a request, or join the identical one already in flight
+   * @param {string} key - Identity of the request
+   * @param {Function} fetchData - async ({ signal, deadline }) => result, called once per key in
+   *   flight; the deadline grows as callers with later deadlines join (null once one has none) and
+   *   the signal aborts when every caller has cancelled or run past its deadline
+   * @param {object} requestOptions - This caller's { signal, deadline }, bounding only its own wait
+   * @returns {Promise<*>} Shared result
+   */
+  run(key, fetchData, requestOptions = {}) {
+    let pending = this.pending.get(key);
+    // A request every earlier caller abandoned is not joined: this caller gets a request of its own
+    if (!pending || pending.controller.signal.aborted) {
+      const controller = new AbortController();
+      const entry = { controller, deadline: requestOptions.deadline || null, waiters: 0 };
+      const sharedOptions = { signal: controller.signal, get deadline() { return entry.deadline; } };
+      entry.promise = Promise.resolve()
+        .then(() => fetchData(sharedOptions))
+        .finally(() => {
+          if (this.pending.get(key) === entry) this.pending.delete(key);
+        });
+      // Nobody may be waiting when an abandoned request settles
+      entry.promise.catch(() => {});
+      this.pending.set(key, entry);
+      pending = entry;
+    } else if (pending.deadline !== null) {
+      pending.deadline = requestOptions.deadline ? Math.max(pending.deadline, requestOptions.deadline) : null;
+    }
+
+    return this._await(key, pending, requestOptions);
+  }
+
+  /**
+   * Number of requests in flight
+   */
+  get size() {
+    return this.pending.size;
+  }
+
+  /**
+   * Wait for a shared request, rejecting early when this caller's signal aborts or deadline passes
+   * @private
+   */
+  async _await(key, pending, { signal, deadline } = {}) {
+    if (signal?.aborted) {
+      throw RequestExecutor.createError(RequestExecutor.ERROR_CODES.aborted, 'Request aborted');
+    }
+    if (deadline && deadline <= Date.now()) {
+      throw RequestExecutor.createError(RequestExecutor.ERROR_CODES.timeout, 'Request exceeded the search deadline');
+    }
+
+    pending.waiters++;
+    // Set when this caller leaves before the shared request settles
+    let abandoned = false;
+    let onAbort;
+    let timer;
+    const left = new Promise((resolve, reject) => {
+      const leave = (code, message) => {
+        abandoned = true;
+        reject(RequestExecutor.createError(code, message));
+      };
+      onAbort = () => leave(RequestExecutor.ERROR_CODES.aborted, 'Request aborted');
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (deadline) {
+        timer = setTimeout(
+          () => leave(RequestExecutor.ERROR_CODES.timeout, 'Request exceeded the search deadline'),
+          deadline - Date.now()
+        );
+      }
+    });
+
+    try {
+      return await Promise.race([pending.promise, left]);
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      clearTimeout(timer);
+      pending.waiters--;
+      if (abandoned && pending.waiters === 0) {
+        pending.controller.abort();
+        if (this.pending.get(key) === pending) this.pending.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = RequestCoalescer;
@@ -0,0 +1,272 @@
+/**
+ * RequestExecutor - Resilient execution of Elasticsearch client calls
+ * Adds per-search deadlines, AbortSignal cancellation, retries with exponential backoff and
+ * jitter for retryable errors, and a circuit breaker that fails fast while the cluster is unhealthy
+ */
+
+const ERROR_CODES = {
+  aborted: 'SEARCH_ABORTED',
+  timeout: 'SEARCH_TIMEOUT',
+  circuitOpen: 'CIRCUIT_OPEN'
+};
+
+class RequestExecutor {
+  constructor(esClient, options = {}) {
+    this.client = esClient;
+    this.options = {
+      requestTimeout: null,          // Upper bound per ES call in ms (null = client default)
+      maxRetries: 2,                 // Retries after the first attempt
+      retryOnStatus: [429, 502, 503],
+      retryOnConnectionError: true,
+      backoffBase: 100,              // First backoff ceiling in ms, doubled per attempt
+      backoffMax: 2000,
+      circuitBreaker: {},
+      ...options
+    };
+    this.options.circuitBreaker = {
+      enabled: true,
+      failureThreshold: 5,           // Consecutive failures that open the circuit
+      resetTimeout: 30000,           // How long the circuit stays open before a trial request
+      ...this.options.circuitBreaker
+    };
+
+    this.circuit = {
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialInFlight: false           // The one request admitted while half open
+    };
+  }
+
+  /**
+   * Call an Elasticsearch client method with deadline, cancellation, retries and circuit breaking
+   * @param {string} method - Client method name ('search', 'msearch', 'openPointInTime', ...)
+   * @param {object} params - Request parameters
+   * @param {object} requestOptions - { signal, deadline } where deadline is an epoch ms timestamp,
+   *   read again before every attempt so a shared request can have it extended
+   * @returns {Promise<object>} Client response
+   */
+  async execute(method, params, requestOptions = {}) {
+    const trial = this._checkCircuit();
+    try {
+      return await this._executeWithRetries(method, params, requestOptions);
+    } finally {
+      // A trial that ended without a verdict (aborted, deadline, client error) lets the next request try
+      if (trial) {
+        this.circuit.trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Current circuit breaker state
+   * @returns {object} { state, consecutiveFailures, openedAt, trialInFlight }
+   */
+  getCircuitState() {
+    return { ...this.circuit };
+  }
+
+  /**
+   * Close the circuit and forget recorded failures
+   */
+  resetCircuit() {
+    this.circuit = { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false };
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = {
+      ...this.options,
+      ...newOptions,
+      circuitBreaker: { ...this.options.circuitBreaker, ...newOptions.circuitBreaker }
+    };
+  }
+
+  /**
+   * Build an error carrying one of the executor's error codes
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @param {Error} cause - Underlying error, if any
+   * @returns {Error} Error with `code` (and `cause`) set
+   */
+  static createError(code, message, cause) {
+    const error = new Error(message);
+    error.code = code;
+    if (cause) {
+      error.cause = cause;
+    }
+    return error;
+  }
+
+  /**
+   * Whether an error means the search was cancelled or ran out of time
+   * @param {Error} error - Any error
+   * @returns {boolean} True for abort and deadline errors
+   */
+  static isCancellation(error) {
+    return Boolean(error) && (error.code === ERROR_CODES.aborted || error.code === ERROR_CODES.timeout);
+  }
+
+  /**
+   * Attempt a call, retrying retryable errors with backoff while the circuit stays closed
+   * @private
+   */
+  async _executeWithRetries(method, params, requestOptions) {
+    const { signal } = requestOptions;
+    for (let attempt = 0; ; attempt++) {
+      const { deadline } = requestOptions;
+      if (signal?.aborted) {
+        throw RequestExecutor.createError(ERROR_CODES.aborted, `${method} aborted`);
+      }
+
+      const remaining = deadline ? deadline - Date.now() : null;
+      if (remaining !== null && remaining <= 0) {
+        throw RequestExecutor.createError(ERROR_CODES.timeout, `${method} exceeded the search deadline`);
+      }
+
+      const timeouts = [remaining, this.options.requestTimeout].filter(value => value !== null);
+      const transportOptions = {
+        // Retries are handled here so the client must not retry on its own
+        maxRetries: 0,
+        ...(signal && { signal }),
+        ...(timeouts.length > 0 && { requestTimeout: Math.min(...timeouts) })
+      };
+
+      try {
+        const response = await this.client[method](params, transportOptions);
+        this._recordSuccess();
+        return response;
+      } catch (error) {
+        if (signal?.aborted || this._isAbort(error)) {
+          throw RequestExecutor.createError(ERROR_CODES.aborted, `${method} aborted`, error);
+        }
+        if (deadline && Date.now() >= deadline) {
+          // A missed deadline is the caller's latency budget, not a sign of an unhealthy cluster
+          throw RequestExecutor.createError(ERROR_CODES.timeout, `${method} exceeded the search deadline`, error);
+        }
+
+        this._recordFailure(error);
+
+        if (attempt >= this.options.maxRetries || !this._isRetryable(error) || this.circuit.state === 'open') {
+          throw error;
+        }
+
+        await this._sleep(this._getBackoff(attempt, deadline), signal);
+      }
+    }
+  }
+
+  /**
+   * Fail fast while the circuit is open; once the reset timeout passed, admit exactly one trial
+   * request and keep failing the others until the trial closes or reopens the circuit
+   * @returns {boolean} Whether this request is the trial
+   * @private
+   */
+  _checkCircuit() {
+    const { enabled, resetTimeout } = this.options.circuitBreaker;
+    if (!enabled || this.circuit.state === 'closed') return false;
+
+    if (this.circuit.state === 'open' && Date.now() - this.circuit.openedAt >= resetTimeout) {
+      this.circuit.state = 'half_open';
+    }
+
+    if (this.circuit.state === 'half_open' && !this.circuit.trialInFlight) {
+      this.circuit.trialInFlight = true;
+      return true;
+    }
+
+    throw RequestExecutor.createError(
+      ERROR_CODES.circuitOpen,
+      this.circuit.state === 'open'
+        ? 'Elasticsearch circuit breaker is open - failing fast while the cluster is unhealthy'
+        : 'Elasticsearch circuit breaker is half open - failing fast while a trial request runs'
+    );
+  }
+
+  /**
+   * @private
+   */
+  _recordSuccess() {
+    this.circuit.state = 'closed';
+    this.circuit.consecutiveFailures = 0;
+    this.circuit.openedAt = null;
+  }
+
+  /**
+   * Count failures that indicate an unhealthy cluster (not client errors such as 400/404)
+   * @private
+   */
+  _recordFailure(error) {
+    const { enabled, failureThreshold } = this.options.circuitBreaker;
+    if (!enabled) return;
+
+    const status = this._getStatusCode(error);
+    if (status !== undefined && status < 500 && status !== 429) return;
+
+    this.circuit.consecutiveFailures++;
+    if (this.circuit.state === 'half_open' || this.circuit.consecutiveFailures >= failureThreshold) {
+      this.circuit.state = 'open';
+      this.circuit.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isRetryable(error) {
+    const status = this._getStatusCode(error);
+    if (status !== undefined) {
+      return this.options.retryOnStatus.includes(status);
+    }
+    return this.options.retryOnConnectionError && error.name === 'ConnectionError';
+  }
+
+  /**
+   * @private
+   */
+  _isAbort(error) {
+    return error.name === 'AbortError' || error.name === 'RequestAbortedError';
+  }
+
+  /**
+   * Status code of a client ResponseError
+   * @private
+   */
+  _getStatusCode(error) {
+    return error.statusCode ?? error.meta?.statusCode;
+  }
+
+  /**
+   * Exponential backoff with full jitter, never sleeping past the deadline
+   * @private
+   */
+  _getBackoff(attempt, deadline) {
+    const ceiling = Math.min(this.options.backoffMax, this.options.backoffBase * Math.pow(2, attempt));
+    const delay = Math.random() * ceiling;
+    return deadline ? Math.max(0, Math.min(delay, deadline - Date.now())) : delay;
+  }
+
+  /**
+   * Sleep that rejects as soon as the signal aborts
+   * @private
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(RequestExecutor.createError(ERROR_CODES.aborted, 'Request aborted during retry backoff'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener?.('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener?.('abort', onAbort, { once: true });
+    });
+  }
+}
+
+RequestExecutor.ERROR_CODES = ERROR_CODES;
+
+module.exports = RequestExecutor;
@@ -0,0 +1,228 @@
+/**
+ * RerankPolicy - Decides per query whether to rerank, with which window and inference endpoint
+ * Weighs the search strategy, confidence, proper noun and product code detection, a latency
+ * budget and per-tenant inference cost limits
+ */
+
+const DEFAULT_ENDPOINT = {
+  id: null,              // null keeps the template/default inference id
+  baseLatency: 150,      // Estimated fixed cost of a rerank call in ms
+  latencyPerDoc: 2,      // Estimated ms per reranked document
+  costPerDoc: 1          // Cost units charged per reranked document
+};
+
+class RerankPolicy {
+  constructor(options = {}) {
+    this.options = {
+      enabled: true,                 // false: rerank whenever the caller does not opt out
+      honorAutoDisable: true,        // Respect QueryEnhancer.shouldAutoDisableRerank
+      skipProductCodes: true,
+      // Single tokens containing a digit, e.g. SKU-1234, X200, 4665-A
+      productCodePattern: /^(?=\S*\d)[A-Za-z0-9]+(?:[-_./][A-Za-z0-9]+)*$/,
+      skipStrategies: ['exact_match', 'short_proper_noun_lexical'],
+      lowConfidence: 0.5,
+      highConfidence: 0.8,
+      rankWindowSizes: { lowConfidence: 100, default: 50, highConfidence: 20 },
+      minRankWindowSize: 10,
+      latencyBudget: null,           // ms available for reranking (userContext.latencyBudget overrides)
+      endpoints: [DEFAULT_ENDPOINT], // In order of preference
+      tenantLimits: {},              // { [tenantId | '*']: { maxCostPerWindow } }
+      tenantWindow: 60 * 1000,
+      ...options
+    };
+
+    // tenantId -> { windowStart, cost }, holding only tenants active in the current window
+    this.tenantUsage = new Map();
+    this.lastPrune = Date.now();
+  }
+
+  /**
+   * Decide how a query should be reranked
+   * @param {object} input - { query, queryAnalysis, queryEnhancement, finalWeights, userContext, deadline }
+   * @returns {object} { enabled, rule, reason, rankWindowSize, inferenceId, estimatedLatency, cost }
+   */
+  decide({ query, queryEnhancement, finalWeights, userContext = {}, deadline = null }) {
+    if (userContext.useRerank === false) {
+      return this._skip('caller_disabled', 'Reranking disabled by the caller');
+    }
+    if (!this.options.enabled) {
+      return this._rerank(null, null, 'policy_disabled', 'Rerank policy disabled - reranking every query');
+    }
+
+    const trimmed = (query || '').trim();
+    if (this.options.skipProductCodes && !/\s/.test(trimmed) && this.options.productCodePattern.test(trimmed)) {
+      return this._skip('product_code', `Single-token product code "${trimmed}" - reranking skipped`);
+    }
+
+    if (this.options.honorAutoDisable && queryEnhancement?.shouldAutoDisableRerank) {
+      return this._skip('auto_disable', 'Single-word proper noun query - reranking auto-disabled');
+    }
+
+    const strategy = finalWeights?.strategy;
+    if (this.options.skipStrategies.includes(strategy)) {
+      return this._skip('strategy', `Strategy ${strategy} favors lexical precision - reranking skipped`);
+    }
+
+    const desiredWindow = this._getRankWindowSize(finalWeights?.confidence);
+    const budget = this._getLatencyBudget(userContext, deadline);
+    const tenantRemaining = this._getTenantRemaining(userContext.tenantId);
+
+    let limitedBy = null;
+    for (const endpoint of this.options.endpoints) {
+      const spec = { ...DEFAULT_ENDPOINT, ...endpoint };
+      let window = desiredWindow;
+
+      if (budget !== null) {
+        const fitting = Math.floor((budget - spec.baseLatency) / spec.latencyPerDoc);
+        if (fitting < window) {
+          window = fitting;
+          limitedBy = limitedBy || 'latency_budget';
+        }
+      }
+      if (tenantRemaining !== null && spec.costPerDoc > 0) {
+        const affordable = Math.floor(tenantRemaining / spec.costPerDoc);
+        if (affordable < window) {
+          window = affordable;
+          limitedBy = 'tenant_cost_limit';
+        }
+      }
+
+      if (window >= this.options.minRankWindowSize) {
+        const reason = window < desiredWindow
+          ? `Reranking top ${window} (reduced from ${desiredWindow} by ${limitedBy.replace(/_/g, ' ')})`
+          : `Reranking top ${window} at confidence ${(finalWeights?.confidence ?? 0).toFixed(2)}`;
+        return this._rerank(spec, window, 'rerank', reason);
+      }
+    }
+
+    return limitedBy === 'tenant_cost_limit'
+      ? this._skip('tenant_cost_limit', `Tenant ${userContext.tenantId} reached its rerank cost limit`)
+      : this._skip('latency_budget', `No inference endpoint fits the ${budget}ms latency budget`);
+  }
+
+  /**
+   * Charge a rerank decision to a tenant's cost window, once its rerank request succeeded
+   * @param {string} tenantId - Tenant identifier
+   * @param {object} decision - Decision returned by decide()
+   */
+  recordUsage(tenantId, decision) {
+    if (!tenantId || !decision?.enabled || !decision.cost) return;
+
+    const usage = this._getTenantUsage(tenantId);
+    usage.cost += decision.cost;
+  }
+
+  /**
+   * Cost used by a tenant in the current window
+   * @param {string} tenantId - Tenant identifier
+   * @returns {number} Cost units
+   */
+  getTenantUsage(tenantId) {
+    return this._getTenantUsage(tenantId).cost;
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+  }
+
+  /**
+   * @private
+   */
+  _rerank(endpoint, rankWindowSize, rule, reason) {
+    const spec = endpoint || DEFAULT_ENDPOINT;
+    return {
+      enabled: true,
+      rule,
+      reason,
+      rankWindowSize,
+      inferenceId: endpoint?.id || null,
+      estimatedLatency: rankWindowSize ? spec.baseLatency + rankWindowSize * spec.latencyPerDoc : null,
+      cost: rankWindowSize ? rankWindowSize * spec.costPerDoc : null
+    };
+  }
+
+  /**
+   * @private
+   */
+  _skip(rule, reason) {
+    return {
+      enabled: false,
+      rule,
+      reason,
+      rankWindowSize: null,
+      inferenceId: null,
+      estimatedLatency: null,
+      cost: null
+    };
+  }
+
+  /**
+   * Rerank more candidates when the weighting is unsure
+   * @private
+   */
+  _getRankWindowSize(confidence = 0.5) {
+    const sizes = this.options.rankWindowSizes;
+    if (confidence < this.options.lowConfidence) return sizes.lowConfidence;
+    if (confidence >= this.options.highConfidence) return sizes.highConfidence;
+    return sizes.default;
+  }
+
+  /**
+   * Latency available for reranking, bounded by the search deadline
+   * @private
+   */
+  _getLatencyBudget(userContext, deadline) {
+    const budgets = [userContext.latencyBudget ?? this.options.latencyBudget];
+    if (deadline) {
+      budgets.push(deadline - Date.now());
+    }
+    const defined = budgets.filter(budget => budget !== null && budget !== undefined);
+    return defined.length > 0 ? Math.min(...defined) : null;
+  }
+
+  /**
+   * Cost a tenant may still spend in the current window, or null when unlimited
+   * @private
+   */
+  _getTenantRemaining(tenantId) {
+    const limit = this.options.tenantLimits[tenantId] || this.options.tenantLimits['*'];
+    if (!tenantId || !limit) return null;
+
+    return Math.max(0, limit.maxCostPerWindow - this._getTenantUsage(tenantId).cost);
+  }
+
+  /**
+   * Usage of the tenant's current fixed window, starting a new window when it elapsed
+   * @private
+   */
+  _getTenantUsage(tenantId) {
+    const now = Date.now();
+    this._pruneTenantUsage(now);
+    let usage = this.tenantUsage.get(tenantId);
+    if (!usage || now - usage.windowStart >= this.options.tenantWindow) {
+      usage = { windowStart: now, cost: 0 };
+      this.tenantUsage.set(tenantId, usage);
+    }
+    return usage;
+  }
+
+  /**
+   * Forget tenants whose window elapsed, at most once per window
+   * @private
+   */
+  _pruneTenantUsage(now) {
+    if (now - this.lastPrune < this.options.tenantWindow) return;
+
+    this.lastPrune = now;
+    for (const [tenantId, usage] of this.tenantUsage) {
+      if (now - usage.windowStart >= this.options.tenantWindow) {
+        this.tenantUsage.delete(tenantId);
+      }
+    }
+  }
+}
+
+module.exports = RerankPolicy;
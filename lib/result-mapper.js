@@ -0,0 +1,181 @@
+/**
+ * ResultMapper - Normalizes Elasticsearch hits into one document shape per index pattern
+ * Resolves field aliases from `fields` or `_source`, flattens arrays, fills defaults and
+ * adds computed fields so every hit looks the same whichever index it came from
+ */
+
+// Matches the unified_* schema the engine has always exposed
+const DEFAULT_SCHEMA = {
+  fields: {
+    unified_title: 'unified_title',
+    unified_description: 'unified_description',
+    unified_url: 'unified_url',
+    unified_id: 'unified_id',
+    unified_keywords: 'unified_keywords',
+    unified_author: 'unified_author',
+    all_text: 'all_text'
+  },
+  computed: {},
+  passthrough: true
+};
+
+class ResultMapper {
+  constructor(options = {}) {
+    this.options = {
+      defaultSchema: DEFAULT_SCHEMA,
+      ...options
+    };
+
+    // Ordered list of { indexPattern, matcher, schema }; the first match wins
+    this.schemas = [];
+    (this.options.schemas || []).forEach(({ indexPattern, ...schema }) => {
+      this.addSchema(indexPattern, schema);
+    });
+  }
+
+  /**
+   * Register a schema for indices matching a pattern
+   * @param {string} indexPattern - Index name or wildcard pattern (e.g. 'content-servicenow-*')
+   * @param {object} schema - { fields, computed, passthrough }
+   *   fields: { outputName: 'path' | ['alias1', 'alias2'] | { from, default, flatten, separator } }
+   *   computed: { outputName: (doc, hit) => value }, evaluated after fields
+   *   passthrough: copy `_source` (and unmapped `fields`) into the document first
+   */
+  addSchema(indexPattern, schema) {
+    if (!indexPattern || typeof indexPattern !== 'string') {
+      throw new Error('Result schemas require an index pattern');
+    }
+    if (!schema || typeof schema !== 'object') {
+      throw new Error(`Result schema for ${indexPattern} must be an object`);
+    }
+
+    this.schemas.push({
+      indexPattern,
+      matcher: this._compilePattern(indexPattern),
+      schema: { fields: {}, computed: {}, passthrough: false, ...schema }
+    });
+  }
+
+  /**
+   * Get the schema that applies to an index
+   * @param {string} indexName - Concrete index name of a hit
+   * @returns {object} Matching schema or the default schema
+   */
+  getSchema(indexName) {
+    const match = this.schemas.find(entry => entry.matcher.test(indexName || ''));
+    return match ? match.schema : this.options.defaultSchema;
+  }
+
+  /**
+   * Map a raw hit to a normalized document
+   * @param {object} hit - Raw Elasticsearch hit
+   * @returns {object} Normalized document
+   */
+  mapHit(hit) {
+    const schema = this.getSchema(hit._index);
+    const doc = schema.passthrough ? this._getPassthroughFields(hit) : {};
+
+    for (const [name, spec] of Object.entries(schema.fields || {})) {
+      const value = this._resolveField(hit, this._normalizeFieldSpec(spec));
+      if (value !== undefined) {
+        doc[name] = value;
+      }
+    }
+
+    for (const [name, compute] of Object.entries(schema.computed || {})) {
+      const value = compute(doc, hit);
+      if (value !== undefined) {
+        doc[name] = value;
+      }
+    }
+
+    return doc;
+  }
+
+  /**
+   * Normalize the shorthand field spec forms
+   * @private
+   */
+  _normalizeFieldSpec(spec) {
+    if (typeof spec === 'string' || Array.isArray(spec)) {
+      return { from: [].concat(spec), flatten: 'first' };
+    }
+    return { flatten: 'first', ...spec, from: [].concat(spec.from) };
+  }
+
+  /**
+   * Resolve the first alias that has a value, then flatten and default it
+   * @private
+   */
+  _resolveField(hit, spec) {
+    for (const path of spec.from) {
+      const value = this._readPath(hit, path);
+      if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+        return this._flatten(value, spec);
+      }
+    }
+    return spec.default;
+  }
+
+  /**
+   * Read a field from the fields API response, falling back to a dotted _source path
+   * @private
+   */
+  _readPath(hit, path) {
+    if (hit.fields && hit.fields[path] !== undefined) {
+      return hit.fields[path];
+    }
+
+    const source = hit._source || {};
+    if (source[path] !== undefined) {
+      return source[path];
+    }
+
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+  }
+
+  /**
+   * Apply the array handling of a field spec
+   * @private
+   */
+  _flatten(value, spec) {
+    if (!Array.isArray(value) || spec.flatten === false) {
+      return value;
+    }
+
+    const values = value.flat(Infinity);
+    switch (spec.flatten) {
+      case 'join':
+        return values.join(spec.separator ?? ', ');
+      case 'all':
+        return values;
+      default:
+        return values[0];
+    }
+  }
+
+  /**
+   * Copy _source and any unmapped fields API values (flattened) into a new document
+   * @private
+   */
+  _getPassthroughFields(hit) {
+    const doc = {};
+    for (const [name, value] of Object.entries(hit.fields || {})) {
+      doc[name] = Array.isArray(value) && value.length === 1 ? value[0] : value;
+    }
+    return { ...doc, ...hit._source };
+  }
+
+  /**
+   * Compile a wildcard index pattern (comma separated alternatives allowed) into a regex
+   * @private
+   */
+  _compilePattern(indexPattern) {
+    const alternatives = indexPattern.split(',').map(pattern =>
+      pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+    );
+    return new RegExp(`^(?:${alternatives.join('|')})$`);
+  }
+}
+
+module.exports = ResultMapper;
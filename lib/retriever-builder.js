@@ -0,0 +1,293 @@
+/**
+ * RetrieverBuilder - Builds query bodies from a declarative spec instead of JSON templates
+ * Produces the same query keys the templates provide (rerank, noRerank, lexical, semantic and
+ * one set per variant, e.g. bookmarksRerank) as a text_similarity_reranker / linear / rrf retriever
+ * tree or a bool.should query, weighted with the final lexical and semantic weights
+ */
+
+// 'bool' is a weighted bool.should query rather than a retriever
+const FUSION_METHODS = ['linear', 'rrf', 'weighted_rrf', 'bool'];
+
+const QUERY_MODES = {
+  Rerank: 'rerank',
+  NoRerank: 'noRerank',
+  Lexical: 'lexical',
+  Semantic: 'semantic'
+};
+
+class RetrieverBuilder {
+  /**
+   * @param {object} spec - {
+   *   lexical: { fields: ['title^2', 'body'] | { title: 2, body: 1 }, type, operator, variantBoost }
+   *     (a field may name '{{language}}', e.g. 'title.{{language}}'),
+   *   semantic: { field },
+   *   rerank: { field, inferenceId },
+   *   fusion: 'linear' | 'rrf' | 'weighted_rrf' | 'bool', normalizer, rankConstant, rankWindowSize,
+   *   size, fields, source,
+   *   variants: { [name]: overrides } - builds `${name}Rerank`, `${name}NoRerank`, `${name}Lexical`,
+   *     `${name}Semantic`
+   * }
+   */
+  constructor(spec = {}) {
+    const { variants = {}, ...base } = spec;
+
+    this.specs = { '': this._normalizeSpec(base, 'query spec') };
+    // The default multisearch sections read bookmarks through bookmarksRerank/bookmarksNoRerank
+    for (const [name, overrides] of Object.entries({ bookmarks: {}, ...variants })) {
+      this.specs[name] = this._normalizeSpec({ ...base, ...overrides }, `query spec variant "${name}"`);
+    }
+  }
+
+  /**
+   * Whether the spec can build a query key
+   * @param {string} key - Query key, e.g. 'rerank' or 'bookmarksNoRerank'
+   * @returns {boolean} True if the key can be built
+   */
+  has(key) {
+    const resolved = this._resolveKey(key);
+    if (!resolved) return false;
+    if (resolved.mode === 'semantic') return Boolean(resolved.spec.semantic);
+    return resolved.mode !== 'rerank' || Boolean(resolved.spec.rerank);
+  }
+
+  /**
+   * Build the query body for a key
+   * @param {string} key - Query key
+   * @param {object} variables - { query, lexical_variants, semantic_query, language, lexical_weight, semantic_weight, inference_id, fusion };
+   *   fusion ({ method, rankConstant, rankWindowSize, normalizer }) overrides the spec's fusion;
+   *   lexical_variants (synonym substitutions of the query) join the lexical side as bool.should alternatives;
+   *   semantic_query (the query without its date expressions) replaces the query on the semantic side
+   * @returns {object} Query body
+   */
+  build(key, variables = {}) {
+    if (!this.has(key)) {
+      throw new Error(`Query spec cannot build: ${key}`);
+    }
+
+    const { spec, mode } = this._resolveKey(key);
+    const fusion = this._resolveFusion(spec, variables.fusion);
+    let body;
+
+    if (mode === 'semantic') {
+      // Semantic sub-query of client-side fusion
+      body = { query: this._buildSemanticQuery(spec, variables.semantic_query || variables.query) };
+    } else if (mode === 'lexical' || !spec.semantic) {
+      const lexical = this._buildLexicalQuery(spec, variables);
+      body = mode === 'rerank'
+        ? { retriever: this._buildReranker(spec, { standard: { query: lexical } }, variables) }
+        : { query: lexical };
+    } else if (fusion.method === 'bool') {
+      const boolQuery = this._buildBoolQuery(spec, variables);
+      body = mode === 'rerank'
+        ? { retriever: this._buildReranker(spec, { standard: { query: boolQuery } }, variables) }
+        : { query: boolQuery };
+    } else {
+      const fused = this._buildFusedRetriever(spec, variables, fusion);
+      body = { retriever: mode === 'rerank' ? this._buildReranker(spec, fused, variables) : fused };
+    }
+
+    if (spec.size !== undefined) body.size = spec.size;
+    if (spec.fields) body.fields = [...spec.fields];
+    if (spec.source !== undefined) body._source = spec.source;
+
+    return body;
+  }
+
+  /**
+   * Build a fusion retriever from weighted child retrievers
+   * @param {Array<object>} entries - [{ retriever, weight }]
+   * @param {object} fusion - { method: 'linear' | 'rrf' | 'weighted_rrf', rankConstant, rankWindowSize, normalizer }
+   * @returns {object} linear or rrf retriever
+   */
+  static buildFusion(entries, fusion = {}) {
+    const method = fusion.method || 'linear';
+
+    if (method === 'linear') {
+      const linear = {
+        retrievers: entries.map(({ retriever, weight }) => ({
+          retriever,
+          weight,
+          ...(fusion.normalizer && { normalizer: fusion.normalizer })
+        }))
+      };
+      if (fusion.rankWindowSize != null) linear.rank_window_size = fusion.rankWindowSize;
+      return { linear };
+    }
+
+    if (method !== 'rrf' && method !== 'weighted_rrf') {
+      throw new Error(`Unknown fusion method "${method}" (expected linear, rrf, weighted_rrf)`);
+    }
+
+    const rrf = {
+      retrievers: method === 'weighted_rrf'
+        ? entries.map(({ retriever, weight }) => ({ retriever, weight }))
+        : entries.map(({ retriever }) => retriever)
+    };
+    if (fusion.rankConstant != null) rrf.rank_constant = fusion.rankConstant;
+    if (fusion.rankWindowSize != null) rrf.rank_window_size = fusion.rankWindowSize;
+    return { rrf };
+  }
+
+  /**
+   * Rerank endpoint named by the spec, if any
+   * @returns {string|null} Inference id
+   */
+  getInferenceId() {
+    return this.specs[''].rerank?.inferenceId || null;
+  }
+
+  /**
+   * Split a key into its variant spec and mode
+   * @private
+   */
+  _resolveKey(key) {
+    if (typeof key !== 'string') return null;
+
+    for (const [suffix, mode] of Object.entries(QUERY_MODES)) {
+      if (key === mode) {
+        return { spec: this.specs[''], mode };
+      }
+      if (key.endsWith(suffix)) {
+        const spec = this.specs[key.slice(0, -suffix.length)];
+        if (spec && key.length > suffix.length) return { spec, mode };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate a spec and normalize lexical fields to 'field^boost' strings
+   * @private
+   */
+  _normalizeSpec(spec, label) {
+    const fusion = spec.fusion || 'linear';
+    if (!FUSION_METHODS.includes(fusion)) {
+      throw new Error(`Invalid ${label}: unknown fusion "${fusion}" (expected ${FUSION_METHODS.join(', ')})`);
+    }
+
+    const rawFields = spec.lexical?.fields || [];
+    const lexicalFields = Array.isArray(rawFields)
+      ? [...rawFields]
+      : Object.entries(rawFields).map(([field, boost]) => (boost === 1 ? field : `${field}^${boost}`));
+
+    if (lexicalFields.length === 0) {
+      throw new Error(`Invalid ${label}: lexical.fields requires at least one field`);
+    }
+    if (spec.semantic && !spec.semantic.field) {
+      throw new Error(`Invalid ${label}: semantic.field is required when semantic is set`);
+    }
+    if (spec.rerank && !spec.rerank.field) {
+      throw new Error(`Invalid ${label}: rerank.field is required when rerank is set`);
+    }
+
+    return {
+      ...spec,
+      fusion,
+      lexical: { ...spec.lexical, fields: lexicalFields }
+    };
+  }
+
+  /**
+   * multi_match on the query, or a bool.should of it and its synonym variants
+   * @private
+   */
+  _buildLexicalQuery(spec, variables, boost) {
+    const { fields, variantBoost, ...options } = spec.lexical;
+    // 'title.{{language}}' targets the per-language subfield of the query's language
+    const languageFields = fields.map(field => field.replace('{{language}}', variables.language || 'en'));
+    const multiMatch = text => ({ multi_match: { query: text, fields: [...languageFields], ...options } });
+    const variants = variables.lexical_variants || [];
+
+    if (variants.length === 0) {
+      const lexical = multiMatch(variables.query);
+      if (boost !== undefined) lexical.multi_match.boost = boost;
+      return lexical;
+    }
+
+    const alternatives = variants.map(variant => {
+      const lexical = multiMatch(variant);
+      if (variantBoost !== undefined) lexical.multi_match.boost = variantBoost;
+      return lexical;
+    });
+    const bool = { should: [multiMatch(variables.query), ...alternatives], minimum_should_match: 1 };
+    if (boost !== undefined) bool.boost = boost;
+    return { bool };
+  }
+
+  /**
+   * @private
+   */
+  _buildSemanticQuery(spec, query, boost) {
+    const semantic = { field: spec.semantic.field, query };
+    if (boost !== undefined) semantic.boost = boost;
+    return { semantic };
+  }
+
+  /**
+   * Lexical and semantic clauses as a weighted bool.should
+   * @private
+   */
+  _buildBoolQuery(spec, variables) {
+    return {
+      bool: {
+        should: [
+          this._buildLexicalQuery(spec, variables, variables.lexical_weight),
+          this._buildSemanticQuery(spec, variables.semantic_query || variables.query, variables.semantic_weight)
+        ]
+      }
+    };
+  }
+
+  /**
+   * Lexical and semantic standard retrievers fused with linear, rrf or weighted rrf
+   * @private
+   */
+  _buildFusedRetriever(spec, variables, fusion) {
+    return RetrieverBuilder.buildFusion([
+      {
+        retriever: { standard: { query: this._buildLexicalQuery(spec, variables) } },
+        weight: variables.lexical_weight
+      },
+      {
+        retriever: { standard: { query: this._buildSemanticQuery(spec, variables.semantic_query || variables.query) } },
+        weight: variables.semantic_weight
+      }
+    ], fusion);
+  }
+
+  /**
+   * A strategy's fusion replaces the spec's method and settings
+   * @private
+   */
+  _resolveFusion(spec, fusion) {
+    if (fusion?.method) {
+      return fusion;
+    }
+    return {
+      method: spec.fusion,
+      rankConstant: spec.rankConstant,
+      rankWindowSize: spec.rankWindowSize,
+      normalizer: spec.normalizer
+    };
+  }
+
+  /**
+   * @private
+   */
+  _buildReranker(spec, retriever, variables) {
+    const reranker = {
+      retriever,
+      field: spec.rerank.field,
+      inference_text: variables.query,
+      inference_id: variables.inference_id || spec.rerank.inferenceId
+    };
+    if (spec.rerank.rankWindowSize !== undefined) {
+      reranker.rank_window_size = spec.rerank.rankWindowSize;
+    }
+    return { text_similarity_reranker: reranker };
+  }
+}
+
+RetrieverBuilder.FUSION_METHODS = FUSION_METHODS;
+
+module.exports = RetrieverBuilder;
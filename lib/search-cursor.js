@@ -0,0 +1,50 @@
+/**
+ * SearchCursor - Opaque pagination cursors for deep paging
+ * Encodes the point-in-time, search_after position and the weights computed for the
+ * first page so that later pages are ranked exactly like the first one
+ */
+
+const CURSOR_VERSION = 1;
+
+class SearchCursor {
+  /**
+   * Encode pagination state into an opaque cursor string
+   * @param {object} state - Pagination state (query, weights, page and per-section positions)
+   * @returns {string} URL-safe cursor token
+   */
+  static encode(state) {
+    const payload = JSON.stringify({ v: CURSOR_VERSION, ...state });
+    return Buffer.from(payload, 'utf8')
+      .toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  /**
+   * Decode a cursor produced by encode()
+   * @param {string} token - Cursor token
+   * @returns {object} Pagination state
+   */
+  static decode(token) {
+    if (!token || typeof token !== 'string') {
+      throw new Error('Cursor must be a non-empty string');
+    }
+
+    let state;
+    try {
+      // Node's base64 decoder also accepts the URL-safe alphabet used by encode()
+      state = JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid cursor: ${error.message}`);
+    }
+
+    if (!state || state.v !== CURSOR_VERSION || !state.weights || !state.sections) {
+      throw new Error('Invalid cursor: unsupported or incomplete cursor state');
+    }
+
+    return state;
+  }
+}
+
+module.exports = SearchCursor;
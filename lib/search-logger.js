@@ -0,0 +1,161 @@
+/**
+ * SearchLogger - Leveled, structured and redacting logging for the search pipeline
+ * Wraps an injectable logger (console, pino, or a plain function) and is silent when none is given
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+class SearchLogger {
+  /**
+   * @param {object|Function|null} logger - Object with debug/info/warn/error methods, a
+   *   function receiving each record, or null to stay silent
+   * @param {object} options - Level and redaction options
+   * @param {object} bindings - Fields added to every record (e.g. searchId)
+   */
+  constructor(logger = null, options = {}, bindings = {}) {
+    this.logger = logger;
+    this.options = {
+      level: 'info',
+      redactQuery: true,             // Replace the query text wherever it appears in a record
+      // Fields holding text derived from the query (request bodies, spelling corrections); replaced
+      // whole, since dates, synonyms and corrections make them differ from the query text
+      redactDerivedFields: ['body', 'correction'],
+      redactContextFields: ['sessionId', 'userId', 'userAgent', 'email', 'cursor'],
+      redactionPlaceholder: '[REDACTED]',
+      ...options
+    };
+    this.bindings = bindings;
+
+    if (LEVELS[this.options.level] === undefined) {
+      throw new Error(`Unknown log level: ${this.options.level}`);
+    }
+  }
+
+  /**
+   * Create a logger that adds the given fields to every record
+   * @param {object} bindings - Fields such as { searchId }
+   * @returns {SearchLogger} Child logger sharing this logger's output and options
+   */
+  child(bindings) {
+    return new SearchLogger(this.logger, this.options, { ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Whether records at this level would be written
+   * @param {string} level - Log level
+   * @returns {boolean} True when the level is enabled
+   */
+  isEnabled(level) {
+    return Boolean(this.logger) && LEVELS[level] >= LEVELS[this.options.level];
+  }
+
+  debug(event, data) {
+    this._log('debug', event, data);
+  }
+
+  info(event, data) {
+    this._log('info', event, data);
+  }
+
+  warn(event, data) {
+    this._log('warn', event, data);
+  }
+
+  error(event, data) {
+    this._log('error', event, data);
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+  }
+
+  /**
+   * Build, redact and write a record
+   * @private
+   */
+  _log(level, event, data = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const record = this._redact({
+      level,
+      event,
+      timestamp: new Date().toISOString(),
+      ...this.bindings,
+      ...data
+    });
+
+    if (typeof this.logger === 'function') {
+      this.logger(record);
+    } else if (typeof this.logger[level] === 'function') {
+      this.logger[level](record);
+    } else if (typeof this.logger.log === 'function') {
+      this.logger.log(record);
+    }
+  }
+
+  /**
+   * Redact query text, fields derived from it and sensitive user context fields from a record
+   * @private
+   */
+  _redact(record) {
+    const placeholder = this.options.redactionPlaceholder;
+    const redacted = { ...record };
+
+    if (this.options.redactQuery) {
+      this.options.redactDerivedFields.forEach(field => {
+        if (redacted[field] !== undefined) {
+          redacted[field] = placeholder;
+        }
+      });
+    }
+
+    if (redacted.userContext && typeof redacted.userContext === 'object') {
+      redacted.userContext = { ...redacted.userContext };
+      this.options.redactContextFields.forEach(field => {
+        if (redacted.userContext[field] !== undefined) {
+          redacted.userContext[field] = placeholder;
+        }
+      });
+    }
+
+    const queryText = typeof record.query === 'string' ? record.query.trim() : '';
+    if (this.options.redactQuery && queryText.length > 0) {
+      return this._replaceText(redacted, queryText, placeholder);
+    }
+    return redacted;
+  }
+
+  /**
+   * Deep-replace every occurrence of a string inside strings of a value
+   * @private
+   */
+  _replaceText(value, text, placeholder) {
+    if (typeof value === 'string') {
+      return value.split(text).join(placeholder);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this._replaceText(item, text, placeholder));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this._replaceText(item, text, placeholder);
+      }
+      return result;
+    }
+    return value;
+  }
+}
+
+SearchLogger.LEVELS = LEVELS;
+
+module.exports = SearchLogger;
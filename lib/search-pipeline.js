@@ -0,0 +1,92 @@
+/**
+ * SearchPipeline - Before/after middleware around the phases of a search
+ * Middleware receives the mutable search context and may inspect or replace the query,
+ * weights, request bodies, raw response and processed results
+ */
+
+const SEARCH_PHASES = [
+  'spelling',
+  'analysis',
+  'enhancement',
+  'contextual_weighting',
+  'combination',
+  'building',
+  'execution',
+  'processing'
+];
+
+class SearchPipeline {
+  constructor() {
+    // Hook name ('before:building', 'after:execution', ...) -> middleware list
+    this.hooks = new Map();
+  }
+
+  /**
+   * Register middleware for a phase
+   * @param {string} hook - Phase name, optionally prefixed with 'before:' or 'after:' (default after)
+   * @param {Function} middleware - async (context) => void; mutate the context to change the search
+   * @returns {SearchPipeline} This pipeline, for chaining
+   */
+  use(hook, middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+
+    const hookName = this._normalizeHook(hook);
+    if (!this.hooks.has(hookName)) {
+      this.hooks.set(hookName, []);
+    }
+    this.hooks.get(hookName).push(middleware);
+    return this;
+  }
+
+  /**
+   * Remove previously registered middleware
+   * @param {string} hook - Hook the middleware was registered under
+   * @param {Function} middleware - The registered function
+   * @returns {boolean} True if the middleware was removed
+   */
+  remove(hook, middleware) {
+    const list = this.hooks.get(this._normalizeHook(hook)) || [];
+    const index = list.indexOf(middleware);
+    if (index === -1) return false;
+
+    list.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Run every middleware registered for a hook, in registration order
+   * @param {string} hookName - Normalized hook name
+   * @param {object} context - Search context passed to the middleware
+   */
+  async run(hookName, context) {
+    const list = this.hooks.get(hookName);
+    if (!list) return;
+
+    for (const middleware of list) {
+      await middleware(context);
+    }
+  }
+
+  /**
+   * Normalize and validate a hook name
+   * @private
+   */
+  _normalizeHook(hook) {
+    const [first, second] = String(hook).split(':');
+    const [timing, phase] = second === undefined ? ['after', first] : [first, second];
+
+    if (timing !== 'before' && timing !== 'after') {
+      throw new Error(`Unknown middleware timing "${timing}" (expected before or after)`);
+    }
+    if (!SEARCH_PHASES.includes(phase)) {
+      throw new Error(`Unknown search phase "${phase}" (expected one of ${SEARCH_PHASES.join(', ')})`);
+    }
+    return `${timing}:${phase}`;
+  }
+}
+
+SearchPipeline.PHASES = SEARCH_PHASES;
+
+module.exports = SearchPipeline;
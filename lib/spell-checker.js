@@ -0,0 +1,363 @@
+/**
+ * SpellChecker - "Did you mean" suggestions for misspelled queries
+ * Asks Elasticsearch term or phrase suggesters on configurable fields and/or a local
+ * dictionary of corpus terms, and returns the corrected text with its corrections
+ */
+
+const SearchLogger = require('./search-logger');
+const RequestExecutor = require('./request-executor');
+const RequestCoalescer = require('./request-coalescer');
+const LRUCache = require('./lru-cache');
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+class SpellChecker {
+  constructor(executor, options = {}) {
+    this.executor = executor;
+    this.options = {
+      enabled: false,
+      sources: ['elasticsearch'],    // 'elasticsearch' and/or 'dictionary', tried in order
+      suggester: 'term',             // 'term' or 'phrase'
+      fields: ['unified_title', 'unified_content'],
+      phraseField: null,             // Field of the phrase suggester (defaults to the first field)
+      suggestMode: 'missing',        // Term suggester mode: only correct terms missing from the index
+      minWordLength: 4,              // Shorter words are never corrected
+      maxEdits: 2,
+      autoCorrect: 'never',          // 'never', 'zero_hits' (re-run corrected) or 'always'
+      analyzeCorrected: true,        // Analyze and weight the suggestion even when the original text is searched
+      dictionaryField: 'unified_title.keyword', // Terms aggregation the local dictionary is built from
+      dictionarySize: 1000,
+      dictionaryTTL: 60 * 60 * 1000,
+      cacheTTL: 5 * 60 * 1000,
+      ...options
+    };
+
+    // Standalone use keeps warning on the console; the engine injects its own logger
+    this.logger = this.options.logger || new SearchLogger(console, { level: 'warn' });
+
+    // term -> frequency
+    this.dictionary = new Map();
+    this.dictionaryLoadedAt = null;
+    this.pendingDictionary = new RequestCoalescer();
+    this.suggestions = new LRUCache({ maxEntries: 500, defaultTTL: this.options.cacheTTL });
+  }
+
+  /**
+   * Suggest a corrected query
+   * @param {string} query - Query text
+   * @param {string} indexName - Index the suggesters and dictionary read from
+   * @param {object} requestOptions - { signal, deadline }
+   * @returns {Promise<object|null>} { text, source, corrections: [{ original, corrected }] } or null
+   */
+  async check(query, indexName, requestOptions = {}) {
+    const cacheKey = `${indexName}\u0000${query}`;
+    const cached = this.suggestions.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    let suggestion = null;
+    for (const source of this.options.sources) {
+      try {
+        suggestion = source === 'dictionary'
+          ? await this._checkDictionary(query, indexName, requestOptions)
+          : await this._checkElasticsearch(query, indexName, requestOptions);
+      } catch (error) {
+        if (RequestExecutor.isCancellation(error)) throw error;
+        this.logger.warn('spelling_failed', { source, index: indexName, error: error.message });
+      }
+      if (suggestion) break;
+    }
+
+    this.suggestions.set(cacheKey, suggestion);
+    return suggestion;
+  }
+
+  /**
+   * Add terms to the local dictionary
+   * @param {Array<string|object>} terms - Words, or { term, frequency }
+   */
+  addTerms(terms) {
+    terms.forEach(entry => {
+      const { term, frequency = 1 } = typeof entry === 'string' ? { term: entry } : entry;
+      const word = String(term).toLowerCase();
+      this.dictionary.set(word, (this.dictionary.get(word) || 0) + frequency);
+    });
+    this.suggestions.clear();
+  }
+
+  /**
+   * Remove every local dictionary term and cached suggestion
+   */
+  clearDictionary() {
+    this.dictionary.clear();
+    this.dictionaryLoadedAt = null;
+    this.suggestions.clear();
+  }
+
+  /**
+   * Number of terms in the local dictionary
+   */
+  getDictionarySize() {
+    return this.dictionary.size;
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+    this.suggestions.clear();
+  }
+
+  /**
+   * Damerau-Levenshtein distance, abandoned once every alignment exceeds maxDistance
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} maxDistance - Distance beyond which the exact value does not matter
+   * @returns {number} Distance (some value above maxDistance when abandoned)
+   */
+  static editDistance(a, b, maxDistance = Infinity) {
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previous2[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) return rowMin;
+      previous2 = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Correct a query with Elasticsearch term or phrase suggesters
+   * @private
+   */
+  async _checkElasticsearch(query, indexName, requestOptions) {
+    const phrase = this.options.suggester === 'phrase';
+    const response = await this.executor.execute('search', {
+      index: indexName,
+      body: {
+        size: 0,
+        suggest: phrase ? this._buildPhraseSuggester(query) : this._buildTermSuggesters(query)
+      }
+    }, requestOptions);
+
+    const suggest = response.suggest || response.body?.suggest || {};
+    return phrase
+      ? this._readPhraseSuggestion(query, suggest.spelling_phrase)
+      : this._readTermSuggestions(query, suggest);
+  }
+
+  /**
+   * @private
+   */
+  _buildTermSuggesters(query) {
+    const suggesters = { text: query };
+    this.options.fields.forEach((field, index) => {
+      suggesters[`spelling_${index}`] = {
+        term: {
+          field,
+          suggest_mode: this.options.suggestMode,
+          min_word_length: this.options.minWordLength,
+          max_edits: this.options.maxEdits,
+          size: 1
+        }
+      };
+    });
+    return suggesters;
+  }
+
+  /**
+   * @private
+   */
+  _buildPhraseSuggester(query) {
+    const field = this.options.phraseField || this.options.fields[0];
+    return {
+      text: query,
+      spelling_phrase: {
+        phrase: {
+          field,
+          size: 1,
+          direct_generator: [{
+            field,
+            suggest_mode: 'always',
+            min_word_length: this.options.minWordLength,
+            max_edits: this.options.maxEdits
+          }]
+        }
+      }
+    };
+  }
+
+  /**
+   * Keep the best option per token across all field suggesters and splice them into the query
+   * @private
+   */
+  _readTermSuggestions(query, suggest) {
+    // offset -> { length, option }
+    const best = new Map();
+    Object.keys(suggest)
+      .filter(name => name.startsWith('spelling_'))
+      .forEach(name => {
+        suggest[name].forEach(entry => {
+          const option = entry.options?.[0];
+          if (!option) return;
+
+          const current = best.get(entry.offset);
+          if (!current || option.score > current.option.score ||
+              (option.score === current.option.score && option.freq > current.option.freq)) {
+            best.set(entry.offset, { length: entry.length, option });
+          }
+        });
+      });
+
+    const replacements = Array.from(best.entries()).map(([offset, { length, option }]) => ({
+      offset,
+      length,
+      corrected: option.text
+    }));
+    return this._applyReplacements(query, replacements, 'elasticsearch');
+  }
+
+  /**
+   * @private
+   */
+  _readPhraseSuggestion(query, entries = []) {
+    const text = entries[0]?.options?.[0]?.text;
+    if (!text || text.toLowerCase() === query.toLowerCase()) return null;
+
+    const originalWords = query.match(WORD_PATTERN) || [];
+    const correctedWords = text.match(WORD_PATTERN) || [];
+    const corrections = originalWords.length === correctedWords.length
+      ? originalWords
+        .map((original, index) => ({ original, corrected: correctedWords[index] }))
+        .filter(({ original, corrected }) => original.toLowerCase() !== corrected.toLowerCase())
+      : [];
+
+    return { text, source: 'elasticsearch', corrections };
+  }
+
+  /**
+   * Correct each unknown word to the closest, most frequent dictionary term
+   * @private
+   */
+  async _checkDictionary(query, indexName, requestOptions) {
+    await this._ensureDictionary(indexName, requestOptions);
+    if (this.dictionary.size === 0) return null;
+
+    const replacements = [];
+    for (const match of query.matchAll(WORD_PATTERN)) {
+      const word = match[0].toLowerCase();
+      if (word.length < this.options.minWordLength || /\d/.test(word) || this.dictionary.has(word)) continue;
+
+      const corrected = this._findClosestTerm(word);
+      if (corrected) {
+        replacements.push({ offset: match.index, length: match[0].length, corrected });
+      }
+    }
+    return this._applyReplacements(query, replacements, 'dictionary');
+  }
+
+  /**
+   * Load the dictionary from a terms aggregation unless terms were added or recently loaded
+   * @private
+   */
+  async _ensureDictionary(indexName, requestOptions) {
+    const fresh = this.dictionaryLoadedAt && Date.now() - this.dictionaryLoadedAt < this.options.dictionaryTTL;
+    if (fresh || !this.options.dictionaryField || (this.dictionary.size > 0 && !this.dictionaryLoadedAt)) {
+      return;
+    }
+
+    await this.pendingDictionary.run(indexName, async sharedOptions => {
+      const response = await this.executor.execute('search', {
+        index: indexName,
+        body: {
+          size: 0,
+          aggs: {
+            dictionary_terms: {
+              terms: { field: this.options.dictionaryField, size: this.options.dictionarySize }
+            }
+          }
+        }
+      }, sharedOptions);
+
+      const aggs = response.aggregations || response.body?.aggregations;
+      const terms = [];
+      (aggs?.dictionary_terms?.buckets || []).forEach(bucket => {
+        (String(bucket.key).match(WORD_PATTERN) || []).forEach(term => {
+          terms.push({ term, frequency: bucket.doc_count });
+        });
+      });
+
+      this.dictionary.clear();
+      this.addTerms(terms);
+      this.dictionaryLoadedAt = Date.now();
+    }, requestOptions);
+  }
+
+  /**
+   * @private
+   */
+  _findClosestTerm(word) {
+    let best = null;
+    for (const [term, frequency] of this.dictionary) {
+      if (Math.abs(term.length - word.length) > this.options.maxEdits) continue;
+
+      const distance = SpellChecker.editDistance(word, term, this.options.maxEdits);
+      if (distance > this.options.maxEdits) continue;
+
+      if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+        best = { term, distance, frequency };
+      }
+    }
+    return best?.term || null;
+  }
+
+  /**
+   * Splice corrections into the query, keeping the original capitalization of each word
+   * @private
+   */
+  _applyReplacements(query, replacements, source) {
+    const corrections = replacements
+      .filter(({ offset, length, corrected }) => query.slice(offset, offset + length).toLowerCase() !== corrected.toLowerCase())
+      .sort((a, b) => a.offset - b.offset);
+    if (corrections.length === 0) return null;
+
+    let text = '';
+    let position = 0;
+    corrections.forEach(correction => {
+      const original = query.slice(correction.offset, correction.offset + correction.length);
+      correction.original = original;
+      correction.corrected = this._matchCase(original, correction.corrected);
+      text += query.slice(position, correction.offset) + correction.corrected;
+      position = correction.offset + correction.length;
+    });
+    text += query.slice(position);
+
+    return {
+      text,
+      source,
+      corrections: corrections.map(({ original, corrected }) => ({ original, corrected }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _matchCase(original, corrected) {
+    if (/^\p{Lu}{2,}$/u.test(original)) return corrected.toUpperCase();
+    if (/^\p{Lu}/u.test(original)) return corrected[0].toUpperCase() + corrected.slice(1);
+    return corrected;
+  }
+}
+
+module.exports = SpellChecker;
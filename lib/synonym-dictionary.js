@@ -0,0 +1,318 @@
+/**
+ * SynonymDictionary - Domain synonyms and acronyms for lexical query expansion
+ * Each entry groups a term with its expansions (e.g. PTO -> paid time off); any member of a
+ * group found in a query yields lexical variants that substitute the other members
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TYPES = ['acronym', 'synonym'];
+const TOKEN_PATTERN = /[\p{L}\p{N}&]+/gu;
+
+class SynonymDictionary {
+  /**
+   * @param {object} options - { entries, maxVariants, maxPhraseLength }
+   */
+  constructor(options = {}) {
+    this.options = {
+      entries: [],                   // Initial entries, in any shape load() accepts
+      maxVariants: 10,               // Cap on the lexical variants generated per query
+      maxPhraseLength: 5,            // Longest member (in words) matched in a query
+      ...options
+    };
+
+    // normalized term -> { term, expansions, type }
+    this.entries = new Map();
+    // normalized phrase -> Set of normalized terms whose group contains it
+    this.index = new Map();
+
+    this.load(this.options.entries);
+  }
+
+  /**
+   * Add a term with its expansions; adding an existing term merges the expansions
+   * @param {string} term - Term, e.g. 'PTO'
+   * @param {Array<string>|string} expansions - Equivalent phrases, e.g. ['paid time off']
+   * @param {object} options - { type: 'acronym' | 'synonym' }; defaults to 'acronym' for
+   *   all-caps terms
+   */
+  add(term, expansions, options = {}) {
+    const list = (Array.isArray(expansions) ? expansions : [expansions])
+      .map(expansion => String(expansion).trim())
+      .filter(expansion => expansion.length > 0);
+    const text = String(term || '').trim();
+    if (!text || list.length === 0) {
+      throw new Error(`Synonym entry requires a term and at least one expansion: ${JSON.stringify(term)}`);
+    }
+
+    const key = this._normalize(text);
+    const existing = this.entries.get(key);
+    const type = options.type || existing?.type || (this._looksLikeAcronym(text) ? 'acronym' : 'synonym');
+    if (!TYPES.includes(type)) {
+      throw new Error(`Unknown synonym type "${type}" (expected ${TYPES.join(', ')})`);
+    }
+
+    const merged = existing ? [...existing.expansions, ...list] : list;
+    const entry = {
+      term: existing ? existing.term : text,
+      expansions: this._unique(merged).filter(expansion => this._normalize(expansion) !== key),
+      type
+    };
+
+    this.entries.set(key, entry);
+    [entry.term, ...entry.expansions].forEach(member => {
+      const phrase = this._normalize(member);
+      if (!this.index.has(phrase)) this.index.set(phrase, new Set());
+      this.index.get(phrase).add(key);
+    });
+  }
+
+  /**
+   * Load entries from JSON or CSV
+   * @param {string|object|Array} source - JSON/CSV text, { term: expansions } or
+   *   [{ term, expansions, type }]
+   * @param {object} options - { format: 'json' | 'csv' }; text is sniffed when omitted
+   * @returns {number} Entries loaded
+   */
+  load(source, options = {}) {
+    if (typeof source === 'string') {
+      const format = options.format || (/^\s*[[{]/.test(source) ? 'json' : 'csv');
+      if (format === 'csv') return this._loadCSV(source);
+      if (format !== 'json') {
+        throw new Error(`Unknown synonym format "${format}" (expected json, csv)`);
+      }
+      source = JSON.parse(source);
+    }
+
+    const entries = Array.isArray(source)
+      ? source
+      : Object.entries(source || {}).map(([term, value]) => (
+        Array.isArray(value) || typeof value === 'string' ? { term, expansions: value } : { term, ...value }
+      ));
+
+    entries.forEach(({ term, expansions, type }) => this.add(term, expansions, { type }));
+    return entries.length;
+  }
+
+  /**
+   * Load entries from a .json or .csv file
+   * @param {string} filePath - File path
+   * @returns {Promise<number>} Entries loaded
+   */
+  async loadFile(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+    return this.load(content, { format });
+  }
+
+  /**
+   * Remove a term and its expansions
+   * @param {string} term - Term as added
+   * @returns {boolean} True if the term existed
+   */
+  remove(term) {
+    const key = this._normalize(term);
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    [entry.term, ...entry.expansions].forEach(member => {
+      const phrase = this._normalize(member);
+      const terms = this.index.get(phrase);
+      if (!terms) return;
+      terms.delete(key);
+      if (terms.size === 0) this.index.delete(phrase);
+    });
+    return true;
+  }
+
+  /**
+   * Every entry, optionally of one type
+   * @param {string} type - 'acronym' or 'synonym'
+   * @returns {Array<object>} [{ term, expansions, type }]
+   */
+  list(type = null) {
+    return Array.from(this.entries.values())
+      .filter(entry => !type || entry.type === type)
+      .map(entry => ({ ...entry, expansions: [...entry.expansions] }));
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+    this.index.clear();
+  }
+
+  /**
+   * Number of entries
+   */
+  size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Whether a word or phrase is a known acronym
+   * @param {string} text - Word or phrase
+   * @returns {boolean} True if the text is the term of an acronym entry
+   */
+  isAcronym(text) {
+    return this.entries.get(this._normalize(text))?.type === 'acronym';
+  }
+
+  /**
+   * Find dictionary members in a query and build its lexical variants
+   * @param {string} query - Query text
+   * @returns {object} { matches: [{ text, start, end, type, alternatives }], variants, lexicalQuery }
+   *   type is 'acronym' when the matched text is an acronym term; variants substitute one match at
+   *   a time; lexicalQuery appends every alternative to the query
+   */
+  expand(query) {
+    const text = typeof query === 'string' ? query : '';
+    const matches = this._findMatches(text);
+
+    const variants = [];
+    for (const match of matches) {
+      for (const alternative of match.alternatives) {
+        if (variants.length >= this.options.maxVariants) break;
+        variants.push(text.slice(0, match.start) + alternative + text.slice(match.end));
+      }
+    }
+
+    const appended = this._unique(matches.flatMap(match => match.alternatives));
+    return {
+      matches,
+      variants,
+      lexicalQuery: appended.length > 0 ? `${text} ${appended.join(' ')}` : text
+    };
+  }
+
+  /**
+   * Longest dictionary phrases in the query, left to right and non-overlapping
+   * @private
+   */
+  _findMatches(query) {
+    const tokens = Array.from(query.matchAll(TOKEN_PATTERN)).map(match => ({
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+
+    const matches = [];
+    let i = 0;
+    while (i < tokens.length) {
+      let found = null;
+      const longest = Math.min(this.options.maxPhraseLength, tokens.length - i);
+      for (let length = longest; length > 0 && !found; length--) {
+        const phrase = tokens.slice(i, i + length).map(token => token.text).join(' ');
+        const terms = this.index.get(this._normalize(phrase));
+        if (terms) found = { length, phrase, terms };
+      }
+
+      if (!found) {
+        i++;
+        continue;
+      }
+
+      const start = tokens[i].start;
+      const end = tokens[i + found.length - 1].end;
+      const normalized = this._normalize(found.phrase);
+      const groups = Array.from(found.terms).map(key => this.entries.get(key));
+      const alternatives = this._unique(groups.flatMap(entry => [entry.term, ...entry.expansions]))
+        .filter(member => this._normalize(member) !== normalized);
+
+      matches.push({
+        text: query.slice(start, end),
+        start,
+        end,
+        // An expansion of an acronym (paid time off for PTO) is an ordinary phrase
+        type: this.isAcronym(found.phrase) ? 'acronym' : 'synonym',
+        alternatives
+      });
+      i += found.length;
+    }
+    return matches;
+  }
+
+  /**
+   * Split a CSV line, honouring double-quoted cells ("" inside quotes is a literal quote)
+   * @param {string} line - One CSV line
+   * @returns {Array<string>} Trimmed cells, empty ones included so positions are kept
+   */
+  static parseCSVLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  /**
+   * One entry per line: term,expansion[,expansion...]; blank lines and # comments are skipped
+   * @private
+   */
+  _loadCSV(content) {
+    let count = 0;
+    content.split(/\r?\n/).forEach(line => {
+      if (!line.trim() || line.trim().startsWith('#')) return;
+      const [term, ...expansions] = SynonymDictionary.parseCSVLine(line).filter(cell => cell.length > 0);
+      this.add(term, expansions);
+      count++;
+    });
+    return count;
+  }
+
+  /**
+   * @private
+   */
+  _normalize(text) {
+    return (String(text).match(TOKEN_PATTERN) || []).join(' ').toLowerCase();
+  }
+
+  /**
+   * Deduplicate case-insensitively, keeping the first spelling
+   * @private
+   */
+  _unique(values) {
+    const seen = new Set();
+    return values.filter(value => {
+      const key = this._normalize(value);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _looksLikeAcronym(term) {
+    return /^[\p{Lu}\p{N}&]{2,}$/u.test(term) && /\p{Lu}/u.test(term);
+  }
+}
+
+SynonymDictionary.TYPES = TYPES;
+
+module.exports = SynonymDictionary;
@@ -0,0 +1,344 @@
+/**
+ * TemplateEngine - JSON-safe mustache-style rendering of Elasticsearch query templates
+ * Tags know whether they sit inside a JSON string: string values are escaped, a tag that is
+ * the whole string ("{{lexical_weight}}") emits numbers as numbers, and tags outside strings
+ * emit JSON ({{filters}}). Supports {{#section}}, {{^inverted}} and {{> partial}} tags, and
+ * validates every template when constructed
+ */
+
+const TAG_PATTERN = /\{\{\s*([#^/>]?)\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+const BUILT_IN_VARIABLES = ['query', 'lexical_query', 'semantic_query', 'language', 'lexical_weight', 'semantic_weight', 'inference_id', 'filters'];
+
+class TemplateEngine {
+  /**
+   * @param {object} templates - Template name -> JSON template string (or object)
+   * @param {object} options - { partials: { name: fragment }, variables: [extra variable names] }
+   */
+  constructor(templates = {}, options = {}) {
+    this.options = {
+      partials: {},
+      variables: [],
+      ...options
+    };
+    this.knownVariables = new Set([...BUILT_IN_VARIABLES, ...this.options.variables]);
+
+    this.partials = {};
+    for (const [name, source] of Object.entries(this.options.partials)) {
+      this.partials[name] = this._compile(this._toSource(source), `partial "${name}"`);
+    }
+
+    this.templates = {};
+    for (const [name, source] of Object.entries(templates)) {
+      if (source === undefined || source === null) continue;
+      this.templates[name] = this._compile(this._toSource(source), `template "${name}"`);
+    }
+
+    this.validate();
+  }
+
+  /**
+   * Whether a template exists
+   * @param {string} name - Template name
+   * @returns {boolean} True if the template exists
+   */
+  has(name) {
+    return Boolean(this.templates[name]);
+  }
+
+  /**
+   * Render a template into a query body
+   * @param {string} name - Template name
+   * @param {object} variables - Variable values
+   * @returns {object} Parsed query body
+   */
+  render(name, variables = {}) {
+    const template = this.templates[name];
+    if (!template) {
+      throw new Error(`Query template not found: ${name}`);
+    }
+
+    const json = this._renderNodes(template, variables, `template "${name}"`, []);
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Query template "${name}" did not render valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a template (or one of its partials) references a variable
+   * @param {string} name - Template name
+   * @param {string} variable - Variable name
+   * @returns {boolean} True if referenced
+   */
+  usesVariable(name, variable) {
+    return this._collectVariables(this.templates[name] || [], []).has(variable);
+  }
+
+  /**
+   * Check every template for unknown variables or partials and valid JSON output
+   * @throws {Error} Naming the template and the offending variable, partial or JSON error
+   */
+  validate() {
+    for (const [name, template] of Object.entries(this.templates)) {
+      const label = `Invalid query template "${name}"`;
+
+      this._checkReferences(template, label, []);
+
+      // Render with sections both on and off so every branch is parsed once
+      for (const sample of this._getSampleVariables()) {
+        const json = this._renderNodes(template, sample, label, []);
+        try {
+          JSON.parse(json);
+        } catch (error) {
+          throw new Error(`${label}: does not render valid JSON (${error.message})`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Accept templates given as objects as well as JSON strings
+   * @private
+   */
+  _toSource(source) {
+    return typeof source === 'string' ? source : JSON.stringify(source);
+  }
+
+  /**
+   * Compile a template string into a node tree, tracking JSON string context
+   * @private
+   */
+  _compile(source, label) {
+    const root = [];
+    const stack = [{ nodes: root, name: null, inString: false }];
+    let inString = false;
+    let lastIndex = 0;
+
+    const pushText = text => {
+      if (!text) return;
+      stack[stack.length - 1].nodes.push({ type: 'text', value: text });
+      inString = this._scanStringState(text, inString);
+    };
+
+    TAG_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+      pushText(source.slice(lastIndex, match.index));
+      lastIndex = TAG_PATTERN.lastIndex;
+
+      const [, sigil, name] = match;
+      const current = stack[stack.length - 1];
+
+      if (sigil === '#' || sigil === '^') {
+        const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+        current.nodes.push(section);
+        stack.push({ nodes: section.children, name, inString });
+      } else if (sigil === '/') {
+        if (current.name !== name) {
+          throw new Error(`Invalid ${label}: unexpected {{/${name}}}${current.name ? ` (open section is {{#${current.name}}})` : ''}`);
+        }
+        if (current.inString !== inString) {
+          throw new Error(`Invalid ${label}: section {{#${name}}} opens or closes a JSON string`);
+        }
+        stack.pop();
+      } else if (sigil === '>') {
+        if (inString) {
+          throw new Error(`Invalid ${label}: partial {{> ${name}}} cannot be used inside a JSON string`);
+        }
+        current.nodes.push({ type: 'partial', name });
+      } else {
+        current.nodes.push({ type: 'variable', name, inString });
+      }
+    }
+    pushText(source.slice(lastIndex));
+
+    if (stack.length > 1) {
+      throw new Error(`Invalid ${label}: section {{#${stack[stack.length - 1].name}}} is never closed`);
+    }
+    if (inString) {
+      throw new Error(`Invalid ${label}: unterminated JSON string`);
+    }
+
+    this._markWholeStringVariables(root);
+    return root;
+  }
+
+  /**
+   * Track whether a text fragment ends inside a JSON string
+   * @private
+   */
+  _scanStringState(text, inString) {
+    let state = inString;
+    for (let i = 0; i < text.length; i++) {
+      if (state && text[i] === '\\') {
+        i++;
+      } else if (text[i] === '"') {
+        state = !state;
+      }
+    }
+    return state;
+  }
+
+  /**
+   * Variables that make up a whole JSON string ("{{x}}") take over its quotes so numbers
+   * render as numbers
+   * @private
+   */
+  _markWholeStringVariables(nodes) {
+    nodes.forEach((node, index) => {
+      if (node.type === 'section') {
+        this._markWholeStringVariables(node.children);
+        return;
+      }
+      const previous = nodes[index - 1];
+      const next = nodes[index + 1];
+      if (node.type === 'variable' && node.inString &&
+          previous?.type === 'text' && previous.value.endsWith('"') && !previous.value.endsWith('\\"') &&
+          next?.type === 'text' && next.value.startsWith('"')) {
+        previous.value = previous.value.slice(0, -1);
+        next.value = next.value.slice(1);
+        node.inString = false;
+        node.wholeString = true;
+      }
+    });
+  }
+
+  /**
+   * Render compiled nodes to JSON text
+   * @private
+   */
+  _renderNodes(nodes, variables, label, partialStack) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'variable':
+          return this._renderVariable(node, this._lookup(variables, node.name));
+        case 'section': {
+          const value = this._lookup(variables, node.name);
+          const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+          return truthy !== node.inverted ? this._renderNodes(node.children, variables, label, partialStack) : '';
+        }
+        case 'partial': {
+          if (partialStack.includes(node.name)) {
+            throw new Error(`${label}: partial {{> ${node.name}}} includes itself`);
+          }
+          const partial = this.partials[node.name];
+          if (!partial) {
+            throw new Error(`${label}: unknown partial {{> ${node.name}}}`);
+          }
+          return this._renderNodes(partial, variables, label, [...partialStack, node.name]);
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  /**
+   * Render one variable for its JSON context
+   * @private
+   */
+  _renderVariable(node, value) {
+    if (node.inString) {
+      const text = value === undefined || value === null
+        ? ''
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      // Escape as JSON string content, without the surrounding quotes
+      return JSON.stringify(text).slice(1, -1);
+    }
+    if (node.wholeString && (value === undefined || value === null)) {
+      return '""';
+    }
+    return value === undefined ? 'null' : JSON.stringify(value);
+  }
+
+  /**
+   * Resolve a (dotted) variable name
+   * @private
+   */
+  _lookup(variables, name) {
+    if (variables[name] !== undefined) {
+      return variables[name];
+    }
+    return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+  }
+
+  /**
+   * Reject unknown variables and partials anywhere in a template
+   * @private
+   */
+  _checkReferences(nodes, label, partialStack) {
+    nodes.forEach(node => {
+      if (node.type === 'variable' || node.type === 'section') {
+        const root = node.name.split('.')[0];
+        if (!this.knownVariables.has(root)) {
+          throw new Error(`${label}: unknown variable {{${node.name}}} (known: ${Array.from(this.knownVariables).join(', ')})`);
+        }
+      }
+      if (node.type === 'section') {
+        this._checkReferences(node.children, label, partialStack);
+      }
+      if (node.type === 'partial') {
+        if (!this.partials[node.name]) {
+          throw new Error(`${label}: unknown partial {{> ${node.name}}}`);
+        }
+        if (partialStack.includes(node.name)) {
+          throw new Error(`${label}: partial {{> ${node.name}}} includes itself`);
+        }
+        this._checkReferences(this.partials[node.name], label, [...partialStack, node.name]);
+      }
+    });
+  }
+
+  /**
+   * Collect referenced variable names
+   * @private
+   */
+  _collectVariables(nodes, partialStack, names = new Set()) {
+    nodes.forEach(node => {
+      if (node.type === 'variable' || node.type === 'section') {
+        names.add(node.name.split('.')[0]);
+      }
+      if (node.type === 'section') {
+        this._collectVariables(node.children, partialStack, names);
+      }
+      if (node.type === 'partial' && this.partials[node.name] && !partialStack.includes(node.name)) {
+        this._collectVariables(this.partials[node.name], [...partialStack, node.name], names);
+      }
+    });
+    return names;
+  }
+
+  /**
+   * Sample variables used to validate templates: every section on, then every section off
+   * @private
+   */
+  _getSampleVariables() {
+    const filled = {
+      query: 'sample "query" with \\ backslash',
+      lexical_query: 'sample "query" with \\ backslash and synonyms',
+      semantic_query: 'sample "query" without its dates',
+      language: 'en',
+      lexical_weight: 5,
+      semantic_weight: 5,
+      inference_id: 'sample-inference-id',
+      filters: [{ term: { sample_field: 'sample' } }]
+    };
+    const empty = { ...filled, filters: [] };
+
+    this.knownVariables.forEach(name => {
+      if (filled[name] === undefined) {
+        filled[name] = 'sample';
+        empty[name] = '';
+      }
+    });
+    return [filled, empty];
+  }
+}
+
+TemplateEngine.BUILT_IN_VARIABLES = BUILT_IN_VARIABLES;
+
+module.exports = TemplateEngine;
@@ -0,0 +1,347 @@
+/**
+ * TemporalParser - Date expressions in queries ("Q3 2024", "last month's", "latest")
+ * Resolves absolute and relative expressions against a reference clock into a date range for a
+ * date filter, flags recency words for a decay function, and returns the query without them
+ */
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+const UNIT_MONTHS = { month: 1, quarter: 3, year: 12 };
+
+const MONTH = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec)\\.?';
+const YEAR = '((?:19|20)\\d{2})';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const UNIT = '(day|week|month|quarter|year)s?';
+
+// Words before an expression that belong to it; the last four turn it into an open-ended range
+const PREFIX_PATTERN = /(?:^|\s)(in|from|during|for|of|since|after|before|until)\s+$/i;
+const POSSESSIVE_PATTERN = /^['’]s\b/;
+
+class TemporalParser {
+  constructor(options = {}) {
+    this.options = {
+      enabled: false,
+      field: 'unified_date',         // Date field the range filters and the recency decay reads
+      clock: () => new Date(),       // Reference clock relative expressions resolve against
+      weekStartsOn: 1,               // 0 = Sunday, 1 = Monday
+      recencyWords: ['latest', 'newest', 'most recent', 'recent', 'recently', 'new', 'current', 'up to date'],
+      // Words that make a year next to them a date ("2019 report", "fiscal 2019"); any other lone
+      // year is query text unless a preposition precedes it ("windows 2019 server", "top 2000 songs")
+      yearCues: [
+        'annual', 'fiscal', 'fy', 'report', 'reports', 'review', 'reviews', 'results', 'budget', 'budgets',
+        'plan', 'plans', 'planning', 'roadmap', 'summary', 'recap', 'forecast', 'outlook', 'goals', 'okrs',
+        'calendar', 'schedule', 'season', 'edition', 'conference', 'summit', 'offsite', 'audit', 'filing'
+      ],
+      // Decay function for recency words: exp, gauss or linear with its scale, offset and decay
+      decay: { function: 'exp', scale: '30d', offset: '0d', decay: 0.5 },
+      ...options
+    };
+
+    // Most specific first; each resolver returns { type, gte, lt } (Dates) or null to skip the match
+    this.rules = [
+      { pattern: new RegExp(`\\b${YEAR}-(\\d{2})-(\\d{2})\\b`, 'gi'), resolve: match => this._day(match[1], match[2] - 1, match[3]) },
+      { pattern: new RegExp(`\\b${DAY}\\s+${MONTH},?\\s+${YEAR}\\b`, 'gi'), resolve: match => this._day(match[3], this._month(match[2]), match[1]) },
+      { pattern: new RegExp(`\\b${MONTH}\\s+${DAY},?\\s+${YEAR}\\b`, 'gi'), resolve: match => this._day(match[3], this._month(match[1]), match[2]) },
+      { pattern: new RegExp(`\\b${YEAR}\\s*(?:-|–|to)\\s*${YEAR}\\b`, 'gi'), resolve: match => this._years(match[1], match[2]) },
+      { pattern: new RegExp(`\\b${YEAR}-(\\d{2})\\b`, 'gi'), resolve: match => this._calendarMonth(match[1], match[2] - 1) },
+      { pattern: new RegExp(`\\bQ([1-4])[\\s-]+${YEAR}\\b`, 'gi'), resolve: match => this._period(match[2], (match[1] - 1) * 3, 3) },
+      { pattern: new RegExp(`\\b${YEAR}[\\s-]+Q([1-4])\\b`, 'gi'), resolve: match => this._period(match[1], (match[2] - 1) * 3, 3) },
+      { pattern: /\bQ([1-4])\b/gi, resolve: (match, now) => this._period(now.getUTCFullYear(), (match[1] - 1) * 3, 3) },
+      // Capitals only: "h1" is an HTML heading
+      { pattern: new RegExp(`\\bH([12])[\\s-]+${YEAR}\\b`, 'g'), resolve: match => this._period(match[2], (match[1] - 1) * 6, 6) },
+      { pattern: new RegExp(`\\b${YEAR}[\\s-]+H([12])\\b`, 'g'), resolve: match => this._period(match[1], (match[2] - 1) * 6, 6) },
+      { pattern: new RegExp(`\\b${MONTH},?\\s+${YEAR}\\b`, 'gi'), resolve: match => this._calendarMonth(match[2], this._month(match[1])) },
+      { pattern: new RegExp(`\\b(?:last|past|previous)\\s+${NUMBER}\\s+${UNIT}\\b`, 'gi'), resolve: (match, now) => this._rolling(now, match[2], this._count(match[1])) },
+      { pattern: new RegExp(`\\b${NUMBER}\\s+${UNIT}\\s+ago\\b`, 'gi'), resolve: (match, now) => this._relative(now, match[2], -this._count(match[1])) },
+      { pattern: /\b(this|current|last|previous|past|next)\s+(day|week|month|quarter|year)\b/gi, resolve: (match, now) => this._namedPeriod(now, match[1], match[2]) },
+      { pattern: /\b(today|yesterday|tomorrow)\b/gi, resolve: (match, now) => this._relative(now, 'day', { today: 0, yesterday: -1, tomorrow: 1 }[match[1].toLowerCase()]) },
+      { pattern: /\b(?:ytd|year[\s-]to[\s-]date)\b/gi, resolve: (match, now) => ({ type: 'relative', gte: this._startOf(now, 'year'), lt: this._add(this._startOf(now, 'day'), 'day', 1) }) },
+      // A month with a day but no year is in the current year
+      { pattern: new RegExp(`\\b${DAY}\\s+${MONTH}(?!\\w)`, 'gi'), resolve: (match, now) => this._day(now.getUTCFullYear(), this._month(match[2]), match[1]) },
+      { pattern: new RegExp(`\\b${MONTH}\\s+${DAY}\\b`, 'gi'), resolve: (match, now) => this._day(now.getUTCFullYear(), this._month(match[1]), match[2]) },
+      // A month alone only by its full name after a preposition ("in March", "since May");
+      // otherwise it is query text ("march madness", "may the force")
+      { pattern: /\b(january|february|march|april|may|june|july|august|september|october|november|december)\b/gi, resolve: (match, now, query) => (
+        PREFIX_PATTERN.test(query.slice(0, match.index)) ? this._calendarMonth(now.getUTCFullYear(), this._month(match[1])) : null
+      ) },
+      // A lone year only after a preposition or next to a year cue, and never right after a capitalized
+      // word, where it is a version ("Office 2016 review")
+      { pattern: new RegExp(`\\b${YEAR}\\b`, 'g'), resolve: (match, now, query) => (
+        this._isYearDate(query, match.index, match.index + match[0].length) ? this._period(match[1], 0, 12) : null
+      ) }
+    ];
+  }
+
+  /**
+   * Find the date expressions and recency words of a query
+   * @param {string} query - Query text
+   * @param {Date|string|number} now - Reference time (defaults to the clock)
+   * @returns {object} {
+   *   text - the query without the expressions (the query itself when nothing else is left),
+   *   expressions - [{ text, type: 'absolute' | 'relative' | 'recency', start, end, range }],
+   *   range - { gte, lt } dates (YYYY-MM-DD) covering every expression, or null,
+   *   recency - whether a recency word was found, now - reference time (ISO)
+   * }
+   */
+  parse(query, now = this.options.clock()) {
+    const text = typeof query === 'string' ? query : '';
+    const reference = new Date(now);
+    if (Number.isNaN(reference.getTime())) {
+      throw new Error(`Invalid reference time: ${JSON.stringify(now)}`);
+    }
+
+    const expressions = [];
+    const overlaps = (start, end) => expressions.some(expression => start < expression.end && expression.start < end);
+
+    this.rules.forEach(({ pattern, resolve }) => {
+      for (const match of text.matchAll(pattern)) {
+        const end = match.index + match[0].length;
+        if (overlaps(match.index, end)) continue;
+
+        const resolved = resolve(match, reference, text);
+        if (resolved) expressions.push(this._extend(text, match.index, end, resolved));
+      }
+    });
+
+    this._findRecencyWords(text).forEach(({ start, end }) => {
+      if (!overlaps(start, end)) {
+        expressions.push({ text: text.slice(start, end), type: 'recency', start, end, range: null });
+      }
+    });
+    expressions.sort((a, b) => a.start - b.start);
+
+    return {
+      text: this._remove(text, expressions),
+      expressions,
+      range: this._cover(expressions),
+      recency: expressions.some(expression => expression.type === 'recency'),
+      now: reference.toISOString()
+    };
+  }
+
+  /**
+   * Update configuration options
+   */
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+  }
+
+  /**
+   * Take in a leading preposition and a trailing possessive, and apply open-ended prepositions
+   * @private
+   */
+  _extend(text, start, end, { type = 'absolute', gte, lt }) {
+    const prefix = text.slice(0, start).match(PREFIX_PATTERN);
+    const possessive = text.slice(end).match(POSSESSIVE_PATTERN);
+    const spanStart = prefix ? start - prefix[0].trimStart().length : start;
+    const spanEnd = possessive ? end + possessive[0].length : end;
+
+    const range = { gte, lt };
+    switch (prefix?.[1].toLowerCase()) {
+      case 'since': delete range.lt; break;
+      case 'after': range.gte = lt; delete range.lt; break;
+      case 'before': range.lt = gte; delete range.gte; break;
+      case 'until': delete range.gte; break;
+      default: break;
+    }
+
+    return {
+      text: text.slice(spanStart, spanEnd),
+      type,
+      start: spanStart,
+      end: spanEnd,
+      range: Object.fromEntries(Object.entries(range).map(([bound, date]) => [bound, this._format(date)]))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _findRecencyWords(text) {
+    const words = this.options.recencyWords
+      .map(word => word.trim().split(/[\s-]+/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[\\s-]+'))
+      .sort((a, b) => b.length - a.length);
+    if (words.length === 0) return [];
+
+    const found = [];
+    for (const match of text.matchAll(new RegExp(`\\b(?:${words.join('|')})\\b`, 'gi'))) {
+      const end = match.index + match[0].length;
+      // "New York", "New Relic": a capitalized word starting a name
+      if (/^\p{Lu}/u.test(match[0]) && /^\s+\p{Lu}/u.test(text.slice(end))) continue;
+      found.push({ start: match.index, end });
+    }
+    return found;
+  }
+
+  /**
+   * The widest bounds any expression sets: "2023 or 2024" covers both years, "since 2023 before 2025"
+   * is the range between
+   * @private
+   */
+  _cover(expressions) {
+    const ranges = expressions.filter(expression => expression.range).map(expression => expression.range);
+    if (ranges.length === 0) return null;
+
+    const gte = ranges.filter(range => range.gte).map(range => range.gte).sort()[0];
+    const lt = ranges.filter(range => range.lt).map(range => range.lt).sort().pop();
+    return { ...(gte && { gte }), ...(lt && { lt }) };
+  }
+
+  /**
+   * @private
+   */
+  _remove(text, expressions) {
+    let remaining = '';
+    let position = 0;
+    expressions.forEach(({ start, end }) => {
+      remaining += `${text.slice(position, start)} `;
+      position = end;
+    });
+    remaining = `${remaining}${text.slice(position)}`.replace(/\s+/g, ' ').replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+    return /[\p{L}\p{N}]/u.test(remaining) ? remaining : text;
+  }
+
+  /**
+   * @private
+   */
+  _isYearDate(text, start, end) {
+    const cues = this.options.yearCues.map(cue => cue.toLowerCase());
+    const isCue = word => Boolean(word) && cues.includes(word[1].toLowerCase());
+
+    if (PREFIX_PATTERN.test(text.slice(0, start))) return true;
+    if (isCue(text.slice(0, start).match(/(\p{L}+)\s+$/u))) return true;
+    return !this._followsName(text, start) && isCue(text.slice(end).match(/^\s+(\p{L}+)/u));
+  }
+
+  /**
+   * @private
+   */
+  _followsName(text, index) {
+    const previous = text.slice(0, index).match(/(\S+)\s+$/);
+    return Boolean(previous) && /^\p{Lu}/u.test(previous[1]) && !PREFIX_PATTERN.test(` ${previous[1]} `);
+  }
+
+  /**
+   * @private
+   */
+  _day(year, month, day) {
+    const gte = new Date(Date.UTC(Number(year), month, Number(day)));
+    if (month < 0 || month > 11 || gte.getUTCDate() !== Number(day)) return null;
+    return { gte, lt: this._add(gte, 'day', 1) };
+  }
+
+  /**
+   * @private
+   */
+  _calendarMonth(year, month) {
+    return month >= 0 && month <= 11 ? this._period(year, month, 1) : null;
+  }
+
+  /**
+   * @private
+   */
+  _period(year, month, months) {
+    const gte = new Date(Date.UTC(Number(year), month, 1));
+    return { gte, lt: new Date(Date.UTC(Number(year), month + months, 1)) };
+  }
+
+  /**
+   * @private
+   */
+  _years(from, to) {
+    return Number(from) < Number(to)
+      ? { gte: new Date(Date.UTC(Number(from), 0, 1)), lt: new Date(Date.UTC(Number(to) + 1, 0, 1)) }
+      : null;
+  }
+
+  /**
+   * The calendar unit `offset` units away from the one containing now
+   * @private
+   */
+  _relative(now, unit, offset) {
+    const gte = this._add(this._startOf(now, unit.toLowerCase()), unit.toLowerCase(), offset);
+    return { type: 'relative', gte, lt: this._add(gte, unit.toLowerCase(), 1) };
+  }
+
+  /**
+   * "past month" is the last 30 days or so; "last month" and "previous month" the calendar month before
+   * @private
+   */
+  _namedPeriod(now, modifier, unit) {
+    const offsets = { this: 0, current: 0, last: -1, previous: -1, next: 1 };
+    return modifier.toLowerCase() === 'past'
+      ? this._rolling(now, unit, 1)
+      : this._relative(now, unit, offsets[modifier.toLowerCase()]);
+  }
+
+  /**
+   * The last `count` units up to and including today
+   * @private
+   */
+  _rolling(now, unit, count) {
+    const lt = this._add(this._startOf(now, 'day'), 'day', 1);
+    return { type: 'relative', gte: this._add(lt, unit.toLowerCase(), -count), lt };
+  }
+
+  /**
+   * @private
+   */
+  _startOf(date, unit) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    switch (unit) {
+      case 'week': {
+        const day = new Date(Date.UTC(year, month, date.getUTCDate()));
+        return this._add(day, 'day', -((day.getUTCDay() - this.options.weekStartsOn + 7) % 7));
+      }
+      case 'month': return new Date(Date.UTC(year, month, 1));
+      case 'quarter': return new Date(Date.UTC(year, month - (month % 3), 1));
+      case 'year': return new Date(Date.UTC(year, 0, 1));
+      default: return new Date(Date.UTC(year, month, date.getUTCDate()));
+    }
+  }
+
+  /**
+   * Add days or weeks exactly, months, quarters and years by the calendar (Mar 31 - 1 month = Feb 28/29)
+   * @private
+   */
+  _add(date, unit, count) {
+    if (unit === 'day' || unit === 'week') {
+      return new Date(date.getTime() + count * (unit === 'week' ? 7 : 1) * 24 * 60 * 60 * 1000);
+    }
+    const month = date.getUTCMonth() + count * UNIT_MONTHS[unit];
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(date.getUTCFullYear(), month, Math.min(date.getUTCDate(), lastDay)));
+  }
+
+  /**
+   * @private
+   */
+  _month(name) {
+    const prefix = name.toLowerCase().slice(0, 3);
+    return MONTHS.findIndex(month => month.startsWith(prefix));
+  }
+
+  /**
+   * @private
+   */
+  _count(value) {
+    return NUMBER_WORDS[value.toLowerCase()] ?? Number(value);
+  }
+
+  /**
+   * @private
+   */
+  _format(date) {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = TemporalParser;
@@ -12,6 +12,10 @@ class WeightCombiner {
       
       // Bias configurations
       regionalBias: 0.12,          // Semantic bias for regional queries
+      acronymBias: 0.10,           // Lexical bias for queries with dictionary acronyms (matched lexically
+                                   // through their expansions, often unknown to the embedding model)
+      entityDescriptiveBias: 0.10, // Lexical bias for known entities followed by descriptive words, so the
+                                   // entity still anchors a query the length boosts pull semantic
       
       // Boost configurations
       longQueryBoost: 0.30,        // Semantic boost for 4+ word queries
@@ -25,6 +29,11 @@ class WeightCombiner {
       // Weight bounds
       minWeight: 0.1,
       maxWeight: 0.9,
+
+      // Fusion of the lexical and semantic retrievers: { method: 'linear' | 'rrf' | 'weighted_rrf',
+      // rankConstant, rankWindowSize, normalizer }; null keeps the template's (or spec's) own fusion
+      fusion: null,
+      strategyFusion: {},          // { [strategy]: fusion } overrides per search strategy
       
       ...options
     };
@@ -54,12 +63,25 @@ class WeightCombiner {
     }
 
     // Standard weight combination
-    const combinedLexical = (queryAnalysis.lexicalWeight * this.options.analysisWeight) + 
-                           (contextualWeights.lexicalWeight * this.options.contextualWeight);
+    const analysisContribution = queryAnalysis.lexicalWeight * this.options.analysisWeight;
+    const contextualContribution = contextualWeights.lexicalWeight * this.options.contextualWeight;
+    const combinedLexical = analysisContribution + contextualContribution;
     
     let finalLexicalWeight = this._clamp(combinedLexical);
     let finalSemanticWeight = 1.0 - finalLexicalWeight;
 
+    // Numeric trace of every step, for explain/dry-run
+    const adjustments = [{
+      source: 'combination',
+      factor: 'blend',
+      lexicalBefore: null,
+      lexicalAfter: combinedLexical,
+      contributions: { analysis: analysisContribution, contextual: contextualContribution }
+    }];
+    if (finalLexicalWeight !== combinedLexical) {
+      adjustments.push(this._adjustment('clamp', combinedLexical, finalLexicalWeight));
+    }
+
     // Add reasoning from component analyses
     reasoning.push(...(queryAnalysis.reasoning || []));
     reasoning.push(...(contextualWeights.reasoning || []));
@@ -87,6 +109,7 @@ class WeightCombiner {
 
     // Apply semantic boosts
     if (semanticBoost > 0) {
+      const lexicalBeforeBoost = finalLexicalWeight;
       const adjustedLexicalWeight = finalLexicalWeight * (1 - semanticBoost);
       const adjustedSemanticWeight = finalSemanticWeight + (finalLexicalWeight * semanticBoost);
       
@@ -97,11 +120,37 @@ class WeightCombiner {
       const total = finalLexicalWeight + finalSemanticWeight;
       finalLexicalWeight = finalLexicalWeight / total;
       finalSemanticWeight = finalSemanticWeight / total;
+      adjustments.push({
+        ...this._adjustment('semantic_boost', lexicalBeforeBoost, finalLexicalWeight),
+        semanticBoost
+      });
+    }
+
+    // Apply acronym expansion adjustment
+    const acronyms = this._getExpandedAcronyms(queryEnhancement);
+    if (acronyms.length > 0 && this.options.acronymBias > 0) {
+      const lexical = Math.min(this.options.maxWeight, finalLexicalWeight + this.options.acronymBias);
+      adjustments.push(this._adjustment('acronym_expansion', finalLexicalWeight, lexical));
+      finalLexicalWeight = lexical;
+      finalSemanticWeight = 1.0 - lexical;
+      reasoning.push(`Known acronyms expanded (${acronyms.join(', ')}) - extra ${Math.round(this.options.acronymBias * 100)}% lexical boost`);
+    }
+
+    // Apply entity + descriptive words adjustment
+    const entityDescriptive = this._isEntityDescriptiveQuery(queryEnhancement);
+    if (entityDescriptive && this.options.entityDescriptiveBias > 0) {
+      const { entities, descriptiveWords } = queryEnhancement.properNouns;
+      const lexical = Math.min(this.options.maxWeight, finalLexicalWeight + this.options.entityDescriptiveBias);
+      adjustments.push(this._adjustment('entity_descriptive', finalLexicalWeight, lexical));
+      finalLexicalWeight = lexical;
+      finalSemanticWeight = 1.0 - lexical;
+      reasoning.push(`Known entities (${entities.map(entity => entity.text).join(', ')}) with descriptive words (${descriptiveWords.join(' ')}) - extra ${Math.round(this.options.entityDescriptiveBias * 100)}% lexical boost`);
     }
 
     // Apply regional adjustments
     if (queryEnhancement.detectedRegion) {
       const { lexical, semantic } = this._applyRegionalAdjustment(finalLexicalWeight, finalSemanticWeight);
+      adjustments.push(this._adjustment('regional', finalLexicalWeight, lexical));
       finalLexicalWeight = lexical;
       finalSemanticWeight = semantic;
       reasoning.push(`Regional query detected (${queryEnhancement.detectedRegion}) - extra ${Math.round(this.options.regionalBias * 100)}% semantic boost`);
@@ -109,13 +158,17 @@ class WeightCombiner {
 
     // Calculate final confidence
     const confidence = this._calculateConfidence(queryAnalysis, contextualWeights, queryEnhancement);
+    const { strategy, reason: strategyReason } = this._explainStrategy(queryAnalysis, queryEnhancement);
 
     return {
       lexicalWeight: finalLexicalWeight,
       semanticWeight: finalSemanticWeight,
       confidence: confidence,
-      strategy: this._determineStrategy(queryAnalysis, queryEnhancement),
+      strategy,
+      strategyReason,
+      fusion: this._selectFusion(strategy),
       reasoning: reasoning,
+      adjustments,
       ...(queryEnhancement.properNouns.hasProperNouns && { properNouns: queryEnhancement.properNouns.properNouns })
     };
   }
@@ -135,11 +188,18 @@ class WeightCombiner {
     // Add proper noun reasoning
     const wordCount = queryEnhancement.queryStats.wordCount;
     const properNouns = queryEnhancement.properNouns.properNouns.join(', ');
-    reasoning.push(`Short query (${wordCount} words) with proper nouns detected (${properNouns}) - extra ${Math.round((this.options.properNounLexicalWeight - 0.5) * 100)}% lexical boost`);
+    const lexicalBoost = Math.round((this.options.properNounLexicalWeight - 0.5) * 100);
+    reasoning.push(wordCount > 1
+      ? `Query (${wordCount} words) is entirely known entities (${properNouns}) - extra ${lexicalBoost}% lexical boost`
+      : `Short query (${wordCount} words) with proper nouns detected (${properNouns}) - extra ${lexicalBoost}% lexical boost`);
+
+    // The proper noun weights replace the analysis/contextual blend entirely
+    const adjustments = [this._adjustment('proper_noun_override', null, lexicalWeight)];
     
     // Apply regional adjustment to proper noun queries
     if (queryEnhancement.detectedRegion) {
       const { lexical, semantic } = this._applyRegionalAdjustment(lexicalWeight, semanticWeight);
+      adjustments.push(this._adjustment('regional', lexicalWeight, lexical));
       lexicalWeight = lexical;
       semanticWeight = semantic;
       reasoning.push(`Regional query detected (${queryEnhancement.detectedRegion}) - extra ${Math.round(this.options.regionalBias * 100)}% semantic boost`);
@@ -150,7 +210,10 @@ class WeightCombiner {
       semanticWeight: semanticWeight,
       confidence: 0.95, // High confidence for proper noun detection
       strategy: 'short_proper_noun_lexical',
+      strategyReason: this._explainStrategy(queryAnalysis, queryEnhancement).reason,
+      fusion: this._selectFusion('short_proper_noun_lexical'),
       reasoning: reasoning,
+      adjustments,
       properNouns: queryEnhancement.properNouns.properNouns
     };
   }
@@ -173,13 +236,36 @@ class WeightCombiner {
     };
   }
 
+  /**
+   * Acronyms the query enhancer expanded from the synonym dictionary
+   * @private
+   */
+  _getExpandedAcronyms(queryEnhancement) {
+    return (queryEnhancement.expansions?.matches || [])
+      .filter(match => match.type === 'acronym')
+      .map(match => match.text);
+  }
+
   /**
    * Determine if this is a short proper noun query
    * @private
    */
   _isShortProperNounQuery(queryEnhancement) {
-    return queryEnhancement.queryStats.wordCount <= 2 && 
-           queryEnhancement.properNouns.hasProperNouns;
+    const { hasProperNouns, coverage } = queryEnhancement.properNouns;
+    if (coverage === undefined) {
+      return queryEnhancement.queryStats.wordCount <= 2 && hasProperNouns;
+    }
+    // Known entities span any number of words: the query must be nothing but proper nouns
+    return hasProperNouns && coverage >= 1;
+  }
+
+  /**
+   * Determine if known entities come with descriptive words ("Microsoft Office 365 install guide")
+   * @private
+   */
+  _isEntityDescriptiveQuery(queryEnhancement) {
+    const { entities = [], descriptiveWords = [] } = queryEnhancement.properNouns;
+    return entities.length > 0 && descriptiveWords.length > 0;
   }
 
   /**
@@ -218,18 +304,68 @@ class WeightCombiner {
    * @private
    */
   _determineStrategy(queryAnalysis, queryEnhancement) {
+    return this._explainStrategy(queryAnalysis, queryEnhancement).strategy;
+  }
+
+  /**
+   * Determine the search strategy together with the reason it won
+   * @private
+   */
+  _explainStrategy(queryAnalysis, queryEnhancement) {
     // Proper noun queries override other strategies
     if (this._isShortProperNounQuery(queryEnhancement)) {
-      return 'short_proper_noun_lexical';
+      return {
+        strategy: 'short_proper_noun_lexical',
+        reason: `Short query (${queryEnhancement.queryStats.wordCount} words) with proper nouns overrides the analyzer strategy`
+      };
+    }
+
+    // Known entities with descriptive words
+    if (this._isEntityDescriptiveQuery(queryEnhancement)) {
+      return {
+        strategy: 'entity_descriptive_hybrid',
+        reason: `Known entities (${queryEnhancement.properNouns.entities.map(entity => entity.text).join(', ')}) with descriptive words override the analyzer strategy`
+      };
     }
     
     // Regional queries
     if (queryEnhancement.detectedRegion) {
-      return 'regional_semantic_enhanced';
+      return {
+        strategy: 'regional_semantic_enhanced',
+        reason: `Region ${queryEnhancement.detectedRegion} detected, overriding the analyzer strategy`
+      };
     }
     
     // Fall back to query analyzer strategy
-    return queryAnalysis.strategy || 'balanced_hybrid';
+    return {
+      strategy: queryAnalysis.strategy || 'balanced_hybrid',
+      reason: queryAnalysis.strategy
+        ? `Query analyzer strategy: ${(queryAnalysis.reasoning || [])[0] || queryAnalysis.strategy}`
+        : 'No specific signal detected - balanced hybrid'
+    };
+  }
+
+  /**
+   * Pick the fusion method for a strategy
+   * @private
+   */
+  _selectFusion(strategy) {
+    const fusion = this.options.strategyFusion[strategy] || this.options.fusion;
+    return fusion ? { ...fusion } : null;
+  }
+
+  /**
+   * Build a trace entry for one change to the lexical weight
+   * @private
+   */
+  _adjustment(factor, lexicalBefore, lexicalAfter) {
+    return {
+      source: 'combination',
+      factor,
+      lexicalBefore,
+      lexicalAfter,
+      delta: lexicalBefore === null ? null : lexicalAfter - lexicalBefore
+    };
   }
 
   /**
@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Autocompleter = require('../lib/autocompleter');
+const RequestExecutor = require('../lib/request-executor');
+const SearchLogger = require('../lib/search-logger');
+
+const silent = new SearchLogger(null);
+const executor = respond => ({
+  requests: [],
+  async execute(method, params, requestOptions) {
+    this.requests.push({ method, params, requestOptions });
+    return respond(params);
+  }
+});
+
+describe('Autocompleter', () => {
+  it('suggests popular queries only once they were searched often enough', async () => {
+    const autocompleter = new Autocompleter(null, { logger: silent, minQueryCount: 2 });
+    autocompleter.addQueries(['vpn setup guide', { query: 'VPN  access request', count: 3 }]);
+    autocompleter.recordQuery('expense report');
+
+    const { suggestions, partial } = await autocompleter.suggest('vpn');
+    assert.deepEqual(suggestions.map(({ text, type, source, count }) => [text, type, source, count]), [
+      ['VPN access request', 'query', 'history', 3]
+    ]);
+    assert.equal(partial, false);
+
+    autocompleter.recordQuery('vpn setup guide');
+    assert.equal((await autocompleter.suggest('setup')).suggestions[0].text, 'vpn setup guide');
+  });
+
+  it('ranks entities first for name-like prefixes and queries first for descriptive ones', async () => {
+    const autocompleter = new Autocompleter(null, {
+      logger: silent,
+      minQueryCount: 1,
+      entities: () => [{ text: 'Kubernetes', type: 'product' }, { text: 'How-To Library', type: 'space' }]
+    });
+    autocompleter.addQueries(['kubernetes upgrade', 'how to upgrade kubernetes']);
+
+    assert.equal(autocompleter.detectStrategy('Kube'), 'entity_lookup');
+    assert.equal(autocompleter.detectStrategy('how to'), 'descriptive');
+    assert.equal(autocompleter.detectStrategy('budget'), 'balanced');
+
+    const entityFirst = await autocompleter.suggest('kube');
+    assert.equal(entityFirst.strategy, 'entity_lookup');
+    assert.deepEqual(entityFirst.suggestions.map(({ text, type }) => [text, type]), [
+      ['Kubernetes', 'entity'],
+      ['kubernetes upgrade', 'query'],
+      ['how to upgrade kubernetes', 'query']
+    ]);
+    assert.equal(entityFirst.suggestions[0].entityType, 'product');
+
+    const queryFirst = await autocompleter.suggest('how to');
+    assert.equal(queryFirst.suggestions[0].text, 'how to upgrade kubernetes');
+  });
+
+  it('adds completion and search-as-you-type documents from one request', async () => {
+    const client = executor(() => ({
+      suggest: { completion_suggestions: [{ options: [{ text: 'VPN Handbook', _score: 4, _id: 'c1' }] }] },
+      hits: { hits: [{ _id: 'd1', _score: 2, _source: { unified_title: 'VPN troubleshooting' } }] }
+    }));
+    const autocompleter = new Autocompleter(client, {
+      logger: silent,
+      completionField: 'title_suggest',
+      searchAsYouTypeField: 'title_sayt',
+      fuzzy: true
+    });
+
+    const { suggestions } = await autocompleter.suggest('vpn', 'docs', { deadline: 123 });
+    assert.deepEqual(suggestions.map(({ text, source, id }) => [text, source, id]), [
+      ['VPN Handbook', 'completion', 'c1'],
+      ['VPN troubleshooting', 'search_as_you_type', 'd1']
+    ]);
+
+    const [{ params, requestOptions }] = client.requests;
+    assert.equal(params.index, 'docs');
+    assert.deepEqual(params.body.suggest.completion_suggestions.completion.fuzzy, { fuzziness: 'AUTO' });
+    assert.equal(params.body.query.multi_match.type, 'bool_prefix');
+    assert.deepEqual(requestOptions, { deadline: 123 });
+  });
+
+  it('answers from local sources when Elasticsearch misses the budget, but not when aborted', async () => {
+    const failing = code => executor(() => {
+      throw RequestExecutor.createError(code, 'no response');
+    });
+    const options = { logger: silent, completionField: 'title_suggest', minQueryCount: 1 };
+
+    const late = new Autocompleter(failing(RequestExecutor.ERROR_CODES.timeout), options);
+    late.addQueries(['vpn setup']);
+    const result = await late.suggest('vpn', 'docs');
+    assert.equal(result.partial, true);
+    assert.deepEqual(result.suggestions.map(({ text }) => text), ['vpn setup']);
+
+    const aborted = new Autocompleter(failing(RequestExecutor.ERROR_CODES.aborted), options);
+    await assert.rejects(aborted.suggest('vpn', 'docs'), { code: RequestExecutor.ERROR_CODES.aborted });
+  });
+
+  it('returns nothing for short prefixes or when disabled, and evicts the least searched queries', async () => {
+    const autocompleter = new Autocompleter(null, { logger: silent, minPrefixLength: 2, maxQueries: 10, minQueryCount: 1 });
+    assert.deepEqual(await autocompleter.suggest(' v '), { prefix: 'v', strategy: null, suggestions: [], partial: false });
+
+    autocompleter.addQueries([{ query: 'popular', count: 5 }]);
+    for (let i = 0; i < 10; i++) autocompleter.recordQuery(`query ${i}`);
+    assert.equal(autocompleter.queries.size, 9);
+    assert.ok(autocompleter.queries.has('popular'));
+
+    autocompleter.updateOptions({ enabled: false });
+    assert.deepEqual((await autocompleter.suggest('popular')).suggestions, []);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ClientFusion = require('../lib/client-fusion');
+
+const response = (scores, total = scores.length) => ({
+  took: 5,
+  hits: { total: { value: total }, hits: Object.entries(scores).map(([_id, _score]) => ({ _id, _score })) }
+});
+
+const ids = fused => fused.hits.hits.map(hit => hit._id);
+
+describe('ClientFusion', () => {
+  const weights = { lexicalWeight: 0.5, semanticWeight: 0.5 };
+
+  it('blends min-max normalized scores with the weights', () => {
+    const fusion = new ClientFusion();
+    const fused = fusion.fuse({
+      lexical: response({ a: 10, b: 5, c: 0 }),
+      semantic: response({ c: 0.9, a: 0.1 })
+    }, weights);
+
+    assert.deepEqual(ids(fused), ['a', 'c', 'b']);
+    assert.equal(fused.hits.hits[0]._score, 0.5);
+    assert.equal(fused.hits.hits[1]._score, 0.5);
+    assert.deepEqual(fused.hits.hits[0]._components.lexical, { score: 10, normalized: 1, rank: 1 });
+    assert.equal(fused.hits.max_score, 0.5);
+  });
+
+  it('deduplicates hits returned by both sub-queries', () => {
+    const fused = new ClientFusion().fuse({
+      lexical: response({ a: 2, b: 1 }),
+      semantic: response({ a: 0.8, b: 0.4 })
+    }, weights);
+    assert.deepEqual(ids(fused), ['a', 'b']);
+  });
+
+  it('gives missing z-score components the lowest z-score of that component', () => {
+    const fusion = new ClientFusion({ normalization: 'zscore' });
+    const fused = fusion.fuse({
+      lexical: response({ a: 3, b: 2, c: 1 }),
+      semantic: response({ d: 1, e: 1, b: 3 })
+    }, weights);
+
+    const lexicalMin = Math.min(...['a', 'b', 'c'].map(id => fused.hits.hits.find(hit => hit._id === id)._components.lexical.normalized));
+    const d = fused.hits.hits.find(hit => hit._id === 'd');
+    assert.equal(d._score, 0.5 * d._components.semantic.normalized + 0.5 * lexicalMin);
+    // A document only one sub-query found never beats one ranked by both at the same z-scores
+    assert.equal(ids(fused)[0], 'b');
+  });
+
+  it('uses zscoreFloor for missing components when configured', () => {
+    const fusion = new ClientFusion({ normalization: 'zscore', zscoreFloor: -3 });
+    const fused = fusion.fuse({ lexical: response({ a: 2, b: 1 }), semantic: response({}) }, weights);
+    assert.equal(fused.hits.hits[0]._score, 0.5 * 1 + 0.5 * -3);
+  });
+
+  it('fuses by reciprocal rank with rrf', () => {
+    const fusion = new ClientFusion({ method: 'rrf', rankConstant: 10 });
+    const fused = fusion.fuse({
+      lexical: response({ a: 9, b: 8 }),
+      semantic: response({ b: 0.9, c: 0.8 })
+    }, { lexicalWeight: 0.9, semanticWeight: 0.1 });
+
+    assert.deepEqual(ids(fused), ['b', 'a', 'c']);
+    assert.equal(fused.hits.hits[0]._score, 1 / 12 + 1 / 11);
+  });
+
+  it('weights reciprocal ranks with weighted_rrf', () => {
+    const fusion = new ClientFusion({ method: 'weighted_rrf', rankConstant: 10 });
+    const fused = fusion.fuse({
+      lexical: response({ a: 9 }),
+      semantic: response({ c: 0.8 })
+    }, { lexicalWeight: 0.2, semanticWeight: 0.8 });
+    assert.deepEqual(ids(fused), ['c', 'a']);
+  });
+
+  it('reports the larger sub-query total as a lower bound and truncates to size', () => {
+    const fused = new ClientFusion().fuse({
+      lexical: response({ a: 3, b: 2, c: 1 }, 120),
+      semantic: response({ d: 1 }, 40)
+    }, weights, 2);
+    assert.deepEqual(fused.hits.total, { value: 120, relation: 'gte' });
+    assert.equal(fused.hits.hits.length, 2);
+  });
+
+  it('fuses a lexical-only response', () => {
+    const fused = new ClientFusion().fuse({ lexical: response({ a: 1 }), semantic: null }, weights);
+    assert.deepEqual(ids(fused), ['a']);
+  });
+
+  it('lets weights.fusion override the configured method and normalization', () => {
+    const fusion = new ClientFusion();
+    assert.deepEqual(
+      fusion.getFusion({ fusion: { method: 'rrf', normalizer: 'zscore', rankConstant: 20 } }),
+      { method: 'rrf', normalization: 'zscore', rankConstant: 20 }
+    );
+    assert.deepEqual(fusion.getFusion({}), { method: 'linear', normalization: 'minmax', rankConstant: 60 });
+  });
+
+  it('rejects unknown methods and normalizations', () => {
+    assert.throws(() => new ClientFusion({ method: 'borda' }).getFusion(), /Unknown client fusion method "borda"/);
+    assert.throws(() => new ClientFusion({ normalization: 'l2' }).getFusion(), /Unknown client fusion normalization "l2"/);
+  });
+});
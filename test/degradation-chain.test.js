@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DegradationChain = require('../lib/degradation-chain');
+const RequestExecutor = require('../lib/request-executor');
+
+const esError = (status, type, reason) => Object.assign(new Error(reason), {
+  meta: { statusCode: status, body: { error: { type, reason } } }
+});
+
+describe('DegradationChain', () => {
+  const chain = new DegradationChain();
+  const inference = esError(500, 'status_exception', 'Unable to reach the rerank deployment');
+
+  it('classifies errors into fallback categories', () => {
+    assert.equal(chain.classifyError(inference), 'inference');
+    assert.equal(chain.classifyError({ type: 'search_phase_execution_exception', caused_by: { type: 'inference_exception' } }), 'inference');
+    assert.equal(chain.classifyError(RequestExecutor.createError(RequestExecutor.ERROR_CODES.timeout, 'late')), 'timeout');
+    assert.equal(chain.classifyError(esError(504, 'gateway', 'upstream')), 'timeout');
+    assert.equal(chain.classifyError(esError(503, 'unavailable', 'no shards')), 'unavailable');
+    assert.equal(chain.classifyError(RequestExecutor.createError(RequestExecutor.ERROR_CODES.circuitOpen, 'open')), 'circuit_open');
+    assert.equal(chain.classifyError(esError(400, 'parsing_exception', 'unknown field')), 'other');
+  });
+
+  it('steps down the levels only on the categories a level falls back on', () => {
+    assert.equal(chain.next(0, inference), 1);
+    assert.equal(chain.next(1, inference), 2);
+    assert.equal(chain.next(2, inference), -1);
+    assert.equal(chain.next(0, esError(400, 'parsing_exception', 'unknown field')), -1);
+  });
+
+  it('skips unavailable levels and gives up once the search is cancelled or late', () => {
+    assert.equal(chain.next(0, inference, {}, step => step.level !== 'no_rerank'), 2);
+
+    const controller = new AbortController();
+    controller.abort();
+    assert.equal(chain.next(0, inference, { signal: controller.signal }), -1);
+    assert.equal(chain.next(0, inference, { deadline: Date.now() - 1 }), -1);
+    assert.equal(new DegradationChain({ enabled: false }).next(0, inference), -1);
+  });
+
+  it('starts below rerank unless reranking is requested or a cursor names a level', () => {
+    assert.equal(chain.getStartIndex(true), 0);
+    assert.equal(chain.getStartIndex(false), 1);
+    assert.equal(chain.getStartIndex(true, 'lexical_only'), 2);
+  });
+
+  it('starts at the first level that can be built', () => {
+    assert.equal(chain.getStartIndex(true, null, step => step.template !== 'rerank'), 1);
+    assert.equal(chain.getStartIndex(false, null, step => step.template === 'lexical'), 2);
+    assert.equal(chain.getStartIndex(true, null, () => false), 0);
+  });
+
+  it('bounds an attempt by the latency budget of its level', () => {
+    const budgeted = new DegradationChain({
+      levels: [{ ...DegradationChain.DEFAULT_LEVELS[0], maxLatency: 200 }, ...DegradationChain.DEFAULT_LEVELS.slice(1)]
+    });
+    const deadline = Date.now() + 5000;
+
+    assert.ok(budgeted.getRequestOptions(0, { deadline }).deadline <= Date.now() + 200);
+    assert.deepEqual(budgeted.getRequestOptions(1, { deadline }), { deadline });
+  });
+
+  it('rejects levels without a name or template', () => {
+    assert.throws(() => new DegradationChain({ levels: [] }), /at least one level/);
+    assert.throws(() => new DegradationChain({ levels: [{ level: 'rerank' }] }), /level name and a template/);
+  });
+});
@@ -0,0 +1,603 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DynamicSearchEngine = require('../lib/dynamic-search-engine');
+const SearchPipeline = require('../lib/search-pipeline');
+const { templates, hitsResponse, fakeClient, recordingLogger } = require('./helpers/fake-elasticsearch');
+
+describe('DynamicSearchEngine', () => {
+  describe('zero-hit auto-correction', () => {
+    // "machine lerning" finds nothing; the suggester corrects it to "machine learning", which has hits
+    const spellingClient = () => fakeClient((method, params) => {
+      if (method === 'search' && params.body?.suggest) {
+        return {
+          suggest: {
+            spelling_0: [{ text: 'lerning', offset: 8, length: 7, options: [{ text: 'learning', score: 0.9, freq: 3 }] }]
+          }
+        };
+      }
+      if (method === 'search' && params.size !== 0 && params.body?.size !== 0) {
+        return JSON.stringify(params.body).includes('learning') ? hitsResponse(2) : hitsResponse(0);
+      }
+      if (method === 'msearch') {
+        return {
+          responses: Array.from({ length: params.body.length / 2 }, (_, index) => (
+            JSON.stringify(params.body[index * 2 + 1]).includes('learning') ? hitsResponse(1) : hitsResponse(0)
+          ))
+        };
+      }
+      return undefined;
+    });
+
+    const createEngine = (client, options = {}) => new DynamicSearchEngine(client, templates, {
+      indexName: 'docs',
+      spelling: { enabled: true, autoCorrect: 'zero_hits' },
+      autocomplete: { recordQueries: true },
+      ...options
+    });
+
+    it('searches the correction once and counts one search', async () => {
+      const client = spellingClient();
+      const engine = createEngine(client);
+      const analyzed = [];
+      engine.use('before:analysis', context => analyzed.push(context.query));
+
+      const results = await engine.search('machine lerning');
+
+      assert.equal(results.searchedQuery, 'machine learning');
+      assert.equal(results.autoCorrected, true);
+      assert.equal(results.total, 2);
+      assert.equal(client.searches().length, 2);
+      assert.deepEqual(analyzed, ['machine lerning']);
+      assert.equal(engine.getStats().totalSearches, 1);
+      assert.deepEqual([...engine.autocompleter.queries.values()].map(({ text, count }) => [text, count]), [['machine learning', 1]]);
+    });
+
+    it('reruns every multisearch section with the correction', async () => {
+      const engine = createEngine(spellingClient());
+      const results = await engine.multisearch('machine lerning');
+
+      assert.equal(results.searchedQuery, 'machine learning');
+      assert.equal(results.sections.other.total, 1);
+      assert.equal(engine.getStats().totalSearches, 1);
+    });
+
+    it('logs the correction at debug level without the query or its correction', async () => {
+      const logger = recordingLogger();
+      const engine = createEngine(spellingClient(), { logger, logLevel: 'debug' });
+      await engine.search('machine lerning');
+
+      const record = logger.records.find(({ event }) => event === 'search_autocorrected');
+      assert.equal(record.level, 'debug');
+      assert.equal(record.query, '[REDACTED]');
+      assert.equal(record.correction, '[REDACTED]');
+      assert.ok(!JSON.stringify(logger.records).includes('lerning'));
+      assert.ok(!JSON.stringify(logger.records).includes('machine learning'));
+    });
+  });
+
+  describe('client-side fusion', () => {
+    const createEngine = client => new DynamicSearchEngine(client, templates, {
+      indexName: 'docs',
+      clientFusion: { enabled: true, windowSize: 20 }
+    });
+
+    it('fuses the lexical and semantic sub-queries of one msearch', async () => {
+      const client = fakeClient((method, params) => (method === 'msearch'
+        ? { responses: [hitsResponse(2, 2, 'lexical'), hitsResponse(2, 2, 'semantic')] }
+        : undefined));
+      const results = await createEngine(client).search('kubernetes deployment');
+
+      const [msearch] = client.calls.filter(({ method }) => method === 'msearch');
+      assert.equal(msearch.params.body.length, 4);
+      assert.ok(msearch.params.body.every(entry => !entry.retriever));
+      assert.equal(results.hits.length, 4);
+    });
+
+    it('rejects multisearch and batches, which would send retriever templates', async () => {
+      const engine = createEngine(fakeClient());
+      await assert.rejects(engine.multisearch('kubernetes'), /Client-side fusion does not support multisearch/);
+      await assert.rejects(engine.searchBatch([{ query: 'kubernetes' }]), /Client-side fusion does not support searchBatch/);
+    });
+  });
+
+  describe('multisearch sections', () => {
+    it('render section templates with the weights search() templates get', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, templates, { indexName: 'docs' });
+      await engine.search('vpn access', { useRerank: false });
+      await engine.multisearch('vpn access', { useRerank: false });
+
+      const searchBoost = client.searches()[0].params.body.query.bool.should[0].multi_match.boost;
+      const [msearch] = client.calls.filter(({ method }) => method === 'msearch');
+      const sectionBoosts = msearch.params.body.filter((entry, index) => index % 2 === 1)
+        .map(body => body.query.bool.should[0].multi_match.boost);
+
+      assert.ok(searchBoost > 1);
+      assert.deepEqual(sectionBoosts, [searchBoost, searchBoost]);
+    });
+
+    it('searches the configured sections with their indices, templates, sizes and mappers', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, templates, {
+        indexName: 'docs',
+        multisearchSections: [
+          { name: 'people', indices: ['people-a', 'people-b'], templates: { noRerank: 'lexical' }, size: 3, category: 'People' },
+          { name: 'tickets', indices: 'tickets-*', mapResult: hit => ({ ticket: hit.id }) }
+        ]
+      });
+
+      const results = await engine.multisearch('vpn access', { useRerank: false });
+      const [msearch] = client.calls.filter(({ method }) => method === 'msearch');
+      const [peopleHeader, peopleBody, ticketsHeader, ticketsBody] = msearch.params.body;
+
+      assert.deepEqual(peopleHeader, { index: 'people-a,people-b' });
+      assert.deepEqual(peopleBody, { query: { multi_match: { query: 'vpn access', fields: ['unified_title'] } }, size: 3 });
+      assert.deepEqual(ticketsHeader, { index: 'tickets-*' });
+      assert.ok(ticketsBody.query.bool.should);
+
+      assert.deepEqual(Object.keys(results.sections), ['people', 'tickets']);
+      assert.deepEqual(results.sections.people.hits.map(({ category }) => category), ['People', 'People']);
+      assert.deepEqual(results.sections.tickets.hits, [{ ticket: 'doc-0' }, { ticket: 'doc-1' }]);
+    });
+
+    it('lets a call override the sections and rejects invalid ones', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, templates, { indexName: 'docs' });
+
+      const results = await engine.multisearch('vpn access', { useRerank: false }, {
+        sections: [{ name: 'wiki', indices: 'wiki' }]
+      });
+      assert.deepEqual(Object.keys(results.sections), ['wiki']);
+
+      await engine.multisearch('vpn access', { useRerank: false }, {
+        sections: [{ name: 'wiki', indices: 'wiki', templates: { noRerank: 'missing' } }]
+      });
+      const [, lexical] = client.calls.filter(({ method }) => method === 'msearch');
+      assert.deepEqual(lexical.params.body[1].query, { multi_match: { query: 'vpn access', fields: ['unified_title'] } });
+
+      const rejects = (sections, message) => assert.rejects(engine.multisearch('vpn', {}, { sections }), message);
+      await rejects([{ indices: 'wiki' }], /require a name/);
+      await rejects([{ name: 'wiki', indices: 'a' }, { name: 'wiki', indices: 'b' }], /Duplicate multisearch section: wiki/);
+      await rejects([{ name: 'wiki', indices: [] }], /"wiki" requires indices/);
+      await rejects(
+        [{ name: 'wiki', indices: 'wiki', templates: { rerank: 'missing', noRerank: 'missing', lexical: 'missing' } }],
+        /Template not found for section "wiki": missing/
+      );
+    });
+
+    it('searches bookmarks and everything else without configuration', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, templates, { indexName: 'docs' });
+
+      const results = await engine.multisearch('vpn access', { useRerank: false }, { bookmarkIndex: 'my-bookmarks' });
+      const [msearch] = client.calls.filter(({ method }) => method === 'msearch');
+
+      assert.deepEqual(Object.keys(results.sections), ['bookmarks', 'other']);
+      assert.deepEqual(msearch.params.body[0], { index: 'my-bookmarks' });
+      assert.equal(results.sections.bookmarks.hits[0].category, 'Bookmarks');
+    });
+  });
+
+  describe('searchBatch', () => {
+    const failInference = body => JSON.stringify(body).includes('break inference') && Boolean(body.retriever);
+
+    it('sends every item in one msearch with the corpus statistics fetched once', async () => {
+      const respond = (method, params) => (method === 'msearch'
+        ? { responses: params.body.filter((entry, index) => index % 2 === 1).map((body, index) => hitsResponse(index + 1)) }
+        : undefined);
+      const statistics = client => client.calls.filter(({ method }) => method === 'search');
+
+      const single = fakeClient(respond);
+      await new DynamicSearchEngine(single, templates, { indexName: 'docs' }).searchBatch([{ query: 'SAP' }]);
+
+      const client = fakeClient(respond);
+      const engine = new DynamicSearchEngine(client, templates, { indexName: 'docs' });
+      const batch = await engine.searchBatch([
+        { query: 'quarterly business review', userContext: { useRerank: false } },
+        { query: 'SAP' },
+        { query: 'parental leave', userContext: { filters: [{ type: 'terms', field: 'unified_category', values: ['HR'] }] } }
+      ]);
+
+      assert.deepEqual(batch.map(({ query, results, error }) => [query, results.total, results.cached, error]), [
+        ['quarterly business review', 1, false, null],
+        ['SAP', 2, false, null],
+        ['parental leave', 3, false, null]
+      ]);
+      const msearches = client.calls.filter(({ method }) => method === 'msearch');
+      assert.equal(msearches.length, 1);
+      assert.equal(msearches[0].params.body.length, 6);
+      assert.ok(JSON.stringify(msearches[0].params.body[5]).includes('{"terms":{"unified_category":["HR"]}}'));
+      assert.ok(statistics(single).length > 0);
+      assert.equal(statistics(client).length, statistics(single).length);
+    });
+
+    it('degrades a failing item without affecting the others', async () => {
+      const client = fakeClient((method, params) => {
+        if (method !== 'msearch') return undefined;
+        const bodies = params.body.filter((entry, index) => index % 2 === 1);
+        return {
+          responses: bodies.map(body => (failInference(body)
+            ? { status: 500, error: { type: 'inference_exception', reason: 'inference endpoint unavailable' } }
+            : hitsResponse(2)))
+        };
+      });
+      const engine = new DynamicSearchEngine(client, templates, { indexName: 'docs' });
+
+      const batch = await engine.searchBatch([
+        { query: 'vpn access' },
+        { query: 'break inference please' },
+        { query: '   ' }
+      ]);
+
+      assert.equal(batch[0].error, null);
+      assert.equal(batch[0].results.degraded, null);
+      assert.equal(batch[1].error, null);
+      assert.equal(batch[1].results.degraded, 'no_rerank');
+      assert.equal(batch[1].results.total, 2);
+      assert.match(batch[2].error.message, /Query is required/);
+
+      const rounds = client.calls.filter(({ method }) => method === 'msearch');
+      assert.deepEqual(rounds.map(({ params }) => params.body.length / 2), [2, 1]);
+    });
+
+    it('reports an item that fails at every level as its own error', async () => {
+      const client = fakeClient((method, params) => (method === 'msearch'
+        ? {
+          responses: params.body.filter((entry, index) => index % 2 === 1).map(body => (
+            JSON.stringify(body).includes('broken') ? { status: 400, error: { type: 'parse_exception', reason: 'bad query' } } : hitsResponse(1)
+          ))
+        }
+        : undefined));
+      const engine = new DynamicSearchEngine(client, templates, { indexName: 'docs' });
+
+      const batch = await engine.searchBatch([{ query: 'broken' }, { query: 'vpn access' }]);
+      assert.match(batch[0].error.message, /bad query/);
+      assert.equal(batch[1].results.total, 1);
+      assert.equal(engine.getStats().errorCount, 1);
+    });
+
+    it('returns the decision trace of dry-run items without sending them', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, templates, { indexName: 'docs' });
+
+      const batch = await engine.searchBatch([
+        { query: 'vpn access', userContext: { dryRun: true } },
+        { query: 'expense policy' }
+      ]);
+
+      assert.equal(batch[0].results.dryRun, true);
+      assert.equal(batch[1].results.total, 2);
+      const [round] = client.calls.filter(({ method }) => method === 'msearch');
+      assert.equal(round.params.body.length, 2);
+    });
+  });
+
+  describe('templates', () => {
+    it('fails at construction when a template is invalid', () => {
+      const broken = { ...templates, noRerank: '{"query": {"term": {"tenant": "{{tenant_id}}"}}}' };
+      assert.throws(() => new DynamicSearchEngine(fakeClient(), broken), /Invalid query template "noRerank": unknown variable/);
+      assert.ok(new DynamicSearchEngine(fakeClient(), broken, { queryBuilder: { templateVariables: ['tenant_id'] } }));
+    });
+
+    it('sends a query with quotes and backslashes as a plain string', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, templates, {
+        indexName: 'docs',
+        enableContextualWeighting: false,
+        queryParser: { enabled: false }
+      });
+      const query = 'path "C:\\temp"}} match_all';
+
+      await engine.search(query);
+
+      const [{ params }] = client.searches();
+      const [lexical, semantic] = params.body.query.bool.should;
+      assert.equal(lexical.multi_match.query, query);
+      assert.equal(semantic.semantic.query, query);
+    });
+  });
+
+  describe('suggest', () => {
+    it('suggests gazetteer entities and documents without running a search', async () => {
+      const client = fakeClient((method, params) => (params.body?.suggest?.completion_suggestions
+        ? { suggest: { completion_suggestions: [{ options: [{ text: 'Kubernetes Handbook', _score: 1, _id: 'k1' }] }] } }
+        : undefined));
+      const engine = new DynamicSearchEngine(client, templates, {
+        indexName: 'docs',
+        autocomplete: { completionField: 'title_suggest', latencyBudget: 100 }
+      });
+      engine.importEntities('Kubernetes,product');
+
+      const result = await engine.suggest('Kube');
+
+      assert.equal(result.strategy, 'entity_lookup');
+      assert.deepEqual(result.suggestions.map(({ text, type }) => [text, type]), [
+        ['Kubernetes', 'entity'],
+        ['Kubernetes Handbook', 'document']
+      ]);
+      assert.equal(client.calls.length, 1);
+      assert.equal(client.calls[0].params.index, 'docs');
+      assert.equal(engine.getStats().totalSearches, 0);
+    });
+  });
+
+  describe('languages', () => {
+    const languageTemplates = {
+      ...templates,
+      noRerank: JSON.stringify({ query: { multi_match: { query: '{{query}}', fields: ['title.{{language}}'] } }, size: 10 })
+    };
+
+    it('detects the query language, reports it and passes it to the templates', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, languageTemplates, { indexName: 'docs', enableContextualWeighting: false });
+
+      const results = await engine.search('wie beantrage ich den Urlaub für das nächste Jahr', { useRerank: false });
+
+      assert.equal(results.language.code, 'de');
+      assert.deepEqual(client.searches()[0].params.body.query.multi_match.fields, ['title.de']);
+    });
+
+    it('skips detection when the caller names the language', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, languageTemplates, { indexName: 'docs', enableContextualWeighting: false });
+
+      const trace = await engine.explain('Urlaub Spanien', { language: 'es', useRerank: false });
+
+      assert.equal(trace.language.code, 'es');
+      assert.deepEqual(trace.requests[0].body.query.multi_match.fields, ['title.es']);
+    });
+  });
+
+  describe('synonyms', () => {
+    it('sends the expanded lexical query and keeps the semantic side unexpanded', async () => {
+      const client = fakeClient();
+      const expanded = Object.fromEntries(Object.entries(templates).map(([name, template]) => [
+        name,
+        template.replace(/"multi_match":\{"query":"\{\{query\}\}"/g, '"multi_match":{"query":"{{lexical_query}}"')
+      ]));
+      const engine = new DynamicSearchEngine(client, expanded, {
+        indexName: 'docs',
+        enableContextualWeighting: false,
+        queryEnhancer: { synonyms: { PTO: ['paid time off'] } }
+      });
+
+      const results = await engine.search('PTO carryover rules');
+
+      const reranker = client.searches()[0].params.body.retriever.text_similarity_reranker;
+      const [lexical, semantic] = reranker.retriever.linear.retrievers.map(({ retriever }) => retriever.standard.query);
+      assert.equal(lexical.multi_match.query, 'PTO carryover rules paid time off');
+      assert.equal(semantic.semantic.query, 'PTO carryover rules');
+      assert.equal(reranker.inference_text, 'PTO carryover rules');
+      assert.equal(results.total, 2);
+    });
+  });
+
+  describe('fusion strategies', () => {
+    it('fuses with the method configured for the strategy of the query', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, templates, {
+        indexName: 'docs',
+        enableContextualWeighting: false,
+        weightCombiner: {
+          fusion: { method: 'linear' },
+          strategyFusion: { conceptual: { method: 'rrf', rankConstant: 60, rankWindowSize: 100 } }
+        }
+      });
+
+      const conceptual = await engine.search('explain how vector search ranking works');
+      const other = await engine.explain('INC0012345');
+
+      assert.equal(conceptual.weights.strategy, 'conceptual');
+      assert.deepEqual(conceptual.weights.fusion, { method: 'rrf', rankConstant: 60, rankWindowSize: 100 });
+      const [{ params }] = client.searches();
+      const fused = params.body.retriever.text_similarity_reranker?.retriever || params.body.retriever;
+      assert.deepEqual([fused.rrf.rank_constant, fused.rrf.rank_window_size, fused.rrf.retrievers.length], [60, 100, 2]);
+
+      assert.notEqual(other.weights.strategy, 'conceptual');
+      assert.deepEqual(other.weights.fusion, { method: 'linear' });
+    });
+  });
+
+  describe('query spec', () => {
+    it('searches with spec-built bodies and a template-free engine', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, null, {
+        indexName: 'docs',
+        enableContextualWeighting: false,
+        queryBuilder: {
+          spec: {
+            lexical: { fields: { unified_title: 2, unified_content: 1 } },
+            semantic: { field: 'all_text_semantic' },
+            fusion: 'linear',
+            size: 5
+          }
+        }
+      });
+
+      const results = await engine.search('vpn setup guide');
+
+      const [{ params }] = client.searches();
+      const [lexical, semantic] = params.body.retriever.linear.retrievers;
+      assert.deepEqual(lexical.retriever.standard.query.multi_match.fields, ['unified_title^2', 'unified_content']);
+      assert.equal(semantic.retriever.standard.query.semantic.field, 'all_text_semantic');
+      assert.equal(lexical.weight + semantic.weight, 10);
+      assert.equal(params.body.size, 5);
+      assert.equal(results.total, 2);
+    });
+  });
+
+  describe('degradation', () => {
+    const inferenceError = () => Object.assign(new Error('inference endpoint unavailable'), {
+      meta: { statusCode: 500, body: { error: { type: 'inference_exception', reason: 'inference endpoint unavailable' } } }
+    });
+    const createEngine = client => new DynamicSearchEngine(client, templates, {
+      indexName: 'docs',
+      requestExecutor: { maxRetries: 0 },
+      logger: recordingLogger()
+    });
+
+    it('falls back level by level while the semantic side keeps failing', async () => {
+      const client = fakeClient((method, params) => {
+        if (method === 'search' && JSON.stringify(params.body).includes('"semantic"')) throw inferenceError();
+        return undefined;
+      });
+      const engine = createEngine(client);
+
+      const results = await engine.search('vpn access for contractors');
+
+      assert.equal(results.degraded, 'lexical_only');
+      assert.equal(results.total, 2);
+      assert.equal(client.searches().length, 3);
+      const degraded = engine.options.logger.records.filter(({ event }) => event === 'search_degraded');
+      assert.deepEqual(degraded.map(({ from, to }) => [from, to]), [['rerank', 'no_rerank'], ['no_rerank', 'lexical_only']]);
+    });
+
+    it('does not fall back on errors that another level cannot fix', async () => {
+      const client = fakeClient(method => {
+        if (method === 'search') {
+          throw Object.assign(new Error('unknown field'), { meta: { statusCode: 400, body: { error: { type: 'parsing_exception' } } } });
+        }
+        return undefined;
+      });
+
+      await assert.rejects(createEngine(client).search('vpn access'), /unknown field/);
+      assert.equal(client.searches().length, 1);
+    });
+  });
+
+  describe('explain and dry run', () => {
+    const createEngine = client => new DynamicSearchEngine(client, templates, {
+      indexName: 'docs',
+      enableContextualWeighting: false,
+      cacheResults: true
+    });
+
+    it('returns the decision trace with the request body without searching', async () => {
+      const client = fakeClient();
+      const engine = createEngine(client);
+
+      const trace = await engine.explain('kubernetes pod restart policy', { page: { size: 10 } });
+
+      assert.equal(trace.dryRun, true);
+      assert.equal(trace.method, 'search');
+      assert.equal(trace.query, 'kubernetes pod restart policy');
+      assert.equal(trace.weights.lexicalWeight + trace.weights.semanticWeight, 1);
+      trace.adjustments.filter(({ lexicalBefore }) => lexicalBefore !== null).forEach(adjustment => {
+        assert.equal(adjustment.delta.toFixed(6), (adjustment.lexicalAfter - adjustment.lexicalBefore).toFixed(6));
+      });
+      assert.equal(trace.adjustments.at(-1).lexicalAfter, trace.weights.lexicalWeight);
+      assert.equal(trace.requests.length, 1);
+      assert.equal(trace.requests[0].index, 'docs');
+      assert.ok(trace.requests[0].body.retriever || trace.requests[0].body.query);
+      assert.deepEqual(client.calls, []);
+      assert.equal(engine.getStats().cacheSize, 0);
+    });
+
+    it('traces every multisearch section', async () => {
+      const client = fakeClient();
+      const trace = await createEngine(client).multisearch('kubernetes pods', { dryRun: true });
+
+      assert.equal(trace.method, 'multisearch');
+      assert.ok(trace.requests.length > 1);
+      assert.deepEqual(client.calls, []);
+    });
+  });
+
+  describe('middleware', () => {
+    it('runs before and after every phase in order, around the request it may edit', async () => {
+      const client = fakeClient();
+      const engine = new DynamicSearchEngine(client, templates, { indexName: 'docs', spelling: { enabled: true } });
+      const hooks = [];
+      SearchPipeline.PHASES.forEach(phase => {
+        engine.use(`before:${phase}`, () => hooks.push(`before:${phase}`));
+        engine.use(`after:${phase}`, () => hooks.push(`after:${phase}`));
+      });
+      engine.use('before:execution', context => {
+        context.requests[0].body.size = 3;
+      });
+      engine.use('after:processing', context => {
+        context.results.tagged = true;
+      });
+
+      const results = await engine.search('vpn setup guide');
+
+      assert.deepEqual(hooks, SearchPipeline.PHASES.flatMap(phase => [`before:${phase}`, `after:${phase}`]));
+      assert.equal(client.searches()[0].params.body.size, 3);
+      assert.equal(results.tagged, true);
+    });
+
+    it('fails the search when middleware throws', async () => {
+      const engine = new DynamicSearchEngine(fakeClient(), templates, { indexName: 'docs' });
+      engine.use('before:building', () => {
+        throw new Error('tenant missing');
+      });
+
+      await assert.rejects(engine.search('vpn'), /tenant missing/);
+    });
+  });
+
+  describe('filters and facets', () => {
+    it('filters the query and returns normalized facet buckets', async () => {
+      const client = fakeClient((method, params) => {
+        if (method === 'search' && params.body?.aggs) {
+          return { ...hitsResponse(2), aggregations: { facet_owner: { buckets: [{ key: 'ana', doc_count: 2 }] } } };
+        }
+        return undefined;
+      });
+      const engine = new DynamicSearchEngine(client, templates, { indexName: 'docs' });
+
+      const results = await engine.search('travel policy', {
+        filters: [{ type: 'terms', field: 'unified_category', values: ['HR'] }],
+        facets: [{ name: 'owner', field: 'owner' }]
+      });
+
+      const [{ params }] = client.searches();
+      const leaves = params.body.retriever.text_similarity_reranker.retriever.linear.retrievers;
+      leaves.forEach(({ retriever }) => {
+        assert.deepEqual(retriever.standard.filter, [{ terms: { unified_category: ['HR'] } }]);
+      });
+      assert.deepEqual(params.body.aggs.facet_owner, { terms: { field: 'owner', size: 10 } });
+      assert.deepEqual(results.facets, { owner: [{ key: 'ana', count: 2 }] });
+    });
+  });
+
+  describe('region targeting', () => {
+    const createEngine = client => {
+      const engine = new DynamicSearchEngine(client, templates, {
+        indexName: 'docs',
+        enableContextualWeighting: false,
+        regionTargeting: { fields: { country: 'country_code', city: 'city.keyword' } }
+      });
+      engine.queryEnhancer.places.add({ name: 'Munich', type: 'city', code: 'MUC', country: 'DE' });
+      return engine;
+    };
+
+    it('boosts each named place on the field of its type, else on the countries it covers', async () => {
+      const client = fakeClient();
+      const engine = createEngine(client);
+
+      const trace = await engine.explain('travel policy Munich and France', { useRerank: false });
+      assert.deepEqual(trace.regionTargeting.boosts, [
+        { type: 'terms', field: 'city.keyword', values: ['MUC'], boost: 2 },
+        { type: 'terms', field: 'country_code', values: ['FR'], boost: 2 }
+      ]);
+      assert.deepEqual(trace.requests[0].body.query.bool.should, [
+        { constant_score: { filter: { terms: { 'city.keyword': ['MUC'] } }, boost: 2 } },
+        { constant_score: { filter: { terms: { country_code: ['FR'] } }, boost: 2 } }
+      ]);
+      assert.deepEqual(client.calls, []);
+    });
+
+    it('filters on the named places per request and adds nothing when turned off', async () => {
+      const client = fakeClient();
+      const engine = createEngine(client);
+
+      await engine.search('travel policy Munich', { useRerank: false, regionTargeting: 'filter' });
+      const [{ params }] = client.searches();
+      assert.deepEqual(params.body.query.bool.filter, [{ terms: { 'city.keyword': ['MUC'] } }]);
+
+      const trace = await engine.explain('travel policy Munich', { useRerank: false, regionTargeting: 'off' });
+      assert.equal(trace.regionTargeting, null);
+    });
+  });
+});
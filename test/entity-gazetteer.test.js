@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EntityGazetteer = require('../lib/entity-gazetteer');
+const EntityHarvester = require('../lib/entity-harvester');
+
+describe('EntityGazetteer', () => {
+  it('finds the longest entity case- and punctuation-insensitively with its spans', () => {
+    const gazetteer = new EntityGazetteer({ entries: { product: ['Microsoft Office', 'Microsoft Office 365'] } });
+    const [match] = gazetteer.find('install microsoft office-365 today');
+
+    assert.equal(match.entity, 'Microsoft Office 365');
+    assert.equal(match.type, 'product');
+    assert.equal(match.text, 'microsoft office-365');
+    assert.deepEqual([match.start, match.end, match.tokenStart, match.tokenEnd], [8, 28, 1, 4]);
+  });
+
+  it('matches fuzzily only when enabled and long enough', () => {
+    const gazetteer = new EntityGazetteer({ entries: ['Kubernetes', 'Jira'], fuzzy: true });
+    assert.equal(gazetteer.find('kubernets pods')[0].entity, 'Kubernetes');
+    assert.equal(gazetteer.find('kubernets pods')[0].fuzzy, true);
+    assert.deepEqual(gazetteer.find('jora board'), []);
+  });
+
+  it('imports CSV and keeps entities added by hand manual', () => {
+    const gazetteer = new EntityGazetteer();
+    assert.equal(gazetteer.import('# text,type,score\nAcme Cloud,product,12\nData Team,team'), 2);
+    assert.deepEqual(gazetteer.get('acme cloud'), { text: 'Acme Cloud', type: 'product', score: 12, source: 'manual' });
+
+    gazetteer.add('Acme Cloud', { score: 30, source: 'harvest' });
+    assert.equal(gazetteer.get('Acme Cloud').source, 'manual');
+    assert.equal(gazetteer.get('Acme Cloud').score, 30);
+  });
+
+  it('imports quoted CSV cells holding commas and quotes', () => {
+    const gazetteer = new EntityGazetteer();
+    assert.equal(gazetteer.import('"Acme, Inc.",company,4\n"The ""Blue"" Team",team'), 2);
+    assert.deepEqual(gazetteer.get('acme inc'), { text: 'Acme, Inc.', type: 'company', score: 4, source: 'manual' });
+    assert.equal(gazetteer.get('the blue team').text, 'The "Blue" Team');
+  });
+
+  it('keeps fuzzy candidates in step with added and removed entities', () => {
+    const gazetteer = new EntityGazetteer({ entries: ['Kubernetes', 'Kubernetes Engine', 'Terraform'], fuzzy: true, maxEdits: 2 });
+    assert.equal(gazetteer.find('kubernets engin')[0].entity, 'Kubernetes Engine');
+    assert.equal(gazetteer.find('teraform plan')[0].entity, 'Terraform');
+
+    gazetteer.remove('Terraform');
+    assert.deepEqual(gazetteer.find('teraform plan'), []);
+    gazetteer.add('Terraform Cloud');
+    assert.equal(gazetteer.find('teraform clod')[0].entity, 'Terraform Cloud');
+
+    gazetteer.clear();
+    assert.deepEqual(gazetteer.find('kubernets'), []);
+    assert.equal(gazetteer.fuzzyIndex.size, 0);
+  });
+
+  it('rejects entities without letters or digits', () => {
+    assert.throws(() => new EntityGazetteer().add(' -- '), /requires text with letters or digits/);
+  });
+});
+
+describe('EntityHarvester', () => {
+  const harvester = gazetteer => new EntityHarvester(null, { entities: gazetteer });
+
+  it('replaces harvested entities and never removes manual ones', () => {
+    const gazetteer = new EntityGazetteer({ entries: ['Project Atlas'] });
+    const entities = harvester(gazetteer);
+
+    assert.deepEqual(entities.load([
+      { text: 'Project Atlas', type: 'project', score: 9 },
+      { text: 'Acme Cloud', type: 'product', score: 7 }
+    ]), { loaded: 1, removed: 0 });
+    assert.equal(gazetteer.get('Project Atlas').type, 'entity');
+
+    assert.deepEqual(entities.load([{ text: 'Data Lake', type: 'product', score: 5 }]), { loaded: 1, removed: 1 });
+    assert.deepEqual(gazetteer.list().map(entry => entry.text).sort(), ['Data Lake', 'Project Atlas']);
+  });
+
+  it('requires fields or scanFields to harvest', async () => {
+    await assert.rejects(harvester(new EntityGazetteer()).harvest('docs'), /requires fields or scanFields/);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FilterBuilder = require('../lib/filter-builder');
+
+const linearRetriever = () => ({
+  linear: {
+    retrievers: [
+      { retriever: { standard: { query: { match: { unified_title: 'budget' } } } }, weight: 7 },
+      { retriever: { knn: { field: 'embedding', k: 10, num_candidates: 50 } }, weight: 3 }
+    ]
+  }
+});
+
+describe('FilterBuilder', () => {
+  const builder = new FilterBuilder();
+
+  describe('buildFilterClauses', () => {
+    it('builds a clause per descriptor type', () => {
+      assert.deepEqual(builder.buildFilterClauses([
+        { type: 'terms', field: 'category', values: ['hr', 'it'] },
+        { type: 'terms', field: 'owner', value: 'ana' },
+        { type: 'range', field: 'size', gte: 10, lt: 20 },
+        { type: 'date_range', field: 'updated', gte: 'now-7d', format: 'strict_date', time_zone: '+01:00' },
+        { type: 'exists', field: 'summary' },
+        { type: 'wildcard', field: 'path', value: 'docs/*' }
+      ]), [
+        { terms: { category: ['hr', 'it'] } },
+        { terms: { owner: ['ana'] } },
+        { range: { size: { gte: 10, lt: 20 } } },
+        { range: { updated: { gte: 'now-7d', format: 'strict_date', time_zone: '+01:00' } } },
+        { exists: { field: 'summary' } },
+        { wildcard: { path: { value: 'docs/*', case_insensitive: true } } }
+      ]);
+    });
+
+    it('negates excluded descriptors and ORs any-filters', () => {
+      const [excluded, any] = builder.buildFilterClauses([
+        { type: 'terms', field: 'status', values: ['archived'], exclude: true },
+        { type: 'any', filters: [{ type: 'exists', field: 'summary' }, { type: 'text', fields: ['title'], query: 'q3 plan', phrase: true }] }
+      ]);
+
+      assert.deepEqual(excluded, { bool: { must_not: [{ terms: { status: ['archived'] } }] } });
+      assert.deepEqual(any, {
+        bool: {
+          should: [{ exists: { field: 'summary' } }, { multi_match: { query: 'q3 plan', fields: ['title'], type: 'phrase' } }],
+          minimum_should_match: 1
+        }
+      });
+    });
+
+    it('rejects invalid descriptors', () => {
+      assert.throws(() => builder.buildFilterClauses({}), /must be an array/);
+      assert.throws(() => builder.buildFilterClauses([{ type: 'terms' }]), /require a field/);
+      assert.throws(() => builder.buildFilterClauses([{ type: 'range', field: 'size' }]), /requires at least one of gt, gte, lt, lte/);
+      assert.throws(() => builder.buildFilterClauses([{ type: 'geo', field: 'location' }]), /Unsupported filter type: geo/);
+      assert.throws(() => builder.buildFilterClauses([{ type: 'any', filters: [] }]), /non-empty filters array/);
+    });
+  });
+
+  describe('applyFilters', () => {
+    const filters = [{ type: 'terms', field: 'category', values: ['hr'] }];
+
+    it('wraps a standard query so a should-only bool keeps its matching rules', () => {
+      const esQuery = { query: { bool: { should: [{ match: { title: 'budget' } }] } }, size: 10 };
+      const body = builder.applyFilters(esQuery, filters);
+
+      assert.deepEqual(body.query, {
+        bool: { must: [esQuery.query], filter: [{ terms: { category: ['hr'] } }] }
+      });
+      assert.equal(esQuery.query.bool.filter, undefined);
+    });
+
+    it('filters every leaf retriever, standard and knn alike', () => {
+      const body = builder.applyFilters({ retriever: linearRetriever() }, filters);
+      const [standard, knn] = body.retriever.linear.retrievers.map(entry => entry.retriever);
+
+      assert.deepEqual(standard.standard.filter, [{ terms: { category: ['hr'] } }]);
+      assert.deepEqual(knn.knn.filter, [{ terms: { category: ['hr'] } }]);
+    });
+
+    it('returns the body untouched without filters', () => {
+      const esQuery = { query: { match_all: {} } };
+      assert.equal(builder.applyFilters(esQuery, []), esQuery);
+    });
+  });
+
+  describe('applyBoosts and applyDecay', () => {
+    it('adds constant or scored should clauses around standard queries only', () => {
+      const body = builder.applyBoosts({ retriever: linearRetriever() }, [
+        { type: 'terms', field: 'country', values: ['DE'], boost: 2 },
+        { type: 'text', fields: ['title'], query: 'annual budget', phrase: true, scored: true, boost: 3 }
+      ]);
+      const [standard, knn] = body.retriever.linear.retrievers.map(entry => entry.retriever);
+
+      assert.deepEqual(standard.standard.query.bool.should, [
+        { constant_score: { filter: { terms: { country: ['DE'] } }, boost: 2 } },
+        { bool: { should: [{ multi_match: { query: 'annual budget', fields: ['title'], type: 'phrase' } }], boost: 3 } }
+      ]);
+      assert.equal(knn.knn.query, undefined);
+    });
+
+    it('multiplies scores by a decay function of a field', () => {
+      const body = builder.applyDecay({ query: { match: { title: 'budget' } } }, { field: 'updated', scale: '30d', decay: 0.5 });
+
+      assert.deepEqual(body.query.function_score, {
+        query: { match: { title: 'budget' } },
+        functions: [{ exp: { updated: { scale: '30d', decay: 0.5 } } }],
+        boost_mode: 'multiply'
+      });
+      assert.throws(() => builder.applyDecay({}, { field: 'updated' }), /require a field and a scale/);
+    });
+  });
+
+  describe('facets', () => {
+    const facets = [
+      { name: 'owner', field: 'owner', size: 5 },
+      { name: 'category', type: 'category' },
+      { name: 'updated', type: 'date_histogram', field: 'updated' }
+    ];
+
+    it('adds prefixed aggregations next to the template aggregations', () => {
+      const body = builder.applyFacets({ query: {}, aggregations: { template: { max: { field: 'size' } } } }, facets);
+
+      assert.equal(body.aggregations, undefined);
+      assert.deepEqual(Object.keys(body.aggs), ['template', 'facet_owner', 'facet_category', 'facet_updated']);
+      assert.deepEqual(body.aggs.facet_owner, { terms: { field: 'owner', size: 5 } });
+      assert.deepEqual(body.aggs.facet_category, { terms: { field: '_index', size: 100 } });
+      assert.equal(body.aggs.facet_updated.date_histogram.calendar_interval, 'month');
+      assert.throws(() => builder.buildAggregations([{ field: 'owner' }]), /require a name/);
+    });
+
+    it('normalizes buckets and merges indexes into their categories', () => {
+      const normalized = builder.normalizeFacets({
+        facet_owner: { buckets: [{ key: 'ana', doc_count: 4 }] },
+        facet_category: { buckets: [{ key: 'wiki-1', doc_count: 2 }, { key: 'tickets', doc_count: 3 }, { key: 'wiki-2', doc_count: 2 }] },
+        facet_updated: { buckets: [{ key: 1704067200000, key_as_string: '2024-01-01', doc_count: 6 }] }
+      }, facets, { 'wiki-1': 'wiki', 'wiki-2': 'wiki' });
+
+      assert.deepEqual(normalized, {
+        owner: [{ key: 'ana', count: 4 }],
+        category: [{ key: 'wiki', count: 4 }, { key: 'tickets', count: 3 }],
+        updated: [{ key: '2024-01-01', count: 6 }]
+      });
+    });
+  });
+});
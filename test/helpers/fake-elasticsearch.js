@@ -0,0 +1,98 @@
+/**
+ * Fake Elasticsearch client and query templates for engine tests
+ */
+
+const templates = {
+  rerank: JSON.stringify({
+    retriever: {
+      text_similarity_reranker: {
+        retriever: {
+          linear: {
+            retrievers: [
+              { retriever: { standard: { query: { multi_match: { query: '{{query}}', fields: ['unified_title'] } } } }, weight: '{{lexical_weight}}' },
+              { retriever: { standard: { query: { semantic: { field: 'unified_semantic', query: '{{semantic_query}}' } } } }, weight: '{{semantic_weight}}' }
+            ]
+          }
+        },
+        field: 'unified_content',
+        inference_text: '{{query}}',
+        inference_id: '{{inference_id}}'
+      }
+    },
+    size: 10
+  }),
+  noRerank: JSON.stringify({
+    query: {
+      bool: {
+        should: [
+          { multi_match: { query: '{{query}}', fields: ['unified_title'], boost: '{{lexical_weight}}' } },
+          { semantic: { field: 'unified_semantic', query: '{{semantic_query}}', boost: '{{semantic_weight}}' } }
+        ]
+      }
+    },
+    size: 10
+  }),
+  lexical: JSON.stringify({ query: { multi_match: { query: '{{query}}', fields: ['unified_title'] } }, size: 10 }),
+  semantic: JSON.stringify({ query: { semantic: { field: 'unified_semantic', query: '{{semantic_query}}' } }, size: 10 })
+};
+templates.bookmarksRerank = templates.rerank;
+templates.bookmarksNoRerank = templates.noRerank;
+
+/**
+ * Search response with `count` hits out of `total`
+ */
+function hitsResponse(count, total = count, prefix = 'doc') {
+  return {
+    took: 3,
+    hits: {
+      total: { value: total, relation: 'eq' },
+      hits: Array.from({ length: count }, (_, index) => ({
+        _id: `${prefix}-${index}`,
+        _index: 'docs',
+        _score: 1 - index / 10,
+        _source: { unified_title: `${prefix} ${index}` }
+      }))
+    }
+  };
+}
+
+/**
+ * Client recording every call; `respond(method, params)` returns a response or throws, and
+ * falls back to two hits for searches and for every msearch entry
+ */
+function fakeClient(respond = () => undefined) {
+  const calls = [];
+  const call = method => async params => {
+    calls.push({ method, params });
+    const response = await respond(method, params);
+    if (response !== undefined) return response;
+
+    if (method === 'msearch') {
+      return { responses: Array.from({ length: params.body.length / 2 }, () => hitsResponse(2)) };
+    }
+    if (method === 'openPointInTime') return { id: 'pit-1' };
+    if (method === 'closePointInTime') return {};
+    return params.size === 0 || params.body?.size === 0 ? hitsResponse(0) : hitsResponse(2);
+  };
+
+  return {
+    calls,
+    searches: () => calls.filter(({ method, params }) => method === 'search' && !params.body?.suggest && params.size !== 0 && params.body?.size !== 0),
+    search: call('search'),
+    msearch: call('msearch'),
+    openPointInTime: call('openPointInTime'),
+    closePointInTime: call('closePointInTime')
+  };
+}
+
+/**
+ * Logger function collecting every record
+ */
+function recordingLogger() {
+  const records = [];
+  const logger = record => records.push(record);
+  logger.records = records;
+  return logger;
+}
+
+module.exports = { templates, hitsResponse, fakeClient, recordingLogger };
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const LanguageDetector = require('../lib/language-detector');
+
+describe('LanguageDetector', () => {
+  const detector = new LanguageDetector();
+
+  it('detects the built-in languages from function words, letters and suffixes', () => {
+    assert.equal(detector.detect('wie funktioniert die Steuererklärung').code, 'de');
+    assert.equal(detector.detect('cómo solicitar las vacaciones').code, 'es');
+    assert.equal(detector.detect('comment déclarer les congés').code, 'fr');
+    assert.equal(detector.detect('how to request parental leave').code, 'en');
+
+    const { source, confidence, scores } = detector.detect('wie funktioniert die Steuererklärung');
+    assert.equal(source, 'detected');
+    assert.ok(confidence >= 0.55);
+    assert.deepEqual(Object.keys(scores), ['en', 'de', 'es', 'fr']);
+  });
+
+  it('falls back to the default language for short or ambiguous queries', () => {
+    assert.deepEqual(
+      [detector.detect('SAP').code, detector.detect('SAP').source],
+      ['en', 'default']
+    );
+    assert.equal(new LanguageDetector({ defaultLanguage: 'de' }).detect('').code, 'de');
+  });
+
+  it('registers and extends languages', async () => {
+    const custom = new LanguageDetector({
+      resources: { nl: { stopwords: ['de', 'het', 'een', 'hoe', 'wat', 'voor'], regions: { NL: ['Holland'] } } }
+    });
+    assert.equal(custom.detect('hoe vraag ik verlof aan voor het jaar').code, 'nl');
+    assert.deepEqual(custom.findRegions('verlof in Holland', 'nl').map(({ region, text }) => [region, text]), [['NL', 'Holland']]);
+
+    custom.addLanguage('ES', { technicalTerms: ['servidor'] });
+    assert.ok(custom.getResources('es').technicalTerms.has('servidor'));
+    assert.ok(custom.getResources('es').stopwords.has('las'));
+    assert.equal(custom.isWord('servidor', 'nl'), null);
+    assert.throws(() => custom.addLanguage('dutch', {}), /ISO 639 code/);
+
+    const file = path.join(os.tmpdir(), `dictionary-${process.pid}.txt`);
+    await fs.promises.writeFile(file, '# Dutch words\nverlof\naanvragen\n');
+    try {
+      assert.equal(await custom.loadDictionaryFile('nl', file), 2);
+    } finally {
+      await fs.promises.unlink(file);
+    }
+    assert.equal(custom.isWord('Verlof', 'nl'), true);
+    assert.equal(custom.isWord('holiday', 'nl'), false);
+  });
+
+  it('finds country names in the language of the query', () => {
+    assert.deepEqual(detector.findRegions('Urlaub in Spanien und Vereinigtes Königreich', 'de').map(({ region }) => region), ['ES', 'GB']);
+    assert.deepEqual(detector.findRegions('congés en Allemagne', 'fr').map(({ region }) => region), ['DE']);
+    assert.equal(detector.isSpokenIn('de', 'AT'), true);
+    assert.equal(detector.isSpokenIn('de', 'ES'), false);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LRUCache = require('../lib/lru-cache');
+
+describe('LRUCache', () => {
+  it('evicts the least recently used entry beyond maxEntries', () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+    assert.equal(cache.size, 2);
+  });
+
+  it('expires entries after their ttl', () => {
+    const cache = new LRUCache({ defaultTTL: 60000 });
+    cache.set('fresh', 1);
+    cache.set('stale', 2, -1);
+
+    assert.equal(cache.get('fresh'), 1);
+    assert.equal(cache.get('stale'), undefined);
+    assert.equal(cache.size, 1);
+  });
+
+  it('deletes and clears entries', () => {
+    const cache = new LRUCache();
+    cache.set('a', 1);
+    cache.set('b', 2);
+
+    assert.equal(cache.delete('a'), true);
+    assert.equal(cache.delete('a'), false);
+    cache.clear();
+    assert.equal(cache.size, 0);
+  });
+});
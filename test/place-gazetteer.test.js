@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PlaceGazetteer = require('../lib/place-gazetteer');
+
+describe('PlaceGazetteer', () => {
+  it('finds built-in countries and regions with their spans and covered countries', () => {
+    const gazetteer = new PlaceGazetteer();
+    const [germany, emea] = gazetteer.find('offices in Deutschland and EMEA');
+
+    assert.deepEqual(germany, {
+      text: 'Deutschland', code: 'DE', name: 'Germany', type: 'country', country: 'DE', countries: ['DE'], start: 11, end: 22
+    });
+    assert.equal(emea.type, 'region');
+    assert.ok(emea.countries.includes('FR') && emea.countries.includes('AE') && !emea.countries.includes('JP'));
+    assert.ok(!gazetteer.get('APAC').countries.includes('AE'));
+  });
+
+  it('matches two-letter codes only in capitals and prefers the longest name', () => {
+    const gazetteer = new PlaceGazetteer();
+    assert.deepEqual(gazetteer.find('send it to us').map(({ code }) => code), []);
+    assert.deepEqual(gazetteer.find('US and IT teams').map(({ code }) => code), ['US', 'IT']);
+    assert.deepEqual(gazetteer.find('south korea hiring').map(({ text, code }) => [text, code]), [['south korea', 'KR']]);
+  });
+
+  it('loads sub-national places from CSV and JSON, extending known codes', () => {
+    const gazetteer = new PlaceGazetteer();
+    assert.equal(gazetteer.import('# name,type,code,country,aliases\nMunich,city,MUC,DE,München|Muenchen\nDACH,region,,DE|AT|CH'), 2);
+    assert.equal(gazetteer.import('[{ "name": "San Francisco", "type": "city", "code": "SFO", "country": "US", "aliases": ["SF"] }]'), 1);
+
+    assert.deepEqual(gazetteer.find('Muenchen, DACH and SF').map(({ code, countries }) => [code, countries]), [
+      ['MUC', ['DE']],
+      ['DACH', ['DE', 'AT', 'CH']],
+      ['SFO', ['US']]
+    ]);
+    assert.deepEqual(gazetteer.list('city').map(({ code }) => code), ['MUC', 'SFO']);
+
+    gazetteer.addAliases('SFO', ['Frisco']);
+    assert.deepEqual(gazetteer.get('SFO').aliases, ['SF', 'Frisco']);
+  });
+
+  it('gives a name back to the place it hid when the later place is removed', () => {
+    const gazetteer = new PlaceGazetteer();
+    gazetteer.add({ name: 'Georgia', type: 'state', code: 'US-GA', country: 'US' });
+    assert.equal(gazetteer.find('Georgia offices')[0].code, 'US-GA');
+
+    assert.equal(gazetteer.remove('US-GA'), true);
+    assert.equal(gazetteer.find('Georgia offices')[0].code, 'GE');
+    assert.throws(() => gazetteer.add({ name: ' - ' }), /requires a name with letters or digits/);
+  });
+
+  it('can start without the built-in places', () => {
+    const gazetteer = new PlaceGazetteer({ builtIn: false, entries: [{ name: 'Springfield', type: 'city' }] });
+    assert.equal(gazetteer.size(), 1);
+    assert.deepEqual(gazetteer.find('Germany and Springfield').map(({ code }) => code), ['Springfield']);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const QueryBuilder = require('../lib/query-builder');
+
+const hybridRetriever = () => ({
+  text_similarity_reranker: {
+    field: 'unified_content',
+    rank_window_size: 20,
+    retriever: {
+      rrf: {
+        rank_window_size: 10,
+        retrievers: [
+          { standard: { query: { match: { unified_title: 'kubernetes' } } } },
+          { retriever: { standard: { query: { semantic: { field: 'unified_semantic', query: 'kubernetes' } } } } }
+        ]
+      }
+    }
+  }
+});
+
+describe('QueryBuilder', () => {
+  const builder = new QueryBuilder({});
+
+  describe('applyPageWindow', () => {
+    it('raises the rank window of rerankers and compound retrievers to the end of the page', () => {
+      const esQuery = { from: 40, size: 10, retriever: hybridRetriever() };
+      const body = builder.applyPageWindow(esQuery, 50);
+
+      assert.equal(body.retriever.text_similarity_reranker.rank_window_size, 50);
+      assert.equal(body.retriever.text_similarity_reranker.retriever.rrf.rank_window_size, 50);
+      assert.equal(esQuery.retriever.text_similarity_reranker.rank_window_size, 20);
+    });
+
+    it('never lowers a larger window and leaves queries without retrievers alone', () => {
+      const body = builder.applyPageWindow({ retriever: hybridRetriever() }, 15);
+      assert.equal(body.retriever.text_similarity_reranker.rank_window_size, 20);
+      assert.equal(body.retriever.text_similarity_reranker.retriever.rrf.rank_window_size, 15);
+
+      const plain = { query: { match_all: {} } };
+      assert.equal(builder.applyPageWindow(plain, 50), plain);
+    });
+  });
+
+  describe('applyRerankWindow', () => {
+    it('sets the reranker window and makes the retrievers under it supply it', () => {
+      const body = builder.applyRerankWindow({ size: 10, retriever: hybridRetriever() }, 100);
+      assert.equal(body.retriever.text_similarity_reranker.rank_window_size, 100);
+      assert.equal(body.retriever.text_similarity_reranker.retriever.rrf.rank_window_size, 100);
+    });
+
+    it('covers the requested page', () => {
+      const body = builder.applyRerankWindow({ from: 30, size: 10, retriever: hybridRetriever() }, 20);
+      assert.equal(body.retriever.text_similarity_reranker.rank_window_size, 40);
+    });
+  });
+
+  describe('applyFusion', () => {
+    const linearBody = () => ({
+      retriever: {
+        text_similarity_reranker: {
+          field: 'unified_content',
+          retriever: {
+            linear: {
+              rank_window_size: 30,
+              retrievers: [
+                { retriever: { standard: { query: { match: { unified_title: 'kubernetes' } } } }, weight: 7 },
+                { retriever: { standard: { query: { semantic: { field: 'unified_semantic', query: 'kubernetes' } } } }, weight: 3 }
+              ]
+            }
+          }
+        }
+      }
+    });
+
+    it('rebuilds a weighted linear retriever as rrf, keeping its children and rank window', () => {
+      const esQuery = linearBody();
+      const body = builder.applyFusion(esQuery, { method: 'rrf', rankConstant: 20 });
+      const { rrf } = body.retriever.text_similarity_reranker.retriever;
+
+      assert.equal(rrf.rank_constant, 20);
+      assert.equal(rrf.rank_window_size, 30);
+      assert.deepEqual(rrf.retrievers, esQuery.retriever.text_similarity_reranker.retriever.linear.retrievers.map(({ retriever }) => retriever));
+      assert.ok(esQuery.retriever.text_similarity_reranker.retriever.linear);
+    });
+
+    it('keeps the weights for weighted rrf and sets the linear normalizer', () => {
+      const weighted = builder.applyFusion(linearBody(), { method: 'weighted_rrf' }).retriever.text_similarity_reranker.retriever.rrf;
+      assert.deepEqual(weighted.retrievers.map(({ weight }) => weight), [7, 3]);
+
+      const linear = builder.applyFusion(linearBody(), { method: 'linear', normalizer: 'minmax' }).retriever.text_similarity_reranker.retriever.linear;
+      assert.deepEqual(linear.retrievers.map(({ normalizer }) => normalizer), ['minmax', 'minmax']);
+    });
+
+    it('leaves queries without a weighted fusion retriever alone', () => {
+      const boolQuery = { query: { bool: { should: [{ match: { unified_title: 'kubernetes' } }] } } };
+      assert.equal(builder.applyFusion(boolQuery, { method: 'rrf' }), boolQuery);
+      assert.equal(builder.applyFusion(linearBody(), null).retriever.text_similarity_reranker.retriever.linear.rank_window_size, 30);
+    });
+  });
+
+  describe('getTemplateVariables', () => {
+    it('puts the weights on the 0-10 scale and defaults the optional variables', () => {
+      const variables = builder.getTemplateVariables('vpn access', { lexicalWeight: 0.7, semanticWeight: 0.3 });
+      assert.equal(variables.lexical_weight, 7);
+      assert.equal(variables.semantic_weight, 3);
+      assert.equal(variables.semantic_query, 'vpn access');
+      assert.equal(variables.lexical_query, 'vpn access');
+      assert.equal(variables.language, 'en');
+      assert.equal(variables.inference_id, 'my-elser-model');
+    });
+  });
+});
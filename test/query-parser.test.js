@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const QueryParser = require('../lib/query-parser');
+
+const TEXT_FIELDS = ['unified_title', 'unified_content', 'unified_description'];
+
+describe('QueryParser', () => {
+  const parser = new QueryParser({ categoryMapping: { bookmarks_idx: 'Bookmarks', links_idx: 'bookmarks' } });
+
+  it('returns plain queries unchanged', () => {
+    const parsed = parser.parse('  kubernetes deployment guide ');
+    assert.equal(parsed.text, 'kubernetes deployment guide');
+    assert.equal(parsed.hasSyntax, false);
+    assert.deepEqual(parsed.filters, []);
+    assert.deepEqual(parsed.boosts, []);
+  });
+
+  it('maps author: to a phrase match on unified_author by default', () => {
+    const parsed = parser.parse('author:"Jane Doe" release notes');
+    assert.equal(parsed.text, 'release notes');
+    assert.deepEqual(parsed.filters, [{ type: 'text', fields: ['unified_author'], query: 'Jane Doe', phrase: true }]);
+  });
+
+  it('turns quoted phrases into scored boosts, not filters', () => {
+    const parsed = parser.parse('"machine learning" course');
+    assert.equal(parsed.text, 'machine learning course');
+    assert.deepEqual(parsed.phrases, ['machine learning']);
+    assert.deepEqual(parsed.filters, []);
+    assert.deepEqual(parsed.boosts, [{
+      type: 'text', fields: TEXT_FIELDS, query: 'machine learning', phrase: true, boost: 2, scored: true
+    }]);
+  });
+
+  it('boosts any of several phrases joined by OR', () => {
+    const parsed = new QueryParser({ phraseBoost: 5 }).parse('"deep learning" OR "neural networks"');
+    assert.equal(parsed.text, 'deep learning neural networks');
+    assert.equal(parsed.boosts.length, 1);
+    assert.equal(parsed.boosts[0].type, 'any');
+    assert.equal(parsed.boosts[0].boost, 5);
+    assert.deepEqual(parsed.boosts[0].filters.map(filter => filter.query), ['deep learning', 'neural networks']);
+  });
+
+  it('excludes negated words, phrases and fields', () => {
+    const parsed = parser.parse('python -snake -"monty python" -site:example.com');
+    assert.equal(parsed.text, 'python');
+    assert.deepEqual(parsed.exclusions, ['snake', '"monty python"', 'site:example.com']);
+    assert.deepEqual(parsed.filters, [
+      { type: 'text', fields: TEXT_FIELDS, query: 'snake', phrase: false, exclude: true },
+      { type: 'text', fields: TEXT_FIELDS, query: 'monty python', phrase: true, exclude: true },
+      { type: 'wildcard', field: 'unified_url', value: '*example.com*', exclude: true }
+    ]);
+  });
+
+  it('keeps numbers with a leading dash as text', () => {
+    assert.equal(parser.parse('temperature -1 degrees').text, 'temperature -1 degrees');
+  });
+
+  it('maps category: to the indices of that category', () => {
+    const parsed = parser.parse('category:BOOKMARKS recipes');
+    assert.deepEqual(parsed.filters, [{ type: 'terms', field: '_index', values: ['bookmarks_idx', 'links_idx'] }]);
+    assert.deepEqual(parser.parse('category:Other x').filters[0].values, ['Other']);
+  });
+
+  it('merges OR of terms on one field and keeps other ORs as any filters', () => {
+    const terms = new QueryParser({ fields: { tag: 'tags.keyword' } }).parse('tag:a OR tag:b OR tag:a guide');
+    assert.deepEqual(terms.filters, [{ type: 'terms', field: 'tags.keyword', values: ['a', 'b'] }]);
+
+    const mixed = parser.parse('site:example.com OR author:jane guide');
+    assert.equal(mixed.filters[0].type, 'any');
+    assert.equal(mixed.filters[0].filters.length, 2);
+  });
+
+  it('leaves unknown field names and OR of free text as text', () => {
+    const parsed = parser.parse('meeting 10:30 re:invent cats OR dogs');
+    assert.equal(parsed.text, 'meeting 10:30 re:invent cats dogs');
+    assert.deepEqual(parsed.filters, []);
+  });
+
+  it('searches the operator values when no free text is left', () => {
+    assert.equal(parser.parse('category:Bookmarks').text, 'Bookmarks');
+  });
+
+  it('rejects queries made only of exclusions', () => {
+    assert.throws(() => parser.parse('-spam -"junk mail"'), /search terms besides exclusions/);
+    assert.throws(() => parser.parse('   '), /search terms besides exclusions/);
+  });
+});
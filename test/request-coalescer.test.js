@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RequestCoalescer = require('../lib/request-coalescer');
+const RequestExecutor = require('../lib/request-executor');
+
+// fetchData that resolves once release() is called and records the signal it ran with
+const deferredFetch = () => {
+  const fetch = { calls: 0, signal: null };
+  const result = new Promise(resolve => { fetch.release = resolve; });
+  fetch.run = async ({ signal }) => {
+    fetch.calls++;
+    fetch.signal = signal;
+    return result;
+  };
+  return fetch;
+};
+
+describe('RequestCoalescer', () => {
+  it('runs identical concurrent requests once', async () => {
+    const coalescer = new RequestCoalescer();
+    const fetch = deferredFetch();
+
+    const first = coalescer.run('key', fetch.run);
+    const second = coalescer.run('key', fetch.run);
+    assert.equal(coalescer.size, 1);
+
+    fetch.release({ total: 3 });
+    assert.deepEqual(await Promise.all([first, second]), [{ total: 3 }, { total: 3 }]);
+    assert.equal(fetch.calls, 1);
+    assert.equal(coalescer.size, 0);
+  });
+
+  it('keeps the shared request alive while another caller waits', async () => {
+    const coalescer = new RequestCoalescer();
+    const fetch = deferredFetch();
+    const controller = new AbortController();
+
+    const cancelled = coalescer.run('key', fetch.run, { signal: controller.signal });
+    const waiting = coalescer.run('key', fetch.run);
+    controller.abort();
+
+    await assert.rejects(cancelled, { code: RequestExecutor.ERROR_CODES.aborted });
+    assert.equal(fetch.signal.aborted, false);
+    fetch.release('done');
+    assert.equal(await waiting, 'done');
+  });
+
+  it('aborts the shared request once every caller is cancelled', async () => {
+    const coalescer = new RequestCoalescer();
+    const fetch = deferredFetch();
+    const controller = new AbortController();
+
+    const cancelled = coalescer.run('key', fetch.run, { signal: controller.signal });
+    await Promise.resolve();
+    controller.abort();
+
+    await assert.rejects(cancelled, { code: RequestExecutor.ERROR_CODES.aborted });
+    assert.equal(fetch.signal.aborted, true);
+    fetch.release();
+  });
+
+  it('keeps the shared request running for a caller with a longer deadline', async () => {
+    const coalescer = new RequestCoalescer();
+    const fetch = deferredFetch();
+
+    const short = coalescer.run('key', fetch.run, { deadline: Date.now() + 10 });
+    const long = coalescer.run('key', fetch.run, { deadline: Date.now() + 5000 });
+
+    await assert.rejects(short, { code: RequestExecutor.ERROR_CODES.timeout });
+    assert.equal(fetch.signal.aborted, false);
+    fetch.release('done');
+    assert.equal(await long, 'done');
+    assert.equal(fetch.calls, 1);
+  });
+
+  it('aborts the shared request once the last caller runs past its deadline', async () => {
+    const coalescer = new RequestCoalescer();
+    const fetch = deferredFetch();
+
+    await assert.rejects(coalescer.run('key', fetch.run, { deadline: Date.now() + 10 }), { code: RequestExecutor.ERROR_CODES.timeout });
+    assert.equal(fetch.signal.aborted, true);
+    assert.equal(coalescer.size, 0);
+    fetch.release();
+  });
+
+  it('starts a fresh request instead of joining an abandoned one', async () => {
+    const coalescer = new RequestCoalescer();
+    const abandoned = deferredFetch();
+    const controller = new AbortController();
+
+    const cancelled = coalescer.run('key', abandoned.run, { signal: controller.signal });
+    await Promise.resolve();
+    controller.abort();
+    await assert.rejects(cancelled, { code: RequestExecutor.ERROR_CODES.aborted });
+
+    const fresh = deferredFetch();
+    const joined = coalescer.run('key', fresh.run);
+    fresh.release('fresh');
+    abandoned.release('stale');
+    assert.equal(await joined, 'fresh');
+    assert.equal(fresh.calls, 1);
+  });
+
+  it('runs the shared request under the longest deadline of its callers', async () => {
+    const coalescer = new RequestCoalescer();
+    const fetch = deferredFetch();
+    let options;
+    const run = sharedOptions => {
+      options = sharedOptions;
+      return fetch.run(sharedOptions);
+    };
+    const now = Date.now();
+
+    const first = coalescer.run('key', run, { deadline: now + 1000 });
+    await Promise.resolve();
+    assert.equal(options.deadline, now + 1000);
+    const second = coalescer.run('key', run, { deadline: now + 3000 });
+    coalescer.run('key', run, { deadline: now + 2000 });
+    assert.equal(options.deadline, now + 3000);
+    const third = coalescer.run('key', run);
+    assert.equal(options.deadline, null);
+
+    fetch.release('done');
+    assert.deepEqual(await Promise.all([first, second, third]), ['done', 'done', 'done']);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RequestExecutor = require('../lib/request-executor');
+
+const { ERROR_CODES } = RequestExecutor;
+
+const statusError = statusCode => Object.assign(new Error(`status ${statusCode}`), { meta: { statusCode } });
+
+// Client whose search() replays the given outcomes (an Error is thrown, anything else returned)
+const scriptedClient = outcomes => {
+  const calls = [];
+  return {
+    calls,
+    async search(params, options) {
+      calls.push({ params, options });
+      const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+      if (outcome instanceof Error) throw outcome;
+      return typeof outcome === 'function' ? outcome(options) : outcome;
+    }
+  };
+};
+
+describe('RequestExecutor', () => {
+  it('passes the request through with client retries disabled', async () => {
+    const client = scriptedClient([{ hits: {} }]);
+    const executor = new RequestExecutor(client, { requestTimeout: 500 });
+
+    assert.deepEqual(await executor.execute('search', { index: 'docs' }), { hits: {} });
+    assert.deepEqual(client.calls[0].options, { maxRetries: 0, requestTimeout: 500 });
+  });
+
+  it('retries retryable status codes and connection errors', async () => {
+    const connectionError = Object.assign(new Error('socket hang up'), { name: 'ConnectionError' });
+    const client = scriptedClient([statusError(503), connectionError, { ok: true }]);
+    const executor = new RequestExecutor(client, { backoffBase: 1 });
+
+    assert.deepEqual(await executor.execute('search', {}), { ok: true });
+    assert.equal(client.calls.length, 3);
+  });
+
+  it('does not retry client errors or past maxRetries', async () => {
+    const badRequest = scriptedClient([statusError(400)]);
+    await assert.rejects(new RequestExecutor(badRequest).execute('search', {}), /status 400/);
+    assert.equal(badRequest.calls.length, 1);
+
+    const unavailable = scriptedClient([statusError(503)]);
+    await assert.rejects(new RequestExecutor(unavailable, { maxRetries: 1, backoffBase: 1 }).execute('search', {}), /status 503/);
+    assert.equal(unavailable.calls.length, 2);
+  });
+
+  it('fails with SEARCH_ABORTED when the signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const client = scriptedClient([{}]);
+
+    await assert.rejects(
+      new RequestExecutor(client).execute('search', {}, { signal: controller.signal }),
+      { code: ERROR_CODES.aborted }
+    );
+    assert.equal(client.calls.length, 0);
+  });
+
+  it('fails with SEARCH_TIMEOUT past the deadline and bounds the request timeout by it', async () => {
+    await assert.rejects(
+      new RequestExecutor(scriptedClient([{}])).execute('search', {}, { deadline: Date.now() - 1 }),
+      { code: ERROR_CODES.timeout }
+    );
+
+    const client = scriptedClient([{}]);
+    await new RequestExecutor(client, { requestTimeout: 60000 }).execute('search', {}, { deadline: Date.now() + 1000 });
+    assert.ok(client.calls[0].options.requestTimeout <= 1000);
+  });
+
+  it('opens the circuit after consecutive server failures and fails fast', async () => {
+    const client = scriptedClient([statusError(500)]);
+    const executor = new RequestExecutor(client, { maxRetries: 0, circuitBreaker: { failureThreshold: 2 } });
+
+    await assert.rejects(executor.execute('search', {}), /status 500/);
+    await assert.rejects(executor.execute('search', {}), /status 500/);
+    assert.equal(executor.getCircuitState().state, 'open');
+
+    await assert.rejects(executor.execute('search', {}), { code: ERROR_CODES.circuitOpen });
+    assert.equal(client.calls.length, 2);
+
+    executor.resetCircuit();
+    assert.deepEqual(executor.getCircuitState(), { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false });
+  });
+
+  it('does not count client errors towards the circuit', async () => {
+    const executor = new RequestExecutor(scriptedClient([statusError(404)]), { circuitBreaker: { failureThreshold: 1 } });
+    await assert.rejects(executor.execute('search', {}), /status 404/);
+    assert.equal(executor.getCircuitState().state, 'closed');
+  });
+
+  it('admits exactly one trial request while half open', async () => {
+    let release;
+    const trial = new Promise(resolve => { release = resolve; });
+    const client = scriptedClient([statusError(500), () => trial]);
+    const executor = new RequestExecutor(client, { maxRetries: 0, circuitBreaker: { failureThreshold: 1, resetTimeout: 0 } });
+
+    await assert.rejects(executor.execute('search', {}), /status 500/);
+
+    const first = executor.execute('search', {});
+    assert.equal(executor.getCircuitState().state, 'half_open');
+    await assert.rejects(executor.execute('search', {}), { code: ERROR_CODES.circuitOpen, message: /half open/ });
+
+    release({ ok: true });
+    assert.deepEqual(await first, { ok: true });
+    assert.equal(executor.getCircuitState().state, 'closed');
+    assert.equal(client.calls.length, 2);
+  });
+
+  it('reopens the circuit when the trial fails', async () => {
+    const client = scriptedClient([statusError(500)]);
+    const executor = new RequestExecutor(client, { maxRetries: 0, circuitBreaker: { failureThreshold: 1, resetTimeout: 0 } });
+
+    await assert.rejects(executor.execute('search', {}), /status 500/);
+    await assert.rejects(executor.execute('search', {}), /status 500/);
+    const state = executor.getCircuitState();
+    assert.equal(state.state, 'open');
+    assert.equal(state.trialInFlight, false);
+  });
+
+  it('lets the next request try when the trial ends without a verdict', async () => {
+    const client = scriptedClient([statusError(500), statusError(400), { ok: true }]);
+    const executor = new RequestExecutor(client, { maxRetries: 0, circuitBreaker: { failureThreshold: 1, resetTimeout: 0 } });
+
+    await assert.rejects(executor.execute('search', {}), /status 500/);
+    await assert.rejects(executor.execute('search', {}), /status 400/);
+    assert.equal(executor.getCircuitState().trialInFlight, false);
+    assert.deepEqual(await executor.execute('search', {}), { ok: true });
+  });
+
+  it('identifies cancellation errors', () => {
+    assert.equal(RequestExecutor.isCancellation(RequestExecutor.createError(ERROR_CODES.timeout, 'late')), true);
+    assert.equal(RequestExecutor.isCancellation(RequestExecutor.createError(ERROR_CODES.circuitOpen, 'open')), false);
+    assert.equal(RequestExecutor.isCancellation(null), false);
+  });
+});
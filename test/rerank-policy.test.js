@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RerankPolicy = require('../lib/rerank-policy');
+
+const weights = (confidence, strategy = 'balanced') => ({ confidence, strategy });
+
+describe('RerankPolicy', () => {
+  it('reranks more candidates when confidence is low', () => {
+    const policy = new RerankPolicy();
+    assert.equal(policy.decide({ query: 'a b', finalWeights: weights(0.3) }).rankWindowSize, 100);
+    assert.equal(policy.decide({ query: 'a b', finalWeights: weights(0.6) }).rankWindowSize, 50);
+    assert.equal(policy.decide({ query: 'a b', finalWeights: weights(0.9) }).rankWindowSize, 20);
+  });
+
+  it('skips product codes, lexical strategies, auto-disabled and caller-disabled queries', () => {
+    const policy = new RerankPolicy();
+    assert.equal(policy.decide({ query: 'SKU-1234', finalWeights: weights(0.6) }).rule, 'product_code');
+    assert.equal(policy.decide({ query: 'a b', finalWeights: weights(0.6, 'exact_match') }).rule, 'strategy');
+    assert.equal(policy.decide({ query: 'Kubernetes', queryEnhancement: { shouldAutoDisableRerank: true } }).rule, 'auto_disable');
+    assert.equal(policy.decide({ query: 'a b', userContext: { useRerank: false } }).rule, 'caller_disabled');
+  });
+
+  it('shrinks the window to the latency budget and falls back to cheaper endpoints', () => {
+    const policy = new RerankPolicy({
+      endpoints: [
+        { id: 'large', baseLatency: 200, latencyPerDoc: 5 },
+        { id: 'small', baseLatency: 50, latencyPerDoc: 1 }
+      ]
+    });
+
+    const reduced = policy.decide({ query: 'a b', finalWeights: weights(0.6), userContext: { latencyBudget: 300 } });
+    assert.equal(reduced.inferenceId, 'large');
+    assert.equal(reduced.rankWindowSize, 20);
+
+    const fallback = policy.decide({ query: 'a b', finalWeights: weights(0.6), userContext: { latencyBudget: 100 } });
+    assert.equal(fallback.inferenceId, 'small');
+    assert.equal(fallback.rankWindowSize, 50);
+
+    assert.equal(policy.decide({ query: 'a b', finalWeights: weights(0.6), userContext: { latencyBudget: 40 } }).rule, 'latency_budget');
+  });
+
+  it('charges only recorded usage against the tenant limit', () => {
+    const policy = new RerankPolicy({ tenantLimits: { '*': { maxCostPerWindow: 60 } } });
+    const input = { query: 'a b', finalWeights: weights(0.6), userContext: { tenantId: 'acme' } };
+
+    const first = policy.decide(input);
+    assert.equal(first.rankWindowSize, 50);
+    assert.equal(policy.getTenantUsage('acme'), 0);
+
+    policy.recordUsage('acme', first);
+    assert.equal(policy.getTenantUsage('acme'), 50);
+    assert.equal(policy.decide(input).rankWindowSize, 10);
+
+    policy.recordUsage('acme', policy.decide(input));
+    assert.equal(policy.decide(input).rule, 'tenant_cost_limit');
+  });
+
+  it('forgets tenants whose window elapsed', () => {
+    const policy = new RerankPolicy({ tenantWindow: 1000 });
+    policy.recordUsage('idle', { enabled: true, cost: 10 });
+    policy.tenantUsage.get('idle').windowStart -= 1000;
+    policy.lastPrune -= 1000;
+
+    policy.recordUsage('active', { enabled: true, cost: 10 });
+    assert.deepEqual([...policy.tenantUsage.keys()], ['active']);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ResultMapper = require('../lib/result-mapper');
+
+describe('ResultMapper', () => {
+  const mapper = new ResultMapper({
+    schemas: [
+      {
+        indexPattern: 'content-servicenow-*, tickets',
+        fields: {
+          title: ['short_description', 'number'],
+          url: { from: 'links.self', default: null },
+          tags: { from: 'labels', flatten: 'join', separator: ' | ' },
+          assignees: { from: 'assignee', flatten: 'all' }
+        },
+        computed: {
+          label: doc => `${doc.title} (${doc.tags})`
+        }
+      },
+      { indexPattern: 'wiki', fields: { title: 'heading' }, passthrough: true }
+    ]
+  });
+
+  it('maps a hit through the first schema whose pattern matches its index', () => {
+    const doc = mapper.mapHit({
+      _index: 'content-servicenow-prod',
+      _source: { number: 'INC001', labels: ['vpn', ['network']], assignee: [['ana'], 'ben'], links: {} }
+    });
+
+    assert.deepEqual(doc, {
+      title: 'INC001',
+      url: null,
+      tags: 'vpn | network',
+      assignees: ['ana', 'ben'],
+      label: 'INC001 (vpn | network)'
+    });
+    assert.equal(mapper.getSchema('tickets'), mapper.getSchema('content-servicenow-dev'));
+  });
+
+  it('reads the fields API before _source and dotted _source paths', () => {
+    const doc = mapper.mapHit({
+      _index: 'tickets',
+      fields: { short_description: ['VPN drops'] },
+      _source: { short_description: 'stale', links: { self: 'https://tickets/1' } }
+    });
+
+    assert.equal(doc.title, 'VPN drops');
+    assert.equal(doc.url, 'https://tickets/1');
+  });
+
+  it('copies _source and flattened fields first when passing through', () => {
+    const doc = mapper.mapHit({ _index: 'wiki', fields: { views: [12] }, _source: { heading: 'Onboarding', space: 'HR' } });
+    assert.deepEqual(doc, { views: 12, heading: 'Onboarding', space: 'HR', title: 'Onboarding' });
+  });
+
+  it('falls back to the unified_* schema for unknown indexes', () => {
+    const doc = mapper.mapHit({ _index: 'other', _source: { unified_title: ['Guide'], body: 'text' } });
+    assert.deepEqual(doc, { unified_title: 'Guide', body: 'text' });
+  });
+
+  it('rejects schemas without a pattern or body', () => {
+    assert.throws(() => mapper.addSchema('', {}), /require an index pattern/);
+    assert.throws(() => mapper.addSchema('logs-*', null), /must be an object/);
+  });
+});
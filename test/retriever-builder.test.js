@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RetrieverBuilder = require('../lib/retriever-builder');
+
+const spec = {
+  lexical: { fields: { 'title.{{language}}': 3, body: 1 }, operator: 'and', variantBoost: 0.5 },
+  semantic: { field: 'body_semantic' },
+  rerank: { field: 'body', inferenceId: 'rerank-v1', rankWindowSize: 50 },
+  size: 20,
+  variants: { tickets: { lexical: { fields: ['summary'] }, rerank: undefined } }
+};
+const variables = {
+  query: 'vpn setup 2023',
+  semantic_query: 'vpn setup',
+  language: 'de',
+  lexical_weight: 6,
+  semantic_weight: 4
+};
+
+describe('RetrieverBuilder', () => {
+  const builder = new RetrieverBuilder(spec);
+
+  it('builds a reranked linear retriever with the weights and language fields', () => {
+    const body = builder.build('rerank', variables);
+    const reranker = body.retriever.text_similarity_reranker;
+    const [lexical, semantic] = reranker.retriever.linear.retrievers;
+
+    assert.deepEqual(lexical, {
+      retriever: { standard: { query: { multi_match: { query: 'vpn setup 2023', fields: ['title.de^3', 'body'], operator: 'and' } } } },
+      weight: 6
+    });
+    assert.deepEqual(semantic, {
+      retriever: { standard: { query: { semantic: { field: 'body_semantic', query: 'vpn setup' } } } },
+      weight: 4
+    });
+    assert.deepEqual([reranker.field, reranker.inference_text, reranker.inference_id, reranker.rank_window_size], ['body', 'vpn setup 2023', 'rerank-v1', 50]);
+    assert.equal(body.size, 20);
+  });
+
+  it('lets a strategy fusion replace the spec fusion', () => {
+    const rrf = builder.build('noRerank', { ...variables, fusion: { method: 'rrf', rankConstant: 20, rankWindowSize: 100 } }).retriever.rrf;
+    assert.deepEqual([rrf.rank_constant, rrf.rank_window_size, rrf.retrievers.length], [20, 100, 2]);
+    assert.ok(rrf.retrievers[0].standard);
+
+    const weighted = builder.build('noRerank', { ...variables, fusion: { method: 'weighted_rrf' } }).retriever.rrf;
+    assert.deepEqual(weighted.retrievers.map(({ weight }) => weight), [6, 4]);
+  });
+
+  it('builds a weighted bool.should query for the bool fusion', () => {
+    const body = new RetrieverBuilder({ ...spec, fusion: 'bool' }).build('noRerank', variables);
+    const [lexical, semantic] = body.query.bool.should;
+    assert.equal(lexical.multi_match.boost, 6);
+    assert.equal(semantic.semantic.boost, 4);
+  });
+
+  it('adds synonym variants as boosted lexical alternatives', () => {
+    const lexical = builder.build('lexical', { ...variables, lexical_variants: ['virtual private network setup 2023'] }).query;
+    assert.deepEqual(lexical.bool.should.map(({ multi_match: match }) => [match.query, match.boost]), [
+      ['vpn setup 2023', undefined],
+      ['virtual private network setup 2023', 0.5]
+    ]);
+    assert.equal(lexical.bool.minimum_should_match, 1);
+  });
+
+  it('builds variant keys and reports which keys it can build', () => {
+    assert.deepEqual(builder.build('ticketsLexical', variables).query.multi_match.fields, ['summary']);
+    assert.equal(builder.has('bookmarksRerank'), true);
+    assert.equal(builder.has('ticketsRerank'), false);
+    assert.equal(builder.has('unknownLexical'), false);
+    assert.equal(new RetrieverBuilder({ lexical: { fields: ['title'] } }).has('semantic'), false);
+    assert.throws(() => builder.build('ticketsRerank', variables), /Query spec cannot build: ticketsRerank/);
+  });
+
+  it('rejects invalid specs and fusion methods', () => {
+    assert.throws(() => new RetrieverBuilder({ lexical: { fields: [] } }), /lexical.fields requires at least one field/);
+    assert.throws(() => new RetrieverBuilder({ ...spec, fusion: 'max' }), /unknown fusion "max"/);
+    assert.throws(() => new RetrieverBuilder({ ...spec, semantic: {} }), /semantic.field is required/);
+    assert.throws(() => new RetrieverBuilder({ ...spec, variants: { tickets: { rerank: {} } } }), /variant "tickets": rerank.field is required/);
+    assert.throws(() => RetrieverBuilder.buildFusion([], { method: 'max' }), /Unknown fusion method "max"/);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchCursor = require('../lib/search-cursor');
+
+describe('SearchCursor', () => {
+  const state = {
+    query: 'machine learning',
+    weights: { lexicalWeight: 0.4, semanticWeight: 0.6 },
+    page: 2,
+    sections: { main: { pit: 'abc+/=', searchAfter: [1.5, 'doc-1'], offset: 20 } }
+  };
+
+  it('round-trips the pagination state', () => {
+    const decoded = SearchCursor.decode(SearchCursor.encode(state));
+    assert.deepEqual(decoded, { v: 1, ...state });
+  });
+
+  it('produces URL-safe tokens', () => {
+    const token = SearchCursor.encode({ ...state, query: '??>>~~ütf' });
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+  });
+
+  it('rejects empty or non-string cursors', () => {
+    assert.throws(() => SearchCursor.decode(''), /non-empty string/);
+    assert.throws(() => SearchCursor.decode(null), /non-empty string/);
+    assert.throws(() => SearchCursor.decode(42), /non-empty string/);
+  });
+
+  it('rejects tokens that are not JSON', () => {
+    assert.throws(() => SearchCursor.decode('not-a-cursor'), /Invalid cursor/);
+  });
+
+  it('rejects incomplete or other-version states', () => {
+    const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64');
+    assert.throws(() => SearchCursor.decode(encode({ v: 2, weights: {}, sections: {} })), /unsupported or incomplete/);
+    assert.throws(() => SearchCursor.decode(encode({ v: 1, sections: {} })), /unsupported or incomplete/);
+    assert.throws(() => SearchCursor.decode(encode({ v: 1, weights: {} })), /unsupported or incomplete/);
+  });
+});
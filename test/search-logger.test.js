@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchLogger = require('../lib/search-logger');
+
+// Logger function collecting every record
+const collect = (options, bindings) => {
+  const records = [];
+  return { records, logger: new SearchLogger(record => records.push(record), options, bindings) };
+};
+
+describe('SearchLogger', () => {
+  it('is silent without a logger', () => {
+    const logger = new SearchLogger();
+    assert.equal(logger.isEnabled('error'), false);
+    logger.error('search_failed', { error: 'boom' });
+  });
+
+  it('writes records at or above the level', () => {
+    const { records, logger } = collect({ level: 'warn' });
+    logger.info('search_completed', {});
+    logger.warn('search_degraded', { to: 'lexical_only' });
+
+    assert.equal(records.length, 1);
+    assert.equal(records[0].level, 'warn');
+    assert.equal(records[0].event, 'search_degraded');
+    assert.equal(records[0].to, 'lexical_only');
+  });
+
+  it('calls the method of the record level on logger objects', () => {
+    const calls = [];
+    const logger = new SearchLogger({ debug: () => calls.push('debug'), error: () => calls.push('error') }, { level: 'debug' });
+    logger.debug('search_request', {});
+    logger.error('search_failed', {});
+    assert.deepEqual(calls, ['debug', 'error']);
+  });
+
+  it('adds child bindings to every record', () => {
+    const { records, logger } = collect({}, { engine: 'docs' });
+    logger.child({ searchId: 's1' }).info('search_completed', { total: 3 });
+    assert.equal(records[0].engine, 'docs');
+    assert.equal(records[0].searchId, 's1');
+  });
+
+  it('replaces the query text everywhere in a record', () => {
+    const { records, logger } = collect({ level: 'debug' });
+    logger.debug('search_failed', {
+      query: ' jane doe salary ',
+      error: 'No hits for jane doe salary',
+      details: [{ text: 'jane doe salary report' }]
+    });
+
+    assert.equal(records[0].query, ' [REDACTED] ');
+    assert.equal(records[0].error, 'No hits for [REDACTED]');
+    assert.deepEqual(records[0].details, [{ text: '[REDACTED] report' }]);
+  });
+
+  it('replaces fields derived from the query whole', () => {
+    const { records, logger } = collect({ level: 'debug' });
+    logger.debug('search_request', {
+      query: "jane doe's salary last month",
+      correction: 'jane doe salary last month',
+      body: { query: { multi_match: { query: 'jane doe salary' } } }
+    });
+    logger.debug('search_batch_request', { size: 1, body: [{ index: 'docs' }, { query: 'jane doe' }] });
+
+    assert.equal(records[0].correction, '[REDACTED]');
+    assert.equal(records[0].body, '[REDACTED]');
+    assert.equal(records[1].body, '[REDACTED]');
+    assert.equal(records[1].size, 1);
+  });
+
+  it('keeps derived fields when query redaction is off', () => {
+    const { records, logger } = collect({ level: 'debug', redactQuery: false });
+    logger.debug('search_request', { query: 'jane doe', body: { q: 'jane doe' } });
+    assert.equal(records[0].query, 'jane doe');
+    assert.deepEqual(records[0].body, { q: 'jane doe' });
+  });
+
+  it('redacts sensitive user context fields', () => {
+    const { records, logger } = collect({ redactionPlaceholder: '***' });
+    const userContext = { userId: 'u1', email: 'jane@example.com', language: 'en' };
+    logger.error('search_failed', { userContext });
+
+    assert.deepEqual(records[0].userContext, { userId: '***', email: '***', language: 'en' });
+    assert.equal(userContext.userId, 'u1');
+  });
+
+  it('rejects unknown levels', () => {
+    assert.throws(() => new SearchLogger(null, { level: 'verbose' }), /Unknown log level: verbose/);
+  });
+});
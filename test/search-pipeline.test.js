@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchPipeline = require('../lib/search-pipeline');
+
+describe('SearchPipeline', () => {
+  it('runs the middleware of a hook in registration order, awaiting each', async () => {
+    const pipeline = new SearchPipeline();
+    const calls = [];
+    pipeline
+      .use('before:building', async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        calls.push('first');
+      })
+      .use('before:building', context => calls.push(`second ${context.query}`));
+
+    await pipeline.run('before:building', { query: 'vpn' });
+    assert.deepEqual(calls, ['first', 'second vpn']);
+  });
+
+  it('registers a bare phase name as an after hook', async () => {
+    const pipeline = new SearchPipeline();
+    const calls = [];
+    pipeline.use('processing', () => calls.push('after'));
+
+    await pipeline.run('before:processing', {});
+    await pipeline.run('after:processing', {});
+    assert.deepEqual(calls, ['after']);
+  });
+
+  it('removes registered middleware', async () => {
+    const pipeline = new SearchPipeline();
+    const middleware = () => assert.fail('removed middleware ran');
+    pipeline.use('after:execution', middleware);
+
+    assert.equal(pipeline.remove('execution', middleware), true);
+    assert.equal(pipeline.remove('execution', middleware), false);
+    await pipeline.run('after:execution', {});
+  });
+
+  it('rejects unknown hooks and non-functions', () => {
+    const pipeline = new SearchPipeline();
+    assert.throws(() => pipeline.use('during:building', () => {}), /Unknown middleware timing "during"/);
+    assert.throws(() => pipeline.use('before:ranking', () => {}), /Unknown search phase "ranking"/);
+    assert.throws(() => pipeline.use('before:building', null), /must be a function/);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SpellChecker = require('../lib/spell-checker');
+const RequestExecutor = require('../lib/request-executor');
+const SearchLogger = require('../lib/search-logger');
+const { recordingLogger } = require('./helpers/fake-elasticsearch');
+
+const silent = new SearchLogger(null);
+const executor = respond => ({
+  requests: [],
+  async execute(method, params, requestOptions) {
+    this.requests.push({ method, params, requestOptions });
+    return respond(params);
+  }
+});
+
+describe('SpellChecker', () => {
+  it('keeps the best term suggestion per word across fields and matches the original case', async () => {
+    const client = executor(() => ({
+      suggest: {
+        spelling_0: [
+          { offset: 0, length: 7, options: [{ text: 'vacation', score: 0.8, freq: 3 }] },
+          { offset: 8, length: 5, options: [] }
+        ],
+        spelling_1: [
+          { offset: 0, length: 7, options: [{ text: 'vacations', score: 0.7, freq: 9 }] },
+          { offset: 8, length: 5, options: [{ text: 'policy', score: 0.9, freq: 5 }] }
+        ]
+      }
+    }));
+    const checker = new SpellChecker(client, { logger: silent });
+
+    assert.deepEqual(await checker.check('Vacaton polcy', 'docs', { deadline: 123 }), {
+      text: 'Vacation policy',
+      source: 'elasticsearch',
+      corrections: [{ original: 'Vacaton', corrected: 'Vacation' }, { original: 'polcy', corrected: 'policy' }]
+    });
+
+    const [{ params, requestOptions }] = client.requests;
+    assert.equal(params.index, 'docs');
+    assert.deepEqual(Object.keys(params.body.suggest), ['text', 'spelling_0', 'spelling_1']);
+    assert.equal(params.body.suggest.spelling_1.term.field, 'unified_content');
+    assert.deepEqual(requestOptions, { deadline: 123 });
+
+    await checker.check('Vacaton polcy', 'docs');
+    assert.equal(client.requests.length, 1);
+  });
+
+  it('reads the phrase suggestion and ignores one that only changes case', async () => {
+    let text = 'kubernetes pod restart';
+    const client = executor(() => ({ suggest: { spelling_phrase: [{ options: [{ text }] }] } }));
+    const checker = new SpellChecker(client, { logger: silent, suggester: 'phrase', phraseField: 'unified_title' });
+
+    const suggestion = await checker.check('kubernets pod restrat', 'docs');
+    assert.equal(suggestion.text, 'kubernetes pod restart');
+    assert.deepEqual(suggestion.corrections.map(({ original }) => original), ['kubernets', 'restrat']);
+    assert.equal(client.requests[0].params.body.suggest.spelling_phrase.phrase.field, 'unified_title');
+
+    text = 'VPN setup';
+    assert.equal(await checker.check('vpn setup', 'docs'), null);
+  });
+
+  it('corrects unknown words to the closest, most frequent dictionary term', async () => {
+    const client = executor(() => ({
+      aggregations: { dictionary_terms: { buckets: [{ key: 'Expense Report', doc_count: 4 }, { key: 'exposure', doc_count: 1 }] } }
+    }));
+    const checker = new SpellChecker(client, { logger: silent, sources: ['dictionary'] });
+
+    const suggestion = await checker.check('EXPENCE reprot 2024', 'docs');
+    assert.deepEqual(suggestion, {
+      text: 'EXPENSE report 2024',
+      source: 'dictionary',
+      corrections: [{ original: 'EXPENCE', corrected: 'EXPENSE' }, { original: 'reprot', corrected: 'report' }]
+    });
+    assert.equal(checker.getDictionarySize(), 3);
+    assert.equal(client.requests[0].params.body.aggs.dictionary_terms.terms.field, 'unified_title.keyword');
+
+    assert.equal(await checker.check('expense report', 'docs'), null);
+    assert.equal(client.requests.length, 1);
+  });
+
+  it('uses added terms without loading the corpus dictionary', async () => {
+    const client = executor(() => assert.fail('the dictionary should not be loaded'));
+    const checker = new SpellChecker(client, { logger: silent, sources: ['dictionary'] });
+    checker.addTerms(['onboarding', { term: 'Offboarding', frequency: 3 }]);
+
+    assert.equal((await checker.check('onbording', 'docs')).text, 'onboarding');
+    assert.equal((await checker.check('ofboarding', 'docs')).text, 'offboarding');
+
+    checker.clearDictionary();
+    assert.equal(checker.getDictionarySize(), 0);
+  });
+
+  it('falls through to the next source on errors but rethrows cancellations', async () => {
+    const logger = recordingLogger();
+    const failing = executor(params => {
+      if (params.body.suggest) throw new Error('suggester unavailable');
+      return { aggregations: { dictionary_terms: { buckets: [{ key: 'travel', doc_count: 2 }] } } };
+    });
+    const checker = new SpellChecker(failing, { logger: new SearchLogger(logger), sources: ['elasticsearch', 'dictionary'] });
+
+    assert.equal((await checker.check('travle', 'docs')).source, 'dictionary');
+    const [record] = logger.records;
+    assert.equal(record.event, 'spelling_failed');
+    assert.equal(record.level, 'warn');
+    assert.equal(record.source, 'elasticsearch');
+    assert.equal(record.error, 'suggester unavailable');
+
+    const aborted = new SpellChecker(executor(() => {
+      throw RequestExecutor.createError(RequestExecutor.ERROR_CODES.aborted, 'cancelled');
+    }), { logger: silent });
+    await assert.rejects(aborted.check('travle', 'docs'), { code: RequestExecutor.ERROR_CODES.aborted });
+  });
+
+  it('measures transpositions as one edit and stops early past the limit', () => {
+    assert.equal(SpellChecker.editDistance('polcy', 'policy'), 1);
+    assert.equal(SpellChecker.editDistance('reprot', 'report'), 1);
+    assert.equal(SpellChecker.editDistance('kitten', 'sitting'), 3);
+    assert.ok(SpellChecker.editDistance('abcdef', 'uvwxyz', 1) > 1);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SynonymDictionary = require('../lib/synonym-dictionary');
+
+describe('SynonymDictionary', () => {
+  it('expands any member of a group into the others', () => {
+    const dictionary = new SynonymDictionary({ entries: { PTO: ['paid time off', 'vacation days'] } });
+
+    const { matches, variants, lexicalQuery } = dictionary.expand('PTO policy');
+    assert.deepEqual(matches, [{ text: 'PTO', start: 0, end: 3, type: 'acronym', alternatives: ['paid time off', 'vacation days'] }]);
+    assert.deepEqual(variants, ['paid time off policy', 'vacation days policy']);
+    assert.equal(lexicalQuery, 'PTO policy paid time off vacation days');
+
+    const reverse = dictionary.expand('Paid-Time-Off request');
+    assert.equal(reverse.matches[0].type, 'synonym');
+    assert.deepEqual(reverse.matches[0].alternatives, ['PTO', 'vacation days']);
+  });
+
+  it('prefers the longest phrase and caps the variants', () => {
+    const dictionary = new SynonymDictionary({
+      entries: { 'single sign-on': ['SSO'], sign: ['signature'], laptop: ['notebook', 'computer', 'pc'] },
+      maxVariants: 2
+    });
+
+    assert.deepEqual(dictionary.expand('single sign on setup').matches.map(({ text }) => text), ['single sign on']);
+    assert.equal(dictionary.expand('laptop setup').variants.length, 2);
+    assert.deepEqual(dictionary.expand('printer setup'), { matches: [], variants: [], lexicalQuery: 'printer setup' });
+  });
+
+  it('merges expansions of a known term and removes a whole group', () => {
+    const dictionary = new SynonymDictionary();
+    dictionary.add('K8s', 'kubernetes');
+    dictionary.add('k8s', ['Kubernetes', 'kube']);
+
+    assert.deepEqual(dictionary.list(), [{ term: 'K8s', expansions: ['kubernetes', 'kube'], type: 'synonym' }]);
+    assert.equal(dictionary.remove('K8S'), true);
+    assert.deepEqual(dictionary.expand('kube pods').matches, []);
+    assert.equal(dictionary.size(), 0);
+  });
+
+  it('defaults all-caps terms to acronyms and validates entries', () => {
+    const dictionary = new SynonymDictionary({ entries: { SSO: 'single sign-on', wfh: 'work from home' } });
+    assert.equal(dictionary.isAcronym('sso'), true);
+    assert.equal(dictionary.isAcronym('wfh'), false);
+    assert.deepEqual(dictionary.list('acronym').map(({ term }) => term), ['SSO']);
+
+    assert.throws(() => dictionary.add('VPN', []), /requires a term and at least one expansion/);
+    assert.throws(() => dictionary.add('VPN', 'virtual private network', { type: 'alias' }), /Unknown synonym type "alias"/);
+    assert.throws(() => dictionary.load('a,b', { format: 'yaml' }), /Unknown synonym format "yaml"/);
+  });
+
+  it('loads CSV with comments and quoted cells, and JSON', () => {
+    const dictionary = new SynonymDictionary();
+    assert.equal(dictionary.load('# term,expansions\nWFH,"work from home, remote",telework\n\nR&D,research and development'), 2);
+    assert.deepEqual(dictionary.list()[0].expansions, ['work from home, remote', 'telework']);
+    assert.equal(dictionary.load('[{"term": "OKR", "expansions": ["objectives and key results"], "type": "acronym"}]'), 1);
+    assert.equal(dictionary.isAcronym('OKR'), true);
+    assert.deepEqual(SynonymDictionary.parseCSVLine('a,"b ""c""",,d'), ['a', 'b "c"', '', 'd']);
+  });
+});
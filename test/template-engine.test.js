@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TemplateEngine = require('../lib/template-engine');
+
+describe('TemplateEngine', () => {
+  describe('render', () => {
+    const engine = new TemplateEngine({
+      match: '{"query": {"match": {"title": {"query": "{{query}}", "boost": "{{lexical_weight}}"}}}, "_name": "q: {{query}}"}',
+      filtered: '{"query": {"bool": {"must": [{"match_all": {}}]{{#filters}}, "filter": {{filters}}{{/filters}}{{^filters}}, "boost": 1{{/filters}}}}}',
+      partial: '{"query": {{> lexical}}}'
+    }, {
+      partials: { lexical: '{"multi_match": {"query": "{{query}}", "fields": ["title^{{lexical_weight}}"]}}' }
+    });
+
+    it('escapes variables inside JSON strings so a query cannot inject query DSL', () => {
+      const query = 'a"}, "script": {"source": "x"} \\ b';
+      const body = engine.render('match', { query, lexical_weight: 7 });
+
+      assert.equal(body.query.match.title.query, query);
+      assert.equal(body._name, `q: ${query}`);
+      assert.deepEqual(Object.keys(body), ['query', '_name']);
+    });
+
+    it('emits a variable that is the whole string as a bare number', () => {
+      assert.equal(engine.render('match', { query: 'vpn', lexical_weight: 7 }).query.match.title.boost, 7);
+    });
+
+    it('renders sections when their value is truthy and inverted sections otherwise', () => {
+      const filters = [{ term: { category: 'hr' } }];
+      assert.deepEqual(engine.render('filtered', { filters }).query.bool.filter, filters);
+      assert.deepEqual(engine.render('filtered', { filters: [] }).query.bool, { must: [{ match_all: {} }], boost: 1 });
+    });
+
+    it('renders partials with the same variables', () => {
+      assert.deepEqual(engine.render('partial', { query: 'vpn "guide"', lexical_weight: 3 }).query.multi_match, {
+        query: 'vpn "guide"',
+        fields: ['title^3']
+      });
+    });
+
+    it('accepts templates given as objects and reports variables in use', () => {
+      const objectEngine = new TemplateEngine({ semantic: { query: { semantic: { query: '{{semantic_query}}' } } } });
+      assert.equal(objectEngine.render('semantic', { semantic_query: 'vpn' }).query.semantic.query, 'vpn');
+      assert.equal(objectEngine.usesVariable('semantic', 'semantic_query'), true);
+      assert.equal(engine.usesVariable('partial', 'lexical_weight'), true);
+      assert.throws(() => objectEngine.render('missing'), /Query template not found: missing/);
+    });
+  });
+
+  describe('startup validation', () => {
+    it('rejects unknown variables unless declared', () => {
+      const template = { custom: '{"query": {"term": {"tenant": "{{tenant_id}}"}}}' };
+      assert.throws(() => new TemplateEngine(template), /Invalid query template "custom": unknown variable \{\{tenant_id\}\}/);
+      assert.equal(new TemplateEngine(template, { variables: ['tenant_id'] }).has('custom'), true);
+    });
+
+    it('rejects unknown, string-embedded and self-including partials', () => {
+      assert.throws(() => new TemplateEngine({ broken: '{"query": {{> missing}}}' }), /unknown partial \{\{> missing\}\}/);
+      assert.throws(() => new TemplateEngine({ broken: '{"query": "{{> lexical}}"}' }, { partials: { lexical: '{}' } }), /cannot be used inside a JSON string/);
+      assert.throws(() => new TemplateEngine({ broken: '{"query": {{> loop}}}' }, { partials: { loop: '{"bool": {{> loop}}}' } }), /includes itself/);
+    });
+
+    it('rejects unbalanced sections and templates that render invalid JSON in any branch', () => {
+      assert.throws(() => new TemplateEngine({ broken: '{"a": 1{{#filters}}, "b": 2}' }), /section \{\{#filters\}\} is never closed/);
+      assert.throws(() => new TemplateEngine({ broken: '{"a": 1{{/filters}}}' }), /unexpected \{\{\/filters\}\}/);
+      assert.throws(() => new TemplateEngine({ broken: '{"a": 1{{^filters}},{{/filters}}}' }), /"broken": does not render valid JSON/);
+      assert.throws(() => new TemplateEngine({ broken: '{"a": "open}' }), /unterminated JSON string/);
+    });
+  });
+});
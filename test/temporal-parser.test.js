@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TemporalParser = require('../lib/temporal-parser');
+
+// A Wednesday
+const NOW = '2024-05-15T12:00:00Z';
+
+describe('TemporalParser', () => {
+  const parser = new TemporalParser();
+  const parse = query => parser.parse(query, NOW);
+
+  it('resolves quarters, halves, months and days with a year', () => {
+    assert.deepEqual(parse('revenue Q3 2023').range, { gte: '2023-07-01', lt: '2023-10-01' });
+    assert.deepEqual(parse('2022-Q4 report').range, { gte: '2022-10-01', lt: '2023-01-01' });
+    assert.deepEqual(parse('plan H2 2024').range, { gte: '2024-07-01', lt: '2025-01-01' });
+    assert.deepEqual(parse('notes March 2023').range, { gte: '2023-03-01', lt: '2023-04-01' });
+    assert.deepEqual(parse('standup 3rd Feb 2024').range, { gte: '2024-02-03', lt: '2024-02-04' });
+    assert.deepEqual(parse('log 2024-02-29').range, { gte: '2024-02-29', lt: '2024-03-01' });
+    assert.deepEqual(parse('budget 2020-2022').range, { gte: '2020-01-01', lt: '2023-01-01' });
+  });
+
+  it('returns the query without its date expressions', () => {
+    const parsed = parse("last month's sales report");
+    assert.equal(parsed.text, 'sales report');
+    assert.deepEqual(parsed.expressions.map(expression => [expression.text, expression.type]), [["last month's", 'relative']]);
+    assert.deepEqual(parsed.range, { gte: '2024-04-01', lt: '2024-05-01' });
+  });
+
+  it('keeps the query when nothing but a date is left', () => {
+    assert.equal(parse('2023').text, '2023');
+  });
+
+  it('resolves relative expressions against the reference time', () => {
+    assert.deepEqual(parse('today').range, { gte: '2024-05-15', lt: '2024-05-16' });
+    assert.deepEqual(parse('yesterday').range, { gte: '2024-05-14', lt: '2024-05-15' });
+    assert.deepEqual(parse('this week').range, { gte: '2024-05-13', lt: '2024-05-20' });
+    assert.deepEqual(parse('last quarter').range, { gte: '2024-01-01', lt: '2024-04-01' });
+    assert.deepEqual(parse('past month').range, { gte: '2024-04-16', lt: '2024-05-16' });
+    assert.deepEqual(parse('last three weeks').range, { gte: '2024-04-25', lt: '2024-05-16' });
+    assert.deepEqual(parse('two years ago').range, { gte: '2022-01-01', lt: '2023-01-01' });
+    assert.deepEqual(parse('ytd expenses').range, { gte: '2024-01-01', lt: '2024-05-16' });
+  });
+
+  it('starts weeks on the configured day', () => {
+    const sunday = new TemporalParser({ weekStartsOn: 0 });
+    assert.deepEqual(sunday.parse('this week', NOW).range, { gte: '2024-05-12', lt: '2024-05-19' });
+  });
+
+  it('opens the range after since, after, before and until', () => {
+    assert.deepEqual(parse('incidents since 2023').range, { gte: '2023-01-01' });
+    assert.deepEqual(parse('incidents after 2023').range, { gte: '2024-01-01' });
+    assert.deepEqual(parse('incidents before 2023').range, { lt: '2023-01-01' });
+    assert.deepEqual(parse('incidents until 2023').range, { lt: '2024-01-01' });
+    assert.equal(parse('incidents since 2023').text, 'incidents');
+  });
+
+  it('covers every expression of the query', () => {
+    assert.deepEqual(parse('reports from 2022 and from 2024').range, { gte: '2022-01-01', lt: '2025-01-01' });
+  });
+
+  it('treats a bare month as a date only after a preposition or with a day', () => {
+    assert.equal(parse('march madness').range, null);
+    assert.equal(parse('may the force').range, null);
+    assert.deepEqual(parse('reviews in March').range, { gte: '2024-03-01', lt: '2024-04-01' });
+    assert.deepEqual(parse('party March 3rd').range, { gte: '2024-03-03', lt: '2024-03-04' });
+    assert.deepEqual(parse('party 3 March').range, { gte: '2024-03-03', lt: '2024-03-04' });
+  });
+
+  it('treats a lone year as a date only after a preposition or next to a year cue', () => {
+    assert.deepEqual(parse('setup in 2016').range, { gte: '2016-01-01', lt: '2017-01-01' });
+    assert.deepEqual(parse('2019 report').range, { gte: '2019-01-01', lt: '2020-01-01' });
+    assert.deepEqual(parse('Fiscal 2019 forecast').range, { gte: '2019-01-01', lt: '2020-01-01' });
+    assert.equal(parse('2019 report').text, 'report');
+  });
+
+  it('keeps other numbers that look like years as query text', () => {
+    for (const query of ['windows 2019 server setup', 'top 2000 songs', 'Office 2016 review', '2023']) {
+      const parsed = parse(query);
+      assert.equal(parsed.range, null, query);
+      assert.equal(parsed.text, query);
+    }
+  });
+
+  it('reads year cues from the options', () => {
+    const songs = new TemporalParser({ yearCues: ['songs'] });
+    assert.deepEqual(songs.parse('top 2000 songs', NOW).range, { gte: '2000-01-01', lt: '2001-01-01' });
+  });
+
+  it('falls back to the month of an impossible day', () => {
+    assert.deepEqual(parse('log 2023-02-30').range, { gte: '2023-02-01', lt: '2023-03-01' });
+  });
+
+  it('flags recency words but not names starting with them', () => {
+    const parsed = parse('latest kubernetes release');
+    assert.equal(parsed.recency, true);
+    assert.equal(parsed.range, null);
+    assert.equal(parsed.text, 'kubernetes release');
+    assert.equal(parse('New York office').recency, false);
+  });
+
+  it('rejects an invalid reference time', () => {
+    assert.throws(() => parser.parse('today', 'not a date'), /Invalid reference time/);
+  });
+});